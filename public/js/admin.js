@@ -14,7 +14,13 @@
   document.getElementById('admin-name').textContent = user.name || 'Administrator';
 
   let menuData = null;
+  let comboData = [];
+  let ruleData = [];
+  let ruleReport = null;
   let tables = [];
+  let ingredients = [];
+  let coupons = [];
+  let taxClasses = [];
   let currentTab = 'dashboard';
 
   // ─── Init ────────────────────────────────────────────────
@@ -23,10 +29,22 @@
     loadMenu();
     loadTables();
     loadDashboard();
+    connectSSE();
     // Set today's date for orders filter
     document.getElementById('orders-date').value = new Date().toISOString().split('T')[0];
   });
 
+  // Low-stock alerts while the panel is open
+  function connectSSE() {
+    const sse = new EventSource(`/api/sse/admin?access_token=${encodeURIComponent(token)}`);
+    sse.addEventListener('low-stock', (e) => {
+      const data = JSON.parse(e.data);
+      data.ingredients.forEach(i => showToast(`⚠️ ${i.name} is low: ${i.stock_qty} ${i.unit} left`, 'error'));
+      loadLowStock();
+      if (currentTab === 'inventory') loadInventory();
+    });
+  }
+
   // ─── Tab Switching ───────────────────────────────────────
 
   window.switchTab = function (tab) {
@@ -39,17 +57,39 @@
 
     if (tab === 'dashboard') loadDashboard();
     if (tab === 'orders') loadOrders();
+    if (tab === 'inventory') loadInventory();
+    if (tab === 'coupons') loadCoupons();
+    if (tab === 'tips') loadTips();
     if (tab === 'feedback') loadFeedbackTab();
     if (tab === 'settings') loadSettings();
   };
 
   // ─── Menu Management ────────────────────────────────────
 
+  // The public menu only has what is on right now, so build the full one here
   async function loadMenu() {
     try {
-      const resp = await fetch(`/api/menu/${user.restaurant_id}`);
-      menuData = await resp.json();
+      const headers = { 'Authorization': `Bearer ${token}` };
+      const [categories, items] = await Promise.all([
+        fetch('/api/menu/categories/all', { headers }).then(r => r.json()),
+        fetch('/api/menu/items/all', { headers }).then(r => r.json())
+      ]);
+      menuData = {
+        categories: categories.map(cat => ({ ...cat, items: items.filter(item => item.active && item.category_id === cat.id) }))
+      };
       renderMenuAdmin();
+      const comboResp = await fetch('/api/menu/combos/all', { headers: { 'Authorization': `Bearer ${token}` } });
+      comboData = comboResp.ok ? await comboResp.json() : [];
+      renderCombosAdmin();
+      const [rulesResp, reportResp] = await Promise.all([
+        fetch('/api/promotions/rules', { headers }),
+        fetch('/api/promotions/report', { headers })
+      ]);
+      ruleData = rulesResp.ok ? await rulesResp.json() : [];
+      ruleReport = reportResp.ok ? await reportResp.json() : null;
+      renderRulesAdmin();
+      const taxResp = await fetch('/api/restaurant/tax-classes', { headers });
+      taxClasses = taxResp.ok ? await taxResp.json() : [];
     } catch (err) {
       console.error('Load menu error:', err);
     }
@@ -68,9 +108,10 @@
           <div>
             <span style="font-weight:700;font-size:1rem">${cat.name}</span>
             <span style="color:var(--text-muted);font-size:0.8rem;margin-left:8px">${cat.items.length} items</span>
+            ${cat.availability ? `<span style="color:var(--text-muted);font-size:0.8rem;margin-left:8px">🕒 ${formatSchedule(cat.availability).join('; ')}</span>` : ''}
           </div>
           <div style="display:flex;gap:6px">
-            <button class="btn btn-secondary btn-sm" onclick="editCategory(${cat.id}, '${cat.name.replace(/'/g, "\\'")}')">Edit</button>
+            <button class="btn btn-secondary btn-sm" onclick="editCategory(${cat.id})">Edit</button>
             <button class="btn btn-sm" style="background:var(--danger);color:white;padding:6px 12px;border:none;border-radius:var(--radius-sm);cursor:pointer;font-family:var(--font-sans);font-size:0.8rem;font-weight:600" onclick="deleteCategory(${cat.id})">Delete</button>
           </div>
         </div>
@@ -90,8 +131,12 @@
                 <td>
                   <div style="font-weight:600;color:var(--text-primary)">${item.name}</div>
                   <div style="font-size:0.75rem;color:var(--text-muted)">${item.description}</div>
+                  ${stockText(item)}
+                  ${item.availability ? `<div style="font-size:0.75rem;color:var(--text-muted)">🕒 ${formatSchedule(item.availability).join('; ')}</div>` : ''}
+                </td>
+                <td style="font-weight:600;color:var(--accent)">
+                  ${(item.variants || []).length ? item.variants.map(v => `${v.name} ₹${v.price}`).join('<br>') : `₹${item.price}`}
                 </td>
-                <td style="font-weight:600;color:var(--accent)">₹${item.price}</td>
                 <td>${item.is_veg ? '<span style="color:var(--success)">● Veg</span>' : '<span style="color:var(--danger)">▲ Non-veg</span>'}</td>
                 <td>
                   <label class="toggle">
@@ -101,6 +146,8 @@
                 </td>
                 <td>
                   <button class="btn btn-secondary btn-sm" onclick='editItem(${JSON.stringify(item).replace(/'/g, "\\'")})'>Edit</button>
+                  <button class="btn btn-secondary btn-sm" onclick="editModifiers(${item.id})">Modifiers${item.modifier_groups && item.modifier_groups.length ? ` (${item.modifier_groups.length})` : ''}</button>
+                  <button class="btn btn-secondary btn-sm" onclick="editRecipe(${item.id})">Recipe</button>
                 </td>
               </tr>
             `).join('')}
@@ -110,6 +157,13 @@
     `).join('');
   }
 
+  function stockText(item) {
+    if (item.sold_out) return '<div style="font-size:0.75rem;color:var(--danger)">Sold out today</div>';
+    if (item.stock_count === null && item.daily_stock === null) return '';
+    const daily = item.daily_stock !== null ? ` of ${item.daily_stock} daily` : '';
+    return `<div style="font-size:0.75rem;color:var(--text-muted)">Stock: ${item.stock_count === null ? '–' : item.stock_count} left${daily}</div>`;
+  }
+
   window.toggleItem = async function (id, active) {
     try {
       await fetch(`/api/menu/items/${id}`, {
@@ -133,15 +187,19 @@
         <label class="form-label">Sort Order</label>
         <input class="form-input" type="number" id="modal-cat-order" value="0" min="0">
       </div>
+      ${scheduleField()}
     `, async () => {
       const name = document.getElementById('modal-cat-name').value;
       if (!name) return showToast('Name is required', 'error');
+      const availability = readSchedule();
+      if (availability instanceof Error) return showToast(availability.message, 'error');
 
-      await fetch('/api/menu/categories', {
+      const resp = await fetch('/api/menu/categories', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
-        body: JSON.stringify({ name, sort_order: parseInt(document.getElementById('modal-cat-order').value) || 0 })
+        body: JSON.stringify({ name, sort_order: parseInt(document.getElementById('modal-cat-order').value) || 0, availability })
       });
+      if (!resp.ok) return showToast((await resp.json()).error || 'Failed to add category', 'error');
 
       closeModal();
       loadMenu();
@@ -149,18 +207,24 @@
     });
   };
 
-  window.editCategory = function (id, name) {
+  window.editCategory = function (id) {
+    const cat = menuData.categories.find(c => c.id === id);
+    if (!cat) return;
     showModal('Edit Category', `
       <div class="form-group">
         <label class="form-label">Category Name</label>
-        <input class="form-input" type="text" id="modal-cat-name" value="${name}">
+        <input class="form-input" type="text" id="modal-cat-name" value="${cat.name}">
       </div>
+      ${scheduleField(cat.availability)}
     `, async () => {
-      await fetch(`/api/menu/categories/${id}`, {
+      const availability = readSchedule();
+      if (availability instanceof Error) return showToast(availability.message, 'error');
+      const resp = await fetch(`/api/menu/categories/${id}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
-        body: JSON.stringify({ name: document.getElementById('modal-cat-name').value })
+        body: JSON.stringify({ name: document.getElementById('modal-cat-name').value, availability })
       });
+      if (!resp.ok) return showToast((await resp.json()).error || 'Failed to update category', 'error');
       closeModal();
       loadMenu();
       showToast('Category updated', 'success');
@@ -177,6 +241,110 @@
     showToast('Category deleted', 'success');
   };
 
+  // Variants: one per line as "name, price, SKU" with * marking the default
+  const variantField = (variants = []) => `
+      <div class="form-group">
+        <label class="form-label">Variants (optional, one per line: name, price, SKU — * marks the default)</label>
+        <textarea class="form-input" id="modal-item-variants" rows="3" placeholder="Half, 249, BIR-H&#10;*Full, 399, BIR-F">${variants.map(v => `${v.is_default ? '*' : ''}${v.name}, ${v.price}${v.sku ? `, ${v.sku}` : ''}`).join('\n')}</textarea>
+      </div>
+  `;
+
+  function readVariants() {
+    return document.getElementById('modal-item-variants').value.split('\n').map(l => l.trim()).filter(Boolean).map(line => {
+      const [name, price, sku] = line.replace(/^\*\s*/, '').split(',').map(part => part.trim());
+      return { name, price: parseFloat(price), sku: sku || null, is_default: line.startsWith('*') };
+    });
+  }
+
+  // Availability: one window per line, any of days ("Mon-Fri", "Sat,Sun"),
+  // a time range ("07:00-11:00", may run past midnight) and a date range
+  // ("2026-12-01..2026-12-31", either end optional). Empty = always.
+  const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+  function formatSchedule(windows) {
+    return (windows || []).map(w => {
+      const parts = [];
+      if (w.days) {
+        // Collapse runs of days: [1,2,3,4,5] → Mon-Fri
+        const runs = [];
+        w.days.forEach(d => {
+          const run = runs[runs.length - 1];
+          if (run && run[1] === d - 1) run[1] = d; else runs.push([d, d]);
+        });
+        parts.push(runs.map(([a, b]) => a === b ? DAY_NAMES[a - 1] : `${DAY_NAMES[a - 1]}-${DAY_NAMES[b - 1]}`).join(','));
+      }
+      if (w.from) parts.push(`${w.from}-${w.to}`);
+      if (w.start_date || w.end_date) parts.push(`${w.start_date || ''}..${w.end_date || ''}`);
+      return parts.join(' ') || 'Always';
+    });
+  }
+
+  function parseSchedule(text) {
+    const dayIndex = name => DAY_NAMES.findIndex(d => d.toLowerCase() === name.slice(0, 3).toLowerCase()) + 1;
+    return text.split('\n').map(l => l.trim()).filter(Boolean).map(line => {
+      const win = {};
+      line.split(/\s+/).forEach(token => {
+        let match;
+        if ((match = token.match(/^(\d{2}:\d{2})-(\d{2}:\d{2})$/))) {
+          win.from = match[1];
+          win.to = match[2];
+        } else if ((match = token.match(/^(\d{4}-\d{2}-\d{2})?\.\.(\d{4}-\d{2}-\d{2})?$/))) {
+          if (match[1]) win.start_date = match[1];
+          if (match[2]) win.end_date = match[2];
+        } else if (/^(daily|always)$/i.test(token)) {
+          // every day is the default
+        } else {
+          const days = [];
+          token.split(',').forEach(part => {
+            const [first, last] = part.split('-').map(dayIndex);
+            if (!first || last === 0) throw new Error(`Can't read "${token}" in "${line}"`);
+            for (let d = first; ; d = d % 7 + 1) {
+              days.push(d);
+              if (!last || d === last) break;
+            }
+          });
+          win.days = [...new Set(days)].sort();
+        }
+      });
+      return win;
+    });
+  }
+
+  const scheduleField = (windows = null) => `
+      <div class="form-group">
+        <label class="form-label">Available (optional, one window per line: days, time, dates — empty means always)</label>
+        <textarea class="form-input" id="modal-schedule" rows="2" placeholder="Mon-Fri 07:00-11:00&#10;Sat,Sun 08:00-12:00&#10;2026-12-01..2026-12-31">${formatSchedule(windows).join('\n')}</textarea>
+      </div>
+  `;
+
+  // → windows for the API, or an Error to show
+  function readSchedule() {
+    try {
+      return parseSchedule(document.getElementById('modal-schedule').value);
+    } catch (err) {
+      return err;
+    }
+  }
+
+  // Tax class select for the item modals; "" bills at the restaurant's default
+  function taxClassField(selectedId = null) {
+    if (!taxClasses.length) return '';
+    return `
+      <div class="form-group">
+        <label class="form-label">GST</label>
+        <select class="form-input" id="modal-item-tax">
+          <option value="">Restaurant default</option>
+          ${taxClasses.map(c => `<option value="${c.id}" ${c.id === selectedId ? 'selected' : ''}>${c.name} (${c.rate}%)</option>`).join('')}
+        </select>
+      </div>
+    `;
+  }
+
+  function readTaxClass() {
+    const select = document.getElementById('modal-item-tax');
+    return select && select.value ? parseInt(select.value) : null;
+  }
+
   window.showAddItemModal = function () {
     const catOptions = menuData.categories.map(c => `<option value="${c.id}">${c.name}</option>`).join('');
     showModal('Add Menu Item', `
@@ -205,22 +373,31 @@
           </select>
         </div>
       </div>
+      ${taxClassField()}
+      ${variantField()}
+      ${scheduleField()}
     `, async () => {
+      const availability = readSchedule();
+      if (availability instanceof Error) return showToast(availability.message, 'error');
       const data = {
         category_id: parseInt(document.getElementById('modal-item-cat').value),
         name: document.getElementById('modal-item-name').value,
         description: document.getElementById('modal-item-desc').value,
         price: parseFloat(document.getElementById('modal-item-price').value),
-        is_veg: parseInt(document.getElementById('modal-item-veg').value)
+        is_veg: parseInt(document.getElementById('modal-item-veg').value),
+        tax_class_id: readTaxClass(),
+        variants: readVariants(),
+        availability
       };
 
-      if (!data.name || !data.price) return showToast('Name and price required', 'error');
+      if (!data.name || (!data.price && !data.variants.length)) return showToast('Name and price required', 'error');
 
-      await fetch('/api/menu/items', {
+      const resp = await fetch('/api/menu/items', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
         body: JSON.stringify(data)
       });
+      if (!resp.ok) return showToast((await resp.json()).error || 'Failed to add item', 'error');
       closeModal();
       loadMenu();
       showToast('Item added', 'success');
@@ -259,8 +436,23 @@
           </select>
         </div>
       </div>
+      ${taxClassField(item.tax_class_id)}
+      ${variantField(item.variants)}
+      ${scheduleField(item.availability)}
+      <div style="display:flex;gap:12px">
+        <div class="form-group" style="flex:1">
+          <label class="form-label">Daily stock</label>
+          <input class="form-input" type="number" id="modal-item-daily-stock" min="0" placeholder="Not counted" value="${item.daily_stock === null ? '' : item.daily_stock}">
+        </div>
+        <div class="form-group" style="flex:1">
+          <label class="form-label">Left today</label>
+          <input class="form-input" type="number" id="modal-item-stock" min="0" placeholder="Not counted" value="${item.stock_count === null ? '' : item.stock_count}">
+        </div>
+      </div>
     `, async () => {
-      await fetch(`/api/menu/items/${item.id}`, {
+      const availability = readSchedule();
+      if (availability instanceof Error) return showToast(availability.message, 'error');
+      const resp = await fetch(`/api/menu/items/${item.id}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
         body: JSON.stringify({
@@ -268,139 +460,747 @@
           name: document.getElementById('modal-item-name').value,
           description: document.getElementById('modal-item-desc').value,
           price: parseFloat(document.getElementById('modal-item-price').value),
-          is_veg: parseInt(document.getElementById('modal-item-veg').value)
+          is_veg: parseInt(document.getElementById('modal-item-veg').value),
+          tax_class_id: readTaxClass(),
+          variants: readVariants(),
+          availability
         })
       });
+      if (!resp.ok) return showToast((await resp.json()).error || 'Failed to update item', 'error');
+
+      const count = id => document.getElementById(id).value === '' ? null : parseInt(document.getElementById(id).value);
+      const stock = {};
+      if (count('modal-item-daily-stock') !== item.daily_stock) stock.daily_stock = count('modal-item-daily-stock');
+      if (count('modal-item-stock') !== item.stock_count) stock.stock_count = count('modal-item-stock');
+      if (Object.keys(stock).length) {
+        const stockResp = await fetch(`/api/menu/items/${item.id}/stock`, {
+          method: 'PATCH',
+          headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+          body: JSON.stringify(stock)
+        });
+        if (!stockResp.ok) return showToast((await stockResp.json()).error || 'Failed to update stock', 'error');
+      }
       closeModal();
       loadMenu();
       showToast('Item updated', 'success');
     });
   };
 
-  // ─── Tables Management ──────────────────────────────────
+  // Modifier groups: one block per group, options one per line as
+  // "name, price change" with * marking a default
+  window.editModifiers = function (itemId) {
+    const item = menuData.categories.flatMap(c => c.items).find(i => i.id === itemId);
+    if (!item) return;
+
+    const optionLine = o => `${o.is_default ? '*' : ''}${o.name}${o.price_delta ? `, ${o.price_delta}` : ''}`;
+    const groupBlock = (g = { name: '', min_select: 0, max_select: 1, options: [] }) => `
+      <div class="modifier-group" data-id="${g.id || ''}" style="border:1px solid var(--border);border-radius:var(--radius-sm);padding:10px;margin-bottom:10px">
+        <div style="display:flex;gap:8px">
+          <div class="form-group" style="flex:2">
+            <label class="form-label">Group</label>
+            <input class="form-input mg-name" type="text" value="${g.name}" placeholder="e.g., Spice level">
+          </div>
+          <div class="form-group" style="flex:1">
+            <label class="form-label">Min</label>
+            <input class="form-input mg-min" type="number" min="0" value="${g.min_select}">
+          </div>
+          <div class="form-group" style="flex:1">
+            <label class="form-label">Max</label>
+            <input class="form-input mg-max" type="number" min="1" value="${g.max_select}">
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label">Options (one per line: name, price change — * marks a default)</label>
+          <textarea class="form-input mg-options" rows="3" placeholder="*Mild&#10;Extra hot, 10">${g.options.map(optionLine).join('\n')}</textarea>
+        </div>
+        <button class="btn btn-secondary btn-sm" onclick="this.parentElement.remove()">Remove group</button>
+      </div>
+    `;
 
-  async function loadTables() {
-    try {
-      const resp = await fetch('/api/tables', {
-        headers: { 'Authorization': `Bearer ${token}` }
+    showModal(`Modifiers — ${item.name}`, `
+      <div id="modifier-groups">${(item.modifier_groups || []).map(g => groupBlock(g)).join('')}</div>
+      <button class="btn btn-secondary btn-sm" id="add-modifier-group">+ Add group</button>
+    `, async () => {
+      const groups = [...document.querySelectorAll('#modifier-groups .modifier-group')].map(el => ({
+        id: el.dataset.id ? parseInt(el.dataset.id) : undefined,
+        name: el.querySelector('.mg-name').value,
+        min_select: parseInt(el.querySelector('.mg-min').value) || 0,
+        max_select: parseInt(el.querySelector('.mg-max').value) || 1,
+        options: el.querySelector('.mg-options').value.split('\n').map(l => l.trim()).filter(Boolean).map(line => {
+          const [, star, name, price] = line.match(/^(\*?)\s*(.*?)(?:\s*,\s*([+-]?\d+(?:\.\d+)?))?$/);
+          return { name, price_delta: price ? parseFloat(price) : 0, is_default: !!star };
+        })
+      }));
+
+      const resp = await fetch(`/api/menu/items/${itemId}/modifiers`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({ groups })
       });
-      tables = await resp.json();
-      renderTables();
-    } catch (err) {
-      console.error('Load tables error:', err);
-    }
-  }
+      const data = await resp.json();
+      if (!resp.ok) return showToast(data.error || 'Failed to save modifiers', 'error');
 
-  function renderTables() {
-    const container = document.getElementById('tables-content');
-    if (!tables.length) {
-      container.innerHTML = '<div class="empty-state"><div class="empty-state-icon">🪑</div><div>No tables yet.</div></div>';
+      closeModal();
+      loadMenu();
+      showToast('Modifiers saved', 'success');
+    });
+
+    document.getElementById('add-modifier-group').onclick = () => {
+      document.getElementById('modifier-groups').insertAdjacentHTML('beforeend', groupBlock());
+    };
+  };
+
+  // ─── Combos ─────────────────────────────────────────────
+
+  function renderCombosAdmin() {
+    const container = document.getElementById('combo-content');
+    if (!comboData.length) {
+      container.innerHTML = '';
       return;
     }
 
     container.innerHTML = `
-      <table class="data-table">
-        <thead>
-          <tr>
-            <th>Table #</th>
-            <th>Seats</th>
-            <th>Status</th>
-            <th>QR Code</th>
-            <th>Actions</th>
-          </tr>
-        </thead>
-        <tbody>
-          ${tables.map(t => `
+      <div style="margin-bottom:24px">
+        <div style="margin-bottom:10px;padding:8px 0;border-bottom:1px solid var(--border)">
+          <span style="font-weight:700;font-size:1rem">🍱 Combos</span>
+          <span style="color:var(--text-muted);font-size:0.8rem;margin-left:8px">${comboData.length} combos</span>
+        </div>
+        <table class="data-table">
+          <thead>
             <tr>
-              <td style="font-weight:700;font-size:1.1rem;color:var(--accent)">${t.table_number}</td>
-              <td>${t.seats}</td>
-              <td>${t.active
-        ? '<span style="color:var(--success);font-weight:600">Active</span>'
-        : '<span style="color:var(--text-muted);font-weight:600">Inactive</span>'
-      }</td>
-              <td>
-                <button class="btn btn-secondary btn-sm" onclick="showQR(${t.id})">📱 View QR</button>
-              </td>
-              <td>
-                <div style="display:flex;gap:6px">
-                  <button class="btn btn-secondary btn-sm" onclick="editTable(${t.id}, ${t.table_number}, ${t.seats})">Edit</button>
-                  <label class="toggle" style="margin-top:4px">
-                    <input type="checkbox" ${t.active ? 'checked' : ''} onchange="toggleTable(${t.id}, this.checked)">
+              <th>Combo</th>
+              <th>Price</th>
+              <th>Slots</th>
+              <th>Active</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${comboData.map(combo => `
+              <tr>
+                <td>
+                  <div style="font-weight:600;color:var(--text-primary)">${combo.name}</div>
+                  <div style="font-size:0.75rem;color:var(--text-muted)">${combo.description || ''}</div>
+                </td>
+                <td style="font-weight:600;color:var(--accent)">₹${combo.price}</td>
+                <td style="font-size:0.8rem">${combo.slots.map(s => `${s.name} (${s.options.length})`).join(', ')}</td>
+                <td>
+                  <label class="toggle">
+                    <input type="checkbox" ${combo.active ? 'checked' : ''} onchange="toggleCombo(${combo.id}, this.checked)">
                     <span class="toggle-slider"></span>
                   </label>
-                </div>
-              </td>
-            </tr>
-          `).join('')}
-        </tbody>
-      </table>
+                </td>
+                <td>
+                  <button class="btn btn-secondary btn-sm" onclick="editCombo(${combo.id})">Edit</button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
     `;
   }
 
-  window.showAddTableModal = function () {
-    showModal('Add Table', `
+  window.toggleCombo = async function (id, active) {
+    await fetch(`/api/menu/combos/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+      body: JSON.stringify({ active: active ? 1 : 0 })
+    });
+    showToast(`Combo ${active ? 'enabled' : 'disabled'}`, 'success');
+    loadMenu();
+  };
+
+  // Slots: one block per slot, options one per line as "item name, price
+  // change" with * marking the default; "Item (Variant)" picks a size
+  window.editCombo = function (comboId) {
+    const combo = comboData.find(c => c.id === comboId) || { name: '', description: '', price: '', is_veg: 1, slots: [] };
+    const allItems = menuData.categories.flatMap(c => c.items);
+
+    const optionLine = o => `${o.is_default ? '*' : ''}${o.name}${o.price_delta ? `, ${o.price_delta}` : ''}`;
+    const slotBlock = (slot = { name: '', options: [] }) => `
+      <div class="combo-slot" style="border:1px solid var(--border);border-radius:var(--radius-sm);padding:10px;margin-bottom:10px">
+        <div class="form-group">
+          <label class="form-label">Slot</label>
+          <input class="form-input cs-name" type="text" value="${slot.name}" placeholder="e.g., Bread">
+        </div>
+        <div class="form-group">
+          <label class="form-label">Items (one per line: item name, price change — * marks the default)</label>
+          <textarea class="form-input cs-options" rows="3" placeholder="*Butter Naan&#10;Garlic Naan, 20">${slot.options.map(optionLine).join('\n')}</textarea>
+        </div>
+        <button class="btn btn-secondary btn-sm" onclick="this.parentElement.remove()">Remove slot</button>
+      </div>
+    `;
+
+    const findOption = name => {
+      const item = allItems.find(i => i.name === name);
+      if (item) return { menu_item_id: item.id };
+      const [, itemName, variantName] = name.match(/^(.*)\s+\((.*)\)$/) || [];
+      const sized = allItems.find(i => i.name === itemName);
+      const variant = sized && (sized.variants || []).find(v => v.name === variantName);
+      return variant ? { menu_item_id: sized.id, variant_id: variant.id } : null;
+    };
+
+    showModal(comboId ? `Edit Combo — ${combo.name}` : 'Add Combo', `
       <div class="form-group">
-        <label class="form-label">Table Number</label>
-        <input class="form-input" type="number" id="modal-table-num" min="1">
+        <label class="form-label">Combo Name</label>
+        <input class="form-input" type="text" id="modal-combo-name" value="${combo.name}" placeholder="e.g., Veg Thali">
       </div>
       <div class="form-group">
-        <label class="form-label">Seats</label>
-        <input class="form-input" type="number" id="modal-table-seats" value="4" min="1">
+        <label class="form-label">Description</label>
+        <input class="form-input" type="text" id="modal-combo-desc" value="${combo.description || ''}">
+      </div>
+      <div style="display:flex;gap:12px">
+        <div class="form-group" style="flex:1">
+          <label class="form-label">Bundle Price (₹)</label>
+          <input class="form-input" type="number" id="modal-combo-price" value="${combo.price}" min="0">
+        </div>
+        <div class="form-group" style="flex:1">
+          <label class="form-label">Type</label>
+          <select class="form-input" id="modal-combo-veg">
+            <option value="1" ${combo.is_veg ? 'selected' : ''}>Veg</option>
+            <option value="0" ${!combo.is_veg ? 'selected' : ''}>Non-veg</option>
+          </select>
+        </div>
       </div>
+      <div id="combo-slots">${(combo.slots.length ? combo.slots : [undefined]).map(s => slotBlock(s)).join('')}</div>
+      <button class="btn btn-secondary btn-sm" id="add-combo-slot">+ Add slot</button>
     `, async () => {
-      const num = parseInt(document.getElementById('modal-table-num').value);
-      const seats = parseInt(document.getElementById('modal-table-seats').value);
-      if (!num) return showToast('Table number required', 'error');
+      const slots = [];
+      for (const el of document.querySelectorAll('#combo-slots .combo-slot')) {
+        const options = [];
+        for (const line of el.querySelector('.cs-options').value.split('\n').map(l => l.trim()).filter(Boolean)) {
+          const [, star, name, price] = line.match(/^(\*?)\s*(.*?)(?:\s*,\s*([+-]?\d+(?:\.\d+)?))?$/);
+          const option = findOption(name);
+          if (!option) return showToast(`Unknown menu item "${name}"`, 'error');
+          options.push({ ...option, price_delta: price ? parseFloat(price) : 0, is_default: !!star });
+        }
+        slots.push({ name: el.querySelector('.cs-name').value, options });
+      }
 
-      const resp = await fetch('/api/tables', {
-        method: 'POST',
+      const resp = await fetch(comboId ? `/api/menu/combos/${comboId}` : '/api/menu/combos', {
+        method: comboId ? 'PUT' : 'POST',
         headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
-        body: JSON.stringify({ table_number: num, seats })
+        body: JSON.stringify({
+          name: document.getElementById('modal-combo-name').value,
+          description: document.getElementById('modal-combo-desc').value,
+          price: parseFloat(document.getElementById('modal-combo-price').value),
+          is_veg: parseInt(document.getElementById('modal-combo-veg').value),
+          slots
+        })
       });
+      const data = await resp.json();
+      if (!resp.ok) return showToast(data.error || 'Failed to save combo', 'error');
 
-      if (resp.ok) {
-        closeModal();
-        loadTables();
-        showToast('Table added', 'success');
-      } else {
-        const data = await resp.json();
-        showToast(data.error || 'Failed', 'error');
-      }
+      closeModal();
+      loadMenu();
+      showToast(comboId ? 'Combo updated' : 'Combo added', 'success');
     });
+
+    document.getElementById('add-combo-slot').onclick = () => {
+      document.getElementById('combo-slots').insertAdjacentHTML('beforeend', slotBlock());
+    };
   };
 
-  window.editTable = function (id, num, seats) {
-    showModal('Edit Table', `
+  // ─── Price rules ────────────────────────────────────────
+
+  const ruleText = rule => rule.kind === 'percent' ? `${rule.value}% off` : rule.kind === 'amount' ? `₹${rule.value} off` : 'Buy 1 Get 1';
+
+  function renderRulesAdmin() {
+    const container = document.getElementById('rule-content');
+    if (!ruleData.length) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const usage = id => ruleReport && ruleReport.rules.find(r => r.price_rule_id === id);
+    container.innerHTML = `
+      <div style="margin-bottom:24px">
+        <div style="margin-bottom:10px;padding:8px 0;border-bottom:1px solid var(--border)">
+          <span style="font-weight:700;font-size:1rem">🏷️ Offers</span>
+          ${ruleReport ? `<span style="color:var(--text-muted);font-size:0.8rem;margin-left:8px">₹${ruleReport.discount} off ₹${ruleReport.list_total} list in the last 7 days</span>` : ''}
+        </div>
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Offer</th>
+              <th>Applies to</th>
+              <th>When</th>
+              <th>Last 7 days</th>
+              <th>Active</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${ruleData.map(rule => `
+              <tr>
+                <td>
+                  <div style="font-weight:600;color:var(--text-primary)">${rule.name}</div>
+                  <div style="font-size:0.75rem;color:var(--success)">${ruleText(rule)}</div>
+                </td>
+                <td style="font-size:0.8rem">${rule.item_name || rule.category_name || 'Whole menu'}</td>
+                <td style="font-size:0.8rem">${rule.availability ? formatSchedule(rule.availability).join('<br>') : 'Always'}</td>
+                <td style="font-size:0.8rem">${usage(rule.id) ? `${usage(rule.id).quantity} sold, ₹${usage(rule.id).discount} off` : '–'}</td>
+                <td>
+                  <label class="toggle">
+                    <input type="checkbox" ${rule.active ? 'checked' : ''} onchange="toggleRule(${rule.id}, this.checked)">
+                    <span class="toggle-slider"></span>
+                  </label>
+                </td>
+                <td>
+                  <button class="btn btn-secondary btn-sm" onclick="editRule(${rule.id})">Edit</button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  window.toggleRule = async function (id, active) {
+    const resp = await fetch(`/api/promotions/rules/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+      body: JSON.stringify({ active: active ? 1 : 0 })
+    });
+    if (!resp.ok) return showToast((await resp.json()).error || 'Failed to update offer', 'error');
+    showToast(`Offer ${active ? 'enabled' : 'disabled'}`, 'success');
+    loadMenu();
+  };
+
+  // Target: "cat:<id>", "item:<id>" or "" for the whole menu
+  window.editRule = function (ruleId) {
+    const rule = ruleData.find(r => r.id === ruleId) || { name: '', kind: 'percent', value: '', category_id: null, menu_item_id: null, availability: null };
+    const target = rule.menu_item_id ? `item:${rule.menu_item_id}` : rule.category_id ? `cat:${rule.category_id}` : '';
+    const targetOptions = [
+      '<option value="">Whole menu</option>',
+      ...menuData.categories.map(c => `
+        <option value="cat:${c.id}" ${target === `cat:${c.id}` ? 'selected' : ''}>${c.name} (category)</option>
+        ${c.items.map(i => `<option value="item:${i.id}" ${target === `item:${i.id}` ? 'selected' : ''}>&nbsp;&nbsp;${i.name}</option>`).join('')}
+      `)
+    ].join('');
+
+    showModal(ruleId ? `Edit Offer — ${rule.name}` : 'Add Offer', `
       <div class="form-group">
-        <label class="form-label">Table Number</label>
-        <input class="form-input" type="number" id="modal-table-num" value="${num}" min="1">
+        <label class="form-label">Name</label>
+        <input class="form-input" type="text" id="modal-rule-name" value="${rule.name}" placeholder="e.g., Happy hour">
+      </div>
+      <div style="display:flex;gap:12px">
+        <div class="form-group" style="flex:1">
+          <label class="form-label">Offer</label>
+          <select class="form-input" id="modal-rule-kind">
+            <option value="percent" ${rule.kind === 'percent' ? 'selected' : ''}>% off</option>
+            <option value="amount" ${rule.kind === 'amount' ? 'selected' : ''}>₹ off</option>
+            <option value="bogo" ${rule.kind === 'bogo' ? 'selected' : ''}>Buy 1 Get 1</option>
+          </select>
+        </div>
+        <div class="form-group" style="flex:1">
+          <label class="form-label">Value (not for Buy 1 Get 1)</label>
+          <input class="form-input" type="number" id="modal-rule-value" value="${rule.kind === 'bogo' ? '' : rule.value}" min="0">
+        </div>
       </div>
       <div class="form-group">
-        <label class="form-label">Seats</label>
-        <input class="form-input" type="number" id="modal-table-seats" value="${seats}" min="1">
+        <label class="form-label">Applies to</label>
+        <select class="form-input" id="modal-rule-target">${targetOptions}</select>
       </div>
+      ${scheduleField(rule.availability)}
     `, async () => {
-      await fetch(`/api/tables/${id}`, {
-        method: 'PUT',
+      const availability = readSchedule();
+      if (availability instanceof Error) return showToast(availability.message, 'error');
+      const [type, id] = document.getElementById('modal-rule-target').value.split(':');
+      const kind = document.getElementById('modal-rule-kind').value;
+
+      const resp = await fetch(ruleId ? `/api/promotions/rules/${ruleId}` : '/api/promotions/rules', {
+        method: ruleId ? 'PUT' : 'POST',
         headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
         body: JSON.stringify({
-          table_number: parseInt(document.getElementById('modal-table-num').value),
-          seats: parseInt(document.getElementById('modal-table-seats').value)
+          name: document.getElementById('modal-rule-name').value,
+          kind,
+          value: kind === 'bogo' ? 0 : parseFloat(document.getElementById('modal-rule-value').value),
+          category_id: type === 'cat' ? parseInt(id) : null,
+          menu_item_id: type === 'item' ? parseInt(id) : null,
+          availability
         })
       });
+      if (!resp.ok) return showToast((await resp.json()).error || 'Failed to save offer', 'error');
+
       closeModal();
-      loadTables();
-      showToast('Table updated', 'success');
+      loadMenu();
+      showToast(ruleId ? 'Offer updated' : 'Offer added', 'success');
     });
   };
 
-  window.toggleTable = async function (id, active) {
-    await fetch(`/api/tables/${id}`, {
-      method: 'PUT',
-      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
-      body: JSON.stringify({ active: active ? 1 : 0 })
-    });
-    showToast(`Table ${active ? 'activated' : 'deactivated'}`, 'success');
+  // ─── Inventory ──────────────────────────────────────────
+
+  async function loadInventory() {
+    try {
+      const resp = await fetch('/api/inventory/ingredients', { headers: { 'Authorization': `Bearer ${token}` } });
+      ingredients = await resp.json();
+      renderInventory();
+      loadUsage();
+    } catch (err) {
+      console.error('Load inventory error:', err);
+    }
+  }
+
+  function renderInventory() {
+    const container = document.getElementById('inventory-content');
+    if (!ingredients.length) {
+      container.innerHTML = '<div class="empty-state"><div class="empty-state-icon">🧂</div><div>No ingredients yet</div></div>';
+      return;
+    }
+
+    container.innerHTML = `
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>Ingredient</th>
+            <th>In stock</th>
+            <th>Low at</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${ingredients.map(i => `
+            <tr>
+              <td style="font-weight:600;color:var(--text-primary)">${i.name}</td>
+              <td style="font-weight:600;color:${i.low ? 'var(--danger)' : 'var(--success)'}">${i.stock_qty} ${i.unit}${i.low ? ' ⚠️' : ''}</td>
+              <td>${i.low_stock_level ? `${i.low_stock_level} ${i.unit}` : '—'}</td>
+              <td>
+                <button class="btn btn-secondary btn-sm" onclick="logMovement(${i.id}, 'restock')">Restock</button>
+                <button class="btn btn-secondary btn-sm" onclick="logMovement(${i.id}, 'count')">Count</button>
+                <button class="btn btn-secondary btn-sm" onclick="logMovement(${i.id}, 'waste')">Waste</button>
+                <button class="btn btn-secondary btn-sm" onclick="editIngredient(${i.id})">Edit</button>
+                <button class="btn btn-secondary btn-sm" onclick="deleteIngredient(${i.id})">Delete</button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  window.editIngredient = function (id) {
+    const ingredient = ingredients.find(i => i.id === id);
+    const units = ['g', 'kg', 'ml', 'l', 'pcs'].map(u =>
+      `<option value="${u}" ${ingredient && ingredient.unit === u ? 'selected' : ''}>${u}</option>`
+    ).join('');
+
+    showModal(ingredient ? 'Edit Ingredient' : 'Add Ingredient', `
+      <div class="form-group">
+        <label class="form-label">Name</label>
+        <input class="form-input" type="text" id="modal-ing-name" value="${ingredient ? ingredient.name : ''}" placeholder="e.g., Paneer">
+      </div>
+      <div style="display:flex;gap:12px">
+        <div class="form-group" style="flex:1">
+          <label class="form-label">Unit</label>
+          <select class="form-input" id="modal-ing-unit">${units}</select>
+        </div>
+        <div class="form-group" style="flex:1">
+          <label class="form-label">Low-stock alert at</label>
+          <input class="form-input" type="number" id="modal-ing-low" min="0" value="${ingredient ? ingredient.low_stock_level : 0}">
+        </div>
+        ${ingredient ? '' : `
+          <div class="form-group" style="flex:1">
+            <label class="form-label">Opening stock</label>
+            <input class="form-input" type="number" id="modal-ing-stock" min="0" value="0">
+          </div>
+        `}
+      </div>
+    `, async () => {
+      const body = {
+        name: document.getElementById('modal-ing-name').value,
+        unit: document.getElementById('modal-ing-unit').value,
+        low_stock_level: parseFloat(document.getElementById('modal-ing-low').value) || 0
+      };
+      if (!ingredient) body.stock_qty = parseFloat(document.getElementById('modal-ing-stock').value) || 0;
+
+      const resp = await fetch(ingredient ? `/api/inventory/ingredients/${id}` : '/api/inventory/ingredients', {
+        method: ingredient ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify(body)
+      });
+      if (!resp.ok) return showToast((await resp.json()).error || 'Failed to save ingredient', 'error');
+      closeModal();
+      loadInventory();
+      showToast(ingredient ? 'Ingredient updated' : 'Ingredient added', 'success');
+    });
+  };
+
+  window.deleteIngredient = async function (id) {
+    if (!confirm('Delete this ingredient? It is also removed from every recipe.')) return;
+    await fetch(`/api/inventory/ingredients/${id}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    loadInventory();
+    showToast('Ingredient deleted', 'success');
+  };
+
+  window.logMovement = function (id, kind) {
+    const ingredient = ingredients.find(i => i.id === id);
+    if (!ingredient) return;
+    const labels = {
+      restock: ['Restock', 'Quantity received'],
+      count: ['Stock count', 'Quantity counted'],
+      waste: ['Log waste', 'Quantity wasted']
+    };
+
+    showModal(`${labels[kind][0]} — ${ingredient.name}`, `
+      <div class="form-group">
+        <label class="form-label">${labels[kind][1]} (${ingredient.unit})</label>
+        <input class="form-input" type="number" id="modal-move-qty" min="0" step="any">
+      </div>
+      <div class="form-group">
+        <label class="form-label">Note</label>
+        <input class="form-input" type="text" id="modal-move-note" placeholder="Optional">
+      </div>
+    `, async () => {
+      const resp = await fetch(`/api/inventory/ingredients/${id}/movements`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({
+          kind,
+          quantity: parseFloat(document.getElementById('modal-move-qty').value),
+          note: document.getElementById('modal-move-note').value
+        })
+      });
+      const data = await resp.json();
+      if (!resp.ok) return showToast(data.error || 'Failed to update stock', 'error');
+      closeModal();
+      loadInventory();
+      showToast(`${data.name}: ${data.stock_qty} ${data.unit} in stock`, 'success');
+    });
+  };
+
+  // The server picks the default period, in the restaurant's own days
+  window.loadUsage = async function () {
+    const params = {};
+    const from = document.getElementById('usage-from').value;
+    const to = document.getElementById('usage-to').value;
+    if (from) params.from = from;
+    if (to) params.to = to;
+    const container = document.getElementById('usage-content');
+    try {
+      const resp = await fetch(`/api/inventory/usage?${new URLSearchParams(params)}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await resp.json();
+      if (!resp.ok) {
+        container.innerHTML = `<div style="color:var(--text-muted);font-size:0.85rem">${data.error}</div>`;
+        return;
+      }
+      document.getElementById('usage-from').value = data.from;
+      document.getElementById('usage-to').value = data.to;
+
+      container.innerHTML = `
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Ingredient</th>
+              <th>Theoretical</th>
+              <th>Actual</th>
+              <th>Variance</th>
+              <th>Wasted</th>
+              <th>Restocked</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${data.ingredients.map(r => `
+              <tr>
+                <td style="font-weight:600;color:var(--text-primary)">${r.name}</td>
+                <td>${r.theoretical_usage} ${r.unit}</td>
+                <td>${r.actual_usage} ${r.unit}</td>
+                <td style="color:${r.variance > 0 ? 'var(--danger)' : 'var(--text-secondary)'}">
+                  ${r.variance > 0 ? '+' : ''}${r.variance} ${r.unit}${r.variance_pct !== null ? ` (${r.variance_pct}%)` : ''}
+                </td>
+                <td>${r.wasted} ${r.unit}</td>
+                <td>${r.restocked} ${r.unit}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <div style="font-size:0.75rem;color:var(--text-muted);margin-top:8px">
+          Actual usage includes waste and stock count corrections — take a count at the end of the period for a true figure.
+        </div>
+      `;
+    } catch (err) {
+      console.error('Load usage error:', err);
+    }
+  };
+
+  // Recipe: one block for the item, plus one per variant that needs its own;
+  // lines are "ingredient, quantity" in the ingredient's unit
+  window.editRecipe = async function (itemId) {
+    const item = menuData.categories.flatMap(c => c.items).find(i => i.id === itemId);
+    if (!item) return;
+
+    const [ingResp, recipeResp] = await Promise.all([
+      fetch('/api/inventory/ingredients', { headers: { 'Authorization': `Bearer ${token}` } }),
+      fetch('/api/inventory/recipes', { headers: { 'Authorization': `Bearer ${token}` } })
+    ]);
+    ingredients = await ingResp.json();
+    const lines = (await recipeResp.json()).filter(l => l.menu_item_id === itemId);
+    const targets = [{ id: null, label: (item.variants || []).length ? 'All sizes' : item.name }]
+      .concat((item.variants || []).map(v => ({ id: v.id, label: `${v.name} only (leave empty to use "All sizes")` })));
+
+    showModal(`Recipe — ${item.name}`, `
+      <div style="font-size:0.75rem;color:var(--text-muted);margin-bottom:10px">
+        Ingredients: ${ingredients.map(i => `${i.name} (${i.unit})`).join(', ') || 'none yet — add them in the Inventory tab'}
+      </div>
+      ${targets.map(t => `
+        <div class="form-group">
+          <label class="form-label">${t.label} — one per line: ingredient, quantity</label>
+          <textarea class="form-input recipe-lines" data-variant="${t.id || ''}" rows="3" placeholder="Paneer, 200">${lines.filter(l => l.variant_id === t.id).map(l => `${l.ingredient_name}, ${l.quantity}`).join('\n')}</textarea>
+        </div>
+      `).join('')}
+    `, async () => {
+      const recipe = [];
+      for (const el of document.querySelectorAll('.recipe-lines')) {
+        for (const line of el.value.split('\n').map(l => l.trim()).filter(Boolean)) {
+          const [, name, qty] = line.match(/^(.*?)\s*,\s*(\d+(?:\.\d+)?)$/) || [];
+          const ingredient = name && ingredients.find(i => i.name.toLowerCase() === name.toLowerCase());
+          if (!ingredient) return showToast(`Unknown ingredient or quantity: "${line}"`, 'error');
+          recipe.push({ ingredient_id: ingredient.id, quantity: parseFloat(qty), variant_id: el.dataset.variant ? parseInt(el.dataset.variant) : null });
+        }
+      }
+
+      const resp = await fetch(`/api/inventory/recipes/${itemId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({ lines: recipe })
+      });
+      if (!resp.ok) return showToast((await resp.json()).error || 'Failed to save recipe', 'error');
+      closeModal();
+      showToast('Recipe saved', 'success');
+    });
+  };
+
+  // ─── Tables Management ──────────────────────────────────
+
+  async function loadTables() {
+    try {
+      const resp = await fetch('/api/tables', {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      tables = await resp.json();
+      renderTables();
+    } catch (err) {
+      console.error('Load tables error:', err);
+    }
+  }
+
+  function renderTables() {
+    const container = document.getElementById('tables-content');
+    if (!tables.length) {
+      container.innerHTML = '<div class="empty-state"><div class="empty-state-icon">🪑</div><div>No tables yet.</div></div>';
+      return;
+    }
+
+    container.innerHTML = `
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>Table #</th>
+            <th>Seats</th>
+            <th>Status</th>
+            <th>QR Code</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${tables.map(t => `
+            <tr>
+              <td style="font-weight:700;font-size:1.1rem;color:var(--accent)">${t.table_number}</td>
+              <td>${t.seats}</td>
+              <td>${t.active
+        ? '<span style="color:var(--success);font-weight:600">Active</span>'
+        : '<span style="color:var(--text-muted);font-weight:600">Inactive</span>'
+      }</td>
+              <td>
+                <button class="btn btn-secondary btn-sm" onclick="showQR(${t.id})">📱 View QR</button>
+              </td>
+              <td>
+                <div style="display:flex;gap:6px">
+                  <button class="btn btn-secondary btn-sm" onclick="editTable(${t.id}, ${t.table_number}, ${t.seats})">Edit</button>
+                  <label class="toggle" style="margin-top:4px">
+                    <input type="checkbox" ${t.active ? 'checked' : ''} onchange="toggleTable(${t.id}, this.checked)">
+                    <span class="toggle-slider"></span>
+                  </label>
+                </div>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  window.showAddTableModal = function () {
+    showModal('Add Table', `
+      <div class="form-group">
+        <label class="form-label">Table Number</label>
+        <input class="form-input" type="number" id="modal-table-num" min="1">
+      </div>
+      <div class="form-group">
+        <label class="form-label">Seats</label>
+        <input class="form-input" type="number" id="modal-table-seats" value="4" min="1">
+      </div>
+    `, async () => {
+      const num = parseInt(document.getElementById('modal-table-num').value);
+      const seats = parseInt(document.getElementById('modal-table-seats').value);
+      if (!num) return showToast('Table number required', 'error');
+
+      const resp = await fetch('/api/tables', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({ table_number: num, seats })
+      });
+
+      if (resp.ok) {
+        closeModal();
+        loadTables();
+        showToast('Table added', 'success');
+      } else {
+        const data = await resp.json();
+        showToast(data.error || 'Failed', 'error');
+      }
+    });
+  };
+
+  window.editTable = function (id, num, seats) {
+    showModal('Edit Table', `
+      <div class="form-group">
+        <label class="form-label">Table Number</label>
+        <input class="form-input" type="number" id="modal-table-num" value="${num}" min="1">
+      </div>
+      <div class="form-group">
+        <label class="form-label">Seats</label>
+        <input class="form-input" type="number" id="modal-table-seats" value="${seats}" min="1">
+      </div>
+    `, async () => {
+      await fetch(`/api/tables/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({
+          table_number: parseInt(document.getElementById('modal-table-num').value),
+          seats: parseInt(document.getElementById('modal-table-seats').value)
+        })
+      });
+      closeModal();
+      loadTables();
+      showToast('Table updated', 'success');
+    });
+  };
+
+  window.toggleTable = async function (id, active) {
+    await fetch(`/api/tables/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+      body: JSON.stringify({ active: active ? 1 : 0 })
+    });
+    showToast(`Table ${active ? 'activated' : 'deactivated'}`, 'success');
   };
 
   window.showQR = async function (tableId) {
@@ -466,6 +1266,158 @@
     }
   };
 
+  // What offers and coupons took off an order's list prices
+  const orderDiscount = order => Math.round(order.items.reduce((sum, i) =>
+    sum + ((i.list_price === null ? i.price_at_order : i.list_price) - i.price_at_order) * i.quantity, order.discount_amount || 0) * 100) / 100;
+
+  // Download links can't send the Authorization header
+  const invoiceUrl = (id, format) => `/api/invoices/${id}/${format}?access_token=${encodeURIComponent(token)}`;
+
+  window.showCreditNoteModal = async function (invoiceId) {
+    const resp = await fetch(`/api/invoices/${invoiceId}`, { headers: { 'Authorization': `Bearer ${token}` } });
+    if (!resp.ok) return showToast('Failed to load invoice', 'error');
+    const invoice = await resp.json();
+    if (invoice.creditable <= 0) return showToast(`${invoice.number} has already been fully credited`, 'error');
+
+    showModal(`Credit Note for ${invoice.number}`, `
+      <div style="font-size:0.8rem;color:var(--text-muted);margin-bottom:12px">
+        Invoiced ₹${invoice.total_amount}${invoice.credit_notes.length ? `, ₹${invoice.creditable} left to credit` : ''}. GST is reversed in proportion.
+      </div>
+      <div class="form-group">
+        <label class="form-label">Amount (₹)</label>
+        <input class="form-input" type="number" step="0.01" min="0.01" max="${invoice.creditable}" id="modal-credit-amount" value="${invoice.creditable}">
+      </div>
+      <div class="form-group">
+        <label class="form-label">Reason</label>
+        <input class="form-input" type="text" id="modal-credit-reason" placeholder="e.g. Dish returned">
+      </div>
+    `, async () => {
+      const amount = parseFloat(document.getElementById('modal-credit-amount').value);
+      const reason = document.getElementById('modal-credit-reason').value.trim();
+      if (!amount || !reason) return showToast('Amount and reason are required', 'error');
+
+      const createResp = await fetch(`/api/invoices/${invoiceId}/credit-notes`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({ amount, reason })
+      });
+      const result = await createResp.json();
+      if (!createResp.ok) return showToast(result.error || 'Failed to issue credit note', 'error');
+      closeModal();
+      loadOrders();
+      showToast(`Credit note ${result.number} issued`, 'success');
+    });
+  };
+
+  // ─── Refunds & Cancellations ─────────────────────────────
+
+  // Reason codes the server accepts (see server/utils/refunds.js)
+  const REASONS = {
+    customer_request: 'Customer request',
+    out_of_stock: 'Out of stock',
+    kitchen_delay: 'Kitchen delay',
+    quality_issue: 'Quality issue',
+    wrong_order: 'Wrong order',
+    duplicate: 'Duplicate order',
+    payment_issue: 'Payment issue',
+    other: 'Other'
+  };
+
+  const reasonFields = () => `
+    <div class="form-group">
+      <label class="form-label">Reason</label>
+      <select class="form-input" id="modal-reason">
+        ${Object.entries(REASONS).map(([code, label]) => `<option value="${code}">${label}</option>`).join('')}
+      </select>
+    </div>
+    <div class="form-group">
+      <label class="form-label">Note</label>
+      <input class="form-input" type="text" id="modal-reason-note" maxlength="200" placeholder="Required for Other">
+    </div>`;
+
+  const reasonValues = () => ({
+    reason: document.getElementById('modal-reason').value,
+    note: document.getElementById('modal-reason-note').value.trim()
+  });
+
+  // What is left to refund of a payment's bill part and tip
+  const refundableBill = p => Math.round((p.amount - (p.refunded_amount - (p.tip_refunded || 0))) * 100) / 100;
+  const refundableTotal = p => Math.round((p.amount + (p.tip_amount || 0) - p.refunded_amount) * 100) / 100;
+
+  function refundToast(refunds, done) {
+    const failed = (refunds || []).filter(r => r.status === 'failed');
+    if (failed.length) return showToast(`${done}, but a refund failed: ${failed[0].error}`, 'error');
+    const total = Math.round((refunds || []).reduce((sum, r) => sum + r.amount, 0) * 100) / 100;
+    showToast(total > 0 ? `${done} · ₹${total} refunded` : done, 'success');
+  }
+
+  window.showRefundModal = function (paymentId, bill, total) {
+    showModal(`Refund Payment #${paymentId}`, `
+      <div style="font-size:0.8rem;color:var(--text-muted);margin-bottom:12px">
+        ₹${total} can be refunded${total > bill ? ` (₹${Math.round((total - bill) * 100) / 100} of it tip)` : ''}. Leave the amount empty to refund it all; a part refund comes out of the bill.
+      </div>
+      <div class="form-group">
+        <label class="form-label">Amount (₹)</label>
+        <input class="form-input" type="number" step="0.01" min="0.01" max="${bill}" id="modal-refund-amount" placeholder="${total}">
+      </div>
+      ${reasonFields()}
+    `, async () => {
+      const value = document.getElementById('modal-refund-amount').value;
+      const resp = await fetch(`/api/payments/${paymentId}/refund`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({ amount: value === '' ? null : parseFloat(value), ...reasonValues() })
+      });
+      const result = await resp.json();
+      if (!resp.ok) return showToast(result.error || 'Refund failed', 'error');
+      closeModal();
+      loadOrders();
+      showToast(`₹${result.amount} refund ${result.status === 'processed' ? 'done' : 'sent to the gateway'}`, 'success');
+    });
+  };
+
+  window.showCancelOrderModal = function (orderId, status) {
+    showModal(`Cancel Order #${orderId}`, `
+      ${reasonFields()}
+      <div class="form-group">
+        <label style="display:flex;align-items:center;gap:8px;font-size:0.85rem">
+          <input type="checkbox" id="modal-cancel-refund" ${status === 'PLACED' ? 'checked' : ''}> Refund what was paid
+        </label>
+      </div>
+    `, async () => {
+      const resp = await fetch(`/api/orders/${orderId}/cancel`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({ ...reasonValues(), refund: document.getElementById('modal-cancel-refund').checked })
+      });
+      const result = await resp.json();
+      if (!resp.ok) return showToast(result.error || 'Failed to cancel order', 'error');
+      closeModal();
+      loadOrders();
+      refundToast(result.refunds, `Order #${orderId} cancelled`);
+    });
+  };
+
+  window.showCancelItemModal = function (orderId, itemId, name) {
+    showModal(`Cancel ${name}`, `
+      <div style="font-size:0.8rem;color:var(--text-muted);margin-bottom:12px">
+        The item comes off the bill (with the rest of its combo). Anything paid beyond the new bill is refunded.
+      </div>
+      ${reasonFields()}
+    `, async () => {
+      const resp = await fetch(`/api/orders/${orderId}/items/${itemId}/cancel`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify(reasonValues())
+      });
+      const result = await resp.json();
+      if (!resp.ok) return showToast(result.error || 'Failed to cancel item', 'error');
+      closeModal();
+      loadOrders();
+      refundToast(result.refunds, result.order_cancelled ? `Order #${orderId} cancelled` : `${name} cancelled`);
+    });
+  };
+
   function renderOrders(orders) {
     const container = document.getElementById('orders-content');
     if (!orders.length) {
@@ -492,14 +1444,47 @@
               <td style="font-weight:600">#${o.id}</td>
               <td><span style="color:var(--accent);font-weight:700">${o.table_number}</span></td>
               <td>
-                ${o.items.map(i => `<div style="font-size:0.8rem">${i.quantity}× ${i.item_name}</div>`).join('')}
+                ${o.items.map(i => i.cancelled
+                  ? `<div style="font-size:0.8rem;color:var(--text-muted)"><s>${i.quantity}× ${i.item_name}</s> · ${REASONS[i.cancel_reason] || i.cancel_reason}</div>`
+                  : `<div style="font-size:0.8rem">${i.quantity}× ${i.item_name}${i.price_rule_name ? ` <span style="color:var(--success)">🏷️ ${i.price_rule_name}</span>` : ''}${o.cancelled ? '' : ` <a href="#" onclick="showCancelItemModal(${o.id}, ${i.id}, '${i.item_name.replace(/'/g, "\\'")}');return false" title="Cancel item" style="color:var(--danger)">✕</a>`}</div>`).join('')}
+                ${(o.discounts || []).map(d => `<div style="font-size:0.8rem;color:var(--success)">🎟️ ${d.code} −₹${d.amount}</div>`).join('')}
+              </td>
+              <td style="font-weight:600;color:var(--accent)">
+                ₹${o.total_amount}
+                ${orderDiscount(o) > 0 ? `<div style="font-size:0.7rem;font-weight:400;color:var(--text-muted)">₹${orderDiscount(o)} off list prices</div>` : ''}
+                ${o.tax_amount > 0 ? `<div style="font-size:0.7rem;font-weight:400;color:var(--text-muted)">incl. ₹${o.tax_amount} GST</div>` : ''}
               </td>
-              <td style="font-weight:600;color:var(--accent)">₹${o.total_amount}</td>
               <td>
                 <span class="payment-badge payment-${o.payment_mode.toLowerCase()}">${o.payment_mode}</span>
                 ${o.payment ? `<div style="font-size:0.7rem;color:${o.payment.verified ? 'var(--success)' : 'var(--text-muted)'};margin-top:2px">${o.payment.verified ? '✓ Verified' : o.payment.status}</div>` : ''}
+                ${o.tip_amount > 0 ? `<div style="font-size:0.7rem;color:var(--success);margin-top:2px">+₹${o.tip_amount} tip</div>` : ''}
+                ${!o.settled && o.paid_amount > 0 ? `<div style="font-size:0.7rem;color:var(--warning);margin-top:2px">₹${o.paid_amount} paid · ₹${Math.round((o.total_amount - o.paid_amount) * 100) / 100} due</div>` : ''}
+                ${(o.payments || []).filter(p => refundableTotal(p) > 0).map(p => `
+                  <div style="font-size:0.7rem;margin-top:4px;white-space:nowrap">
+                    ${p.razorpay_order_id.startsWith('cash_') ? '💵' : '💳'} ₹${p.amount}
+                    <a href="#" onclick="showRefundModal(${p.id}, ${refundableBill(p)}, ${refundableTotal(p)});return false" style="color:var(--danger)">Refund</a>
+                  </div>
+                `).join('')}
+                ${(o.refunds || []).map(r => `
+                  <div style="font-size:0.7rem;margin-top:4px;color:${r.status === 'failed' ? 'var(--danger)' : 'var(--text-muted)'}" title="${r.error || r.note || ''}">
+                    ↩️ ₹${r.amount} · ${REASONS[r.reason] || r.reason} · ${r.status}
+                  </div>
+                `).join('')}
+                ${(o.invoices || []).map(inv => `
+                  <div style="font-size:0.7rem;margin-top:4px;white-space:nowrap">
+                    ${inv.kind === 'credit_note' ? '↩️' : '🧾'} ${inv.number}
+                    <a href="${invoiceUrl(inv.id, 'pdf')}" style="color:var(--accent)">PDF</a>
+                    <a href="${invoiceUrl(inv.id, 'html')}" target="_blank" rel="noopener" style="color:var(--accent)">Print</a>
+                    ${inv.kind === 'invoice' ? `<a href="#" onclick="showCreditNoteModal(${inv.id});return false" style="color:var(--danger)">Credit</a>` : ''}
+                  </div>
+                `).join('')}
+              </td>
+              <td>
+                ${o.cancelled
+                  ? `<span class="status-badge status-cancelled">CANCELLED</span><div style="font-size:0.7rem;color:var(--text-muted);margin-top:2px">${REASONS[o.cancel_reason] || o.cancel_reason}</div>`
+                  : `<span class="status-badge status-${o.internal_status.toLowerCase()}">${o.internal_status}</span>
+                    <div style="font-size:0.7rem;margin-top:4px"><a href="#" onclick="showCancelOrderModal(${o.id}, '${o.internal_status}');return false" style="color:var(--danger)">Cancel</a></div>`}
               </td>
-              <td><span class="status-badge status-${o.internal_status.toLowerCase()}">${o.internal_status}</span></td>
               <td style="font-size:0.8rem;color:var(--text-muted)">${new Date(o.created_at + 'Z').toLocaleString()}</td>
             </tr>
           `).join('')}
@@ -507,6 +1492,336 @@
       </table>
     `;
   }
+  // ─── Coupons ─────────────────────────────────────────────
+
+  const couponText = c => c.kind === 'percent'
+    ? `${c.value}% off${c.max_discount !== null ? ` (up to ₹${c.max_discount})` : ''}`
+    : `₹${c.value} off`;
+
+  function couponLimits(c) {
+    const limits = [];
+    if (c.min_bill > 0) limits.push(`bill ≥ ₹${c.min_bill}`);
+    if (c.usage_limit !== null) limits.push(`${c.usage_limit} uses`);
+    if (c.per_customer_limit !== null) limits.push(`${c.per_customer_limit} per customer`);
+    if (c.valid_from || c.valid_to) limits.push(`${c.valid_from || '…'} → ${c.valid_to || '…'}`);
+    return limits.join('<br>') || 'None';
+  }
+
+  async function loadCoupons() {
+    try {
+      const resp = await fetch('/api/coupons', { headers: { 'Authorization': `Bearer ${token}` } });
+      coupons = resp.ok ? await resp.json() : [];
+      renderCoupons();
+      loadCouponReport();
+    } catch (err) {
+      console.error('Load coupons error:', err);
+    }
+  }
+
+  function renderCoupons() {
+    const container = document.getElementById('coupons-content');
+    if (!coupons.length) {
+      container.innerHTML = '<div class="empty-state"><div class="empty-state-icon">🎟️</div><div>No coupons yet</div></div>';
+      return;
+    }
+
+    container.innerHTML = `
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>Code</th>
+            <th>Applies to</th>
+            <th>Limits</th>
+            <th>Redeemed</th>
+            <th>Active</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${coupons.map(c => `
+            <tr>
+              <td>
+                <div style="font-weight:600;color:var(--text-primary)">${c.code}</div>
+                <div style="font-size:0.75rem;color:var(--success)">${couponText(c)}</div>
+                ${c.description ? `<div style="font-size:0.75rem;color:var(--text-muted)">${c.description}</div>` : ''}
+              </td>
+              <td style="font-size:0.8rem">${c.item_name || c.category_name || 'Whole bill'}</td>
+              <td style="font-size:0.8rem">${couponLimits(c)}</td>
+              <td style="font-size:0.8rem">${c.redemptions ? `${c.redemptions}×, ₹${c.discount_total} off` : '–'}</td>
+              <td>
+                <label class="toggle">
+                  <input type="checkbox" ${c.active ? 'checked' : ''} onchange="toggleCoupon(${c.id}, this.checked)">
+                  <span class="toggle-slider"></span>
+                </label>
+              </td>
+              <td>
+                <button class="btn btn-secondary btn-sm" onclick="editCoupon(${c.id})">Edit</button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  // The server picks the default period, in the restaurant's own days
+  window.loadCouponReport = async function () {
+    const params = {};
+    const from = document.getElementById('coupon-from').value;
+    const to = document.getElementById('coupon-to').value;
+    if (from) params.from = from;
+    if (to) params.to = to;
+    const container = document.getElementById('coupon-report-content');
+    try {
+      const resp = await fetch(`/api/coupons/report?${new URLSearchParams(params)}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await resp.json();
+      if (!resp.ok) {
+        container.innerHTML = `<div style="color:var(--text-muted);font-size:0.85rem">${data.error}</div>`;
+        return;
+      }
+      document.getElementById('coupon-from').value = data.from;
+      document.getElementById('coupon-to').value = data.to;
+      if (!data.redemptions) {
+        container.innerHTML = '<div style="color:var(--text-muted);font-size:0.85rem">No coupons redeemed in this period</div>';
+        return;
+      }
+
+      container.innerHTML = `
+        <div style="font-size:0.85rem;color:var(--text-secondary);margin-bottom:10px">
+          ${data.redemptions} redemptions, ₹${data.discount} off
+        </div>
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Code</th>
+              <th>Redemptions</th>
+              <th>Customers</th>
+              <th>Discount</th>
+              <th>Order total</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${data.coupons.map(c => `
+              <tr>
+                <td style="font-weight:600;color:var(--text-primary)">${c.code}</td>
+                <td>${c.redemptions}</td>
+                <td>${c.customers || '–'}</td>
+                <td>₹${c.discount}</td>
+                <td>₹${c.order_total}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <h3 style="font-size:0.85rem;font-weight:700;margin:16px 0 8px">Latest</h3>
+        <table class="data-table">
+          <tbody>
+            ${data.recent.map(r => `
+              <tr>
+                <td style="font-weight:600">#${r.order_id}</td>
+                <td><span style="color:var(--accent);font-weight:700">${r.table_number}</span></td>
+                <td>${r.code}</td>
+                <td>−₹${r.amount} on ₹${r.total_amount}</td>
+                <td style="font-size:0.8rem;color:var(--text-muted)">${r.customer_phone || ''}</td>
+                <td style="font-size:0.8rem;color:var(--text-muted)">${new Date(r.created_at + 'Z').toLocaleString()}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+    } catch (err) {
+      console.error('Load coupon report error:', err);
+    }
+  };
+
+  // ─── Tips ────────────────────────────────────────────────
+
+  // What each member of staff is owed in tips for the period, for payroll
+  window.loadTips = async function () {
+    const container = document.getElementById('tips-content');
+    const params = {};
+    const from = document.getElementById('tips-from').value;
+    const to = document.getElementById('tips-to').value;
+    if (from) params.from = from;
+    if (to) params.to = to;
+    try {
+      const resp = await fetch(`/api/payments/tips?${new URLSearchParams(params)}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await resp.json();
+      if (!resp.ok) {
+        container.innerHTML = `<div style="color:var(--text-muted);font-size:0.85rem">${data.error}</div>`;
+        return;
+      }
+      document.getElementById('tips-from').value = data.from;
+      document.getElementById('tips-to').value = data.to;
+      if (!data.tips) {
+        container.innerHTML = '<div class="empty-state"><div class="empty-state-icon">🙏</div><div>No tips in this period</div></div>';
+        return;
+      }
+
+      container.innerHTML = `
+        <div style="font-size:0.85rem;color:var(--text-secondary);margin-bottom:10px">
+          ₹${data.tips} from ${data.tipped_payments} payment${data.tipped_payments === 1 ? '' : 's'} ·
+          ${data.pooled ? 'pooled: shared equally each day among the staff who served' : 'each tip goes to whoever served the order'}
+          ${data.unassigned ? ` · <span style="color:var(--warning)">₹${data.unassigned} on orders nobody marked served</span>` : ''}
+        </div>
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Staff</th>
+              <th>Bills served</th>
+              <th>Tips on their bills</th>
+              <th>Owed</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${data.staff.map(s => `
+              <tr>
+                <td style="font-weight:600;color:var(--text-primary)">${s.name}${s.role && s.role !== 'waiter' ? ` <span style="font-size:0.75rem;color:var(--text-muted)">(${s.role})</span>` : ''}</td>
+                <td>${s.bills}</td>
+                <td>₹${s.tips}</td>
+                <td style="font-weight:700;color:var(--accent)">₹${s.owed}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <h3 style="font-size:0.85rem;font-weight:700;margin:16px 0 8px">By day</h3>
+        <table class="data-table">
+          <tbody>
+            ${data.days.map(d => `
+              <tr>
+                <td>${d.date}</td>
+                <td>₹${d.tips}</td>
+                <td style="font-size:0.8rem;color:var(--text-muted)">${d.staff} serving</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+    } catch (err) {
+      console.error('Load tips error:', err);
+    }
+  };
+
+  window.toggleCoupon = async function (id, active) {
+    const resp = await fetch(`/api/coupons/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+      body: JSON.stringify({ active: active ? 1 : 0 })
+    });
+    if (!resp.ok) return showToast((await resp.json()).error || 'Failed to update coupon', 'error');
+    showToast(`Coupon ${active ? 'enabled' : 'disabled'}`, 'success');
+    loadCoupons();
+  };
+
+  // Scope: "cat:<id>", "item:<id>" or "" for the whole bill
+  window.editCoupon = function (couponId) {
+    const c = coupons.find(x => x.id === couponId) || {
+      code: '', description: '', kind: 'percent', value: '', max_discount: null, min_bill: 0,
+      usage_limit: null, per_customer_limit: null, valid_from: null, valid_to: null, category_id: null, menu_item_id: null
+    };
+    const scope = c.menu_item_id ? `item:${c.menu_item_id}` : c.category_id ? `cat:${c.category_id}` : '';
+    const scopeOptions = [
+      '<option value="">Whole bill</option>',
+      ...menuData.categories.map(cat => `
+        <option value="cat:${cat.id}" ${scope === `cat:${cat.id}` ? 'selected' : ''}>${cat.name} (category)</option>
+        ${cat.items.map(i => `<option value="item:${i.id}" ${scope === `item:${i.id}` ? 'selected' : ''}>&nbsp;&nbsp;${i.name}</option>`).join('')}
+      `)
+    ].join('');
+    const blank = value => value === null || value === undefined ? '' : value;
+
+    showModal(couponId ? `Edit Coupon — ${c.code}` : 'Add Coupon', `
+      <div style="display:flex;gap:12px">
+        <div class="form-group" style="flex:1">
+          <label class="form-label">Code</label>
+          <input class="form-input" type="text" id="modal-coupon-code" value="${c.code}" placeholder="e.g., WELCOME10" style="text-transform:uppercase">
+        </div>
+        <div class="form-group" style="flex:2">
+          <label class="form-label">Description (shown on the bill)</label>
+          <input class="form-input" type="text" id="modal-coupon-desc" value="${c.description || ''}" placeholder="e.g., 10% off your first visit">
+        </div>
+      </div>
+      <div style="display:flex;gap:12px">
+        <div class="form-group" style="flex:1">
+          <label class="form-label">Discount</label>
+          <select class="form-input" id="modal-coupon-kind">
+            <option value="percent" ${c.kind === 'percent' ? 'selected' : ''}>% off</option>
+            <option value="flat" ${c.kind === 'flat' ? 'selected' : ''}>₹ off</option>
+          </select>
+        </div>
+        <div class="form-group" style="flex:1">
+          <label class="form-label">Value</label>
+          <input class="form-input" type="number" id="modal-coupon-value" value="${c.value}" min="0">
+        </div>
+        <div class="form-group" style="flex:1">
+          <label class="form-label">Up to ₹ (% only)</label>
+          <input class="form-input" type="number" id="modal-coupon-max" value="${blank(c.max_discount)}" min="0">
+        </div>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Applies to</label>
+        <select class="form-input" id="modal-coupon-scope">${scopeOptions}</select>
+      </div>
+      <div style="display:flex;gap:12px">
+        <div class="form-group" style="flex:1">
+          <label class="form-label">Minimum bill ₹</label>
+          <input class="form-input" type="number" id="modal-coupon-min" value="${c.min_bill || 0}" min="0">
+        </div>
+        <div class="form-group" style="flex:1">
+          <label class="form-label">Total uses</label>
+          <input class="form-input" type="number" id="modal-coupon-limit" value="${blank(c.usage_limit)}" min="1" placeholder="Unlimited">
+        </div>
+        <div class="form-group" style="flex:1">
+          <label class="form-label">Uses per customer</label>
+          <input class="form-input" type="number" id="modal-coupon-per-customer" value="${blank(c.per_customer_limit)}" min="1" placeholder="Unlimited">
+        </div>
+      </div>
+      <div style="display:flex;gap:12px">
+        <div class="form-group" style="flex:1">
+          <label class="form-label">Valid from</label>
+          <input class="form-input" type="date" id="modal-coupon-from" value="${c.valid_from || ''}">
+        </div>
+        <div class="form-group" style="flex:1">
+          <label class="form-label">Valid to</label>
+          <input class="form-input" type="date" id="modal-coupon-to" value="${c.valid_to || ''}">
+        </div>
+      </div>
+      <div style="font-size:0.75rem;color:var(--text-muted)">Customers give their phone number for coupons with a per-customer limit.</div>
+    `, async () => {
+      const [type, id] = document.getElementById('modal-coupon-scope').value.split(':');
+      const number = elId => {
+        const value = document.getElementById(elId).value;
+        return value === '' ? null : parseFloat(value);
+      };
+
+      const resp = await fetch(couponId ? `/api/coupons/${couponId}` : '/api/coupons', {
+        method: couponId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({
+          code: document.getElementById('modal-coupon-code').value,
+          description: document.getElementById('modal-coupon-desc').value,
+          kind: document.getElementById('modal-coupon-kind').value,
+          value: number('modal-coupon-value'),
+          max_discount: number('modal-coupon-max'),
+          min_bill: number('modal-coupon-min') || 0,
+          usage_limit: number('modal-coupon-limit'),
+          per_customer_limit: number('modal-coupon-per-customer'),
+          valid_from: document.getElementById('modal-coupon-from').value || null,
+          valid_to: document.getElementById('modal-coupon-to').value || null,
+          category_id: type === 'cat' ? parseInt(id) : null,
+          menu_item_id: type === 'item' ? parseInt(id) : null
+        })
+      });
+      if (!resp.ok) return showToast((await resp.json()).error || 'Failed to save coupon', 'error');
+
+      closeModal();
+      loadCoupons();
+      showToast(couponId ? 'Coupon updated' : 'Coupon added', 'success');
+    });
+  };
+
   // ─── Dashboard Analytics ─────────────────────────────────
 
   async function loadDashboard() {
@@ -522,7 +1837,7 @@
 
       // Stats cards
       const totalOrders = orders.length;
-      const totalRevenue = orders.reduce((s, o) => s + (o.total_amount || 0), 0);
+      const totalRevenue = orders.filter(o => !o.cancelled).reduce((s, o) => s + (o.total_amount || 0), 0);
       const avgOrder = totalOrders > 0 ? Math.round(totalRevenue / totalOrders) : 0;
       const avgRating = fbData.stats?.avg_rating || 'N/A';
 
@@ -545,6 +1860,8 @@
                 </div>
             `;
 
+      loadLowStock();
+
       // Top selling items
       const itemCounts = {};
       orders.forEach(o => {
@@ -580,6 +1897,22 @@
     }
   }
 
+  async function loadLowStock() {
+    try {
+      const resp = await fetch('/api/inventory/alerts', { headers: { 'Authorization': `Bearer ${token}` } });
+      const low = resp.ok ? await resp.json() : [];
+      document.getElementById('dashboard-low-stock').classList.toggle('hidden', !low.length);
+      document.getElementById('low-stock-list').innerHTML = low.map(i => `
+                    <div style="display:flex;justify-content:space-between;padding:8px 12px;background:var(--bg-card);border:1px solid var(--danger);border-radius:var(--radius-sm);margin-bottom:6px">
+                        <span style="font-weight:600">${i.name}</span>
+                        <span style="color:var(--danger);font-weight:700">${i.stock_qty} ${i.unit} left</span>
+                    </div>
+                `).join('');
+    } catch (err) {
+      console.error('Low stock load error:', err);
+    }
+  }
+
   // ─── Feedback Tab ────────────────────────────────────────
 
   async function loadFeedbackTab() {
@@ -631,9 +1964,13 @@
 
   async function loadSettings() {
     try {
-      const resp = await fetch(`/api/menu/${user.restaurant_id}`);
-      const data = await resp.json();
-      const r = data.restaurant;
+      const headers = { 'Authorization': `Bearer ${token}` };
+      const [resp, taxResp] = await Promise.all([
+        fetch('/api/restaurant/settings', { headers }),
+        fetch('/api/restaurant/tax-classes', { headers })
+      ]);
+      const r = await resp.json();
+      taxClasses = taxResp.ok ? await taxResp.json() : [];
 
       document.getElementById('settings-content').innerHTML = `
         <div style="max-width:500px">
@@ -647,6 +1984,10 @@
               <label class="form-label">Description</label>
               <input class="form-input" type="text" id="setting-desc" value="${r.description || ''}">
             </div>
+            <div class="form-group">
+              <label class="form-label">Timezone (menu schedules and the stock day follow it)</label>
+              <input class="form-input" type="text" id="setting-timezone" value="${r.timezone}" placeholder="Asia/Kolkata">
+            </div>
           </div>
 
           <div style="background:var(--bg-card);border:1px solid var(--border);border-radius:var(--radius-md);padding:20px;margin-bottom:16px">
@@ -654,7 +1995,7 @@
             <div style="display:flex;align-items:center;justify-content:space-between;padding:8px 0">
               <div>
                 <div style="font-weight:600">Prepaid (Pay Before)</div>
-                <div style="font-size:0.8rem;color:var(--text-muted)">Customer pays via Razorpay before order reaches kitchen</div>
+                <div style="font-size:0.8rem;color:var(--text-muted)">Customer pays online before order reaches kitchen</div>
               </div>
               <label class="toggle">
                 <input type="checkbox" id="setting-prepaid" ${r.prepaid_enabled ? 'checked' : ''}>
@@ -664,13 +2005,113 @@
             <div style="display:flex;align-items:center;justify-content:space-between;padding:8px 0;margin-top:8px">
               <div>
                 <div style="font-weight:600">Postpaid (Pay After)</div>
-                <div style="font-size:0.8rem;color:var(--text-muted)">Customer pays after eating via Razorpay</div>
+                <div style="font-size:0.8rem;color:var(--text-muted)">Customer pays after eating, online or in cash</div>
               </div>
               <label class="toggle">
                 <input type="checkbox" id="setting-postpaid" ${r.postpaid_enabled ? 'checked' : ''}>
                 <span class="toggle-slider"></span>
               </label>
             </div>
+            <div class="form-group" style="margin-top:12px">
+              <label class="form-label">Online payments through</label>
+              <select class="form-input" id="setting-payment-provider">
+                <option value="">Server default</option>
+                ${r.payment_providers.map(p => `
+                  <option value="${p.name}" ${r.payment_provider === p.name ? 'selected' : ''} ${p.configured ? '' : 'disabled'}>${p.label}${p.configured ? '' : ' (not set up)'}</option>
+                `).join('')}
+              </select>
+            </div>
+          </div>
+
+          <div style="background:var(--bg-card);border:1px solid var(--border);border-radius:var(--radius-md);padding:20px;margin-bottom:16px">
+            <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:16px">
+              <h3 style="font-size:0.95rem;font-weight:700">Taxes & Charges</h3>
+              <button class="btn btn-secondary btn-sm" onclick="showTaxClassModal()">+ Tax class</button>
+            </div>
+            ${taxClasses.length ? `
+              <table class="data-table" style="font-size:0.8rem;margin-bottom:16px">
+                ${taxClasses.map(c => `
+                  <tr>
+                    <td style="font-weight:600">${c.name}</td>
+                    <td>${c.rate}%</td>
+                    <td style="color:var(--text-muted)">HSN/SAC ${c.hsn_sac}</td>
+                    <td style="color:var(--text-muted)">${c.items} item${c.items === 1 ? '' : 's'}</td>
+                    <td style="text-align:right">
+                      <button class="btn btn-secondary btn-sm" onclick="showTaxClassModal(${c.id})">Edit</button>
+                      <button class="btn btn-danger btn-sm" onclick="deleteTaxClass(${c.id})">Delete</button>
+                    </td>
+                  </tr>
+                `).join('')}
+              </table>
+            ` : '<div style="font-size:0.8rem;color:var(--text-muted);margin-bottom:16px">No tax classes yet — bills carry no GST</div>'}
+            <div class="form-group">
+              <label class="form-label">Default GST (items without their own, and charges)</label>
+              <select class="form-input" id="setting-tax-class">
+                <option value="">None</option>
+                ${taxClasses.map(c => `<option value="${c.id}" ${c.id === r.default_tax_class_id ? 'selected' : ''}>${c.name} (${c.rate}%)</option>`).join('')}
+              </select>
+            </div>
+            <div style="display:grid;grid-template-columns:1fr 1fr;gap:12px">
+              <div class="form-group">
+                <label class="form-label">Service charge (%)</label>
+                <input class="form-input" type="number" min="0" max="25" step="0.5" id="setting-service-charge" value="${r.service_charge_rate || 0}">
+              </div>
+              <div class="form-group">
+                <label class="form-label">Packaging (₹ per order)</label>
+                <input class="form-input" type="number" min="0" step="1" id="setting-packaging" value="${r.packaging_charge || 0}">
+              </div>
+            </div>
+            <div style="display:flex;align-items:center;justify-content:space-between;padding:8px 0">
+              <div>
+                <div style="font-weight:600">Round off bills</div>
+                <div style="font-size:0.8rem;color:var(--text-muted)">Round totals to the nearest rupee</div>
+              </div>
+              <label class="toggle">
+                <input type="checkbox" id="setting-round-off" ${r.round_off ? 'checked' : ''}>
+                <span class="toggle-slider"></span>
+              </label>
+            </div>
+          </div>
+
+          <div style="background:var(--bg-card);border:1px solid var(--border);border-radius:var(--radius-md);padding:20px;margin-bottom:16px">
+            <h3 style="font-size:0.95rem;font-weight:700;margin-bottom:16px">Invoices</h3>
+            <div class="form-group">
+              <label class="form-label">Legal name (defaults to the restaurant name)</label>
+              <input class="form-input" type="text" id="setting-legal-name" value="${r.legal_name || ''}">
+            </div>
+            <div class="form-group">
+              <label class="form-label">Address</label>
+              <textarea class="form-input" id="setting-address" rows="2">${r.address || ''}</textarea>
+            </div>
+            <div style="display:grid;grid-template-columns:2fr 1fr;gap:12px">
+              <div class="form-group">
+                <label class="form-label">GSTIN</label>
+                <input class="form-input" type="text" id="setting-gstin" maxlength="15" value="${r.gstin || ''}" placeholder="29ABCDE1234F1Z5">
+              </div>
+              <div class="form-group">
+                <label class="form-label">Number prefix</label>
+                <input class="form-input" type="text" id="setting-invoice-prefix" maxlength="4" value="${r.invoice_prefix || 'INV'}">
+              </div>
+            </div>
+            <div style="font-size:0.8rem;color:var(--text-muted)">Settled bills are invoiced as ${r.invoice_prefix || 'INV'}/YY-YY/00001 onwards each financial year</div>
+          </div>
+
+          <div style="background:var(--bg-card);border:1px solid var(--border);border-radius:var(--radius-md);padding:20px;margin-bottom:16px">
+            <h3 style="font-size:0.95rem;font-weight:700;margin-bottom:16px">Tips</h3>
+            <div class="form-group">
+              <label class="form-label">Tip options at checkout (% of the bill, comma-separated)</label>
+              <input class="form-input" type="text" id="setting-tip-presets" value="${(r.tip_presets || []).join(', ')}" placeholder="5, 10, 15">
+            </div>
+            <div style="display:flex;align-items:center;justify-content:space-between;padding:8px 0">
+              <div>
+                <div style="font-weight:600">Pool tips</div>
+                <div style="font-size:0.8rem;color:var(--text-muted)">Share each day's tips equally among the staff who served, instead of giving each to whoever served the order</div>
+              </div>
+              <label class="toggle">
+                <input type="checkbox" id="setting-tip-pooling" ${r.tip_pooling ? 'checked' : ''}>
+                <span class="toggle-slider"></span>
+              </label>
+            </div>
           </div>
 
           <div style="background:var(--bg-card);border:1px solid var(--border);border-radius:var(--radius-md);padding:20px;margin-bottom:16px">
@@ -691,7 +2132,78 @@
   }
 
   window.saveSettings = async function () {
-    showToast('Settings saved (note: full restaurant settings update requires backend endpoint expansion)', 'info');
+    try {
+      const resp = await fetch('/api/restaurant/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({
+          name: document.getElementById('setting-name').value,
+          description: document.getElementById('setting-desc').value,
+          timezone: document.getElementById('setting-timezone').value.trim(),
+          prepaid_enabled: document.getElementById('setting-prepaid').checked,
+          postpaid_enabled: document.getElementById('setting-postpaid').checked,
+          default_tax_class_id: parseInt(document.getElementById('setting-tax-class').value) || null,
+          service_charge_rate: parseFloat(document.getElementById('setting-service-charge').value) || 0,
+          packaging_charge: parseFloat(document.getElementById('setting-packaging').value) || 0,
+          round_off: document.getElementById('setting-round-off').checked,
+          legal_name: document.getElementById('setting-legal-name').value,
+          address: document.getElementById('setting-address').value,
+          gstin: document.getElementById('setting-gstin').value,
+          invoice_prefix: document.getElementById('setting-invoice-prefix').value,
+          tip_presets: document.getElementById('setting-tip-presets').value.split(',').map(p => p.trim()).filter(Boolean).map(Number),
+          tip_pooling: document.getElementById('setting-tip-pooling').checked,
+          payment_provider: document.getElementById('setting-payment-provider').value || null
+        })
+      });
+      if (!resp.ok) return showToast((await resp.json()).error || 'Failed to save settings', 'error');
+      showToast('Settings saved', 'success');
+    } catch (err) {
+      showToast('Failed to save settings', 'error');
+    }
+  };
+
+  window.showTaxClassModal = function (id) {
+    const existing = taxClasses.find(c => c.id === id);
+    showModal(existing ? 'Edit Tax Class' : 'Add Tax Class', `
+      <div class="form-group">
+        <label class="form-label">Name</label>
+        <input class="form-input" type="text" id="modal-tax-name" value="${existing ? existing.name : ''}" placeholder="GST 5%">
+      </div>
+      <div class="form-group">
+        <label class="form-label">GST rate (%, split equally into CGST and SGST)</label>
+        <input class="form-input" type="number" min="0" max="100" step="0.5" id="modal-tax-rate" value="${existing ? existing.rate : ''}">
+      </div>
+      <div class="form-group">
+        <label class="form-label">HSN/SAC code on invoices</label>
+        <input class="form-input" type="text" maxlength="8" id="modal-tax-hsn" value="${existing ? existing.hsn_sac : '996331'}">
+      </div>
+    `, async () => {
+      const name = document.getElementById('modal-tax-name').value.trim();
+      const rate = parseFloat(document.getElementById('modal-tax-rate').value);
+      const hsn_sac = document.getElementById('modal-tax-hsn').value.trim();
+      if (!name || isNaN(rate)) return showToast('Name and rate are required', 'error');
+
+      const resp = await fetch(existing ? `/api/restaurant/tax-classes/${id}` : '/api/restaurant/tax-classes', {
+        method: existing ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({ name, rate, hsn_sac })
+      });
+      if (!resp.ok) return showToast((await resp.json()).error || 'Failed to save tax class', 'error');
+      closeModal();
+      loadSettings();
+      showToast(existing ? 'Tax class updated' : 'Tax class added', 'success');
+    });
+  };
+
+  window.deleteTaxClass = async function (id) {
+    if (!confirm('Delete this tax class?')) return;
+    const resp = await fetch(`/api/restaurant/tax-classes/${id}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!resp.ok) return showToast((await resp.json()).error || 'Failed to delete tax class', 'error');
+    loadSettings();
+    showToast('Tax class deleted', 'success');
   };
 
   // ─── Modal System ────────────────────────────────────────
@@ -744,6 +2256,7 @@
   }
 
   window.logout = function () {
+    fetch('/api/auth/logout', { method: 'POST', keepalive: true }).catch(() => { });
     localStorage.removeItem('staff_token');
     localStorage.removeItem('staff_user');
     window.location.href = '/staff';
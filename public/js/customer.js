@@ -13,10 +13,22 @@
         paymentMode: null,
         currentOrderId: null,
         sseConnection: null,
+        menuSse: null,
         vegOnly: false,
         waiterCooldown: false,
         feedbackRating: 0,
         searchQuery: '',
+        bill: null,       // the server's bill for the cart, see refreshBill()
+        coupon: null,     // code the server accepted for the cart
+        couponCode: '',
+        customerPhone: '',
+        couponNeedsPhone: false,
+        split: { mode: 'full' },  // this payer's part of a postpaid bill, see splitPayload()
+        billOrder: null,  // the order the split is of
+        payAmount: 0,     // what the server quoted for the split
+        tip: { percent: null, amount: null },  // a preset percentage or a custom amount
+        pendingCash: null,  // the cash payment waiting for staff to confirm it
+        orderCancelled: false,  // the tracked order was cancelled; more items start a new one
         deferredInstallPrompt: null
     };
 
@@ -88,14 +100,15 @@
             document.getElementById('table-number').textContent = state.tableInfo.table_number;
             document.title = `${data.restaurant.name} — Table ${state.tableInfo.table_number}`;
 
-            renderCategories(data.categories);
-            renderMenu(data.categories);
+            renderCategories(data.categories, data.combos || []);
+            renderMenu(data.categories, data.combos || []);
 
             // Set default payment mode
             state.paymentMode = data.restaurant.prepaid_enabled ? 'PREPAID' : 'POSTPAID';
 
             hide('loading-view');
             show('menu-view');
+            connectMenuSSE();
         } catch (err) {
             console.error('Menu load error:', err);
             showError('Could not load the menu. Please check your connection.');
@@ -104,16 +117,24 @@
 
     // ─── Render ──────────────────────────────────────────────
 
-    function renderCategories(categories) {
+    function renderCategories(categories, combos) {
         const nav = document.getElementById('category-nav');
-        nav.innerHTML = categories.map((cat, i) =>
-            `<button class="category-tab ${i === 0 ? 'active' : ''}" onclick="scrollToCategory(${cat.id})" data-cat="${cat.id}">${cat.name}</button>`
+        const tabs = combos.length ? [{ id: "'combos'", key: 'combos', name: '🍱 Combos' }] : [];
+        tabs.push(...categories.map(cat => ({ id: cat.id, key: cat.id, name: cat.name })));
+        nav.innerHTML = tabs.map((tab, i) =>
+            `<button class="category-tab ${i === 0 ? 'active' : ''}" onclick="scrollToCategory(${tab.id})" data-cat="${tab.key}">${tab.name}</button>`
         ).join('');
     }
 
-    function renderMenu(categories) {
+    function renderMenu(categories, combos) {
         const container = document.getElementById('menu-container');
-        container.innerHTML = categories.map(cat => `
+        const comboSection = combos.length ? `
+      <section class="menu-section" id="cat-combos">
+        <h2 class="menu-section-title">🍱 Combos</h2>
+        ${combos.map(combo => renderComboItem(combo)).join('')}
+      </section>
+    ` : '';
+        container.innerHTML = comboSection + categories.map(cat => `
       <section class="menu-section" id="cat-${cat.id}">
         <h2 class="menu-section-title">${cat.name}</h2>
         ${cat.items.map(item => renderMenuItem(item)).join('')}
@@ -154,20 +175,28 @@
         const prepHtml = item.prep_time_mins
             ? `<div class="prep-time">⏱️ ${item.prep_time_mins} min</div>`
             : '';
+        const soldOut = item.available === false;
+        const lowStock = !soldOut && item.stock_count !== null && item.stock_count <= 5
+            ? `<div class="low-stock">Only ${item.stock_count} left</div>`
+            : '';
 
         return `
-      <div class="menu-item" id="menu-item-${item.id}">
+      <div class="menu-item ${soldOut ? 'sold-out' : ''}" id="menu-item-${item.id}">
         ${badge}
         <div class="item-details">
           <div class="item-name">${item.name}</div>
           <div class="item-description">${item.description || ''}</div>
           ${tagsHtml}
           ${prepHtml}
+          ${lowStock}
         </div>
         ${imageHtml}
         <div class="item-actions">
-          <div class="item-price">₹${item.price}</div>
-          ${qty === 0
+          ${offerTag(item)}
+          <div class="item-price">${(item.variants || []).length > 1 ? 'from ' : ''}${priceWithOffer(item.price, item.offer_price)}</div>
+          ${soldOut
+                ? '<div class="sold-out-label">Sold out</div>'
+                : qty === 0
                 ? `<button class="add-btn" onclick="event.stopPropagation(); addToCart(${item.id})">ADD</button>`
                 : `<div class="qty-control">
                 <button class="qty-btn" onclick="event.stopPropagation(); updateQty(${item.id}, -1)">−</button>
@@ -180,32 +209,90 @@
     `;
     }
 
+    // ─── Offers ──────────────────────────────────────────────
+    // Price rules on right now come with the menu (item.offer); the server
+    // applies them again when it prices the order
+
+    function offerTag(item) {
+        if (!item.offer) return '';
+        const { kind, value } = item.offer;
+        const text = kind === 'percent' ? `${value}% off` : kind === 'amount' ? `₹${value} off` : 'Buy 1 Get 1';
+        return `<div class="offer-tag" title="${item.offer.name}">🏷️ ${text}</div>`;
+    }
+
+    function priceWithOffer(price, offerPrice) {
+        return offerPrice !== undefined && offerPrice < price
+            ? `<span class="price-list">₹${price}</span> ₹${offerPrice}`
+            : `₹${price}`;
+    }
+
+    // Same rounding as the server's offerPrice()
+    function offerUnitPrice(item, price) {
+        if (!item.offer || item.offer.kind === 'bogo') return price;
+        const off = item.offer.kind === 'percent' ? price * item.offer.value / 100 : item.offer.value;
+        return Math.round(Math.max(0, price - off) * 100) / 100;
+    }
+
+    // Buy one get one: every second unit of a cart line is free
+    function cartLineTotal(line) {
+        const paid = line.bogo ? line.quantity - Math.floor(line.quantity / 2) : line.quantity;
+        return Math.round(line.price * paid * 100) / 100;
+    }
+
+    const cartTotal = () => Math.round(state.cart.reduce((s, c) => s + cartLineTotal(c), 0) * 100) / 100;
+
+    function renderComboItem(combo) {
+        const badge = combo.is_veg ? '<div class="veg-badge"></div>' : '<div class="nonveg-badge"></div>';
+        const imageHtml = combo.image_url
+            ? `<img class="item-image" src="${combo.image_url}" alt="${combo.name}" loading="lazy" onerror="this.style.display='none'">`
+            : '';
+        const slotsText = combo.slots.map(slot => slot.options.length === 1 ? slot.options[0].name : `choice of ${slot.name}`).join(' + ');
+        const soldOut = combo.slots.some(slot => !slot.options.some(o => itemAvailable(o.menu_item_id)));
+
+        return `
+      <div class="menu-item ${soldOut ? 'sold-out' : ''}" id="menu-combo-${combo.id}" data-combo="${combo.id}">
+        ${badge}
+        <div class="item-details">
+          <div class="item-name">${combo.name}</div>
+          <div class="item-description">${combo.description || slotsText}</div>
+          ${combo.description ? `<div class="item-description">${slotsText}</div>` : ''}
+        </div>
+        ${imageHtml}
+        <div class="item-actions">
+          <div class="item-price">₹${combo.price}</div>
+          ${soldOut
+                ? '<div class="sold-out-label">Sold out</div>'
+                : `<button class="add-btn" onclick="event.stopPropagation(); addCombo(${combo.id})">ADD</button>`}
+        </div>
+      </div>
+    `;
+    }
+
     // ─── Cart ────────────────────────────────────────────────
 
     window.addToCart = function (itemId) {
         const allItems = state.menu.categories.flatMap(c => c.items);
         const item = allItems.find(i => i.id === itemId);
-        if (!item) return;
-
-        // Parse customizations
-        let custs = [];
-        try {
-            custs = typeof item.customizations === 'string' ? JSON.parse(item.customizations || '[]') : (item.customizations || []);
-        } catch (e) { custs = []; }
+        if (!item || item.available === false) return;
 
-        if (custs.length > 0) {
-            // Show customization modal
-            showCustomizationModal(item, custs);
+        const groups = item.modifier_groups || [];
+        const variants = item.variants || [];
+        if (groups.length > 0 || variants.length > 0) {
+            // Show size/modifier modal
+            showModifierModal(item, variants, groups);
         } else {
             // Add directly
             state.cart.push({
                 menu_item_id: item.id,
                 name: item.name,
-                price: item.price,
+                price: offerUnitPrice(item, item.price),
+                bogo: !!item.offer && item.offer.kind === 'bogo',
                 quantity: 1,
                 notes: '',
                 is_veg: item.is_veg,
-                customization: ''
+                variant_id: null,
+                modifiers: [],
+                modifier_labels: ''
             });
             updateCartUI();
             refreshMenuItem(itemId);
@@ -213,56 +300,117 @@
         }
     };
 
-    function showCustomizationModal(item, custs) {
+    // The price shown here is a preview; the server prices the order itself
+    function showModifierModal(item, variants, groups) {
+        let variant = variants.find(v => v.is_default) || variants[0] || null;
+        // group index → selected option ids, starting from the defaults
+        const selected = groups.map(g => g.options.filter(o => o.is_default).map(o => o.id).slice(0, g.max_select));
+
+        const hint = g => g.min_select > 0
+            ? `Required · choose ${g.min_select === g.max_select ? g.min_select : `${g.min_select}–${g.max_select}`}`
+            : `Optional · up to ${g.max_select}`;
+        const delta = o => o.price_delta ? ` ${o.price_delta > 0 ? '+' : '−'}₹${Math.abs(o.price_delta)}` : '';
+        const unitPrice = () => offerUnitPrice(item, groups.reduce((sum, g, gi) =>
+            sum + g.options.filter(o => selected[gi].includes(o.id)).reduce((s, o) => s + o.price_delta, 0),
+            variant ? variant.price : item.price));
+
         const overlay = document.createElement('div');
         overlay.className = 'cart-overlay open';
         overlay.style.zIndex = '1100';
         overlay.innerHTML = `
-            <div class="cart-drawer" onclick="event.stopPropagation()" style="max-height:60vh">
+            <div class="cart-drawer" onclick="event.stopPropagation()" style="max-height:70vh">
                 <div class="cart-handle"></div>
                 <div class="cart-header">
                     <h2 class="cart-title">Customize ${item.name}</h2>
                     <button class="cart-clear" id="cust-close">✕</button>
                 </div>
                 <div class="cart-items" style="padding:16px">
-                    ${custs.map((c, i) => `
+                    ${variants.length ? `
                         <div style="margin-bottom:14px">
-                            <div style="font-weight:600;font-size:0.88rem;margin-bottom:6px">${c.name}</div>
+                            <div style="font-weight:600;font-size:0.88rem">Size</div>
+                            <div style="font-size:0.72rem;color:var(--text-muted);margin-bottom:6px">Required · choose 1</div>
                             <div style="display:flex;flex-wrap:wrap;gap:6px">
-                                ${(c.options || []).map((opt, oi) => `
-                                    <button class="filter-toggle cust-opt" data-cust="${i}" data-opt="${oi}" ${oi === 0 ? 'style="background:var(--accent-glow);border-color:var(--accent);color:var(--accent)"' : ''}
-                                        onclick="this.parentElement.querySelectorAll('.cust-opt').forEach(b=>{b.style.background='';b.style.borderColor='';b.style.color=''});this.style.background='var(--accent-glow)';this.style.borderColor='var(--accent)';this.style.color='var(--accent)'">${opt}</button>
+                                ${variants.map(v => `
+                                    <button class="filter-toggle cust-variant" data-variant="${v.id}">${v.name} ${priceWithOffer(v.price, v.offer_price)}</button>
+                                `).join('')}
+                            </div>
+                        </div>
+                    ` : ''}
+                    ${groups.map((g, gi) => `
+                        <div style="margin-bottom:14px">
+                            <div style="font-weight:600;font-size:0.88rem">${g.name}</div>
+                            <div style="font-size:0.72rem;color:var(--text-muted);margin-bottom:6px">${hint(g)}</div>
+                            <div style="display:flex;flex-wrap:wrap;gap:6px">
+                                ${g.options.map(o => `
+                                    <button class="filter-toggle cust-opt" data-group="${gi}" data-option="${o.id}">${o.name}${delta(o)}</button>
                                 `).join('')}
                             </div>
                         </div>
                     `).join('')}
                 </div>
                 <div class="cart-footer">
-                    <button class="btn btn-primary" id="cust-add">Add to Cart — ₹${item.price}</button>
+                    <button class="btn btn-primary" id="cust-add"></button>
                 </div>
             </div>
         `;
+
+        function render() {
+            overlay.querySelectorAll('.cust-opt, .cust-variant').forEach(btn => {
+                const on = btn.dataset.variant
+                    ? variant && variant.id === Number(btn.dataset.variant)
+                    : selected[btn.dataset.group].includes(Number(btn.dataset.option));
+                btn.style.background = on ? 'var(--accent-glow)' : '';
+                btn.style.borderColor = on ? 'var(--accent)' : '';
+                btn.style.color = on ? 'var(--accent)' : '';
+            });
+            overlay.querySelector('#cust-add').textContent = `Add to Cart — ₹${unitPrice()}`;
+        }
+
+        overlay.querySelectorAll('.cust-variant').forEach(btn => {
+            btn.onclick = () => {
+                variant = variants.find(v => v.id === Number(btn.dataset.variant));
+                render();
+            };
+        });
+
+        overlay.querySelectorAll('.cust-opt').forEach(btn => {
+            btn.onclick = () => {
+                const gi = Number(btn.dataset.group);
+                const optionId = Number(btn.dataset.option);
+                const group = groups[gi];
+                if (selected[gi].includes(optionId)) {
+                    selected[gi] = selected[gi].filter(id => id !== optionId);
+                } else if (group.max_select === 1) {
+                    selected[gi] = [optionId];
+                } else if (selected[gi].length < group.max_select) {
+                    selected[gi].push(optionId);
+                } else {
+                    showToast(`Choose up to ${group.max_select} for ${group.name}`, 'info');
+                }
+                render();
+            };
+        });
+
         document.body.appendChild(overlay);
+        render();
         overlay.onclick = (e) => { if (e.target === overlay) overlay.remove(); };
         overlay.querySelector('#cust-close').onclick = () => overlay.remove();
         overlay.querySelector('#cust-add').onclick = () => {
-            // Collect selections
-            const selections = custs.map((c, i) => {
-                const btns = overlay.querySelectorAll(`[data-cust="${i}"]`);
-                let selected = c.options[0]; // default to first
-                btns.forEach(b => {
-                    if (b.style.color === 'var(--accent)') selected = b.textContent.trim();
-                });
-                return `${c.name}: ${selected}`;
-            });
+            const missing = groups.find((g, gi) => selected[gi].length < g.min_select);
+            if (missing) return showToast(`Please choose ${missing.name}`, 'error');
+
+            const chosen = groups.flatMap((g, gi) => g.options.filter(o => selected[gi].includes(o.id)));
             state.cart.push({
                 menu_item_id: item.id,
-                name: item.name,
-                price: item.price,
+                name: variant ? `${item.name} (${variant.name})` : item.name,
+                price: unitPrice(),
+                bogo: !!item.offer && item.offer.kind === 'bogo',
                 quantity: 1,
                 notes: '',
                 is_veg: item.is_veg,
-                customization: selections.join(', ')
+                variant_id: variant ? variant.id : null,
+                modifiers: chosen.map(o => o.id),
+                modifier_labels: chosen.map(o => o.name).join(', ')
             });
             updateCartUI();
             refreshMenuItem(item.id);
@@ -271,6 +419,176 @@
         };
     }
 
+    // Build a combo: one choice per slot, defaults preselected. The price is a
+    // preview; the server prices the bundle itself.
+    window.addCombo = function (comboId) {
+        const listed = (state.menu.combos || []).find(c => c.id === comboId);
+        if (!listed) return;
+        const combo = {
+            ...listed,
+            slots: listed.slots.map(slot => ({ ...slot, options: slot.options.filter(o => itemAvailable(o.menu_item_id)) }))
+        };
+        if (combo.slots.some(slot => !slot.options.length)) return;
+
+        const selected = combo.slots.map(slot => (slot.options.find(o => o.is_default) || slot.options[0]).id);
+        const delta = o => o.price_delta ? ` ${o.price_delta > 0 ? '+' : '−'}₹${Math.abs(o.price_delta)}` : '';
+        const chosen = () => combo.slots.map((slot, si) => slot.options.find(o => o.id === selected[si]));
+        const unitPrice = () => chosen().reduce((sum, o) => sum + o.price_delta, combo.price);
+
+        const overlay = document.createElement('div');
+        overlay.className = 'cart-overlay open';
+        overlay.style.zIndex = '1100';
+        overlay.innerHTML = `
+            <div class="cart-drawer" onclick="event.stopPropagation()" style="max-height:70vh">
+                <div class="cart-handle"></div>
+                <div class="cart-header">
+                    <h2 class="cart-title">Build your ${combo.name}</h2>
+                    <button class="cart-clear" id="combo-close">✕</button>
+                </div>
+                <div class="cart-items" style="padding:16px">
+                    ${combo.slots.map((slot, si) => `
+                        <div style="margin-bottom:14px">
+                            <div style="font-weight:600;font-size:0.88rem">${slot.name}</div>
+                            <div style="font-size:0.72rem;color:var(--text-muted);margin-bottom:6px">${slot.options.length > 1 ? 'Pick 1' : 'Included'}</div>
+                            <div style="display:flex;flex-wrap:wrap;gap:6px">
+                                ${slot.options.map(o => `
+                                    <button class="filter-toggle combo-opt" data-slot="${si}" data-option="${o.id}">${o.name}${delta(o)}</button>
+                                `).join('')}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="cart-footer">
+                    <button class="btn btn-primary" id="combo-add"></button>
+                </div>
+            </div>
+        `;
+
+        function render() {
+            overlay.querySelectorAll('.combo-opt').forEach(btn => {
+                const on = selected[btn.dataset.slot] === Number(btn.dataset.option);
+                btn.style.background = on ? 'var(--accent-glow)' : '';
+                btn.style.borderColor = on ? 'var(--accent)' : '';
+                btn.style.color = on ? 'var(--accent)' : '';
+            });
+            overlay.querySelector('#combo-add').textContent = `Add to Cart — ₹${unitPrice()}`;
+        }
+
+        overlay.querySelectorAll('.combo-opt').forEach(btn => {
+            btn.onclick = () => {
+                selected[Number(btn.dataset.slot)] = Number(btn.dataset.option);
+                render();
+            };
+        });
+
+        document.body.appendChild(overlay);
+        render();
+        overlay.onclick = (e) => { if (e.target === overlay) overlay.remove(); };
+        overlay.querySelector('#combo-close').onclick = () => overlay.remove();
+        overlay.querySelector('#combo-add').onclick = () => {
+            state.cart.push({
+                combo_id: combo.id,
+                name: combo.name,
+                price: unitPrice(),
+                quantity: 1,
+                notes: '',
+                is_veg: combo.is_veg,
+                choices: [...selected],
+                modifier_labels: chosen().map(o => o.name).join(', ')
+            });
+            updateCartUI();
+            overlay.remove();
+            showToast(`${combo.name} added`, 'success');
+        };
+    };
+
+    // Order lines of one combo (same combo_ref) shown as a single line
+    function summaryLines(items) {
+        const lines = [];
+        (items || []).forEach(item => {
+            const combo = item.combo_ref && lines.find(l => l.combo_ref === item.combo_ref);
+            if (combo) {
+                combo.price_at_order = Math.round((combo.price_at_order + item.price_at_order) * 100) / 100;
+                combo.modifiers.push({ option: item.item_name });
+                combo.ids.push(item.id);
+                combo.paid = combo.paid && item.paid;
+                combo.cancelled = combo.cancelled && item.cancelled;
+            } else if (item.combo_ref) {
+                lines.push({
+                    combo_ref: item.combo_ref,
+                    item_name: item.combo_name,
+                    quantity: item.quantity,
+                    price_at_order: item.price_at_order,
+                    modifiers: [{ option: item.item_name }],
+                    ids: [item.id],
+                    paid: item.paid,
+                    cancelled: item.cancelled
+                });
+            } else {
+                lines.push({ ...item, ids: [item.id] });
+            }
+        });
+        return lines;
+    }
+
+    function modifierText(item) {
+        const labels = (item.modifiers || []).map(m => m.option);
+        if (item.price_rule_name) labels.push(`🏷️ ${item.price_rule_name}`);
+        return labels.length ? `<div style="font-size:0.72rem;color:var(--accent)">${labels.join(', ')}</div>` : '';
+    }
+
+    // Charged amount of an order line, with the list price struck through when an offer lowered it
+    function linePrice(item) {
+        const charged = Math.round(item.price_at_order * item.quantity * 100) / 100;
+        const list = item.list_price === undefined || item.list_price === null ? charged : Math.round(item.list_price * item.quantity * 100) / 100;
+        return priceWithOffer(list, charged);
+    }
+
+    // Subtotal, coupons, charges, GST and round-off of an order or cart bill,
+    // as summary lines (none when the bill is just its items)
+    function billLines(bill) {
+        const row = (label, amount, cls = '') => `
+      <div class="order-summary-item ${cls}">
+        <span>${label}</span>
+        <span>${amount < 0 ? '−' : ''}₹${Math.abs(amount)}</span>
+      </div>`;
+        const discounts = bill.discounts || [];
+        const taxes = bill.taxes || [];
+        if (!discounts.length && !taxes.length && !bill.service_charge && !bill.packaging_charge && !bill.round_off) return '';
+
+        return `<div class="bill-lines">
+        ${row('Subtotal', bill.subtotal)}
+        ${discounts.map(d => row(`🎟️ ${d.label}`, -d.amount, 'order-discount')).join('')}
+        ${bill.service_charge ? row('Service charge', bill.service_charge) : ''}
+        ${bill.packaging_charge ? row('Packaging', bill.packaging_charge) : ''}
+        ${taxes.map(t => row(`${t.name} ${t.rate}%`, t.amount)).join('')}
+        ${bill.round_off ? row('Round off', bill.round_off) : ''}
+      </div>`;
+    }
+
+    // Download and print links for an order's invoices and credit notes
+    function invoiceLinks(invoices) {
+        if (!invoices || !invoices.length) return '';
+        return `<div class="invoice-links">${invoices.map(inv => `
+            <div class="invoice-link">
+                <span>${inv.kind === 'credit_note' ? '↩️ Credit note' : '🧾 Invoice'} ${inv.number}</span>
+                <span>
+                    <a href="/api/invoices/${inv.id}/pdf?token=${state.token}">PDF</a> ·
+                    <a href="/api/invoices/${inv.id}/html?token=${state.token}" target="_blank" rel="noopener">Print</a>
+                </span>
+            </div>`).join('')}</div>`;
+    }
+
+    // Refunds of an order and whether the money is on its way or back
+    function refundLines(refunds) {
+        if (!refunds || !refunds.length) return '';
+        return `<div class="refund-lines">${refunds.map(r => `
+            <div class="refund-line">
+                <span>↩️ ₹${r.amount} refund · ${r.reason}</span>
+                <span class="refund-status ${r.status}">${r.status === 'processed' ? 'Refunded' : 'Processing (5–7 days)'}</span>
+            </div>`).join('')}</div>`;
+    }
+
     window.updateQty = function (itemId, delta) {
         const idx = state.cart.findIndex(c => c.menu_item_id === itemId);
         if (idx === -1) return;
@@ -295,9 +613,56 @@
         }
     }
 
+    function itemAvailable(menuItemId) {
+        const item = state.menu.categories.flatMap(c => c.items).find(i => i.id === menuItemId);
+        return !item || item.available !== false;
+    }
+
+    // Stock changes from the kitchen and other tables' orders
+    function connectMenuSSE() {
+        if (state.menuSse) state.menuSse.close();
+
+        const sse = new EventSource(`/api/sse/menu?token=${encodeURIComponent(state.token)}`);
+        state.menuSse = sse;
+
+        sse.addEventListener('menu-updated', (e) => {
+            const data = JSON.parse(e.data);
+            const allItems = state.menu.categories.flatMap(c => c.items);
+            const soldOut = [];
+
+            data.items.forEach(update => {
+                const item = allItems.find(i => i.id === update.id);
+                if (!item) return;
+                if (item.available !== false && !update.available) soldOut.push(item);
+                item.available = update.available;
+                item.stock_count = update.stock_count;
+                refreshMenuItem(item.id);
+            });
+
+            (state.menu.combos || []).forEach(combo => {
+                const el = document.getElementById(`menu-combo-${combo.id}`);
+                if (el) el.outerHTML = renderComboItem(combo);
+            });
+            applyFilters();
+
+            soldOut.filter(item => state.cart.some(c => c.menu_item_id === item.id))
+                .forEach(item => showToast(`${item.name} just sold out — please remove it from your cart`, 'error'));
+        });
+
+        sse.onerror = () => {
+            console.warn('Menu SSE connection lost, will reconnect...');
+        };
+    }
+
     function updateCartUI() {
         const totalItems = state.cart.reduce((s, c) => s + c.quantity, 0);
-        const totalPrice = state.cart.reduce((s, c) => s + (c.price * c.quantity), 0);
+        if (!totalItems) {
+            state.bill = null;
+            state.coupon = null;
+        } else if (!state.addingToOrderId && !currentBill()) {
+            requoteBill();
+        }
+        const totalPrice = payableTotal();
 
         document.getElementById('cart-count').textContent = totalItems;
         document.getElementById('cart-total').textContent = totalPrice;
@@ -346,13 +711,14 @@
         <div class="${item.is_veg ? 'veg-badge' : 'nonveg-badge'}" style="margin-top:4px"></div>
         <div class="cart-item-info">
           <div class="cart-item-name">${item.name}</div>
-          ${item.customization ? `<div style="font-size:0.72rem;color:var(--accent);margin-top:2px">⚙️ ${item.customization}</div>` : ''}
+          ${item.modifier_labels ? `<div style="font-size:0.72rem;color:var(--accent);margin-top:2px">⚙️ ${item.modifier_labels}</div>` : ''}
           <input class="note-input" type="text" placeholder="Add note (e.g., less spicy, no onion)"
             value="${item.notes}" onchange="updateNote(${idx}, this.value)" onclick="event.stopPropagation()">
           ${item.notes ? `<div class="cart-item-notes">📝 ${item.notes}</div>` : ''}
         </div>
         <div style="display:flex;flex-direction:column;align-items:flex-end;gap:6px">
-          <div class="cart-item-price">₹${item.price * item.quantity}</div>
+          <div class="cart-item-price">₹${cartLineTotal(item)}</div>
+          ${item.bogo && item.quantity > 1 ? `<div class="offer-tag">🏷️ ${Math.floor(item.quantity / 2)} free</div>` : ''}
           <div class="qty-control">
             <button class="qty-btn" onclick="updateCartItem(${idx}, -1)">−</button>
             <span class="qty-count">${item.quantity}</span>
@@ -362,6 +728,11 @@
       </div>
     `).join('');
 
+        renderCoupon();
+        document.getElementById('cart-bill').innerHTML = state.addingToOrderId
+            ? '<div class="bill-note">Taxes and charges are added to your bill</div>'
+            : currentBill() ? billLines(currentBill()) : '';
+
         // Payment options — hide when adding items to an existing order
         const optionsContainer = document.getElementById('payment-options');
         if (state.addingToOrderId) {
@@ -397,7 +768,7 @@
         if (state.addingToOrderId) {
             btn.textContent = '🍽️ Add to Order';
         } else if (state.paymentMode === 'PREPAID') {
-            const total = state.cart.reduce((s, c) => s + (c.price * c.quantity), 0);
+            const total = payableTotal();
             btn.textContent = `💳 Pay ₹${total} & Place Order`;
         } else {
             btn.textContent = '🍽️ Place Order';
@@ -429,6 +800,207 @@
         renderCartDrawer();
     };
 
+    // ─── Bill & coupon ───────────────────────────────────────
+    // The server bills the cart (offers, coupon, GST, charges, round-off)
+    // whenever it changes, and again when the order is placed. Coupons are
+    // for new orders only; items added to an order are billed with it.
+
+    function orderItemsPayload() {
+        return state.cart.map(c => c.combo_id ? {
+            combo_id: c.combo_id,
+            quantity: c.quantity,
+            notes: c.notes,
+            choices: c.choices
+        } : {
+            menu_item_id: c.menu_item_id,
+            variant_id: c.variant_id || null,
+            quantity: c.quantity,
+            notes: c.notes,
+            modifiers: c.modifiers || []
+        });
+    }
+
+    // What the bill depends on: the cart without notes
+    const cartKey = () => JSON.stringify(orderItemsPayload().map(({ notes, ...item }) => item));
+
+    // The bill, if it is for the cart as it is now
+    const currentBill = () => state.bill && !state.addingToOrderId && state.bill.cartKey === cartKey() ? state.bill : null;
+
+    const payableTotal = () => currentBill() ? currentBill().total_amount : cartTotal();
+
+    // Bills the cart with `code` → the reason the code was refused, if it was
+    async function refreshBill(code) {
+        const key = cartKey();
+        const resp = await fetch('/api/orders/quote', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                table_token: state.token,
+                items: orderItemsPayload(),
+                coupon_code: code || null,
+                customer_phone: state.customerPhone || null
+            })
+        });
+        const result = await resp.json();
+        if (!resp.ok) throw new Error(result.error || 'Could not work out the bill');
+
+        state.bill = { ...result, cartKey: key };
+        state.coupon = code && !result.coupon_error ? code : null;
+        if (result.needs_phone) state.couponNeedsPhone = true;
+        updateCartUI();
+        if (document.getElementById('cart-overlay').classList.contains('open')) renderCartDrawer();
+        return result.coupon_error || null;
+    }
+
+    let requoteTimer = null;
+    function requoteBill() {
+        clearTimeout(requoteTimer);
+        requoteTimer = setTimeout(async () => {
+            if (!state.cart.length || currentBill()) return;
+            const code = state.coupon;
+            try {
+                const refused = await refreshBill(code);
+                if (code && refused) showToast(`${code} removed: ${refused}`, 'error');
+            } catch (err) {
+                console.error('Bill error:', err);
+            }
+        }, 300);
+    }
+
+    function renderCoupon() {
+        const container = document.getElementById('coupon-section');
+        const applied = state.coupon && currentBill() && currentBill().discounts[0];
+        if (state.addingToOrderId) {
+            container.innerHTML = '';
+        } else if (applied) {
+            container.innerHTML = `
+          <div class="coupon-applied">
+            <span>🎟️ ${applied.code} · ${applied.label}</span>
+            <span>−₹${applied.amount}</span>
+            <button class="coupon-remove" onclick="removeCoupon()" title="Remove coupon">✕</button>
+          </div>
+        `;
+        } else {
+            container.innerHTML = `
+          <div class="coupon-row">
+            <input id="coupon-input" class="note-input" type="text" placeholder="Coupon code" value="${state.couponCode}"
+              onkeydown="if (event.key === 'Enter') applyCoupon()">
+            <button class="btn btn-secondary" onclick="applyCoupon()">Apply</button>
+          </div>
+          ${state.couponNeedsPhone ? `<input id="coupon-phone" class="note-input coupon-phone" type="tel"
+            placeholder="Your phone number (needed for this coupon)" value="${state.customerPhone}">` : ''}
+        `;
+        }
+    }
+
+    window.applyCoupon = async function () {
+        state.couponCode = document.getElementById('coupon-input').value.trim().toUpperCase();
+        const phoneInput = document.getElementById('coupon-phone');
+        if (phoneInput) state.customerPhone = phoneInput.value.trim();
+        if (!state.couponCode) return;
+
+        try {
+            const refused = await refreshBill(state.couponCode);
+            if (refused) {
+                showToast(refused, 'error');
+                if (state.couponNeedsPhone) document.getElementById('coupon-phone')?.focus();
+            } else {
+                showToast(`${state.couponCode} applied — ₹${currentBill().discount_amount} off`, 'success');
+            }
+        } catch (err) {
+            showToast(err.message, 'error');
+        }
+    };
+
+    window.removeCoupon = function () {
+        state.coupon = null;
+        state.bill = null;
+        updateCartUI();
+        renderCartDrawer();
+    };
+
+    // ─── Checkout ────────────────────────────────────────────
+    // Payments open the checkout of the provider the server created them
+    // with: Razorpay's, or the fake gateway's test sheet. Either calls back
+    // onPaid with what /api/payments/verify needs, onFailed with a message
+    // or onCancelled.
+
+    function openCheckout(paymentOrder, options, { onPaid, onFailed, onCancelled }) {
+        if (paymentOrder.provider === 'fake') {
+            openFakeCheckout(paymentOrder, { onPaid, onFailed, onCancelled });
+            return;
+        }
+        if (typeof window.Razorpay === 'undefined') {
+            onFailed('Payment gateway is loading. Please wait and try again.');
+            return;
+        }
+
+        const rzp = new window.Razorpay({
+            key: paymentOrder.key_id,
+            amount: paymentOrder.amount,
+            currency: paymentOrder.currency,
+            order_id: paymentOrder.razorpay_order_id,
+            ...options,
+            handler: onPaid,
+            modal: { ondismiss: onCancelled },
+            theme: { color: '#e8a838' }
+        });
+        rzp.on('payment.failed', function (resp) {
+            console.error('Payment failed:', resp.error);
+            onFailed(resp.error?.description || 'Payment failed. Please try again.');
+        });
+        rzp.open();
+    }
+
+    // The fake gateway lets you choose how the payment goes
+    function openFakeCheckout(paymentOrder, { onPaid, onFailed, onCancelled }) {
+        const overlay = document.createElement('div');
+        overlay.className = 'cart-overlay open';
+        overlay.style.zIndex = '1100';
+        overlay.innerHTML = `
+            <div class="cart-drawer" onclick="event.stopPropagation()">
+                <div class="cart-handle"></div>
+                <div class="cart-header">
+                    <h2 class="cart-title">Test payment · ₹${paymentOrder.amount / 100}</h2>
+                    <button class="cart-clear" id="fake-close">✕</button>
+                </div>
+                <div class="cart-items" style="padding:16px;font-size:0.85rem;color:var(--text-muted)">
+                    This restaurant uses the fake gateway: nothing is charged.
+                </div>
+                <div class="cart-footer" style="display:flex;flex-direction:column;gap:8px">
+                    <button class="btn btn-primary" data-outcome="success">Pay</button>
+                    <button class="btn btn-secondary" data-outcome="failure">Decline</button>
+                    <button class="btn btn-secondary" data-outcome="timeout">Time out</button>
+                </div>
+            </div>
+        `;
+
+        const close = () => overlay.remove();
+        overlay.onclick = (e) => { if (e.target === overlay) { close(); onCancelled(); } };
+        overlay.querySelector('#fake-close').onclick = () => { close(); onCancelled(); };
+        overlay.querySelectorAll('[data-outcome]').forEach(btn => {
+            btn.onclick = async () => {
+                overlay.querySelectorAll('button').forEach(b => { b.disabled = true; });
+                try {
+                    const resp = await fetch('/api/sandbox/checkout', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ order_id: paymentOrder.razorpay_order_id, outcome: btn.dataset.outcome })
+                    });
+                    const result = await resp.json();
+                    close();
+                    if (resp.ok) onPaid(result);
+                    else if (resp.status === 504) onFailed('We did not hear back about your payment. If it went through, your order will be confirmed shortly.');
+                    else onFailed(result.error || 'Payment failed. Please try again.');
+                } catch (err) {
+                    close();
+                    onFailed('Payment failed. Please try again.');
+                }
+            };
+        });
+        document.body.appendChild(overlay);
+    }
+
     // ─── Place Order ─────────────────────────────────────────
 
     window.placeOrder = async function () {
@@ -438,11 +1010,11 @@
         btn.disabled = true;
         btn.textContent = 'Processing...';
 
-        const items = state.cart.map(c => ({
-            menu_item_id: c.menu_item_id,
-            quantity: c.quantity,
-            notes: c.notes
-        }));
+        const items = orderItemsPayload();
+        const coupon = state.coupon && {
+            coupon_code: state.coupon,
+            customer_phone: state.customerPhone || null
+        };
 
         try {
             // If we're adding to an existing order (via "Order More Items"), use add-items
@@ -473,16 +1045,15 @@
             }
 
             if (state.paymentMode === 'PREPAID') {
-                // Step 1: Create Razorpay order
-                const totalAmount = state.cart.reduce((s, c) => s + (c.price * c.quantity), 0);
+                // Step 1: Create the payment with the restaurant's provider
                 const createResp = await fetch('/api/payments/create-order', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({
-                        amount: totalAmount,
                         table_token: state.token,
                         items,
-                        payment_mode: 'PREPAID'
+                        payment_mode: 'PREPAID',
+                        ...coupon
                     })
                 });
 
@@ -496,129 +1067,82 @@
 
                 const paymentOrder = await createResp.json();
 
-                if (paymentOrder.mock_mode) {
-                    // Mock mode — simulate successful payment
-                    const verifyResp = await fetch('/api/payments/verify', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({
-                            razorpay_payment_id: 'mock_pay_' + Date.now(),
-                            razorpay_order_id: paymentOrder.razorpay_order_id,
-                            razorpay_signature: '',
-                            table_token: state.token,
-                            items,
-                            payment_mode: 'PREPAID'
-                        })
-                    });
-
-                    const result = await verifyResp.json();
-                    if (result.verified) {
-                        state.currentOrderId = result.order_id;
-                        state.cart = [];
-                        updateCartUI();
-                        closeCart();
-                        showToast('Payment successful! Your order is placed.', 'success');
-                        await showTrackingView(result.order_id);
-                    } else {
-                        showToast('Payment verification failed', 'error');
-                        btn.disabled = false;
-                        btn.textContent = '💳 Retry Payment';
-                    }
-                } else {
-                    // Real Razorpay checkout
-                    if (typeof window.Razorpay === 'undefined') {
-                        showToast('Payment gateway is loading. Please wait and try again.', 'error');
-                        btn.disabled = false;
-                        renderCartDrawer();
-                        return;
-                    }
+                const resetButton = () => {
+                    btn.disabled = false;
+                    renderCartDrawer();
+                };
 
-                    const options = {
-                        key: paymentOrder.key_id,
-                        amount: paymentOrder.amount,
-                        currency: paymentOrder.currency,
-                        name: state.menu.restaurant.name,
-                        description: `Order at Table ${state.tableInfo.table_number}`,
-                        order_id: paymentOrder.razorpay_order_id,
-                        handler: async function (response) {
-                            // Verify payment + create order
-                            try {
-                                const verifyResp = await fetch('/api/payments/verify', {
-                                    method: 'POST',
-                                    headers: { 'Content-Type': 'application/json' },
-                                    body: JSON.stringify({
-                                        razorpay_payment_id: response.razorpay_payment_id,
-                                        razorpay_order_id: response.razorpay_order_id,
-                                        razorpay_signature: response.razorpay_signature,
-                                        table_token: state.token,
-                                        items,
-                                        payment_mode: 'PREPAID'
-                                    })
-                                });
-
-                                const result = await verifyResp.json();
-                                if (result.verified) {
-                                    state.currentOrderId = result.order_id;
-                                    state.cart = [];
-                                    updateCartUI();
-                                    closeCart();
-                                    showToast('Payment successful! Your order is placed.', 'success');
-                                    await showTrackingView(result.order_id);
-                                } else {
-                                    showToast(result.error || 'Payment verification failed', 'error');
-                                    btn.disabled = false;
-                                    renderCartDrawer();
+                openCheckout(paymentOrder, {
+                    name: state.menu.restaurant.name,
+                    description: `Order at Table ${state.tableInfo.table_number}`,
+                    prefill: {
+                        contact: '9390418552',
+                        method: 'upi'
+                    },
+                    config: {
+                        display: {
+                            blocks: {
+                                upi: {
+                                    name: 'Pay via UPI',
+                                    instruments: [
+                                        {
+                                            method: 'upi',
+                                            flows: ['intent', 'collect', 'qr'],
+                                            apps: ['google_pay', 'phonepe', 'paytm']
+                                        }
+                                    ]
                                 }
-                            } catch (verifyErr) {
-                                console.error('Verify error:', verifyErr);
-                                showToast('Verification error. Please contact staff.', 'error');
-                                btn.disabled = false;
-                                renderCartDrawer();
+                            },
+                            sequence: ['block.upi'],
+                            preferences: {
+                                show_default_blocks: true
                             }
-                        },
-                        modal: {
-                            ondismiss: function () {
-                                btn.disabled = false;
-                                renderCartDrawer();
-                                showToast('Payment cancelled', 'info');
-                            }
-                        },
-                        prefill: {
-                            contact: '9390418552',
-                            method: 'upi'
-                        },
-                        config: {
-                            display: {
-                                blocks: {
-                                    upi: {
-                                        name: 'Pay via UPI',
-                                        instruments: [
-                                            {
-                                                method: 'upi',
-                                                flows: ['intent', 'collect', 'qr'],
-                                                apps: ['google_pay', 'phonepe', 'paytm']
-                                            }
-                                        ]
-                                    }
-                                },
-                                sequence: ['block.upi'],
-                                preferences: {
-                                    show_default_blocks: true
-                                }
+                        }
+                    }
+                }, {
+                    // Verify payment + create order
+                    onPaid: async function (response) {
+                        try {
+                            const verifyResp = await fetch('/api/payments/verify', {
+                                method: 'POST',
+                                headers: { 'Content-Type': 'application/json' },
+                                body: JSON.stringify({
+                                    razorpay_payment_id: response.razorpay_payment_id,
+                                    razorpay_order_id: response.razorpay_order_id,
+                                    razorpay_signature: response.razorpay_signature,
+                                    table_token: state.token,
+                                    items,
+                                    payment_mode: 'PREPAID'
+                                })
+                            });
+
+                            const result = await verifyResp.json();
+                            if (result.verified) {
+                                state.currentOrderId = result.order_id;
+                                state.cart = [];
+                                updateCartUI();
+                                closeCart();
+                                showToast('Payment successful! Your order is placed.', 'success');
+                                await showTrackingView(result.order_id);
+                            } else {
+                                showToast(result.error || 'Payment verification failed', 'error');
+                                resetButton();
                             }
-                        },
-                        theme: { color: '#e8a838' }
-                    };
-
-                    const rzp = new window.Razorpay(options);
-                    rzp.on('payment.failed', function (resp) {
-                        console.error('Payment failed:', resp.error);
-                        showToast(resp.error?.description || 'Payment failed. Please try again.', 'error');
-                        btn.disabled = false;
-                        renderCartDrawer();
-                    });
-                    rzp.open();
-                }
+                        } catch (verifyErr) {
+                            console.error('Verify error:', verifyErr);
+                            showToast('Verification error. Please contact staff.', 'error');
+                            resetButton();
+                        }
+                    },
+                    onFailed: function (message) {
+                        showToast(message, 'error');
+                        resetButton();
+                    },
+                    onCancelled: function () {
+                        resetButton();
+                        showToast('Payment cancelled', 'info');
+                    }
+                });
             } else {
                 // POSTPAID: create new order
                 const resp = await fetch('/api/orders', {
@@ -627,7 +1151,8 @@
                     body: JSON.stringify({
                         table_token: state.token,
                         items,
-                        payment_mode: 'POSTPAID'
+                        payment_mode: 'POSTPAID',
+                        ...coupon
                     })
                 });
                 const result = await resp.json();
@@ -704,6 +1229,11 @@
             'Served': {
                 icon: '🍽️',
                 message: 'Your order has been served. Enjoy your meal!'
+            },
+            'Cancelled': {
+                icon: '🚫',
+                message: `This order was cancelled${order.cancel_reason ? ` (${order.cancel_reason})` : ''}.` +
+                    (order.refunded_amount > 0 ? ` ₹${order.refunded_amount} is being refunded to you.` : '')
             }
         };
 
@@ -713,7 +1243,7 @@
         messageEl.textContent = config.message;
 
         // Status steps
-        const steps = ['Order placed', 'Being prepared', 'Almost ready', 'Served'];
+        const steps = order.cancelled ? [] : ['Order placed', 'Being prepared', 'Almost ready', 'Served'];
         const currentIdx = steps.indexOf(status);
         const stepsHtml = steps.map((step, i) => {
             let cls = '';
@@ -731,18 +1261,28 @@
         document.getElementById('status-steps').innerHTML = stepsHtml;
 
         // Order items
-        const itemsHtml = (order.items || []).map(item =>
-            `<div class="order-summary-item">
-        <span>${item.quantity}× ${item.item_name}</span>
-        <span>₹${item.price_at_order * item.quantity}</span>
+        const itemsHtml = summaryLines(order.items).map(item =>
+            `<div class="order-summary-item ${item.cancelled ? 'cancelled' : ''}">
+        <span>${item.quantity}× ${item.item_name}${modifierText(item)}</span>
+        <span>${linePrice(item)}</span>
       </div>`
         ).join('');
-        document.getElementById('tracking-items').innerHTML = itemsHtml;
+        document.getElementById('tracking-items').innerHTML = itemsHtml + billLines(order);
         document.getElementById('tracking-total').textContent = order.total_amount;
+        document.getElementById('tracking-invoices').innerHTML = invoiceLinks(order.invoices);
+        document.getElementById('tracking-refunds').innerHTML = refundLines(order.refunds);
+
+        // Until the kitchen starts, the customer may still cancel
+        state.orderCancelled = !!order.cancelled;
+        if (!order.cancelled && status === 'Order placed') show('cancel-order-section');
+        else hide('cancel-order-section');
 
         // Pay bill button for postpaid
-        if (order.payment_mode === 'POSTPAID' && order.payment_status !== 'paid') {
-            document.getElementById('pay-bill-amount').textContent = order.total_amount;
+        if (order.cancelled) {
+            hide('pay-bill-section');
+            show('order-more-section');
+        } else if (order.payment_mode === 'POSTPAID' && order.payment_status !== 'paid') {
+            renderSplit(order);
             show('pay-bill-section');
             // Hide order-more if order was served (ready to pay)
             if (order.public_status === 'Served') {
@@ -764,7 +1304,7 @@
             state.sseConnection.close();
         }
 
-        const sse = new EventSource(`/api/sse/order/${orderId}`);
+        const sse = new EventSource(`/api/sse/order/${orderId}?token=${encodeURIComponent(state.token)}`);
         state.sseConnection = sse;
 
         sse.addEventListener('status-update', (e) => {
@@ -777,16 +1317,265 @@
                 .then(order => updateTrackingUI(order));
         });
 
+        // Someone at the table paid their part
+        sse.addEventListener('bill-updated', async (e) => {
+            const data = JSON.parse(e.data);
+            const order = await fetch(`/api/orders/${orderId}?token=${state.token}`).then(r => r.json());
+            if (data.settled) {
+                showReceiptView(order, paymentMethodLabel(order));
+            } else {
+                updateTrackingUI(order);
+                showToast(`₹${data.paid_amount} paid · ₹${data.balance} left`, 'info');
+            }
+        });
+
+        // Staff confirmed the cash (bill-updated follows) or turned it down
+        sse.addEventListener('cash-payment', (e) => {
+            const data = JSON.parse(e.data);
+            if (data.payment_id !== state.pendingCash) return;
+            state.pendingCash = null;
+            setPayButtons(null);
+            if (data.status === 'failed') {
+                showToast('The staff could not confirm your cash payment. Please ask them.', 'error');
+            } else {
+                state.split = { mode: 'full' };
+                state.tip = { percent: null, amount: null };
+            }
+        });
+
+        // Money on its way back, or arrived
+        sse.addEventListener('refund-updated', async (e) => {
+            const data = JSON.parse(e.data);
+            const order = await fetch(`/api/orders/${orderId}?token=${state.token}`).then(r => r.json());
+            updateTrackingUI(order);
+            showToast(data.refund.status === 'processed'
+                ? `₹${data.refund.amount} has been refunded`
+                : `A refund of ₹${data.refund.amount} is on its way`, 'info');
+        });
+
         sse.onerror = () => {
             console.warn('SSE connection lost, will reconnect...');
         };
     }
 
+    window.cancelOrder = async function () {
+        if (!state.currentOrderId || !confirm('Cancel this order? Anything you paid will be refunded.')) return;
+        try {
+            const resp = await fetch(`/api/orders/${state.currentOrderId}/cancel`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ table_token: state.token })
+            });
+            const result = await resp.json();
+            if (!resp.ok) throw new Error(result.error || 'Could not cancel the order');
+
+            const order = await fetch(`/api/orders/${state.currentOrderId}?token=${state.token}`).then(r => r.json());
+            updateTrackingUI(order);
+            showToast('Your order was cancelled', 'info');
+        } catch (err) {
+            showToast(err.message, 'error');
+        }
+    };
+
+    // ─── Split Bill ──────────────────────────────────────────
+
+    // This payer's part of the bill: all that is left, equal shares, the
+    // items they had or an amount — the server prices it (split-quote)
+    function splitPayload() {
+        const { mode, parts, shares, itemIds, amount } = state.split;
+        if (mode === 'equal') return { mode, parts, shares };
+        if (mode === 'items') return { mode, item_ids: itemIds };
+        if (mode === 'amount') return { mode, amount };
+        return { mode: 'full' };
+    }
+
+    const equalSharesPaid = (order, parts) => (order.payments || [])
+        .filter(p => p.split_mode === 'equal' && p.split_parts === parts)
+        .reduce((sum, p) => sum + p.split_shares, 0);
+
+    function paymentMethodLabel(order) {
+        const methods = [...new Set((order.payments || []).map(p => p.method === 'cash' ? 'Cash' : 'Online'))];
+        return order.payments && order.payments.length > 1
+            ? `Split · ${order.payments.length} payments (${methods.join(' + ')})`
+            : methods[0] || 'Pay at Table';
+    }
+
+    const billedItems = order => order.items.filter(item => !item.cancelled);
+
+    function renderSplit(order) {
+        state.billOrder = order;
+        const split = state.split;
+
+        const payments = (order.payments || []).map(p => `
+            <div class="bill-payment">${p.method === 'cash' ? '💵' : '💳'} ₹${p.amount}${p.split_mode === 'equal' ? ` · ${p.split_shares} of ${p.split_parts} shares` : ''}</div>`
+        ).join('');
+        document.getElementById('bill-progress').innerHTML = order.paid_amount > 0
+            ? `₹${order.paid_amount} of ₹${order.total_amount} paid · <strong>₹${order.balance} left</strong>${payments}`
+            : `<strong>₹${order.balance}</strong> to pay`;
+        document.querySelectorAll('.split-mode').forEach(btn =>
+            btn.classList.toggle('active', btn.dataset.mode === split.mode));
+
+        let detail = '';
+        if (split.mode === 'equal') {
+            const sharesLeft = split.parts - equalSharesPaid(order, split.parts);
+            split.shares = Math.max(1, Math.min(split.shares, sharesLeft));
+            const stepper = (label, field, value) => `
+            <div class="split-stepper">
+                <span>${label}</span>
+                <div class="qty-control">
+                    <button class="qty-btn" onclick="stepSplit('${field}', -1)">−</button>
+                    <span class="qty-count">${value}</span>
+                    <button class="qty-btn" onclick="stepSplit('${field}', 1)">+</button>
+                </div>
+            </div>`;
+            detail = stepper('Split between (people)', 'parts', split.parts) +
+                stepper(`Shares I'm paying (${sharesLeft} left)`, 'shares', split.shares);
+        } else if (split.mode === 'items') {
+            const paid = new Set(order.items.filter(item => item.paid).map(item => item.id));
+            split.itemIds = split.itemIds.filter(id => !paid.has(id));
+            detail = summaryLines(billedItems(order)).map((line, i) => `
+            <label class="split-item ${line.paid ? 'paid' : ''}">
+                <input type="checkbox" onchange="toggleSplitItem(${i})" ${line.paid ? 'disabled' : ''}
+                    ${!line.paid && line.ids.every(id => split.itemIds.includes(id)) ? 'checked' : ''}>
+                <span>${line.quantity}× ${line.item_name}</span>
+                <span>${line.paid ? 'Paid' : linePrice(line)}</span>
+            </label>`).join('');
+        } else if (split.mode === 'amount') {
+            detail = `<input type="number" class="note-input" min="1" max="${order.balance}" step="0.01"
+                placeholder="Amount (₹)" value="${split.amount ?? ''}" oninput="setSplitAmount(this.value)">`;
+        }
+        document.getElementById('split-detail').innerHTML = detail;
+        requoteSplit();
+    }
+
+    window.setSplitMode = function (mode) {
+        if (mode === 'equal') {
+            // Join the split others at the table started
+            const started = (state.billOrder.payments || []).find(p => p.split_mode === 'equal');
+            state.split = { mode, parts: started ? started.split_parts : 2, shares: 1 };
+        } else if (mode === 'items') {
+            state.split = { mode, itemIds: [] };
+        } else {
+            state.split = { mode };
+        }
+        renderSplit(state.billOrder);
+    };
+
+    window.stepSplit = function (field, delta) {
+        const split = state.split;
+        if (field === 'parts') split.parts = Math.max(2, Math.min(20, split.parts + delta));
+        else split.shares += delta;
+        renderSplit(state.billOrder);
+    };
+
+    window.toggleSplitItem = function (index) {
+        const line = summaryLines(billedItems(state.billOrder))[index];
+        const split = state.split;
+        split.itemIds = line.ids.every(id => split.itemIds.includes(id))
+            ? split.itemIds.filter(id => !line.ids.includes(id))
+            : [...split.itemIds, ...line.ids];
+        renderSplit(state.billOrder);
+    };
+
+    window.setSplitAmount = function (value) {
+        state.split.amount = value === '' ? null : Number(value);
+        requoteSplit();
+    };
+
+    let splitQuoteTimer = null;
+    function requoteSplit() {
+        clearTimeout(splitQuoteTimer);
+        const payload = splitPayload();
+        const showQuote = (amount, error) => {
+            state.payAmount = amount;
+            const amountEl = document.getElementById('pay-bill-amount');
+            if (amountEl) amountEl.textContent = payTotal();
+            renderTips();
+            const errorEl = document.getElementById('split-error');
+            errorEl.textContent = error || '';
+            errorEl.classList.toggle('hidden', !error);
+            document.getElementById('pay-online-btn').disabled = !!error;
+            document.getElementById('pay-cash-btn').disabled = !!error;
+        };
+
+        if (payload.mode === 'items' && !payload.item_ids.length) return showQuote(0, 'Tick the items you had');
+        if (payload.mode === 'amount' && !(payload.amount > 0)) return showQuote(0, 'Enter the amount you are paying');
+
+        splitQuoteTimer = setTimeout(async () => {
+            try {
+                const resp = await fetch('/api/payments/split-quote', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ table_token: state.token, order_id: state.currentOrderId, split: payload })
+                });
+                const result = await resp.json();
+                // A later change has asked again
+                if (JSON.stringify(payload) !== JSON.stringify(splitPayload())) return;
+                if (resp.ok) showQuote(result.amount, null);
+                else showQuote(0, result.error || 'Could not work out your share');
+            } catch (err) {
+                console.error('Split quote error:', err);
+            }
+        }, 300);
+    }
+
+    // method: the button being processed, or null to restore both
+    function setPayButtons(method) {
+        const online = document.getElementById('pay-online-btn');
+        const cash = document.getElementById('pay-cash-btn');
+        online.disabled = cash.disabled = !!method;
+        online.innerHTML = method === 'online'
+            ? 'Processing...'
+            : `💳 Pay Online — ₹<span id="pay-bill-amount">${payTotal()}</span>`;
+        cash.textContent = method === 'cash' ? 'Processing...'
+            : method === 'cash-pending' ? 'Waiting for staff to confirm...'
+            : '💵 Paid by Cash';
+    }
+
+    // ─── Tips ────────────────────────────────────────────────
+
+    // Charged with the payment, apart from the bill
+    function tipAmount() {
+        const { percent, amount } = state.tip;
+        if (percent) return Math.round(state.payAmount * percent) / 100;
+        return amount > 0 ? Math.round(amount * 100) / 100 : 0;
+    }
+
+    const payTotal = () => Math.round((state.payAmount + tipAmount()) * 100) / 100;
+
+    function renderTips() {
+        const presets = state.tableInfo?.tip_presets || [];
+        const { percent, amount } = state.tip;
+        const custom = amount !== null;
+        const option = (label, onclick, active) =>
+            `<button class="split-mode ${active ? 'active' : ''}" onclick="${onclick}">${label}</button>`;
+        document.getElementById('tip-options').innerHTML =
+            option('No tip', 'setTip(null)', !percent && !custom) +
+            presets.map(p => option(`${p}% · ₹${Math.round(state.payAmount * p) / 100}`, `setTip(${p})`, percent === p)).join('') +
+            option('Custom', "setTip('custom')", custom);
+        document.getElementById('tip-custom').classList.toggle('hidden', !custom);
+    }
+
+    window.setTip = function (choice) {
+        state.tip = choice === 'custom'
+            ? { percent: null, amount: state.tip.amount ?? 0 }
+            : { percent: choice, amount: null };
+        renderTips();
+        const amountEl = document.getElementById('pay-bill-amount');
+        if (amountEl) amountEl.textContent = payTotal();
+        if (choice === 'custom') document.getElementById('tip-custom').focus();
+    };
+
+    window.setCustomTip = function (value) {
+        state.tip = { percent: null, amount: value === '' ? 0 : Number(value) };
+        const amountEl = document.getElementById('pay-bill-amount');
+        if (amountEl) amountEl.textContent = payTotal();
+    };
+
     // ─── Pay Bill (Postpaid) ─────────────────────────────────
 
     window.payBill = async function () {
-        const payBtn = document.querySelector('#pay-bill-section .btn');
-        if (payBtn) { payBtn.disabled = true; payBtn.textContent = 'Processing...'; }
+        setPayButtons('online');
 
         try {
             const createResp = await fetch('/api/payments/create-order', {
@@ -795,14 +1584,16 @@
                 body: JSON.stringify({
                     table_token: state.token,
                     order_id: state.currentOrderId,
-                    payment_mode: 'POSTPAID'
+                    payment_mode: 'POSTPAID',
+                    split: splitPayload(),
+                    tip: tipAmount()
                 })
             });
 
             if (!createResp.ok) {
                 const errData = await createResp.json().catch(() => ({}));
                 showToast(errData.error || 'Failed to create payment', 'error');
-                if (payBtn) { payBtn.disabled = false; payBtn.textContent = `💳 Pay Bill — ₹${document.getElementById('pay-bill-amount').textContent}`; }
+                setPayButtons(null);
                 return;
             }
 
@@ -825,69 +1616,43 @@
 
                     const result = await verifyResp.json();
                     if (result.verified) {
-                        // Fetch full order for receipt
-                        const orderResp = await fetch(`/api/orders/${state.currentOrderId}?token=${state.token}`);
-                        const order = await orderResp.json();
-                        showReceiptView(order, 'UPI / Online');
+                        await afterBillPayment(result, 'UPI / Online');
                     } else {
                         showToast(result.error || 'Verification failed', 'error');
-                        if (payBtn) { payBtn.disabled = false; payBtn.textContent = `💳 Pay Bill — ₹${document.getElementById('pay-bill-amount').textContent}`; }
+                        setPayButtons(null);
                     }
                 } catch (verifyErr) {
                     console.error('Verify error:', verifyErr);
                     showToast('Verification error. Please contact staff.', 'error');
-                    if (payBtn) { payBtn.disabled = false; }
+                    setPayButtons(null);
                 }
             };
 
-            if (paymentOrder.mock_mode) {
-                await onPaymentSuccess(
-                    'mock_pay_' + Date.now(),
-                    paymentOrder.razorpay_order_id,
-                    ''
-                );
-            } else {
-                if (typeof window.Razorpay === 'undefined') {
-                    showToast('Payment gateway is loading. Please wait and try again.', 'error');
-                    if (payBtn) { payBtn.disabled = false; }
-                    return;
+            openCheckout(paymentOrder, {
+                name: state.tableInfo?.restaurant_name || 'Restaurant',
+                description: 'Bill Payment',
+                prefill: { method: 'upi' }
+            }, {
+                onPaid: function (response) {
+                    return onPaymentSuccess(
+                        response.razorpay_payment_id,
+                        response.razorpay_order_id,
+                        response.razorpay_signature
+                    );
+                },
+                onFailed: function (message) {
+                    showToast(message, 'error');
+                    setPayButtons(null);
+                },
+                onCancelled: function () {
+                    showToast('Payment cancelled', 'info');
+                    setPayButtons(null);
                 }
-
-                const options = {
-                    key: paymentOrder.key_id,
-                    amount: paymentOrder.amount,
-                    currency: paymentOrder.currency,
-                    name: state.tableInfo?.restaurant_name || 'Restaurant',
-                    description: 'Bill Payment',
-                    order_id: paymentOrder.razorpay_order_id,
-                    handler: async function (response) {
-                        await onPaymentSuccess(
-                            response.razorpay_payment_id,
-                            response.razorpay_order_id,
-                            response.razorpay_signature
-                        );
-                    },
-                    modal: {
-                        ondismiss: function () {
-                            showToast('Payment cancelled', 'info');
-                            if (payBtn) { payBtn.disabled = false; payBtn.textContent = `💳 Pay Bill — ₹${document.getElementById('pay-bill-amount').textContent}`; }
-                        }
-                    },
-                    prefill: { method: 'upi' },
-                    theme: { color: '#e8a838' }
-                };
-
-                const rzp = new window.Razorpay(options);
-                rzp.on('payment.failed', function (resp) {
-                    showToast(resp.error?.description || 'Payment failed. Please try again.', 'error');
-                    if (payBtn) { payBtn.disabled = false; }
-                });
-                rzp.open();
-            }
+            });
         } catch (err) {
             console.error('Pay bill error:', err);
             showToast('Payment failed. Please try again.', 'error');
-            if (payBtn) { payBtn.disabled = false; }
+            setPayButtons(null);
         }
     };
 
@@ -897,8 +1662,7 @@
             return;
         }
 
-        const cashBtn = document.querySelector('#pay-bill-section .btn-success');
-        if (cashBtn) { cashBtn.disabled = true; cashBtn.textContent = 'Processing...'; }
+        setPayButtons('cash');
 
         try {
             const resp = await fetch('/api/payments/pay-cash', {
@@ -906,35 +1670,54 @@
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     table_token: state.token,
-                    order_id: state.currentOrderId
+                    order_id: state.currentOrderId,
+                    split: splitPayload(),
+                    tip: tipAmount()
                 })
             });
 
             const result = await resp.json();
 
             if (result.success) {
-                // Fetch full order for receipt
-                const orderResp = await fetch(`/api/orders/${state.currentOrderId}?token=${state.token}`);
-                const order = await orderResp.json();
-                showReceiptView(order, 'Cash');
+                // Settled once the staff confirm they have the cash
+                state.pendingCash = result.payment_id;
+                setPayButtons('cash-pending');
+                showToast(result.message, 'info');
             } else {
                 showToast(result.error || 'Failed to record cash payment', 'error');
-                if (cashBtn) { cashBtn.disabled = false; cashBtn.textContent = '💵 Paid by Cash'; }
+                setPayButtons(null);
             }
         } catch (err) {
             console.error('Cash payment error:', err);
             showToast('Something went wrong. Please try again.', 'error');
-            if (cashBtn) { cashBtn.disabled = false; cashBtn.textContent = '💵 Paid by Cash'; }
+            setPayButtons(null);
         }
     };
 
+    // The receipt once the bill is settled; otherwise back to what is left
+    async function afterBillPayment(result, method) {
+        const orderResp = await fetch(`/api/orders/${state.currentOrderId}?token=${state.token}`);
+        const order = await orderResp.json();
+        if (result.refund) showToast(result.message, result.refund.status === 'failed' ? 'error' : 'info');
+        if (result.settled) {
+            showReceiptView(order, order.payments.length > 1 ? paymentMethodLabel(order) : method);
+        } else {
+            state.split = { mode: 'full' };
+            state.tip = { percent: null, amount: null };
+            updateTrackingUI(order);
+            showToast(`Thanks! ₹${result.balance} is left to pay`, 'success');
+        }
+    }
+
     window.goBackToMenu = async function () {
         if (state.sseConnection) {
             state.sseConnection.close();
         }
         // Remember the current order so new items get added to it (not a new order)
-        if (state.currentOrderId) {
+        if (state.currentOrderId && !state.orderCancelled) {
             state.addingToOrderId = state.currentOrderId;
+        } else if (state.orderCancelled) {
+            state.addingToOrderId = null;
         }
         hide('tracking-view');
         hide('receipt-view');
@@ -955,7 +1738,7 @@
         updateCartUI();
         // Re-render menu items to reset any quantity badges
         if (state.menu) {
-            renderMenu(state.menu.categories);
+            renderMenu(state.menu.categories, state.menu.combos || []);
         }
         window.history.replaceState({}, '', `/order?token=${state.token}`);
     };
@@ -973,14 +1756,19 @@
             order.table_number || state.tableInfo?.table_number || '-';
 
         // Items
-        const itemsHtml = (order.items || []).map(item =>
-            `<div class="order-summary-item">
-               <span>${item.quantity}× ${item.item_name}</span>
-               <span>₹${item.price_at_order * item.quantity}</span>
+        const itemsHtml = summaryLines(order.items).map(item =>
+            `<div class="order-summary-item ${item.cancelled ? 'cancelled' : ''}">
+               <span>${item.quantity}× ${item.item_name}${modifierText(item)}</span>
+               <span>${linePrice(item)}</span>
              </div>`
         ).join('');
-        document.getElementById('receipt-items').innerHTML = itemsHtml;
-        document.getElementById('receipt-total').textContent = order.total_amount;
+        // Tips are paid with the bill but are not part of it
+        const tipHtml = order.tip_amount > 0
+            ? `<div class="order-summary-item"><span>🙏 Tip — thank you!</span><span>₹${order.tip_amount}</span></div>`
+            : '';
+        document.getElementById('receipt-items').innerHTML = itemsHtml + billLines(order) + tipHtml;
+        document.getElementById('receipt-total').textContent = Math.round((order.total_amount + (order.tip_amount || 0)) * 100) / 100;
+        document.getElementById('receipt-invoices').innerHTML = invoiceLinks(order.invoices) + refundLines(order.refunds);
 
         // Payment details
         document.getElementById('receipt-payment-method').textContent =
@@ -1099,8 +1887,9 @@
     function applyFilters() {
         const allItems = state.menu.categories.flatMap(c => c.items);
         document.querySelectorAll('.menu-item').forEach(el => {
-            const id = parseInt(el.id.replace('menu-item-', ''));
-            const item = allItems.find(i => i.id === id);
+            const item = el.dataset.combo
+                ? (state.menu.combos || []).find(c => c.id === Number(el.dataset.combo))
+                : allItems.find(i => i.id === parseInt(el.id.replace('menu-item-', '')));
             if (!item) return;
 
             let visible = true;
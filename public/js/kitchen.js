@@ -13,7 +13,9 @@
 
     let orders = [];
     let sse = null;
+    let lastEventId = null; // resume point after a reconnect
     let timerInterval = null;
+    let stockItems = []; // shown in the stock panel while it is open
 
     // ─── Init ────────────────────────────────────────────────
 
@@ -41,15 +43,18 @@
 
     function connectSSE() {
         if (sse) sse.close();
-        sse = new EventSource(`/api/sse/kitchen?restaurant_id=${user.restaurant_id}`);
+        const resume = lastEventId ? `&last_event_id=${encodeURIComponent(lastEventId)}` : '';
+        sse = new EventSource(`/api/sse/kitchen?access_token=${encodeURIComponent(token)}${resume}`);
 
         const dot = document.getElementById('connection-dot');
 
-        sse.addEventListener('connected', () => {
+        sse.addEventListener('connected', (e) => {
+            lastEventId = e.lastEventId || lastEventId;
             dot.classList.remove('disconnected');
         });
 
         sse.addEventListener('new-order', (e) => {
+            lastEventId = e.lastEventId || lastEventId;
             const order = JSON.parse(e.data);
             // Avoid duplicates
             if (!orders.find(o => o.id === order.id)) {
@@ -61,11 +66,19 @@
         });
 
         sse.addEventListener('order-updated', (e) => {
+            lastEventId = e.lastEventId || lastEventId;
             const data = JSON.parse(e.data);
             const idx = orders.findIndex(o => o.id === data.order_id);
             if (idx !== -1) {
-                // Remove if marked READY or SERVED (no longer kitchen's concern)
-                if (data.internal_status === 'READY' || data.internal_status === 'SERVED') {
+                if (data.cancelled) {
+                    orders.splice(idx, 1);
+                    showToast(`Table ${data.table_number} order was cancelled`, 'error');
+                } else if (data.cancelled_item_ids) {
+                    loadOrders();
+                    showToast(`Table ${data.table_number}: an item was cancelled`, 'info');
+                    return;
+                } else if (data.internal_status === 'READY' || data.internal_status === 'SERVED') {
+                    // No longer kitchen's concern
                     orders.splice(idx, 1);
                 } else {
                     orders[idx].internal_status = data.internal_status;
@@ -75,6 +88,22 @@
             }
         });
 
+        sse.addEventListener('menu-updated', (e) => {
+            lastEventId = e.lastEventId || lastEventId;
+            const data = JSON.parse(e.data);
+            data.items.forEach(update => {
+                const item = stockItems.find(i => i.id === update.id);
+                if (item) Object.assign(item, update);
+            });
+            renderStock();
+        });
+
+        // Too much was missed to replay — start over from the feed
+        sse.addEventListener('resync', (e) => {
+            lastEventId = e.lastEventId;
+            loadOrders();
+        });
+
         sse.onerror = () => {
             dot.classList.add('disconnected');
             setTimeout(() => {
@@ -126,11 +155,13 @@
           </div>
 
           <div class="order-card-body">
-            ${(order.items || []).map(item => `
+            ${(order.items || []).map((item, i, items) => `
+              ${comboHeader(items, i)}
               <div class="order-item-row">
                 <div class="order-item-qty">${item.quantity}×</div>
                 <div class="order-item-name">${item.item_name}</div>
               </div>
+              ${formatModifiers(item) ? `<div class="order-item-modifiers">⚙️ ${formatModifiers(item)}</div>` : ''}
               ${item.notes ? `<div class="order-item-note">📝 ${item.notes}</div>` : ''}
             `).join('')}
           </div>
@@ -189,6 +220,78 @@
         }
     };
 
+    // ─── Stock ───────────────────────────────────────────────
+
+    window.openStock = async function () {
+        try {
+            const resp = await fetch('/api/menu/items/stock', {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            if (!resp.ok) return showToast('Failed to load stock', 'error');
+            stockItems = await resp.json();
+        } catch (err) {
+            return showToast('Connection error', 'error');
+        }
+
+        document.getElementById('modal-container').innerHTML = `
+      <div class="modal-overlay" onclick="closeStock()">
+        <div class="modal" onclick="event.stopPropagation()">
+          <div class="modal-header">
+            <h3 class="modal-title">Stock — 86 items for today</h3>
+            <button class="modal-close" onclick="closeStock()">✕</button>
+          </div>
+          <div class="modal-body" id="stock-list"></div>
+        </div>
+      </div>
+    `;
+        renderStock();
+    };
+
+    window.closeStock = function () {
+        stockItems = [];
+        document.getElementById('modal-container').innerHTML = '';
+    };
+
+    function renderStock() {
+        const list = document.getElementById('stock-list');
+        if (!list) return;
+        list.innerHTML = stockItems.map(item => `
+        <div class="stock-row ${item.available ? '' : 'sold-out'}">
+          <div class="stock-name">
+            <div>${item.name}</div>
+            <div class="stock-category">${item.category_name}</div>
+          </div>
+          <input class="form-input stock-count" type="number" min="0" placeholder="∞"
+            value="${item.stock_count === null ? '' : item.stock_count}"
+            onchange="setStock(${item.id}, { stock_count: this.value === '' ? null : parseInt(this.value) })">
+          <button class="btn btn-sm ${item.sold_out ? 'btn-success' : 'btn-danger'}"
+            onclick="setStock(${item.id}, { sold_out: ${!item.sold_out} })">${item.sold_out ? 'Back on' : '86 it'}</button>
+        </div>
+      `).join('');
+    }
+
+    window.setStock = async function (itemId, changes) {
+        try {
+            const resp = await fetch(`/api/menu/items/${itemId}/stock`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify(changes)
+            });
+            const data = await resp.json();
+            if (!resp.ok) return showToast(data.error || 'Failed to update stock', 'error');
+
+            const item = stockItems.find(i => i.id === itemId);
+            if (item) Object.assign(item, data);
+            renderStock();
+            showToast(data.available ? `${data.name} is available` : `${data.name} is sold out`, data.available ? 'success' : 'info');
+        } catch (err) {
+            showToast('Connection error', 'error');
+        }
+    };
+
     // ─── Helpers ─────────────────────────────────────────────
 
     function getElapsedTime(createdAt) {
@@ -245,7 +348,20 @@
         }, 3000);
     }
 
+    // "Spice level: Hot, Add-ons: Extra butter"
+    function formatModifiers(item) {
+        return (item.modifiers || []).map(m => `${m.group}: ${m.option}`).join(', ');
+    }
+
+    // Combo components arrive as separate lines; label each group once
+    function comboHeader(items, index) {
+        const item = items[index];
+        if (!item.combo_ref || (index > 0 && items[index - 1].combo_ref === item.combo_ref)) return '';
+        return `<div class="order-item-combo">🍱 ${item.quantity}× ${item.combo_name}</div>`;
+    }
+
     window.logout = function () {
+        fetch('/api/auth/logout', { method: 'POST', keepalive: true }).catch(() => { });
         localStorage.removeItem('staff_token');
         localStorage.removeItem('staff_user');
         window.location.href = '/staff';
@@ -12,10 +12,13 @@
     }
 
     let orders = [];
+    let cashPayments = []; // customers waiting for their cash to be confirmed
     let sse = null;
+    let lastEventId = null; // resume point after a reconnect
 
     document.addEventListener('DOMContentLoaded', () => {
         loadOrders();
+        loadCash();
         connectSSE();
         setInterval(updateTimers, 1000);
     });
@@ -33,18 +36,39 @@
         }
     }
 
+    async function loadCash() {
+        try {
+            const resp = await fetch('/api/payments/cash-pending', {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            if (resp.status === 401 || resp.status === 403) { logout(); return; }
+            cashPayments = await resp.json();
+            renderCash();
+        } catch (err) {
+            console.error('Load cash error:', err);
+        }
+    }
+
     function connectSSE() {
         if (sse) sse.close();
-        sse = new EventSource(`/api/sse/waiter?restaurant_id=${user.restaurant_id}`);
+        const resume = lastEventId ? `&last_event_id=${encodeURIComponent(lastEventId)}` : '';
+        sse = new EventSource(`/api/sse/waiter?access_token=${encodeURIComponent(token)}${resume}`);
         const dot = document.getElementById('connection-dot');
 
-        sse.addEventListener('connected', () => {
+        sse.addEventListener('connected', (e) => {
+            lastEventId = e.lastEventId || lastEventId;
             dot.classList.remove('disconnected');
         });
 
         sse.addEventListener('order-updated', (e) => {
+            lastEventId = e.lastEventId || lastEventId;
             const data = JSON.parse(e.data);
-            if (data.internal_status === 'READY') {
+            if (data.cancelled) {
+                orders = orders.filter(o => o.id !== data.order_id);
+                renderOrders();
+            } else if (data.cancelled_item_ids) {
+                if (orders.some(o => o.id === data.order_id)) loadOrders();
+            } else if (data.internal_status === 'READY') {
                 // A new READY order — reload to get full data
                 loadOrders();
                 playNotification();
@@ -56,11 +80,30 @@
         });
 
         sse.addEventListener('call-waiter', (e) => {
+            lastEventId = e.lastEventId || lastEventId;
             const data = JSON.parse(e.data);
             playUrgentNotification();
             showToast(`🔔 Table ${data.table_number} is calling you!`, 'info');
         });
 
+        // A customer paying in cash, or another waiter dealing with it
+        sse.addEventListener('cash-payment', (e) => {
+            lastEventId = e.lastEventId || lastEventId;
+            const data = JSON.parse(e.data);
+            if (data.status === 'created') {
+                playUrgentNotification();
+                showToast(`💵 Table ${data.table_number} is paying ₹${data.amount + (data.tip_amount || 0)} in cash`, 'info');
+            }
+            loadCash();
+        });
+
+        // Too much was missed to replay — start over from the feed
+        sse.addEventListener('resync', (e) => {
+            lastEventId = e.lastEventId;
+            loadOrders();
+            loadCash();
+        });
+
         sse.onerror = () => {
             dot.classList.add('disconnected');
             setTimeout(() => {
@@ -100,11 +143,13 @@
           </div>
 
           <div class="order-card-body">
-            ${(order.items || []).map(item => `
+            ${(order.items || []).map((item, i, items) => `
+              ${comboHeader(items, i)}
               <div class="order-item-row">
                 <div class="order-item-qty">${item.quantity}×</div>
                 <div class="order-item-name">${item.item_name}</div>
               </div>
+              ${formatModifiers(item) ? `<div class="order-item-modifiers">⚙️ ${formatModifiers(item)}</div>` : ''}
             `).join('')}
           </div>
 
@@ -119,6 +164,63 @@
         }).join('');
     }
 
+    function renderCash() {
+        document.getElementById('stat-cash').textContent = cashPayments.length;
+        document.getElementById('cash-container').innerHTML = cashPayments.map(p => `
+        <div class="order-card">
+          <div class="order-card-header">
+            <div class="order-table">
+              <div class="table-number-badge">${p.table_number}</div>
+              <div class="order-meta">
+                <div class="order-id">#${p.order_id}</div>
+                <div class="order-time">Asked ${getElapsedTime(p.created_at).display} ago</div>
+              </div>
+            </div>
+            <span class="status-badge status-ready">💵 ₹${Math.round((p.amount + (p.tip_amount || 0)) * 100) / 100}</span>
+          </div>
+
+          <div class="order-card-body">
+            <div class="order-item-row">
+              <div class="order-item-name">${p.split_mode && p.split_mode !== 'full' ? 'Their part of the bill' : 'The bill'}: ₹${p.amount}${p.tip_amount > 0 ? ` + ₹${p.tip_amount} tip` : ''}</div>
+            </div>
+          </div>
+
+          <div class="order-card-footer">
+            <button class="btn btn-secondary btn-sm" onclick="rejectCash(${p.id})">✖ No Cash</button>
+            <button class="btn btn-success btn-sm" onclick="confirmCash(${p.id})">✅ Cash Received</button>
+          </div>
+        </div>
+      `).join('');
+    }
+
+    // The customer has handed over the cash: settles their part of the bill
+    window.confirmCash = async function (paymentId) {
+        await answerCash(paymentId, 'confirm-cash', 'Cash payment confirmed');
+    };
+
+    window.rejectCash = async function (paymentId) {
+        if (!confirm('No cash was handed over for this? The customer will be asked to pay again.')) return;
+        await answerCash(paymentId, 'reject-cash', 'Cash payment turned down');
+    };
+
+    async function answerCash(paymentId, action, done) {
+        try {
+            const resp = await fetch(`/api/payments/${paymentId}/${action}`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await resp.json();
+            if (resp.ok) {
+                showToast(data.settled ? `${done} — bill settled` : done, 'success');
+            } else {
+                showToast(data.error || 'Failed', 'error');
+            }
+            loadCash();
+        } catch (err) {
+            showToast('Connection error', 'error');
+        }
+    }
+
     window.markServed = async function (orderId) {
         try {
             const resp = await fetch(`/api/orders/${orderId}/status`, {
@@ -202,7 +304,20 @@
         }, 3000);
     }
 
+    // "Spice level: Hot, Add-ons: Extra butter"
+    function formatModifiers(item) {
+        return (item.modifiers || []).map(m => `${m.group}: ${m.option}`).join(', ');
+    }
+
+    // Combo components arrive as separate lines; label each group once
+    function comboHeader(items, index) {
+        const item = items[index];
+        if (!item.combo_ref || (index > 0 && items[index - 1].combo_ref === item.combo_ref)) return '';
+        return `<div class="order-item-combo">🍱 ${item.quantity}× ${item.combo_name}</div>`;
+    }
+
     window.logout = function () {
+        fetch('/api/auth/logout', { method: 'POST', keepalive: true }).catch(() => { });
         localStorage.removeItem('staff_token');
         localStorage.removeItem('staff_user');
         window.location.href = '/staff';
@@ -0,0 +1,63 @@
+const { QueryBuilder, QueryError, NOW, TODAY } = require('./query');
+const { forTenant } = require('./tenant');
+
+// ─── Storage adapter selection ────────────────────────────────
+// Routes build queries with db.from(table, alias) (see query.js); each driver
+// runs the resulting description its own way:
+//
+// DB_DRIVER=supabase (default)  Supabase REST API (production)
+// DB_DRIVER=sqlite              local SQLite file at SQLITE_PATH (default data/restaurant.db)
+// DB_DRIVER=memory              throwaway in-memory SQLite database (tests, CI)
+
+const DRIVERS = {
+  supabase: () => require('./supabase').createSupabaseAdapter(),
+  sqlite: () => {
+    const { createSqliteAdapter, resolveSqlitePath } = require('./sqlite');
+    return createSqliteAdapter({ filename: resolveSqlitePath() });
+  },
+  memory: () => require('./sqlite').createSqliteAdapter({ filename: ':memory:' })
+};
+
+const driverName = (process.env.DB_DRIVER || 'supabase').toLowerCase();
+
+if (!DRIVERS[driverName]) {
+  throw new Error(`Unknown DB_DRIVER "${driverName}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+}
+
+const adapter = DRIVERS[driverName]();
+
+const db = {
+  driver: adapter.driver,
+  filename: adapter.filename,
+  adapter,
+
+  from(table, alias) {
+    return new QueryBuilder(adapter, table, alias);
+  },
+
+  // Same builder, constrained to one restaurant's rows (see tenant.js)
+  forTenant(restaurantId) {
+    return forTenant(adapter, restaurantId);
+  },
+
+  // db.transaction(fn) → async (...args) running fn inside BEGIN/COMMIT
+  transaction(fn) {
+    return adapter.transaction(fn);
+  },
+
+  // Inside a transaction: runs fn, undoing only its statements if it throws
+  savepoint(fn) {
+    return adapter.savepoint(fn);
+  },
+
+  // Whether a write was turned away by a UNIQUE constraint, on any driver
+  isUniqueViolation(err) {
+    return !!err && (err.code === '23505' || err.code === 'SQLITE_CONSTRAINT_UNIQUE');
+  },
+
+  NOW,
+  TODAY,
+  QueryError
+};
+
+module.exports = db;
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+
+// ─── Versioned schema migrations ──────────────────────────────
+// Each file in migrations/ is NNN_name.js exporting async up(m) and down(m),
+// where m = { dialect, types, exec(sql), query(sql, params), hasColumn(table, column) }
+// and query() takes $1-style placeholders on both dialects. Applied
+// versions are recorded in schema_migrations and every migration runs in its
+// own transaction.
+//
+//   npm run migrate                    apply pending migrations
+//   npm run migrate:rollback           revert the last applied migration
+//   npm run migrate:rollback -- 3      revert the last three
+//
+// SQLite databases (DB_DRIVER=sqlite|memory) are migrated automatically when
+// opened; Supabase/Postgres is migrated over DATABASE_URL.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Column types that differ between the two dialects
+const TYPES = {
+  sqlite: {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    ref: 'INTEGER',
+    money: 'REAL',
+    quantity: 'REAL',
+    timestamp: "TEXT DEFAULT (datetime('now'))"
+  },
+  postgres: {
+    id: 'BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY',
+    ref: 'BIGINT',
+    money: 'NUMERIC(10, 2)',
+    quantity: 'NUMERIC(12, 3)',
+    timestamp: 'TIMESTAMPTZ DEFAULT now()'
+  }
+};
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .sort()
+    .map(file => {
+      const [, version, name] = file.match(/^(\d+)_([\w-]+)\.js$/);
+      const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof up !== 'function' || typeof down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { version, name, up, down };
+    });
+}
+
+// ─── Connections ──────────────────────────────────────────────
+// Runner SQL uses $1-style placeholders (always in order), SQLite gets ?.
+
+function sqliteConnection(conn) {
+  return {
+    dialect: 'sqlite',
+    exec: async sql => { conn.exec(sql); },
+    query: async (sql, params = []) => {
+      const stmt = conn.prepare(sql.replace(/\$\d+/g, '?'));
+      return stmt.reader ? stmt.all(...params) : (stmt.run(...params), []);
+    },
+    columns: async table => conn.prepare(`PRAGMA table_info("${table}")`).all().map(c => c.name)
+  };
+}
+
+function postgresConnection(client) {
+  return {
+    dialect: 'postgres',
+    exec: async sql => { await client.query(sql); },
+    query: async (sql, params = []) => (await client.query(sql, params)).rows,
+    columns: async table => (await client.query(
+      'SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = $1',
+      [table]
+    )).rows.map(r => r.column_name)
+  };
+}
+
+function createContext(conn) {
+  return {
+    dialect: conn.dialect,
+    types: TYPES[conn.dialect],
+    exec: sql => conn.exec(sql),
+    query: (sql, params) => conn.query(sql, params),
+    hasColumn: async (table, column) => (await conn.columns(table)).includes(column)
+  };
+}
+
+async function ensureMigrationsTable(conn) {
+  await conn.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at ${TYPES[conn.dialect].timestamp}
+    )
+  `);
+}
+
+async function inTransaction(conn, fn) {
+  await conn.exec('BEGIN');
+  try {
+    await fn();
+    await conn.exec('COMMIT');
+  } catch (err) {
+    await conn.exec('ROLLBACK').catch(() => { });
+    throw err;
+  }
+}
+
+// ─── Runner ───────────────────────────────────────────────────
+
+// Applies pending migrations in version order → list of applied "NNN_name"
+async function migrate(conn, { log = () => { } } = {}) {
+  await ensureMigrationsTable(conn);
+  const applied = new Set((await conn.query('SELECT version FROM schema_migrations')).map(r => r.version));
+  const pending = loadMigrations().filter(m => !applied.has(m.version));
+
+  for (const migration of pending) {
+    await inTransaction(conn, async () => {
+      await migration.up(createContext(conn));
+      await conn.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    });
+    log(`  ↑ ${migration.version}_${migration.name}`);
+  }
+  return pending.map(m => `${m.version}_${m.name}`);
+}
+
+// Reverts the last `steps` applied migrations → list of reverted "NNN_name"
+async function rollback(conn, { steps = 1, log = () => { } } = {}) {
+  await ensureMigrationsTable(conn);
+  const applied = await conn.query('SELECT version, name FROM schema_migrations ORDER BY version DESC');
+  const available = new Map(loadMigrations().map(m => [m.version, m]));
+  const reverted = [];
+
+  for (const { version, name } of applied.slice(0, steps)) {
+    const migration = available.get(version);
+    if (!migration) {
+      throw new Error(`Migration ${version}_${name} is recorded in schema_migrations but its file is missing`);
+    }
+    await inTransaction(conn, async () => {
+      await migration.down(createContext(conn));
+      await conn.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+    });
+    log(`  ↓ ${version}_${name}`);
+    reverted.push(`${version}_${name}`);
+  }
+  return reverted;
+}
+
+// ─── CLI ──────────────────────────────────────────────────────
+
+async function main() {
+  require('dotenv').config();
+  const [command = 'up', stepsArg] = process.argv.slice(2);
+  const driver = (process.env.DB_DRIVER || 'supabase').toLowerCase();
+
+  if (!['up', 'rollback'].includes(command)) {
+    throw new Error(`Unknown command "${command}" (expected up or rollback)`);
+  }
+
+  let conn, close;
+  if (driver === 'sqlite') {
+    const { openDatabase, resolveSqlitePath } = require('./sqlite');
+    const filename = resolveSqlitePath();
+    const database = openDatabase(filename);
+    conn = sqliteConnection(database);
+    close = async () => database.close();
+    console.log(`🗄️  SQLite: ${filename}`);
+  } else if (driver === 'supabase') {
+    const { getPgPool } = require('./supabase');
+    const pool = getPgPool();
+    if (!pool) throw new Error('DATABASE_URL must be set to migrate the Supabase database');
+    const client = await pool.connect();
+    conn = postgresConnection(client);
+    close = async () => { client.release(); await pool.end(); };
+    console.log('🗄️  Postgres: DATABASE_URL');
+  } else if (driver === 'memory') {
+    throw new Error('Nothing to migrate: the memory driver migrates itself on startup');
+  } else {
+    throw new Error(`Unknown DB_DRIVER "${driver}"`);
+  }
+
+  try {
+    if (command === 'up') {
+      const applied = await migrate(conn, { log: console.log });
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Already up to date');
+    } else {
+      const steps = stepsArg === undefined ? 1 : parseInt(stepsArg, 10);
+      if (!Number.isInteger(steps) || steps < 1) throw new Error(`Invalid number of steps: ${stepsArg}`);
+      const reverted = await rollback(conn, { steps, log: console.log });
+      console.log(reverted.length ? `✅ Rolled back ${reverted.length} migration(s)` : '✅ Nothing to roll back');
+    }
+  } finally {
+    await close();
+  }
+}
+
+// Exported before main() runs: sqlite.js requires this module back
+module.exports = { migrate, rollback, loadMigrations, sqliteConnection, postgresConnection };
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('❌ Migration failed:', err.message);
+    process.exit(1);
+  });
+}
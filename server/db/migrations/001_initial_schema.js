@@ -0,0 +1,122 @@
+// Tables the app shipped with. IF NOT EXISTS lets existing databases
+// (the Supabase project, data/restaurant.db) adopt migrations as a baseline.
+
+exports.up = async ({ exec, types: t }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS restaurants (
+      id ${t.id},
+      name TEXT NOT NULL,
+      description TEXT DEFAULT '',
+      prepaid_enabled INTEGER DEFAULT 1,
+      postpaid_enabled INTEGER DEFAULT 1,
+      created_at ${t.timestamp},
+      updated_at ${t.timestamp}
+    );
+
+    CREATE TABLE IF NOT EXISTS users (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      username TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL CHECK(role IN ('admin', 'kitchen', 'waiter')),
+      name TEXT DEFAULT '',
+      active INTEGER DEFAULT 1,
+      created_at ${t.timestamp}
+    );
+
+    CREATE TABLE IF NOT EXISTS tables (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      table_number INTEGER NOT NULL,
+      qr_token TEXT NOT NULL UNIQUE,
+      seats INTEGER DEFAULT 4,
+      active INTEGER DEFAULT 1,
+      created_at ${t.timestamp},
+      UNIQUE(restaurant_id, table_number)
+    );
+
+    CREATE TABLE IF NOT EXISTS menu_categories (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      name TEXT NOT NULL,
+      description TEXT DEFAULT '',
+      sort_order INTEGER DEFAULT 0,
+      active INTEGER DEFAULT 1,
+      created_at ${t.timestamp}
+    );
+
+    CREATE TABLE IF NOT EXISTS menu_items (
+      id ${t.id},
+      category_id ${t.ref} NOT NULL REFERENCES menu_categories(id),
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      name TEXT NOT NULL,
+      description TEXT DEFAULT '',
+      price ${t.money} NOT NULL,
+      image_url TEXT DEFAULT '',
+      is_veg INTEGER DEFAULT 1,
+      active INTEGER DEFAULT 1,
+      sort_order INTEGER DEFAULT 0,
+      created_at ${t.timestamp},
+      updated_at ${t.timestamp}
+    );
+
+    CREATE TABLE IF NOT EXISTS orders (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      table_id ${t.ref} NOT NULL REFERENCES tables(id),
+      internal_status TEXT NOT NULL DEFAULT 'PLACED' CHECK(internal_status IN ('PLACED', 'PREPARING', 'READY', 'SERVED')),
+      public_status TEXT NOT NULL DEFAULT 'Order placed',
+      payment_mode TEXT NOT NULL CHECK(payment_mode IN ('PREPAID', 'POSTPAID')),
+      total_amount ${t.money} NOT NULL DEFAULT 0,
+      notes TEXT DEFAULT '',
+      created_at ${t.timestamp},
+      updated_at ${t.timestamp}
+    );
+
+    CREATE TABLE IF NOT EXISTS order_items (
+      id ${t.id},
+      order_id ${t.ref} NOT NULL REFERENCES orders(id),
+      menu_item_id ${t.ref} NOT NULL REFERENCES menu_items(id),
+      item_name TEXT NOT NULL,
+      quantity INTEGER NOT NULL DEFAULT 1,
+      price_at_order ${t.money} NOT NULL,
+      notes TEXT DEFAULT ''
+    );
+
+    CREATE TABLE IF NOT EXISTS payments (
+      id ${t.id},
+      order_id ${t.ref} REFERENCES orders(id),
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      razorpay_order_id TEXT,
+      razorpay_payment_id TEXT,
+      razorpay_signature TEXT,
+      amount ${t.money} NOT NULL,
+      currency TEXT DEFAULT 'INR',
+      status TEXT DEFAULT 'created' CHECK(status IN ('created', 'paid', 'failed', 'refunded')),
+      verified INTEGER DEFAULT 0,
+      payment_mode TEXT NOT NULL CHECK(payment_mode IN ('PREPAID', 'POSTPAID')),
+      created_at ${t.timestamp},
+      updated_at ${t.timestamp}
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_orders_restaurant ON orders(restaurant_id);
+    CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(internal_status);
+    CREATE INDEX IF NOT EXISTS idx_orders_table ON orders(table_id);
+    CREATE INDEX IF NOT EXISTS idx_tables_token ON tables(qr_token);
+    CREATE INDEX IF NOT EXISTS idx_menu_items_category ON menu_items(category_id);
+    CREATE INDEX IF NOT EXISTS idx_payments_order ON payments(order_id);
+  `);
+};
+
+exports.down = async ({ exec }) => {
+  await exec(`
+    DROP TABLE IF EXISTS payments;
+    DROP TABLE IF EXISTS order_items;
+    DROP TABLE IF EXISTS orders;
+    DROP TABLE IF EXISTS menu_items;
+    DROP TABLE IF EXISTS menu_categories;
+    DROP TABLE IF EXISTS tables;
+    DROP TABLE IF EXISTS users;
+    DROP TABLE IF EXISTS restaurants;
+  `);
+};
@@ -0,0 +1,25 @@
+// Badges, allergens, prep time and customization options shown on the menu
+
+const COLUMNS = {
+  is_bestseller: 'INTEGER DEFAULT 0',
+  is_spicy: 'INTEGER DEFAULT 0',
+  allergen_tags: 'TEXT',
+  prep_time_mins: 'INTEGER',
+  customizations: 'TEXT'
+};
+
+exports.up = async ({ exec, hasColumn }) => {
+  for (const [column, definition] of Object.entries(COLUMNS)) {
+    if (!await hasColumn('menu_items', column)) {
+      await exec(`ALTER TABLE menu_items ADD COLUMN ${column} ${definition}`);
+    }
+  }
+};
+
+exports.down = async ({ exec, hasColumn }) => {
+  for (const column of Object.keys(COLUMNS)) {
+    if (await hasColumn('menu_items', column)) {
+      await exec(`ALTER TABLE menu_items DROP COLUMN ${column}`);
+    }
+  }
+};
@@ -0,0 +1,21 @@
+// Customer ratings submitted after a meal
+
+exports.up = async ({ exec, types: t }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS feedback (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      order_id ${t.ref} REFERENCES orders(id),
+      table_id ${t.ref} REFERENCES tables(id),
+      rating INTEGER NOT NULL CHECK(rating BETWEEN 1 AND 5),
+      comment TEXT DEFAULT '',
+      created_at ${t.timestamp}
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_feedback_restaurant ON feedback(restaurant_id);
+  `);
+};
+
+exports.down = async ({ exec }) => {
+  await exec('DROP TABLE IF EXISTS feedback');
+};
@@ -0,0 +1,95 @@
+// Modifier groups (e.g. "Spice level", "Add-ons") with priced options, replacing
+// the menu_items.customizations JSON. Existing customizations become required
+// single-choice groups; order lines keep a snapshot of what was chosen.
+
+exports.up = async ({ exec, query, hasColumn, types: t }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS modifier_groups (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      menu_item_id ${t.ref} NOT NULL REFERENCES menu_items(id),
+      name TEXT NOT NULL,
+      min_select INTEGER NOT NULL DEFAULT 0,
+      max_select INTEGER NOT NULL DEFAULT 1,
+      sort_order INTEGER DEFAULT 0,
+      created_at ${t.timestamp},
+      CHECK(min_select >= 0 AND max_select >= 1 AND max_select >= min_select)
+    );
+
+    CREATE TABLE IF NOT EXISTS modifier_options (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      group_id ${t.ref} NOT NULL REFERENCES modifier_groups(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      price_delta ${t.money} NOT NULL DEFAULT 0,
+      is_default INTEGER DEFAULT 0,
+      active INTEGER DEFAULT 1,
+      sort_order INTEGER DEFAULT 0
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_modifier_groups_item ON modifier_groups(menu_item_id);
+    CREATE INDEX IF NOT EXISTS idx_modifier_options_group ON modifier_options(group_id);
+  `);
+
+  if (!await hasColumn('order_items', 'modifiers')) {
+    await exec('ALTER TABLE order_items ADD COLUMN modifiers TEXT');
+  }
+
+  if (await hasColumn('menu_items', 'customizations')) {
+    const items = await query("SELECT id, restaurant_id, customizations FROM menu_items WHERE customizations IS NOT NULL AND customizations <> ''");
+    for (const item of items) {
+      let groups;
+      try {
+        groups = JSON.parse(item.customizations);
+      } catch (e) {
+        continue;
+      }
+      if (!Array.isArray(groups)) continue;
+
+      for (const [groupIndex, group] of groups.entries()) {
+        const options = (group && Array.isArray(group.options) ? group.options : []).filter(o => typeof o === 'string' && o.trim());
+        if (!group || !group.name || !options.length) continue;
+
+        const [{ id: groupId }] = await query(
+          'INSERT INTO modifier_groups (restaurant_id, menu_item_id, name, min_select, max_select, sort_order) VALUES ($1, $2, $3, 1, 1, $4) RETURNING id',
+          [item.restaurant_id, item.id, String(group.name), groupIndex]
+        );
+        for (const [optionIndex, option] of options.entries()) {
+          await query(
+            'INSERT INTO modifier_options (restaurant_id, group_id, name, is_default, sort_order) VALUES ($1, $2, $3, $4, $5)',
+            [item.restaurant_id, groupId, option.trim(), optionIndex === 0 ? 1 : 0, optionIndex]
+          );
+        }
+      }
+    }
+    await exec('ALTER TABLE menu_items DROP COLUMN customizations');
+  }
+};
+
+exports.down = async ({ exec, query, hasColumn }) => {
+  if (!await hasColumn('menu_items', 'customizations')) {
+    await exec('ALTER TABLE menu_items ADD COLUMN customizations TEXT');
+  }
+
+  // Fold groups back into the JSON shape (prices and selection limits are lost)
+  const groups = await query('SELECT id, menu_item_id, name FROM modifier_groups ORDER BY menu_item_id, sort_order, id');
+  const options = await query('SELECT group_id, name FROM modifier_options WHERE active = 1 ORDER BY sort_order, id');
+  const byItem = new Map();
+  for (const group of groups) {
+    const names = options.filter(o => o.group_id === group.id).map(o => o.name);
+    if (!names.length) continue;
+    if (!byItem.has(group.menu_item_id)) byItem.set(group.menu_item_id, []);
+    byItem.get(group.menu_item_id).push({ name: group.name, options: names });
+  }
+  for (const [itemId, customizations] of byItem) {
+    await query('UPDATE menu_items SET customizations = $1 WHERE id = $2', [JSON.stringify(customizations), itemId]);
+  }
+
+  if (await hasColumn('order_items', 'modifiers')) {
+    await exec('ALTER TABLE order_items DROP COLUMN modifiers');
+  }
+  await exec(`
+    DROP TABLE IF EXISTS modifier_options;
+    DROP TABLE IF EXISTS modifier_groups;
+  `);
+};
@@ -0,0 +1,38 @@
+// Sizes/portions of one menu item (half/full, small/large), each with its own
+// price and optional SKU. Order lines record the variant they were sold as.
+
+exports.up = async ({ exec, hasColumn, types: t }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS menu_item_variants (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      menu_item_id ${t.ref} NOT NULL REFERENCES menu_items(id),
+      name TEXT NOT NULL,
+      price ${t.money} NOT NULL CHECK(price >= 0),
+      sku TEXT,
+      is_default INTEGER DEFAULT 0,
+      active INTEGER DEFAULT 1,
+      sort_order INTEGER DEFAULT 0,
+      created_at ${t.timestamp}
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_menu_item_variants_item ON menu_item_variants(menu_item_id);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_menu_item_variants_sku ON menu_item_variants(restaurant_id, sku) WHERE sku IS NOT NULL;
+  `);
+
+  if (!await hasColumn('order_items', 'variant_id')) {
+    await exec(`ALTER TABLE order_items ADD COLUMN variant_id ${t.ref} REFERENCES menu_item_variants(id)`);
+  }
+  if (!await hasColumn('order_items', 'variant_name')) {
+    await exec('ALTER TABLE order_items ADD COLUMN variant_name TEXT');
+  }
+};
+
+exports.down = async ({ exec, hasColumn }) => {
+  for (const column of ['variant_name', 'variant_id']) {
+    if (await hasColumn('order_items', column)) {
+      await exec(`ALTER TABLE order_items DROP COLUMN ${column}`);
+    }
+  }
+  await exec('DROP TABLE IF EXISTS menu_item_variants');
+};
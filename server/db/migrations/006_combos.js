@@ -0,0 +1,69 @@
+// Combo meals: a bundle price plus choice slots ("pick 1 bread", "pick 1
+// drink"), each offering menu items. An ordered combo is stored as one
+// order line per component, tagged with the combo it came from.
+
+exports.up = async ({ exec, hasColumn, types: t }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS combos (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      category_id ${t.ref} REFERENCES menu_categories(id),
+      name TEXT NOT NULL,
+      description TEXT DEFAULT '',
+      price ${t.money} NOT NULL CHECK(price >= 0),
+      image_url TEXT DEFAULT '',
+      is_veg INTEGER DEFAULT 1,
+      active INTEGER DEFAULT 1,
+      sort_order INTEGER DEFAULT 0,
+      created_at ${t.timestamp},
+      updated_at ${t.timestamp}
+    );
+
+    CREATE TABLE IF NOT EXISTS combo_slots (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      combo_id ${t.ref} NOT NULL REFERENCES combos(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      sort_order INTEGER DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS combo_slot_options (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      slot_id ${t.ref} NOT NULL REFERENCES combo_slots(id) ON DELETE CASCADE,
+      menu_item_id ${t.ref} NOT NULL REFERENCES menu_items(id),
+      variant_id ${t.ref} REFERENCES menu_item_variants(id),
+      price_delta ${t.money} NOT NULL DEFAULT 0,
+      is_default INTEGER DEFAULT 0,
+      sort_order INTEGER DEFAULT 0
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_combos_restaurant ON combos(restaurant_id);
+    CREATE INDEX IF NOT EXISTS idx_combo_slots_combo ON combo_slots(combo_id);
+    CREATE INDEX IF NOT EXISTS idx_combo_slot_options_slot ON combo_slot_options(slot_id);
+  `);
+
+  if (!await hasColumn('order_items', 'combo_id')) {
+    await exec(`ALTER TABLE order_items ADD COLUMN combo_id ${t.ref} REFERENCES combos(id)`);
+  }
+  if (!await hasColumn('order_items', 'combo_name')) {
+    await exec('ALTER TABLE order_items ADD COLUMN combo_name TEXT');
+  }
+  // Groups the component lines of one ordered combo
+  if (!await hasColumn('order_items', 'combo_ref')) {
+    await exec('ALTER TABLE order_items ADD COLUMN combo_ref TEXT');
+  }
+};
+
+exports.down = async ({ exec, hasColumn }) => {
+  for (const column of ['combo_ref', 'combo_name', 'combo_id']) {
+    if (await hasColumn('order_items', column)) {
+      await exec(`ALTER TABLE order_items DROP COLUMN ${column}`);
+    }
+  }
+  await exec(`
+    DROP TABLE IF EXISTS combo_slot_options;
+    DROP TABLE IF EXISTS combo_slots;
+    DROP TABLE IF EXISTS combos;
+  `);
+};
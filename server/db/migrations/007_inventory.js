@@ -0,0 +1,26 @@
+// Per-item stock: stock_count is what is left today (NULL = not counted),
+// daily_stock what it resets to at day start, sold_out the kitchen's
+// "86 it for today" switch, and stock_date the day the values belong to.
+
+const COLUMNS = {
+  stock_count: 'INTEGER',
+  daily_stock: 'INTEGER',
+  sold_out: 'INTEGER DEFAULT 0',
+  stock_date: 'TEXT'
+};
+
+exports.up = async ({ exec, hasColumn }) => {
+  for (const [column, definition] of Object.entries(COLUMNS)) {
+    if (!await hasColumn('menu_items', column)) {
+      await exec(`ALTER TABLE menu_items ADD COLUMN ${column} ${definition}`);
+    }
+  }
+};
+
+exports.down = async ({ exec, hasColumn }) => {
+  for (const column of Object.keys(COLUMNS)) {
+    if (await hasColumn('menu_items', column)) {
+      await exec(`ALTER TABLE menu_items DROP COLUMN ${column}`);
+    }
+  }
+};
@@ -0,0 +1,68 @@
+// Ingredient stock and recipes. A recipe line says how much of an ingredient
+// one menu item (or one variant of it) uses; the kitchen starting an order
+// takes those quantities off stock. Every stock change is written to
+// ingredient_movements, which is what usage reports are built from.
+
+exports.up = async ({ exec, hasColumn, types: t }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS ingredients (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      name TEXT NOT NULL,
+      unit TEXT NOT NULL DEFAULT 'g',
+      stock_qty ${t.quantity} NOT NULL DEFAULT 0,
+      low_stock_level ${t.quantity} NOT NULL DEFAULT 0,
+      active INTEGER DEFAULT 1,
+      created_at ${t.timestamp},
+      updated_at ${t.timestamp}
+    );
+
+    CREATE TABLE IF NOT EXISTS recipe_lines (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      menu_item_id ${t.ref} NOT NULL REFERENCES menu_items(id),
+      variant_id ${t.ref} REFERENCES menu_item_variants(id),
+      ingredient_id ${t.ref} NOT NULL REFERENCES ingredients(id),
+      quantity ${t.quantity} NOT NULL CHECK(quantity > 0)
+    );
+
+    CREATE TABLE IF NOT EXISTS ingredient_movements (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      ingredient_id ${t.ref} NOT NULL REFERENCES ingredients(id),
+      kind TEXT NOT NULL CHECK(kind IN ('usage', 'restock', 'waste', 'count')),
+      quantity ${t.quantity} NOT NULL,
+      balance ${t.quantity} NOT NULL,
+      order_id ${t.ref} REFERENCES orders(id),
+      user_id ${t.ref} REFERENCES users(id),
+      note TEXT DEFAULT '',
+      created_at ${t.timestamp}
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_ingredients_restaurant ON ingredients(restaurant_id);
+    CREATE INDEX IF NOT EXISTS idx_recipe_lines_item ON recipe_lines(menu_item_id);
+    CREATE INDEX IF NOT EXISTS idx_ingredient_movements_ingredient ON ingredient_movements(ingredient_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_ingredient_movements_restaurant ON ingredient_movements(restaurant_id, created_at);
+  `);
+
+  // Lines of orders the kitchen had already started were cooked before
+  // ingredients were tracked, so they never come off stock
+  if (!await hasColumn('order_items', 'ingredients_deducted')) {
+    await exec('ALTER TABLE order_items ADD COLUMN ingredients_deducted INTEGER DEFAULT 0');
+    await exec(`
+      UPDATE order_items SET ingredients_deducted = 1
+      WHERE order_id IN (SELECT id FROM orders WHERE internal_status <> 'PLACED')
+    `);
+  }
+};
+
+exports.down = async ({ exec, hasColumn }) => {
+  if (await hasColumn('order_items', 'ingredients_deducted')) {
+    await exec('ALTER TABLE order_items DROP COLUMN ingredients_deducted');
+  }
+  await exec(`
+    DROP TABLE IF EXISTS ingredient_movements;
+    DROP TABLE IF EXISTS recipe_lines;
+    DROP TABLE IF EXISTS ingredients;
+  `);
+};
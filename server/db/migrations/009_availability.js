@@ -0,0 +1,28 @@
+// Availability schedules for categories and items (JSON windows, see
+// utils/availability.js), evaluated in the restaurant's timezone
+
+const COLUMNS = {
+  restaurants: { timezone: "TEXT DEFAULT 'Asia/Kolkata'" },
+  menu_categories: { availability: 'TEXT' },
+  menu_items: { availability: 'TEXT' }
+};
+
+exports.up = async ({ exec, hasColumn }) => {
+  for (const [table, columns] of Object.entries(COLUMNS)) {
+    for (const [column, definition] of Object.entries(columns)) {
+      if (!await hasColumn(table, column)) {
+        await exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    }
+  }
+};
+
+exports.down = async ({ exec, hasColumn }) => {
+  for (const [table, columns] of Object.entries(COLUMNS)) {
+    for (const column of Object.keys(columns)) {
+      if (await hasColumn(table, column)) {
+        await exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      }
+    }
+  }
+};
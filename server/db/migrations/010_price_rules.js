@@ -0,0 +1,41 @@
+// Scheduled price rules (happy hours, buy-one-get-one days), see
+// utils/promotions.js. Order lines keep the list price next to the charged
+// price_at_order, and the rule that made the difference.
+
+exports.up = async ({ exec, hasColumn, types: t }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS price_rules (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      name TEXT NOT NULL,
+      kind TEXT NOT NULL CHECK(kind IN ('percent', 'amount', 'bogo')),
+      value ${t.money} NOT NULL DEFAULT 0,
+      category_id ${t.ref} REFERENCES menu_categories(id),
+      menu_item_id ${t.ref} REFERENCES menu_items(id),
+      availability TEXT,
+      active INTEGER DEFAULT 1,
+      created_at ${t.timestamp},
+      updated_at ${t.timestamp}
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_price_rules_restaurant ON price_rules(restaurant_id, active);
+  `);
+
+  if (!await hasColumn('order_items', 'list_price')) {
+    await exec(`ALTER TABLE order_items ADD COLUMN list_price ${t.money}`);
+    await exec('UPDATE order_items SET list_price = price_at_order');
+  }
+  if (!await hasColumn('order_items', 'price_rule_id')) {
+    await exec(`ALTER TABLE order_items ADD COLUMN price_rule_id ${t.ref} REFERENCES price_rules(id)`);
+    await exec('ALTER TABLE order_items ADD COLUMN price_rule_name TEXT');
+  }
+};
+
+exports.down = async ({ exec, hasColumn }) => {
+  for (const column of ['price_rule_name', 'price_rule_id', 'list_price']) {
+    if (await hasColumn('order_items', column)) {
+      await exec(`ALTER TABLE order_items DROP COLUMN ${column}`);
+    }
+  }
+  await exec('DROP TABLE IF EXISTS price_rules');
+};
@@ -0,0 +1,64 @@
+// Coupon codes (see utils/coupons.js). A redeemed coupon becomes a discount
+// line of its order in order_discounts, which usage limits and the
+// redemption report count. orders.total_amount is after discounts.
+
+exports.up = async ({ exec, hasColumn, types: t }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS coupons (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      code TEXT NOT NULL,
+      description TEXT DEFAULT '',
+      kind TEXT NOT NULL CHECK(kind IN ('flat', 'percent')),
+      value ${t.money} NOT NULL CHECK(value > 0),
+      max_discount ${t.money},
+      min_bill ${t.money} NOT NULL DEFAULT 0,
+      usage_limit INTEGER,
+      per_customer_limit INTEGER,
+      valid_from TEXT,
+      valid_to TEXT,
+      category_id ${t.ref} REFERENCES menu_categories(id),
+      menu_item_id ${t.ref} REFERENCES menu_items(id),
+      active INTEGER DEFAULT 1,
+      created_at ${t.timestamp},
+      updated_at ${t.timestamp},
+      UNIQUE(restaurant_id, code)
+    );
+
+    CREATE TABLE IF NOT EXISTS order_discounts (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      order_id ${t.ref} NOT NULL REFERENCES orders(id),
+      coupon_id ${t.ref} REFERENCES coupons(id),
+      code TEXT,
+      label TEXT NOT NULL,
+      amount ${t.money} NOT NULL,
+      customer_phone TEXT,
+      created_at ${t.timestamp}
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_order_discounts_order ON order_discounts(order_id);
+    CREATE INDEX IF NOT EXISTS idx_order_discounts_coupon ON order_discounts(coupon_id, customer_phone);
+  `);
+
+  if (!await hasColumn('orders', 'discount_amount')) {
+    await exec(`ALTER TABLE orders ADD COLUMN discount_amount ${t.money} DEFAULT 0`);
+  }
+  // A prepaid order is created once paid; the quote's code waits on the payment
+  if (!await hasColumn('payments', 'coupon_code')) {
+    await exec('ALTER TABLE payments ADD COLUMN coupon_code TEXT');
+    await exec('ALTER TABLE payments ADD COLUMN customer_phone TEXT');
+  }
+};
+
+exports.down = async ({ exec, hasColumn }) => {
+  for (const [table, column] of [['payments', 'customer_phone'], ['payments', 'coupon_code'], ['orders', 'discount_amount']]) {
+    if (await hasColumn(table, column)) {
+      await exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+  }
+  await exec(`
+    DROP TABLE IF EXISTS order_discounts;
+    DROP TABLE IF EXISTS coupons;
+  `);
+};
@@ -0,0 +1,59 @@
+// GST and charges (see utils/billing.js). Items take a tax class, or the
+// restaurant's default one; order lines keep the GST rate they were billed
+// at and their share of any coupon, and orders keep the whole bill:
+// subtotal - discount + charges + taxes + round-off = total_amount.
+
+exports.up = async ({ exec, hasColumn, types: t }) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS tax_classes (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      name TEXT NOT NULL,
+      rate ${t.money} NOT NULL DEFAULT 0 CHECK(rate >= 0 AND rate <= 100),
+      created_at ${t.timestamp},
+      updated_at ${t.timestamp},
+      UNIQUE(restaurant_id, name)
+    );
+  `);
+
+  if (!await hasColumn('restaurants', 'default_tax_class_id')) {
+    await exec(`ALTER TABLE restaurants ADD COLUMN default_tax_class_id ${t.ref} REFERENCES tax_classes(id)`);
+    await exec(`ALTER TABLE restaurants ADD COLUMN service_charge_rate ${t.money} DEFAULT 0`);
+    await exec(`ALTER TABLE restaurants ADD COLUMN packaging_charge ${t.money} DEFAULT 0`);
+    await exec('ALTER TABLE restaurants ADD COLUMN round_off INTEGER DEFAULT 0');
+  }
+  if (!await hasColumn('menu_items', 'tax_class_id')) {
+    await exec(`ALTER TABLE menu_items ADD COLUMN tax_class_id ${t.ref} REFERENCES tax_classes(id)`);
+  }
+  if (!await hasColumn('order_items', 'tax_rate')) {
+    await exec(`ALTER TABLE order_items ADD COLUMN tax_rate ${t.money} DEFAULT 0`);
+    await exec(`ALTER TABLE order_items ADD COLUMN discount ${t.money} DEFAULT 0`);
+  }
+  if (!await hasColumn('orders', 'subtotal')) {
+    // Orders so far were never taxed or charged
+    await exec(`ALTER TABLE orders ADD COLUMN subtotal ${t.money}`);
+    await exec('UPDATE orders SET subtotal = total_amount + COALESCE(discount_amount, 0)');
+    await exec(`ALTER TABLE orders ADD COLUMN service_charge ${t.money} DEFAULT 0`);
+    await exec(`ALTER TABLE orders ADD COLUMN packaging_charge ${t.money} DEFAULT 0`);
+    await exec(`ALTER TABLE orders ADD COLUMN tax_amount ${t.money} DEFAULT 0`);
+    await exec('ALTER TABLE orders ADD COLUMN taxes TEXT');
+    await exec(`ALTER TABLE orders ADD COLUMN round_off ${t.money} DEFAULT 0`);
+  }
+};
+
+exports.down = async ({ exec, hasColumn }) => {
+  const columns = [
+    ['orders', 'round_off'], ['orders', 'taxes'], ['orders', 'tax_amount'], ['orders', 'packaging_charge'],
+    ['orders', 'service_charge'], ['orders', 'subtotal'],
+    ['order_items', 'discount'], ['order_items', 'tax_rate'],
+    ['menu_items', 'tax_class_id'],
+    ['restaurants', 'round_off'], ['restaurants', 'packaging_charge'], ['restaurants', 'service_charge_rate'],
+    ['restaurants', 'default_tax_class_id']
+  ];
+  for (const [table, column] of columns) {
+    if (await hasColumn(table, column)) {
+      await exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+  }
+  await exec('DROP TABLE IF EXISTS tax_classes');
+};
@@ -0,0 +1,73 @@
+// GST invoices (see utils/invoices.js). Settled bills get a tax invoice and
+// refunds a credit note against it, numbered without gaps per restaurant and
+// financial year from invoice_sequences. An invoice is a snapshot: seller,
+// lines and totals are copied in when it is issued and never change.
+
+exports.up = async ({ exec, hasColumn, types: t }) => {
+  if (!await hasColumn('restaurants', 'gstin')) {
+    await exec('ALTER TABLE restaurants ADD COLUMN gstin TEXT');
+    await exec('ALTER TABLE restaurants ADD COLUMN legal_name TEXT');
+    await exec('ALTER TABLE restaurants ADD COLUMN address TEXT');
+    await exec("ALTER TABLE restaurants ADD COLUMN invoice_prefix TEXT DEFAULT 'INV'");
+  }
+  if (!await hasColumn('tax_classes', 'hsn_sac')) {
+    // 996331: restaurant and food serving services
+    await exec("ALTER TABLE tax_classes ADD COLUMN hsn_sac TEXT DEFAULT '996331'");
+  }
+
+  await exec(`
+    CREATE TABLE IF NOT EXISTS invoice_sequences (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      kind TEXT NOT NULL CHECK(kind IN ('invoice', 'credit_note')),
+      financial_year TEXT NOT NULL,
+      last_number INTEGER NOT NULL DEFAULT 0,
+      UNIQUE(restaurant_id, kind, financial_year)
+    );
+
+    CREATE TABLE IF NOT EXISTS invoices (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      kind TEXT NOT NULL CHECK(kind IN ('invoice', 'credit_note')),
+      number TEXT NOT NULL,
+      financial_year TEXT NOT NULL,
+      sequence INTEGER NOT NULL,
+      invoice_date TEXT NOT NULL,
+      order_id ${t.ref} NOT NULL REFERENCES orders(id),
+      payment_id ${t.ref} REFERENCES payments(id),
+      invoice_id ${t.ref} REFERENCES invoices(id),
+      reason TEXT,
+      seller TEXT NOT NULL,
+      lines TEXT NOT NULL,
+      taxes TEXT NOT NULL,
+      subtotal ${t.money} NOT NULL DEFAULT 0,
+      discount_amount ${t.money} NOT NULL DEFAULT 0,
+      service_charge ${t.money} NOT NULL DEFAULT 0,
+      packaging_charge ${t.money} NOT NULL DEFAULT 0,
+      tax_amount ${t.money} NOT NULL DEFAULT 0,
+      round_off ${t.money} NOT NULL DEFAULT 0,
+      total_amount ${t.money} NOT NULL,
+      created_at ${t.timestamp},
+      UNIQUE(restaurant_id, kind, financial_year, sequence),
+      UNIQUE(restaurant_id, number)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_invoices_order ON invoices(order_id);
+    CREATE INDEX IF NOT EXISTS idx_invoices_date ON invoices(restaurant_id, invoice_date);
+  `);
+};
+
+exports.down = async ({ exec, hasColumn }) => {
+  await exec(`
+    DROP TABLE IF EXISTS invoices;
+    DROP TABLE IF EXISTS invoice_sequences;
+  `);
+  if (await hasColumn('tax_classes', 'hsn_sac')) {
+    await exec('ALTER TABLE tax_classes DROP COLUMN hsn_sac');
+  }
+  for (const column of ['invoice_prefix', 'address', 'legal_name', 'gstin']) {
+    if (await hasColumn('restaurants', column)) {
+      await exec(`ALTER TABLE restaurants DROP COLUMN ${column}`);
+    }
+  }
+};
@@ -0,0 +1,34 @@
+// Bills paid in parts (see utils/settlement.js). An order may have several
+// verified payments, each recording how its payer split the bill; the order
+// keeps their sum in paid_amount and is settled once that covers the bill.
+
+exports.up = async ({ exec, hasColumn, types: t }) => {
+  if (!await hasColumn('payments', 'split_mode')) {
+    await exec("ALTER TABLE payments ADD COLUMN split_mode TEXT DEFAULT 'full'");
+    await exec('ALTER TABLE payments ADD COLUMN split_parts INTEGER');
+    await exec('ALTER TABLE payments ADD COLUMN split_shares INTEGER');
+    await exec('ALTER TABLE payments ADD COLUMN split_items TEXT');
+  }
+  if (!await hasColumn('orders', 'paid_amount')) {
+    // Orders so far were paid in one go
+    await exec(`ALTER TABLE orders ADD COLUMN paid_amount ${t.money} DEFAULT 0`);
+    await exec('ALTER TABLE orders ADD COLUMN settled INTEGER DEFAULT 0');
+    await exec(`
+      UPDATE orders SET paid_amount = COALESCE(
+        (SELECT SUM(p.amount) FROM payments p WHERE p.order_id = orders.id AND p.verified = 1), 0)
+    `);
+    await exec('UPDATE orders SET settled = 1 WHERE paid_amount > 0 AND paid_amount >= total_amount');
+  }
+};
+
+exports.down = async ({ exec, hasColumn }) => {
+  const columns = [
+    ['orders', 'settled'], ['orders', 'paid_amount'],
+    ['payments', 'split_items'], ['payments', 'split_shares'], ['payments', 'split_parts'], ['payments', 'split_mode']
+  ];
+  for (const [table, column] of columns) {
+    if (await hasColumn(table, column)) {
+      await exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+  }
+};
@@ -0,0 +1,29 @@
+// Tips (see utils/tips.js). A tip is charged with a payment but kept apart
+// from the bill in payments.tip_amount, so it is neither settled against the
+// order nor invoiced. Orders remember who served them, for whom tips are for.
+
+exports.up = async ({ exec, hasColumn, types: t }) => {
+  if (!await hasColumn('payments', 'tip_amount')) {
+    await exec(`ALTER TABLE payments ADD COLUMN tip_amount ${t.money} DEFAULT 0`);
+  }
+  if (!await hasColumn('orders', 'served_by')) {
+    await exec(`ALTER TABLE orders ADD COLUMN served_by ${t.ref} REFERENCES users(id)`);
+  }
+  if (!await hasColumn('restaurants', 'tip_presets')) {
+    // Percentages of the bill offered at checkout
+    await exec("ALTER TABLE restaurants ADD COLUMN tip_presets TEXT DEFAULT '5,10,15'");
+    await exec('ALTER TABLE restaurants ADD COLUMN tip_pooling INTEGER DEFAULT 0');
+  }
+};
+
+exports.down = async ({ exec, hasColumn }) => {
+  const columns = [
+    ['restaurants', 'tip_pooling'], ['restaurants', 'tip_presets'],
+    ['orders', 'served_by'], ['payments', 'tip_amount']
+  ];
+  for (const [table, column] of columns) {
+    if (await hasColumn(table, column)) {
+      await exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+  }
+};
@@ -0,0 +1,58 @@
+// Refunds and cancellations (see utils/refunds.js). Cancelled orders and
+// lines stay in place, flagged with a reason code, so the bill and reports
+// can leave them out. Each refund of a payment is a row in refunds; the
+// payment keeps what has been given back in refunded_amount, of which
+// tip_refunded was its tip.
+
+exports.up = async ({ exec, hasColumn, types: t }) => {
+  if (!await hasColumn('orders', 'cancelled')) {
+    await exec('ALTER TABLE orders ADD COLUMN cancelled INTEGER DEFAULT 0');
+    await exec('ALTER TABLE orders ADD COLUMN cancel_reason TEXT');
+    await exec('ALTER TABLE orders ADD COLUMN cancel_note TEXT');
+  }
+  if (!await hasColumn('order_items', 'cancelled')) {
+    await exec('ALTER TABLE order_items ADD COLUMN cancelled INTEGER DEFAULT 0');
+    await exec('ALTER TABLE order_items ADD COLUMN cancel_reason TEXT');
+  }
+  if (!await hasColumn('payments', 'refunded_amount')) {
+    await exec(`ALTER TABLE payments ADD COLUMN refunded_amount ${t.money} DEFAULT 0`);
+    await exec(`ALTER TABLE payments ADD COLUMN tip_refunded ${t.money} DEFAULT 0`);
+  }
+
+  await exec(`
+    CREATE TABLE IF NOT EXISTS refunds (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      payment_id ${t.ref} NOT NULL REFERENCES payments(id),
+      order_id ${t.ref} REFERENCES orders(id),
+      amount ${t.money} NOT NULL CHECK(amount > 0),
+      tip_amount ${t.money} NOT NULL DEFAULT 0,
+      reason TEXT NOT NULL,
+      note TEXT,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'processed', 'failed')),
+      gateway_refund_id TEXT,
+      error TEXT,
+      credit_note_id ${t.ref} REFERENCES invoices(id),
+      created_by ${t.ref} REFERENCES users(id),
+      created_at ${t.timestamp},
+      updated_at ${t.timestamp}
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_refunds_payment ON refunds(payment_id);
+    CREATE INDEX IF NOT EXISTS idx_refunds_order ON refunds(order_id);
+  `);
+};
+
+exports.down = async ({ exec, hasColumn }) => {
+  await exec('DROP TABLE IF EXISTS refunds');
+  const columns = [
+    ['payments', 'tip_refunded'], ['payments', 'refunded_amount'],
+    ['order_items', 'cancel_reason'], ['order_items', 'cancelled'],
+    ['orders', 'cancel_note'], ['orders', 'cancel_reason'], ['orders', 'cancelled']
+  ];
+  for (const [table, column] of columns) {
+    if (await hasColumn(table, column)) {
+      await exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+  }
+};
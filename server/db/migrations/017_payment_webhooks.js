@@ -0,0 +1,68 @@
+// Gateway webhooks and nightly reconciliation (see utils/reconciliation.js).
+// A payment keeps what it was created for (payments.checkout), so the
+// gateway's word alone can place a prepaid order the browser never
+// confirmed. Each webhook delivery is logged once by its event id; each
+// night's comparison with the gateway is a run, and what could not be put
+// right by itself an issue for the restaurant's admins.
+
+exports.up = async ({ exec, hasColumn, types: t }) => {
+  if (!await hasColumn('payments', 'checkout')) {
+    await exec('ALTER TABLE payments ADD COLUMN checkout TEXT');
+    await exec('ALTER TABLE payments ADD COLUMN settlement_id TEXT');
+    await exec(`ALTER TABLE payments ADD COLUMN gateway_fee ${t.money} DEFAULT 0`);
+  }
+
+  await exec(`
+    CREATE TABLE IF NOT EXISTS webhook_events (
+      id ${t.id},
+      event_id TEXT NOT NULL UNIQUE,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'received' CHECK(status IN ('received', 'processed', 'ignored', 'failed')),
+      error TEXT,
+      created_at ${t.timestamp},
+      updated_at ${t.timestamp}
+    );
+
+    CREATE TABLE IF NOT EXISTS reconciliation_runs (
+      id ${t.id},
+      day TEXT NOT NULL UNIQUE,
+      status TEXT NOT NULL DEFAULT 'running' CHECK(status IN ('running', 'done', 'skipped', 'failed')),
+      checked INTEGER NOT NULL DEFAULT 0,
+      fixed INTEGER NOT NULL DEFAULT 0,
+      issues INTEGER NOT NULL DEFAULT 0,
+      error TEXT,
+      created_at ${t.timestamp},
+      updated_at ${t.timestamp}
+    );
+
+    CREATE TABLE IF NOT EXISTS reconciliation_issues (
+      id ${t.id},
+      restaurant_id ${t.ref} NOT NULL REFERENCES restaurants(id),
+      run_id ${t.ref} NOT NULL REFERENCES reconciliation_runs(id),
+      payment_id ${t.ref} REFERENCES payments(id),
+      kind TEXT NOT NULL,
+      gateway_id TEXT,
+      detail TEXT NOT NULL,
+      fixed INTEGER NOT NULL DEFAULT 0,
+      created_at ${t.timestamp}
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_reconciliation_issues_run ON reconciliation_issues(run_id);
+    CREATE INDEX IF NOT EXISTS idx_payments_gateway_payment ON payments(razorpay_payment_id);
+  `);
+};
+
+exports.down = async ({ exec, hasColumn }) => {
+  await exec(`
+    DROP INDEX IF EXISTS idx_payments_gateway_payment;
+    DROP TABLE IF EXISTS reconciliation_issues;
+    DROP TABLE IF EXISTS reconciliation_runs;
+    DROP TABLE IF EXISTS webhook_events;
+  `);
+  for (const column of ['gateway_fee', 'settlement_id', 'checkout']) {
+    if (await hasColumn('payments', column)) {
+      await exec(`ALTER TABLE payments DROP COLUMN ${column}`);
+    }
+  }
+};
@@ -0,0 +1,31 @@
+// Payment providers (see utils/gateway.js). A restaurant may choose the one
+// it takes payments with; each payment and webhook delivery keeps the one it
+// came through. Payments from before this are Razorpay's, cash or — the old
+// mock mode — the fake gateway's.
+
+exports.up = async ({ exec, hasColumn }) => {
+  if (!await hasColumn('restaurants', 'payment_provider')) {
+    await exec('ALTER TABLE restaurants ADD COLUMN payment_provider TEXT');
+  }
+  if (!await hasColumn('payments', 'provider')) {
+    await exec(`ALTER TABLE payments ADD COLUMN provider TEXT NOT NULL DEFAULT 'razorpay'`);
+    await exec(`
+      UPDATE payments SET provider = CASE
+        WHEN razorpay_order_id LIKE 'cash%' THEN 'cash'
+        WHEN razorpay_order_id LIKE 'order_mock%' OR razorpay_order_id LIKE 'seed%' THEN 'fake'
+        ELSE 'razorpay'
+      END
+    `);
+  }
+  if (!await hasColumn('webhook_events', 'provider')) {
+    await exec(`ALTER TABLE webhook_events ADD COLUMN provider TEXT NOT NULL DEFAULT 'razorpay'`);
+  }
+};
+
+exports.down = async ({ exec, hasColumn }) => {
+  for (const [table, column] of [['webhook_events', 'provider'], ['payments', 'provider'], ['restaurants', 'payment_provider']]) {
+    if (await hasColumn(table, column)) {
+      await exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+  }
+};
@@ -0,0 +1,16 @@
+// Cash payments wait for staff (see routes/payments.js): a customer's
+// pay-cash request stays 'created' until a waiter or admin confirms the cash
+// was handed over, and confirmed_by keeps who confirmed or turned it down.
+// Cash payments from before this were recorded paid at once and have none.
+
+exports.up = async ({ exec, hasColumn, types: t }) => {
+  if (!await hasColumn('payments', 'confirmed_by')) {
+    await exec(`ALTER TABLE payments ADD COLUMN confirmed_by ${t.ref} REFERENCES users(id)`);
+  }
+};
+
+exports.down = async ({ exec, hasColumn }) => {
+  if (await hasColumn('payments', 'confirmed_by')) {
+    await exec('ALTER TABLE payments DROP COLUMN confirmed_by');
+  }
+};
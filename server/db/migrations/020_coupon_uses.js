@@ -0,0 +1,16 @@
+// A coupon's uses, kept on the coupon (see utils/coupons.js redeemCoupon):
+// each redemption takes one with a compare-and-set on it, which Postgres
+// and SQLite both serialize, where counting order_discounts first did not.
+
+exports.up = async ({ exec, hasColumn }) => {
+  if (!await hasColumn('coupons', 'uses')) {
+    await exec('ALTER TABLE coupons ADD COLUMN uses INTEGER NOT NULL DEFAULT 0');
+    await exec('UPDATE coupons SET uses = (SELECT COUNT(*) FROM order_discounts od WHERE od.coupon_id = coupons.id)');
+  }
+};
+
+exports.down = async ({ exec, hasColumn }) => {
+  if (await hasColumn('coupons', 'uses')) {
+    await exec('ALTER TABLE coupons DROP COLUMN uses');
+  }
+};
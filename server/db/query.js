@@ -0,0 +1,259 @@
+// ─── Query builder ────────────────────────────────────────────
+// Routes describe queries with this builder instead of SQL strings. It only
+// produces a plain description (the "AST"); each driver decides how to run it
+// (SQL for SQLite/Postgres, PostgREST calls for Supabase). Anything a driver
+// cannot express throws a QueryError instead of silently degrading.
+//
+//   db.from('orders', 'o')
+//     .select('o.*', 't.table_number')
+//     .join('tables', 't', 't.id', 'o.table_id')
+//     .where('o.restaurant_id', restaurantId)
+//     .whereIn('o.internal_status', ['PLACED', 'PREPARING'])
+//     .orderBy('o.created_at')
+//     .all();
+
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+// Stand-ins for CURRENT_TIMESTAMP / the current date, resolved per driver
+const NOW = Object.freeze({ $fn: 'now' });
+const TODAY = Object.freeze({ $fn: 'today' });
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const OPERATORS = ['=', '!=', '>', '>=', '<', '<=', 'in', 'is null', 'is not null', 'date ='];
+const DIRECTIONS = ['asc', 'desc'];
+
+function assertIdentifier(name, what) {
+  if (typeof name !== 'string' || !IDENTIFIER.test(name)) {
+    throw new QueryError(`Invalid ${what}: ${JSON.stringify(name)}`);
+  }
+  return name;
+}
+
+// "alias.column" or "column" → { alias, column } (alias null = main table)
+function parseRef(ref, { allowStar = false } = {}) {
+  if (typeof ref !== 'string') throw new QueryError(`Invalid column reference: ${JSON.stringify(ref)}`);
+  const parts = ref.split('.');
+  if (parts.length > 2) throw new QueryError(`Invalid column reference: ${ref}`);
+  const column = parts.pop();
+  const alias = parts.length ? assertIdentifier(parts[0], 'table alias') : null;
+  if (column === '*' && allowStar) return { alias, column };
+  return { alias, column: assertIdentifier(column, 'column name') };
+}
+
+// "t.name as restaurant_name" → { alias: 't', column: 'name', as: 'restaurant_name' }
+function parseColumn(spec) {
+  const match = typeof spec === 'string' && spec.trim().match(/^(\S+)(?:\s+as\s+(\S+))?$/i);
+  if (!match) throw new QueryError(`Invalid select column: ${JSON.stringify(spec)}`);
+  const ref = parseRef(match[1], { allowStar: true });
+  if (match[2]) {
+    if (ref.column === '*') throw new QueryError(`Cannot alias a wildcard: ${spec}`);
+    ref.as = assertIdentifier(match[2], 'column alias');
+  }
+  return ref;
+}
+
+// Filter values are bound, never spliced into query text, and must be plain
+// scalars — an object from a JSON body would otherwise be stringified by the
+// driver and match something unintended
+function assertScalar(value, ref) {
+  if (value === null || value === NOW || value === TODAY) return value;
+  if (['string', 'number', 'boolean'].includes(typeof value)) return value;
+  throw new QueryError(`Invalid value for ${ref}: expected a string, number, boolean or null`);
+}
+
+// Conditions are [ref, value] (equality) or [ref, op, value]. Null equality
+// becomes IS NULL / IS NOT NULL.
+function parseCondition(...args) {
+  let [ref, op, value] = args;
+  if (args.length === 2) {
+    value = op;
+    op = '=';
+  }
+  if (typeof op !== 'string') throw new QueryError(`Unsupported operator: ${JSON.stringify(op)}`);
+  op = op.toLowerCase();
+  if (!OPERATORS.includes(op)) throw new QueryError(`Unsupported operator: ${op}`);
+  if (op === 'in' && (!Array.isArray(value) || !value.length)) {
+    throw new QueryError(`IN needs a non-empty array for ${ref}`);
+  }
+  if (value === undefined) value = null;
+  if (op === 'in') value.forEach(v => assertScalar(v, ref));
+  else assertScalar(value, ref);
+  if (value === null && (op === '=' || op === '!=')) {
+    op = op === '=' ? 'is null' : 'is not null';
+  }
+  return { ...parseRef(ref), op, value };
+}
+
+function assertValues(values, what) {
+  if (!values || typeof values !== 'object' || Array.isArray(values) || !Object.keys(values).length) {
+    throw new QueryError(`${what} needs an object of column values`);
+  }
+  Object.keys(values).forEach(col => assertIdentifier(col, 'column name'));
+  return { ...values };
+}
+
+class QueryBuilder {
+  constructor(adapter, table, alias) {
+    this.adapter = adapter;
+    this.ast = {
+      table: assertIdentifier(table, 'table name'),
+      alias: alias ? assertIdentifier(alias, 'table alias') : null,
+      columns: [],
+      joins: [],
+      where: [],
+      aggregates: [],
+      groupBy: [],
+      orderBy: [],
+      limit: null
+    };
+  }
+
+  select(...columns) {
+    this.ast.columns.push(...columns.flat().map(parseColumn));
+    return this;
+  }
+
+  // INNER JOIN table alias ON left = right [AND extra conditions]
+  join(table, alias, left, right, on = {}) {
+    return this._join('inner', table, alias, left, right, on);
+  }
+
+  leftJoin(table, alias, left, right, on = {}) {
+    return this._join('left', table, alias, left, right, on);
+  }
+
+  _join(kind, table, alias, left, right, on) {
+    const known = [this.ast.alias || this.ast.table, ...this.ast.joins.map(j => j.alias)];
+    alias = assertIdentifier(alias, 'table alias');
+    if (known.includes(alias)) throw new QueryError(`Duplicate table alias: ${alias}`);
+
+    // One side of ON must be the new table, the other an already joined one
+    let ownRef = parseRef(left);
+    let parentRef = parseRef(right);
+    if (ownRef.alias !== alias) [ownRef, parentRef] = [parentRef, ownRef];
+    if (ownRef.alias !== alias || !known.includes(parentRef.alias)) {
+      throw new QueryError(`JOIN ${table} ${alias} must be ON ${alias}.<column> = <joined alias>.<column>`);
+    }
+
+    this.ast.joins.push({
+      kind,
+      table: assertIdentifier(table, 'table name'),
+      alias,
+      column: ownRef.column,
+      parent: parentRef.alias,
+      parentColumn: parentRef.column,
+      on: Object.entries(on).map(([ref, value]) => parseCondition(`${alias}.${ref}`, value))
+    });
+    return this;
+  }
+
+  // where('id', id) · where('rating', '>=', 4) · where({ id, restaurant_id })
+  where(...args) {
+    if (args.length === 1 && args[0] && typeof args[0] === 'object') {
+      Object.entries(args[0]).forEach(([col, val]) => this.ast.where.push(parseCondition(col, val)));
+      return this;
+    }
+    this.ast.where.push(parseCondition(...args));
+    return this;
+  }
+
+  whereIn(ref, values) {
+    return this.where(ref, 'in', values);
+  }
+
+  // date(ref) = value — value defaults to today (UTC)
+  whereDate(ref, value = TODAY) {
+    return this.where(ref, 'date =', value);
+  }
+
+  orderBy(ref, direction = 'asc') {
+    direction = String(direction).toLowerCase();
+    if (!DIRECTIONS.includes(direction)) throw new QueryError(`Unsupported ORDER BY direction: ${direction}`);
+    this.ast.orderBy.push({ ...parseRef(ref), direction });
+    return this;
+  }
+
+  limit(n) {
+    if (!Number.isInteger(n) || n < 1) throw new QueryError(`Invalid LIMIT: ${n}`);
+    this.ast.limit = n;
+    return this;
+  }
+
+  groupBy(...refs) {
+    this.ast.groupBy.push(...refs.flat().map(ref => parseRef(ref)));
+    return this;
+  }
+
+  // ─── Aggregates ───────────────────────────────────────────
+  // count('positive', ['rating', '>=', 4]) counts only matching rows
+
+  count(as = 'count', filter = null) {
+    return this._aggregate('count', null, as, { filter });
+  }
+
+  // SUM defaults to 0 when there are no rows (COALESCE(SUM(x), 0))
+  sum(ref, as, { filter = null } = {}) {
+    return this._aggregate('sum', ref, as, { filter });
+  }
+
+  avg(ref, as, { round = null } = {}) {
+    return this._aggregate('avg', ref, as, { round });
+  }
+
+  _aggregate(fn, ref, as, { filter = null, round = null }) {
+    this.ast.aggregates.push({
+      fn,
+      ref: ref ? parseRef(ref) : null,
+      as: assertIdentifier(as || fn, 'aggregate alias'),
+      filter: filter ? parseCondition(...filter) : null,
+      round
+    });
+    return this;
+  }
+
+  // ─── Terminal operations ──────────────────────────────────
+
+  async get() {
+    const rows = await this.adapter.execute({ ...this.ast, type: 'select', limit: this.ast.limit || 1 });
+    return rows[0];
+  }
+
+  async all() {
+    return await this.adapter.execute({ ...this.ast, type: 'select' });
+  }
+
+  // → { lastInsertRowid, changes }
+  async insert(values) {
+    this._assertPlainTable('INSERT');
+    return await this.adapter.execute({ type: 'insert', table: this.ast.table, values: assertValues(values, 'INSERT') });
+  }
+
+  // → { changes }
+  async update(values) {
+    this._assertPlainTable('UPDATE');
+    this._assertFiltered('UPDATE');
+    return await this.adapter.execute({ type: 'update', table: this.ast.table, values: assertValues(values, 'UPDATE'), where: this.ast.where });
+  }
+
+  // → { changes }
+  async delete() {
+    this._assertPlainTable('DELETE');
+    this._assertFiltered('DELETE');
+    return await this.adapter.execute({ type: 'delete', table: this.ast.table, where: this.ast.where });
+  }
+
+  _assertPlainTable(op) {
+    if (this.ast.joins.length || this.ast.alias) throw new QueryError(`${op} does not support joins or table aliases`);
+  }
+
+  _assertFiltered(op) {
+    if (!this.ast.where.length) throw new QueryError(`${op} without WHERE is not allowed`);
+  }
+}
+
+module.exports = { QueryBuilder, QueryError, NOW, TODAY, parseRef };
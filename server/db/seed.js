@@ -0,0 +1,665 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+
+// ─── Fixture seeding ──────────────────────────────────────────
+// Loads restaurants, staff, tables, menus and past orders from JSON/YAML
+// fixture files (see fixtures/demo.yaml). Rows are matched on natural keys —
+// restaurant name, username, table number, category/item name, order table +
+// timestamp — so re-running only adds what is missing.
+//
+//   npm run seed                              fixtures/demo.yaml
+//   npm run seed -- a.json b.yaml             specific fixture files
+//   npm run seed -- --days 30                 + 30 days of synthetic orders
+//   npm run seed -- --days 30 --per-day 40    ... with 40 orders a day
+//   npm run seed -- --force                   seed a database that may be production
+//
+// Fixtures hold demo staff with well-known passwords, so seeding refuses a
+// database that may be serving customers: any with NODE_ENV=production, and
+// a Supabase one (the production driver) unless its .env marks it as not
+// production with ALLOW_SEED=on. --force seeds it anyway.
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'demo.yaml');
+const DEFAULT_ORDERS_PER_DAY = 20;
+
+function loadFixture(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+  let data;
+  if (ext === '.json') {
+    data = JSON.parse(text);
+  } else if (ext === '.yaml' || ext === '.yml') {
+    data = require('yaml').parse(text);
+  } else {
+    throw new Error(`Unsupported fixture format: ${file} (expected .json, .yaml or .yml)`);
+  }
+
+  if (!data || !Array.isArray(data.restaurants)) {
+    throw new Error(`Fixture ${file} must have a "restaurants" list`);
+  }
+  data.restaurants.forEach((r, i) => {
+    if (!r || !r.name) throw new Error(`Fixture ${file}: restaurant #${i + 1} needs a name`);
+  });
+  return data;
+}
+
+// ─── Timestamps ───────────────────────────────────────────────
+// Stored as 'YYYY-MM-DD HH:MM:SS' UTC, which both SQLite and Postgres accept
+
+function formatTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Accepts 'YYYY-MM-DD HH:MM:SS' (UTC), ISO strings with an offset and Dates.
+// Required lazily, like the other utils here: they load the DB adapter, which
+// main() must not open before it has checked the driver.
+function parseTimestamp(value) {
+  return require('../utils/availability').parseTimestamp(value);
+}
+
+function daysAgo(days, time = '12:00') {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() - days);
+  date.setUTCHours(hours || 0, minutes || 0, 0, 0);
+  return date;
+}
+
+// ─── Seeding ──────────────────────────────────────────────────
+
+async function seedRestaurant(db, spec, { log }) {
+  let restaurant = await db.from('restaurants').select('id').where('name', spec.name).get();
+  if (!restaurant) {
+    const result = await db.from('restaurants').insert({
+      name: spec.name,
+      description: spec.description || '',
+      prepaid_enabled: spec.prepaid_enabled ?? 1,
+      postpaid_enabled: spec.postpaid_enabled ?? 1,
+      timezone: spec.timezone || 'Asia/Kolkata',
+      service_charge_rate: spec.service_charge_rate || 0,
+      packaging_charge: spec.packaging_charge || 0,
+      round_off: spec.round_off ? 1 : 0,
+      gstin: spec.gstin || null,
+      legal_name: spec.legal_name || null,
+      address: spec.address || null,
+      invoice_prefix: spec.invoice_prefix || 'INV',
+      payment_provider: spec.payment_provider || null
+    });
+    restaurant = { id: result.lastInsertRowid };
+    log(`🏪 ${spec.name} (#${restaurant.id})`);
+  } else {
+    log(`🏪 ${spec.name} (#${restaurant.id}, exists)`);
+  }
+  const restaurantId = restaurant.id;
+
+  for (const member of spec.staff || []) {
+    const existing = await db.from('users').select('id', 'restaurant_id').where('username', member.username).get();
+    if (existing) {
+      if (existing.restaurant_id !== restaurantId) {
+        log(`   ⚠️  user ${member.username} already belongs to restaurant #${existing.restaurant_id}, skipped`);
+      }
+      continue;
+    }
+    const password = member.password || crypto.randomBytes(9).toString('base64url');
+    await db.from('users').insert({
+      restaurant_id: restaurantId,
+      username: member.username,
+      password_hash: bcrypt.hashSync(password, 10),
+      role: member.role,
+      name: member.name || ''
+    });
+    log(`   👤 ${member.username} (${member.role})${member.password ? '' : ` password: ${password}`}`);
+  }
+
+  // tables: a count (1..n) or a list of { table_number, seats, qr_token }
+  const tableSpecs = typeof spec.tables === 'number'
+    ? Array.from({ length: spec.tables }, (_, i) => ({ table_number: i + 1 }))
+    : spec.tables || [];
+  const tables = new Map();
+  for (const t of tableSpecs) {
+    let table = await db.from('tables').select('id').where({ restaurant_id: restaurantId, table_number: t.table_number }).get();
+    if (!table) {
+      const result = await db.from('tables').insert({
+        restaurant_id: restaurantId,
+        table_number: t.table_number,
+        qr_token: t.qr_token || uuidv4(),
+        seats: t.seats || 4
+      });
+      table = { id: result.lastInsertRowid };
+      log(`   🪑 table ${t.table_number}`);
+    }
+    tables.set(t.table_number, table.id);
+  }
+
+  // tax_classes: [{ name, rate, hsn_sac? }]; default_tax_class names the one
+  // items without a tax_class are billed at
+  const { RESTAURANT_SAC } = require('../utils/invoices');
+  const taxClasses = new Map();
+  for (const taxClass of spec.tax_classes || []) {
+    let row = await db.from('tax_classes').select('id').where({ restaurant_id: restaurantId, name: taxClass.name }).get();
+    if (!row) {
+      const result = await db.from('tax_classes').insert({
+        restaurant_id: restaurantId,
+        name: taxClass.name,
+        rate: taxClass.rate,
+        hsn_sac: String(taxClass.hsn_sac || RESTAURANT_SAC)
+      });
+      row = { id: result.lastInsertRowid };
+      log(`   🧮 ${taxClass.name}`);
+    }
+    taxClasses.set(taxClass.name, row.id);
+  }
+  const taxClassId = name => {
+    if (!name) return null;
+    if (!taxClasses.has(name)) throw new Error(`Unknown tax class "${name}"`);
+    return taxClasses.get(name);
+  };
+  if (spec.default_tax_class) {
+    await db.from('restaurants')
+      .where({ id: restaurantId, default_tax_class_id: null })
+      .update({ default_tax_class_id: taxClassId(spec.default_tax_class) });
+  }
+
+  const items = new Map();
+  for (const [catIndex, cat] of (spec.menu || []).entries()) {
+    let category = await db.from('menu_categories').select('id').where({ restaurant_id: restaurantId, name: cat.name }).get();
+    if (!category) {
+      const result = await db.from('menu_categories').insert({
+        restaurant_id: restaurantId,
+        name: cat.name,
+        description: cat.description || '',
+        sort_order: cat.sort_order ?? catIndex + 1,
+        availability: scheduleText(cat.availability)
+      });
+      category = { id: result.lastInsertRowid };
+      log(`   📂 ${cat.name}`);
+    }
+
+    for (const [itemIndex, item] of (cat.items || []).entries()) {
+      let menuItem = await db.from('menu_items')
+        .select('id', 'name', 'price')
+        .where({ restaurant_id: restaurantId, category_id: category.id, name: item.name })
+        .get();
+      if (!menuItem) {
+        const variants = item.variants || [];
+        const price = variants.length ? Math.min(...variants.map(v => v.price)) : item.price;
+        const result = await db.from('menu_items').insert({
+          category_id: category.id,
+          restaurant_id: restaurantId,
+          name: item.name,
+          description: item.description || '',
+          price,
+          image_url: item.image_url || '',
+          is_veg: item.is_veg ?? 1,
+          is_bestseller: item.is_bestseller ?? 0,
+          is_spicy: item.is_spicy ?? 0,
+          allergen_tags: item.allergen_tags ?? null,
+          prep_time_mins: item.prep_time_mins ?? null,
+          sort_order: item.sort_order ?? itemIndex + 1,
+          tax_class_id: taxClassId(item.tax_class),
+          availability: scheduleText(item.availability)
+        });
+        menuItem = { id: result.lastInsertRowid, name: item.name, price };
+        await insertVariants(db, restaurantId, menuItem.id, variants);
+        await insertModifierGroups(db, restaurantId, menuItem.id, item.modifiers || []);
+      }
+      menuItem.variants = await db.from('menu_item_variants')
+        .select('id', 'name', 'price', 'is_default')
+        .where({ menu_item_id: menuItem.id, active: 1 })
+        .orderBy('sort_order')
+        .all();
+      items.set(item.name, menuItem);
+    }
+  }
+  if (items.size) log(`   🍽️  ${items.size} menu items`);
+
+  for (const [comboIndex, combo] of (spec.combos || []).entries()) {
+    const existing = await db.from('combos').select('id').where({ restaurant_id: restaurantId, name: combo.name }).get();
+    if (existing) continue;
+    await insertCombo(db, restaurantId, items, combo, comboIndex);
+    log(`   🍱 ${combo.name}`);
+  }
+
+  const ingredients = new Map();
+  for (const ingredient of spec.ingredients || []) {
+    let row = await db.from('ingredients').select('id').where({ restaurant_id: restaurantId, name: ingredient.name, active: 1 }).get();
+    if (!row) {
+      row = await insertIngredient(db, restaurantId, ingredient);
+      log(`   🧂 ${ingredient.name}`);
+    }
+    ingredients.set(ingredient.name, row.id);
+  }
+  for (const recipe of spec.recipes || []) {
+    await insertRecipe(db, restaurantId, items, ingredients, recipe);
+  }
+
+  for (const rule of spec.price_rules || []) {
+    const existing = await db.from('price_rules').select('id').where({ restaurant_id: restaurantId, name: rule.name }).get();
+    if (existing) continue;
+    await insertPriceRule(db, restaurantId, items, rule);
+    log(`   🏷️  ${rule.name}`);
+  }
+
+  for (const coupon of spec.coupons || []) {
+    const existing = await db.from('coupons').select('id').where({ restaurant_id: restaurantId, code: coupon.code }).get();
+    if (existing) continue;
+    await insertCoupon(db, restaurantId, items, coupon);
+    log(`   🎟️  ${coupon.code}`);
+  }
+
+  // Past orders were served by the first waiter
+  const waiter = await db.from('users').select('id').where({ restaurant_id: restaurantId, role: 'waiter' }).orderBy('id').get();
+
+  return { restaurantId, tables, items, waiterId: waiter ? waiter.id : null };
+}
+
+// Fixture schedules are checked like the admin's (see utils/availability.js)
+function scheduleText(schedule) {
+  const { validateSchedule } = require('../utils/availability');
+  const windows = validateSchedule(schedule);
+  return windows ? JSON.stringify(windows) : null;
+}
+
+// ingredients: [{ name, unit, stock, low_stock_level }]; the stock is logged as an opening restock
+async function insertIngredient(db, restaurantId, ingredient) {
+  const stock = ingredient.stock || 0;
+  const result = await db.from('ingredients').insert({
+    restaurant_id: restaurantId,
+    name: ingredient.name,
+    unit: ingredient.unit || 'g',
+    stock_qty: stock,
+    low_stock_level: ingredient.low_stock_level || 0
+  });
+  if (stock > 0) {
+    await db.from('ingredient_movements').insert({
+      restaurant_id: restaurantId,
+      ingredient_id: result.lastInsertRowid,
+      kind: 'restock',
+      quantity: stock,
+      balance: stock,
+      note: 'Opening stock'
+    });
+  }
+  return { id: result.lastInsertRowid };
+}
+
+// recipes: [{ item, variant, ingredients: { name: quantity } }]; skipped if
+// the item (or variant) already has a recipe
+async function insertRecipe(db, restaurantId, items, ingredients, recipe) {
+  const menuItem = items.get(recipe.item);
+  if (!menuItem) throw new Error(`Recipe references unknown menu item "${recipe.item}"`);
+  const variant = recipe.variant ? menuItem.variants.find(v => v.name === recipe.variant) : null;
+  if (recipe.variant && !variant) throw new Error(`Recipe references unknown variant "${recipe.variant}" of ${recipe.item}`);
+  const variantId = variant ? variant.id : null;
+
+  const existing = await db.from('recipe_lines').select('id').where({ menu_item_id: menuItem.id, variant_id: variantId }).get();
+  if (existing) return;
+
+  for (const [name, quantity] of Object.entries(recipe.ingredients || {})) {
+    if (!ingredients.has(name)) throw new Error(`Recipe for ${recipe.item} references unknown ingredient "${name}"`);
+    await db.from('recipe_lines').insert({
+      restaurant_id: restaurantId,
+      menu_item_id: menuItem.id,
+      variant_id: variantId,
+      ingredient_id: ingredients.get(name),
+      quantity
+    });
+  }
+}
+
+// price_rules: [{ name, kind, value, category | item, availability }], checked
+// like the admin's (see utils/promotions.js)
+async function insertPriceRule(db, restaurantId, items, rule) {
+  const { validateRule } = require('../utils/promotions');
+  let categoryId = null;
+  if (rule.category) {
+    const category = await db.from('menu_categories').select('id').where({ restaurant_id: restaurantId, name: rule.category }).get();
+    if (!category) throw new Error(`Price rule "${rule.name}" references unknown category "${rule.category}"`);
+    categoryId = category.id;
+  }
+  if (rule.item && !items.has(rule.item)) throw new Error(`Price rule "${rule.name}" references unknown menu item "${rule.item}"`);
+
+  const values = validateRule({
+    name: rule.name,
+    kind: rule.kind,
+    value: rule.value,
+    category_id: categoryId,
+    menu_item_id: rule.item ? items.get(rule.item).id : null,
+    availability: rule.availability
+  });
+  await db.from('price_rules').insert({ restaurant_id: restaurantId, ...values });
+}
+
+// coupons: [{ code, description, kind, value, max_discount, min_bill, usage_limit,
+//   per_customer_limit, valid_from, valid_to, category | item }], checked like
+// the admin's (see utils/coupons.js)
+async function insertCoupon(db, restaurantId, items, coupon) {
+  const { validateCoupon } = require('../utils/coupons');
+  let categoryId = null;
+  if (coupon.category) {
+    const category = await db.from('menu_categories').select('id').where({ restaurant_id: restaurantId, name: coupon.category }).get();
+    if (!category) throw new Error(`Coupon ${coupon.code} references unknown category "${coupon.category}"`);
+    categoryId = category.id;
+  }
+  if (coupon.item && !items.has(coupon.item)) throw new Error(`Coupon ${coupon.code} references unknown menu item "${coupon.item}"`);
+
+  const { category, item, ...fields } = coupon;
+  const values = validateCoupon({
+    ...fields,
+    category_id: categoryId,
+    menu_item_id: item ? items.get(item).id : null
+  });
+  await db.from('coupons').insert({ restaurant_id: restaurantId, ...values });
+}
+
+// combos: [{ name, price, description, is_veg, slots: [{ name, options: [item name |
+//   { item, variant, price_delta, is_default }] }] }]; the first option is the default
+async function insertCombo(db, restaurantId, items, combo, comboIndex) {
+  const result = await db.from('combos').insert({
+    restaurant_id: restaurantId,
+    name: combo.name,
+    description: combo.description || '',
+    price: combo.price,
+    is_veg: combo.is_veg ?? 1,
+    sort_order: combo.sort_order ?? comboIndex + 1
+  });
+
+  for (const [slotIndex, slot] of (combo.slots || []).entries()) {
+    const slotResult = await db.from('combo_slots').insert({
+      restaurant_id: restaurantId,
+      combo_id: result.lastInsertRowid,
+      name: slot.name,
+      sort_order: slotIndex
+    });
+    const options = (slot.options || []).map(option => typeof option === 'string' ? { item: option } : option);
+    const hasDefault = options.some(o => o.is_default);
+
+    for (const [optionIndex, option] of options.entries()) {
+      const menuItem = items.get(option.item);
+      if (!menuItem) throw new Error(`Combo "${combo.name}" references unknown menu item "${option.item}"`);
+      const variant = option.variant ? menuItem.variants.find(v => v.name === option.variant) : null;
+      if (option.variant && !variant) throw new Error(`Combo "${combo.name}" references unknown variant "${option.variant}" of ${option.item}`);
+
+      await db.from('combo_slot_options').insert({
+        restaurant_id: restaurantId,
+        slot_id: slotResult.lastInsertRowid,
+        menu_item_id: menuItem.id,
+        variant_id: variant ? variant.id : null,
+        price_delta: option.price_delta ?? 0,
+        is_default: option.is_default || (!hasDefault && optionIndex === 0) ? 1 : 0,
+        sort_order: optionIndex
+      });
+    }
+  }
+}
+
+// variants: [{ name, price, sku, is_default }]; the first is the default unless one is marked
+async function insertVariants(db, restaurantId, menuItemId, variants) {
+  const hasDefault = variants.some(v => v.is_default);
+  for (const [index, variant] of variants.entries()) {
+    await db.from('menu_item_variants').insert({
+      restaurant_id: restaurantId,
+      menu_item_id: menuItemId,
+      name: variant.name,
+      price: variant.price,
+      sku: variant.sku ?? null,
+      is_default: variant.is_default || (!hasDefault && index === 0) ? 1 : 0,
+      sort_order: index
+    });
+  }
+}
+
+// modifiers: [{ name, min_select, max_select, options: [name | { name, price_delta, is_default }] }]
+async function insertModifierGroups(db, restaurantId, menuItemId, groups) {
+  for (const [groupIndex, group] of groups.entries()) {
+    const result = await db.from('modifier_groups').insert({
+      restaurant_id: restaurantId,
+      menu_item_id: menuItemId,
+      name: group.name,
+      min_select: group.min_select ?? 0,
+      max_select: group.max_select ?? 1,
+      sort_order: groupIndex
+    });
+    for (const [optionIndex, option] of (group.options || []).entries()) {
+      const spec = typeof option === 'string' ? { name: option } : option;
+      await db.from('modifier_options').insert({
+        restaurant_id: restaurantId,
+        group_id: result.lastInsertRowid,
+        name: spec.name,
+        price_delta: spec.price_delta ?? 0,
+        is_default: spec.is_default ? 1 : 0,
+        sort_order: optionIndex
+      });
+    }
+  }
+}
+
+async function existingOrderKeys(db, restaurantId) {
+  const rows = await db.from('orders').select('table_id', 'created_at').where('restaurant_id', restaurantId).all();
+  return new Set(rows.map(r => `${r.table_id}|${formatTimestamp(parseTimestamp(r.created_at))}`));
+}
+
+// One served (and, unless paid: false, settled) order at a fixed time, billed
+// with the restaurant's taxes and charges as they are now, and paid with any
+// `tip`
+async function insertHistoricalOrder(db, ctx, order) {
+  const { STATUS_MAP } = require('../routes/orders');
+  const { billOrder, billColumns } = require('../utils/billing');
+  const tableId = ctx.tables.get(order.table);
+  if (!tableId) throw new Error(`Order references unknown table ${order.table}`);
+
+  const lines = order.items.map(line => {
+    const menuItem = ctx.items.get(line.name);
+    if (!menuItem) throw new Error(`Order references unknown menu item "${line.name}"`);
+    const variant = line.variant
+      ? menuItem.variants.find(v => v.name === line.variant)
+      : menuItem.variants.find(v => v.is_default);
+    if (line.variant && !variant) throw new Error(`Order references unknown variant "${line.variant}" of ${line.name}`);
+    return {
+      menuItem,
+      variant,
+      name: variant ? `${menuItem.name} (${variant.name})` : menuItem.name,
+      price: variant ? variant.price : menuItem.price,
+      quantity: line.quantity || 1,
+      notes: line.notes || '',
+      menu_item_id: menuItem.id,
+      price_at_order: variant ? variant.price : menuItem.price
+    };
+  });
+  const bill = await billOrder(ctx.restaurantId, lines);
+  const status = order.status || 'SERVED';
+  const paymentMode = order.payment_mode || 'POSTPAID';
+  const createdAt = formatTimestamp(order.created_at);
+
+  await db.transaction(async () => {
+    const result = await db.from('orders').insert({
+      restaurant_id: ctx.restaurantId,
+      table_id: tableId,
+      internal_status: status,
+      public_status: STATUS_MAP[status],
+      payment_mode: paymentMode,
+      ...billColumns(bill),
+      served_by: status === 'SERVED' ? ctx.waiterId : null,
+      notes: order.notes || '',
+      created_at: createdAt,
+      updated_at: createdAt
+    });
+    const orderId = result.lastInsertRowid;
+
+    for (const line of lines) {
+      await db.from('order_items').insert({
+        order_id: orderId,
+        menu_item_id: line.menuItem.id,
+        variant_id: line.variant ? line.variant.id : null,
+        variant_name: line.variant ? line.variant.name : null,
+        item_name: line.name,
+        quantity: line.quantity,
+        list_price: line.price,
+        price_at_order: line.price,
+        tax_rate: line.tax_rate,
+        notes: line.notes,
+        // History was cooked before it was seeded; only open orders use stock
+        ingredients_deducted: status === 'PLACED' ? 0 : 1
+      });
+    }
+
+    if (order.paid !== false) {
+      await db.from('payments').insert({
+        order_id: orderId,
+        restaurant_id: ctx.restaurantId,
+        provider: 'fake',
+        razorpay_order_id: `seed_${orderId}`,
+        amount: bill.total_amount,
+        tip_amount: order.tip || 0,
+        status: 'paid',
+        verified: 1,
+        payment_mode: paymentMode,
+        created_at: createdAt,
+        updated_at: createdAt
+      });
+      await db.from('orders').where('id', orderId).update({ paid_amount: bill.total_amount, settled: 1 });
+    }
+  })();
+}
+
+// Small deterministic PRNG so synthetic history is identical on every run
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashSeed(text) {
+  return crypto.createHash('sha1').update(text).digest().readUInt32LE(0);
+}
+
+// `days` days of orders ending yesterday, between 06:00 and 17:59 UTC
+// (lunch to late dinner in IST)
+function syntheticOrders(ctx, { days, perDay, name }) {
+  const tableNumbers = [...ctx.tables.keys()];
+  const itemNames = [...ctx.items.keys()];
+  if (!tableNumbers.length || !itemNames.length) return [];
+
+  const orders = [];
+  for (let day = days; day >= 1; day--) {
+    const date = daysAgo(day, '00:00');
+    const random = mulberry32(hashSeed(`${name}|${date.toISOString().slice(0, 10)}`));
+    const pick = list => list[Math.floor(random() * list.length)];
+
+    for (let n = 0; n < perDay; n++) {
+      const createdAt = new Date(date.getTime() + (6 * 3600 + Math.floor(random() * 12 * 3600)) * 1000);
+      const lineCount = 1 + Math.floor(random() * Math.min(4, itemNames.length));
+      const names = new Set();
+      while (names.size < lineCount) names.add(pick(itemNames));
+
+      orders.push({
+        table: pick(tableNumbers),
+        created_at: createdAt,
+        payment_mode: random() < 0.6 ? 'POSTPAID' : 'PREPAID',
+        items: [...names].map(itemName => ({ name: itemName, quantity: 1 + Math.floor(random() * 3) }))
+      });
+    }
+  }
+  return orders;
+}
+
+// Seeds every restaurant in the given fixtures → { restaurants, orders } counts
+async function seed(db, fixtures, { days = 0, perDay = DEFAULT_ORDERS_PER_DAY, log = () => { } } = {}) {
+  let restaurants = 0;
+  let orders = 0;
+
+  for (const fixture of fixtures) {
+    for (const spec of fixture.restaurants) {
+      const ctx = await seedRestaurant(db, spec, { log });
+      restaurants++;
+
+      const planned = (spec.orders || []).map(order => ({
+        ...order,
+        created_at: order.created_at ? parseTimestamp(order.created_at) : daysAgo(order.days_ago || 0, order.time)
+      }));
+      if (days > 0) planned.push(...syntheticOrders(ctx, { days, perDay, name: spec.name }));
+      if (!planned.length) continue;
+
+      const existing = await existingOrderKeys(db, ctx.restaurantId);
+      let added = 0;
+      for (const order of planned) {
+        const key = `${ctx.tables.get(order.table)}|${formatTimestamp(order.created_at)}`;
+        if (existing.has(key)) continue;
+        await insertHistoricalOrder(db, ctx, order);
+        existing.add(key);
+        added++;
+      }
+      log(`   🧾 ${added} order(s) added, ${planned.length - added} already present`);
+      orders += added;
+    }
+  }
+  return { restaurants, orders };
+}
+
+// ─── CLI ──────────────────────────────────────────────────────
+
+function parseArgs(argv) {
+  const options = { files: [], days: 0, perDay: DEFAULT_ORDERS_PER_DAY, force: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--force') {
+      options.force = true;
+    } else if (arg === '--days' || arg === '--per-day') {
+      const value = parseInt(argv[++i], 10);
+      if (!Number.isInteger(value) || value < 0) throw new Error(`${arg} needs a non-negative number`);
+      options[arg === '--days' ? 'days' : 'perDay'] = value;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.files.push(path.resolve(arg));
+    }
+  }
+  if (!options.files.length) options.files.push(DEFAULT_FIXTURE);
+  return options;
+}
+
+// Why seeding `driver` under `env` needs --force → the reason, or null
+function productionGuard(driver, env) {
+  if (env.NODE_ENV === 'production') return 'NODE_ENV=production';
+  if (driver === 'supabase' && env.ALLOW_SEED !== 'on') {
+    return `the Supabase database at ${env.SUPABASE_URL || '(SUPABASE_URL unset)'} may be production (set ALLOW_SEED=on for one that is not)`;
+  }
+  return null;
+}
+
+async function main() {
+  require('dotenv').config();
+  const options = parseArgs(process.argv.slice(2));
+  const driver = (process.env.DB_DRIVER || 'supabase').toLowerCase();
+
+  const reason = productionGuard(driver, process.env);
+  if (reason && !options.force) {
+    throw new Error(`Refusing to seed: ${reason}. Pass --force if you really mean it`);
+  }
+  if (driver === 'memory') {
+    throw new Error('Nothing to seed: the memory driver does not persist between processes');
+  }
+
+  const fixtures = options.files.map(loadFixture);
+  const db = require('./index');
+  console.log(`🌱 Seeding (${db.driver}) from ${options.files.map(f => path.relative(process.cwd(), f)).join(', ')}`);
+
+  const result = await seed(db, fixtures, { days: options.days, perDay: options.perDay, log: console.log });
+  console.log(`✅ ${result.restaurants} restaurant(s), ${result.orders} new order(s)`);
+
+  await db.adapter.close();
+}
+
+module.exports = { seed, loadFixture, productionGuard };
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('❌ Seeding failed:', err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,134 @@
+const { QueryError, NOW, TODAY } = require('./query');
+
+// ─── Query builder → SQL (SQLite and Postgres dialects) ───────
+// Values are always bound as parameters; identifiers were validated by the
+// builder and are quoted here.
+
+const DIALECTS = {
+  sqlite: {
+    placeholder: () => '?',
+    now: 'CURRENT_TIMESTAMP',
+    today: "date('now')",
+    dateOf: expr => `date(${expr})`,
+    round: (expr, digits) => `ROUND(${expr}, ${digits})`,
+    returning: ''
+  },
+  postgres: {
+    placeholder: i => `$${i}`,
+    now: 'CURRENT_TIMESTAMP',
+    today: 'CURRENT_DATE',
+    dateOf: expr => `(${expr})::date`,
+    round: (expr, digits) => `ROUND((${expr})::numeric, ${digits})`,
+    returning: ' RETURNING "id"'
+  }
+};
+
+const COMPARISONS = { '=': '=', '!=': '<>', '>': '>', '>=': '>=', '<': '<', '<=': '<=' };
+
+function quote(name) {
+  return `"${name}"`;
+}
+
+function compileSql(ast, dialectName) {
+  const dialect = DIALECTS[dialectName];
+  if (!dialect) throw new QueryError(`Unknown SQL dialect: ${dialectName}`);
+
+  const params = [];
+  const bind = value => {
+    if (value === NOW) return dialect.now;
+    if (value === TODAY) return dialect.today;
+    if (typeof value === 'boolean') value = value ? 1 : 0;
+    if (value === undefined) value = null;
+    params.push(value);
+    return dialect.placeholder(params.length);
+  };
+
+  const mainAlias = ast.alias || ast.table;
+  const column = ref => ref.alias ? `${quote(ref.alias)}.${quote(ref.column)}` : `${quote(mainAlias)}.${quote(ref.column)}`;
+  const plainColumn = ref => quote(ref.column);
+  const toColumn = ast.type === 'select' ? column : plainColumn;
+
+  const condition = cond => {
+    const col = toColumn(cond);
+    switch (cond.op) {
+      case 'is null': return `${col} IS NULL`;
+      case 'is not null': return `${col} IS NOT NULL`;
+      case 'in': return `${col} IN (${cond.value.map(bind).join(', ')})`;
+      case 'date =': return `${dialect.dateOf(col)} = ${bind(cond.value)}`;
+      default: return `${col} ${COMPARISONS[cond.op]} ${bind(cond.value)}`;
+    }
+  };
+
+  const whereClause = conditions => conditions.length ? ` WHERE ${conditions.map(condition).join(' AND ')}` : '';
+
+  switch (ast.type) {
+    case 'select': {
+      const columns = ast.columns.map(c => {
+        if (c.column === '*') return `${quote(c.alias || mainAlias)}.*`;
+        return c.as ? `${column(c)} AS ${quote(c.as)}` : column(c);
+      });
+
+      for (const agg of ast.aggregates) {
+        const expr = agg.ref ? column(agg.ref) : null;
+        let sql;
+        if (agg.fn === 'count') {
+          sql = agg.filter ? `COUNT(CASE WHEN ${condition(agg.filter)} THEN 1 END)` : 'COUNT(*)';
+        } else if (agg.fn === 'sum') {
+          const inner = agg.filter ? `CASE WHEN ${condition(agg.filter)} THEN ${expr} END` : expr;
+          sql = `COALESCE(SUM(${inner}), 0)`;
+        } else if (agg.fn === 'avg') {
+          sql = agg.round !== null ? dialect.round(`AVG(${expr})`, Number(agg.round)) : `AVG(${expr})`;
+        } else {
+          throw new QueryError(`Unsupported aggregate: ${agg.fn}`);
+        }
+        columns.push(`${sql} AS ${quote(agg.as)}`);
+      }
+
+      if (!columns.length) columns.push(`${quote(mainAlias)}.*`);
+
+      let text = `SELECT ${columns.join(', ')} FROM ${quote(ast.table)}`;
+      if (ast.alias) text += ` ${quote(ast.alias)}`;
+
+      for (const join of ast.joins) {
+        const on = [`${quote(join.alias)}.${quote(join.column)} = ${quote(join.parent)}.${quote(join.parentColumn)}`];
+        join.on.forEach(cond => on.push(condition(cond)));
+        text += ` ${join.kind === 'left' ? 'LEFT JOIN' : 'JOIN'} ${quote(join.table)} ${quote(join.alias)} ON ${on.join(' AND ')}`;
+      }
+
+      text += whereClause(ast.where);
+      if (ast.groupBy.length) text += ` GROUP BY ${ast.groupBy.map(column).join(', ')}`;
+      if (ast.orderBy.length) {
+        text += ` ORDER BY ${ast.orderBy.map(o => `${orderColumn(o, ast, column)} ${o.direction.toUpperCase()}`).join(', ')}`;
+      }
+      if (ast.limit) text += ` LIMIT ${Number(ast.limit)}`;
+      return { text, params };
+    }
+
+    case 'insert': {
+      const cols = Object.keys(ast.values);
+      const values = cols.map(col => bind(ast.values[col]));
+      const text = `INSERT INTO ${quote(ast.table)} (${cols.map(quote).join(', ')}) VALUES (${values.join(', ')})${dialect.returning}`;
+      return { text, params };
+    }
+
+    case 'update': {
+      const sets = Object.keys(ast.values).map(col => `${quote(col)} = ${bind(ast.values[col])}`);
+      const text = `UPDATE ${quote(ast.table)} SET ${sets.join(', ')}${whereClause(ast.where)}`;
+      return { text, params };
+    }
+
+    case 'delete':
+      return { text: `DELETE FROM ${quote(ast.table)}${whereClause(ast.where)}`, params };
+
+    default:
+      throw new QueryError(`Unsupported query type: ${ast.type}`);
+  }
+}
+
+// ORDER BY may name an aggregate alias instead of a table column
+function orderColumn(order, ast, column) {
+  if (!order.alias && ast.aggregates.some(a => a.as === order.column)) return quote(order.column);
+  return column(order);
+}
+
+module.exports = { compileSql };
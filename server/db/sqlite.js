@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { compileSql } = require('./sql');
+const { migrate, sqliteConnection } = require('./migrate');
+
+// ─── Local SQLite driver (file or :memory:) ───────────────────
+// Compiles builder queries to SQLite SQL, so no Supabase project is needed
+// for development or CI.
+
+let Database;
+try {
+  Database = require('better-sqlite3');
+} catch (e) {
+  Database = null;
+}
+
+// SQLITE_PATH is relative to the project root
+function resolveSqlitePath() {
+  return path.resolve(__dirname, '..', '..', process.env.SQLITE_PATH || 'data/restaurant.db');
+}
+
+function openDatabase(filename) {
+  if (!Database) {
+    throw new Error('better-sqlite3 is not installed — run `npm install better-sqlite3` to use the sqlite/memory drivers');
+  }
+
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const conn = new Database(filename);
+  if (filename !== ':memory:') conn.pragma('journal_mode = WAL');
+  conn.pragma('foreign_keys = ON');
+  return conn;
+}
+
+function createSqliteAdapter({ filename = ':memory:' } = {}) {
+  const conn = openDatabase(filename);
+
+  // Local databases are brought up to date on open; queries wait for it
+  const ready = migrate(sqliteConnection(conn), {
+    log: filename === ':memory:' ? undefined : line => console.log(line)
+  }).catch(err => {
+    console.error('❌ SQLite migration failed:', err.message);
+    throw err;
+  });
+  ready.catch(() => { });
+
+  // A transaction holds the single connection across awaits, so statements
+  // from other requests wait for COMMIT/ROLLBACK instead of joining it
+  const txScope = new AsyncLocalStorage();
+  let txLock = null;
+
+  async function waitForTransaction() {
+    await ready;
+    if (txScope.getStore()) return;
+    while (txLock) await txLock;
+  }
+
+  const adapter = {
+    driver: filename === ':memory:' ? 'memory' : 'sqlite',
+    filename,
+
+    // Runs a query builder description (see query.js)
+    async execute(ast) {
+      await waitForTransaction();
+      const { text, params } = compileSql(ast, 'sqlite');
+      const stmt = conn.prepare(text);
+      if (ast.type === 'select') return stmt.all(...bindParams(params));
+
+      const info = stmt.run(...bindParams(params));
+      if (ast.type === 'insert') return { lastInsertRowid: Number(info.lastInsertRowid), changes: info.changes };
+      return { changes: info.changes };
+    },
+
+    // Returns an async function that runs fn inside BEGIN/COMMIT and rolls
+    // back if it throws. Nested calls join the outer transaction.
+    transaction(fn) {
+      return async (...args) => {
+        if (txScope.getStore()) return await fn(...args);
+
+        await ready;
+        while (txLock) await txLock;
+        let release;
+        txLock = new Promise(resolve => { release = resolve; });
+
+        try {
+          conn.exec('BEGIN IMMEDIATE');
+          const result = await txScope.run(true, () => fn(...args));
+          conn.exec('COMMIT');
+          return result;
+        } catch (err) {
+          if (conn.inTransaction) conn.exec('ROLLBACK');
+          throw err;
+        } finally {
+          txLock = null;
+          release();
+        }
+      };
+    },
+
+    // Runs fn inside a transaction so that, if it throws, only its own
+    // statements are undone and the transaction carries on. Outside one it
+    // just runs fn.
+    async savepoint(fn) {
+      if (!txScope.getStore()) return await fn();
+      conn.exec('SAVEPOINT nested');
+      try {
+        const result = await fn();
+        conn.exec('RELEASE nested');
+        return result;
+      } catch (err) {
+        if (conn.inTransaction) conn.exec('ROLLBACK TO nested; RELEASE nested');
+        throw err;
+      }
+    },
+
+    async exec(sqlStatements) {
+      await waitForTransaction();
+      conn.exec(sqlStatements);
+    },
+
+    close() {
+      conn.close();
+    }
+  };
+
+  return adapter;
+}
+
+// better-sqlite3 only binds numbers, strings, bigints, buffers and null
+function bindParams(params) {
+  return params.map(p => {
+    if (p === undefined) return null;
+    if (typeof p === 'boolean') return p ? 1 : 0;
+    if (p instanceof Date) return p.toISOString();
+    if (p !== null && typeof p === 'object' && !Buffer.isBuffer(p)) return JSON.stringify(p);
+    return p;
+  });
+}
+
+module.exports = { createSqliteAdapter, openDatabase, resolveSqlitePath };
@@ -0,0 +1,456 @@
+const { createClient } = require('@supabase/supabase-js');
+const { AsyncLocalStorage } = require('async_hooks');
+const { QueryError, NOW, TODAY } = require('./query');
+const { compileSql } = require('./sql');
+
+// ─── Supabase Client (HTTPS, works everywhere including Render) ───
+// Created lazily so the other drivers can run without Supabase credentials
+let supabase = null;
+
+function createSupabaseAdapter() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+  if (!supabaseUrl || !supabaseKey) {
+    console.error('❌ SUPABASE_URL and SUPABASE_ANON_KEY must be set');
+  }
+
+  supabase = createClient(supabaseUrl, supabaseKey, {
+    db: { schema: 'public' },
+    auth: { persistSession: false }
+  });
+
+  if (!process.env.DATABASE_URL) {
+    console.warn('⚠️  DATABASE_URL is not set — order creation needs it for transactions');
+  }
+
+  return adapter;
+}
+
+// ─── Direct Postgres connection for transactions ──────────────
+// PostgREST is stateless, so multi-statement writes run over `pg` instead.
+// Queries issued inside adapter.transaction() are compiled to Postgres SQL
+// and sent on the client held in txScope; everything else goes over REST.
+
+const txScope = new AsyncLocalStorage();
+let pgPool = null;
+
+function getPgPool() {
+  if (!process.env.DATABASE_URL) return null;
+  if (!pgPool) {
+    const { Pool, types } = require('pg');
+    // Match the REST API, which returns ids and amounts as JSON numbers
+    types.setTypeParser(20, v => parseInt(v, 10));   // int8
+    types.setTypeParser(1700, v => parseFloat(v));   // numeric
+    pgPool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: { rejectUnauthorized: false }
+    });
+  }
+  return pgPool;
+}
+
+async function executeViaPg(client, ast) {
+  const { text, params } = compileSql(ast, 'postgres');
+  const result = await client.query(text, params);
+
+  if (ast.type === 'select') return result.rows;
+  if (ast.type === 'insert') return { lastInsertRowid: result.rows[0]?.id, changes: result.rowCount };
+  return { changes: result.rowCount };
+}
+
+// ─── The adapter behind db (see index.js) ─────────────────────
+
+const adapter = {
+  driver: 'supabase',
+
+  async execute(ast) {
+    const client = txScope.getStore();
+    if (client) return await executeViaPg(client, ast);
+    return await executeViaRest(ast);
+  },
+
+  // Returns an async function that runs fn inside BEGIN/COMMIT on a pooled
+  // Postgres connection and rolls back if it throws. Nested calls join the
+  // outer transaction.
+  transaction(fn) {
+    return async (...args) => {
+      if (txScope.getStore()) return await fn(...args);
+
+      const pool = getPgPool();
+      if (!pool) {
+        throw new Error('Transactions need DATABASE_URL (direct Postgres connection) when using the Supabase driver');
+      }
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await txScope.run(client, () => fn(...args));
+        await client.query('COMMIT');
+        return result;
+      } catch (err) {
+        await client.query('ROLLBACK').catch(() => { });
+        throw err;
+      } finally {
+        client.release();
+      }
+    };
+  },
+
+  // Runs fn inside a transaction so that, if it throws, only its own
+  // statements are undone and the transaction carries on (Postgres refuses
+  // every statement after an error otherwise). Outside one it just runs fn.
+  async savepoint(fn) {
+    const client = txScope.getStore();
+    if (!client) return await fn();
+    await client.query('SAVEPOINT nested');
+    try {
+      const result = await fn();
+      await client.query('RELEASE SAVEPOINT nested');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK TO SAVEPOINT nested');
+      await client.query('RELEASE SAVEPOINT nested');
+      throw err;
+    }
+  },
+
+  async close() {
+    if (pgPool) await pgPool.end();
+    pgPool = null;
+  }
+};
+
+// ─── Query builder → Supabase REST (PostgREST) ────────────────
+// Joins become resource embeds (hinted by the FK column in the ON clause),
+// filters/order/limit map to PostgREST operators, and aggregates are computed
+// here over the filtered rows. Constructs PostgREST cannot express throw a
+// QueryError.
+
+const PAGE_SIZE = 1000;
+
+async function executeViaRest(ast) {
+  switch (ast.type) {
+    case 'select':
+      return await selectViaRest(ast);
+
+    case 'insert': {
+      const { data, error } = await supabase.from(ast.table).insert(restValues(ast.values)).select('id').single();
+      if (error) throw Object.assign(new Error(`INSERT ${ast.table}: ${error.message}`), { code: error.code });
+      return { lastInsertRowid: data.id, changes: 1 };
+    }
+
+    case 'update': {
+      let query = supabase.from(ast.table).update(restValues(ast.values));
+      ast.where.forEach(cond => { query = applyFilter(query, cond.column, cond); });
+      const { data, error } = await query.select('id');
+      if (error) throw new Error(`UPDATE ${ast.table}: ${error.message}`);
+      return { changes: data?.length || 0 };
+    }
+
+    case 'delete': {
+      let query = supabase.from(ast.table).delete();
+      ast.where.forEach(cond => { query = applyFilter(query, cond.column, cond); });
+      const { data, error } = await query.select('id');
+      if (error) throw new Error(`DELETE ${ast.table}: ${error.message}`);
+      return { changes: data?.length || 0 };
+    }
+
+    default:
+      throw new QueryError(`Unsupported query type: ${ast.type}`);
+  }
+}
+
+async function selectViaRest(ast) {
+  const mainAlias = ast.alias || ast.table;
+  const nodes = buildJoinTree(ast, mainAlias);
+  const aggregated = ast.aggregates.length > 0 || ast.groupBy.length > 0;
+  const columns = ast.columns.length || aggregated ? ast.columns : [{ alias: null, column: '*' }];
+
+  const nodeFor = ref => {
+    const node = nodes.get(ref.alias || mainAlias);
+    if (!node) throw new QueryError(`Unknown table alias: ${ref.alias}`);
+    return node;
+  };
+
+  // Columns each embed has to return
+  const want = ref => nodeFor(ref).columns.add(ref.column);
+  columns.forEach(want);
+  if (aggregated) {
+    ast.groupBy.forEach(want);
+    ast.aggregates.forEach(agg => {
+      if (agg.ref) want(agg.ref);
+      if (agg.filter) want(agg.filter);
+    });
+  }
+
+  // Selected to-many embeds multiply rows, which LIMIT cannot account for
+  const multiplies = ast.joins.some(j => !isToOne(j) && nodes.get(j.alias).columns.size);
+  if (multiplies && ast.limit && !aggregated) {
+    throw new QueryError('Supabase REST driver cannot LIMIT a query that selects columns from a one-to-many JOIN');
+  }
+
+  let query = supabase.from(ast.table).select(selectFor(nodes.get(mainAlias)));
+
+  for (const join of ast.joins) {
+    join.on.forEach(cond => { query = applyFilter(query, `${nodes.get(join.alias).path}.${cond.column}`, cond); });
+  }
+
+  for (const cond of ast.where) {
+    const node = nodeFor(cond);
+    if (!node.path) {
+      query = applyFilter(query, cond.column, cond);
+    } else if (!node.optional) {
+      query = applyFilter(query, `${node.path}.${cond.column}`, cond);
+    } else if (cond.op === 'is null' && [node.join.column, 'id'].includes(cond.column)) {
+      // LEFT JOIN ... WHERE alias.id IS NULL → PostgREST anti-join
+      query = query.is(node.path, null);
+    } else {
+      throw new QueryError(`Supabase REST driver only supports "${node.alias}.id IS NULL" in WHERE for LEFT JOIN ${node.join.table}`);
+    }
+  }
+
+  if (!aggregated) {
+    for (const order of ast.orderBy) {
+      const node = nodeFor(order);
+      const ascending = order.direction === 'asc';
+      if (!node.path) {
+        query = query.order(order.column, { ascending });
+      } else if (node.depth === 1 && isToOne(node.join)) {
+        query = query.order(`${node.alias}(${order.column})`, { ascending });
+      } else {
+        throw new QueryError(`Supabase REST driver can only ORDER BY columns of the main table or a directly joined to-one table (${node.alias}.${order.column})`);
+      }
+    }
+  }
+
+  const rows = !aggregated && ast.limit
+    ? await fetchRows(query.limit(ast.limit), ast.table)
+    : await fetchAllRows(query, ast.table);
+
+  const combos = rows.flatMap(row => expandRow(row, ast, mainAlias));
+  if (!aggregated) return combos.map(combo => projectRow(combo, columns, nodes, mainAlias));
+
+  let result = aggregateRows(combos, ast, columns, nodes, mainAlias);
+  if (ast.orderBy.length) result = sortRows(result, ast.orderBy);
+  return ast.limit ? result.slice(0, ast.limit) : result;
+}
+
+function buildJoinTree(ast, mainAlias) {
+  const root = { alias: mainAlias, path: null, depth: 0, optional: false, columns: new Set(), children: [] };
+  const nodes = new Map([[mainAlias, root]]);
+  for (const join of ast.joins) {
+    const parent = nodes.get(join.parent);
+    const node = {
+      alias: join.alias,
+      join,
+      path: parent.path ? `${parent.path}.${join.alias}` : join.alias,
+      depth: parent.depth + 1,
+      optional: parent.optional || join.kind === 'left',
+      columns: new Set(),
+      children: []
+    };
+    parent.children.push(node);
+    nodes.set(join.alias, node);
+  }
+  return nodes;
+}
+
+// ON joined.id = parent.fk → many-to-one, the embed is a single object
+function isToOne(join) {
+  return join.column === 'id';
+}
+
+// "o:orders" → "*,t:tables!table_id!inner(table_number)"
+function selectFor(node) {
+  const parts = node.columns.has('*') ? ['*'] : [...node.columns];
+  for (const child of node.children) {
+    const { join } = child;
+    const fkColumn = isToOne(join) ? join.parentColumn : join.column;
+    parts.push(`${child.alias}:${join.table}!${fkColumn}${join.kind === 'inner' ? '!inner' : ''}(${selectFor(child)})`);
+  }
+  return parts.length ? parts.join(',') : 'id';
+}
+
+function applyFilter(query, path, cond) {
+  switch (cond.op) {
+    case '=': return query.eq(path, restValue(cond.value));
+    case '!=': return query.neq(path, restValue(cond.value));
+    case '>': return query.gt(path, restValue(cond.value));
+    case '>=': return query.gte(path, restValue(cond.value));
+    case '<': return query.lt(path, restValue(cond.value));
+    case '<=': return query.lte(path, restValue(cond.value));
+    case 'in': return query.filter(path, 'in', restList(cond.value));
+    case 'is null': return query.is(path, null);
+    case 'is not null': return query.not(path, 'is', null);
+    case 'date =': {
+      const day = toDay(cond.value);
+      return query.gte(path, day).lt(path, nextDay(day));
+    }
+    default:
+      throw new QueryError(`Unsupported operator: ${cond.op}`);
+  }
+}
+
+async function fetchRows(query, table) {
+  const { data, error } = await query;
+  if (error) throw new Error(`SELECT ${table}: ${error.message}`);
+  return data || [];
+}
+
+// PostgREST caps responses (1000 rows on Supabase), so page until exhausted
+async function fetchAllRows(query, table) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const page = await fetchRows(query.range(from, from + PAGE_SIZE - 1), table);
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) return rows;
+  }
+}
+
+// Nested embeds → one { alias: row } combination per SQL result row
+function expandRow(row, ast, mainAlias) {
+  let combos = [{ [mainAlias]: row }];
+  for (const join of ast.joins) {
+    const next = [];
+    for (const combo of combos) {
+      const embedded = combo[join.parent] ? combo[join.parent][join.alias] : null;
+      const matches = Array.isArray(embedded) ? embedded : (embedded ? [embedded] : []);
+      if (matches.length) {
+        matches.forEach(match => next.push({ ...combo, [join.alias]: match }));
+      } else if (join.kind === 'left') {
+        next.push({ ...combo, [join.alias]: null });
+      }
+    }
+    combos = next;
+  }
+  return combos;
+}
+
+function projectRow(combo, columns, nodes, mainAlias) {
+  const out = {};
+  for (const col of columns) {
+    const alias = col.alias || mainAlias;
+    const source = combo[alias];
+    if (col.column === '*') {
+      const embeds = new Set(nodes.get(alias).children.map(child => child.alias));
+      Object.entries(source || {}).forEach(([key, value]) => {
+        if (!embeds.has(key)) out[key] = value;
+      });
+    } else {
+      out[col.as || col.column] = source ? (source[col.column] ?? null) : null;
+    }
+  }
+  return out;
+}
+
+function aggregateRows(combos, ast, columns, nodes, mainAlias) {
+  const valueOf = (combo, ref) => {
+    const source = combo[ref.alias || mainAlias];
+    return source ? source[ref.column] : null;
+  };
+
+  const groups = new Map();
+  for (const combo of combos) {
+    const key = JSON.stringify(ast.groupBy.map(ref => valueOf(combo, ref)));
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(combo);
+  }
+  if (!ast.groupBy.length && !groups.size) groups.set('[]', []);
+
+  return [...groups.values()].map(group => {
+    const out = group.length ? projectRow(group[0], columns, nodes, mainAlias) : {};
+    for (const agg of ast.aggregates) {
+      const rows = agg.filter ? group.filter(combo => matchesCondition(valueOf(combo, agg.filter), agg.filter)) : group;
+      const values = agg.ref ? rows.map(combo => valueOf(combo, agg.ref)).filter(v => v !== null && v !== undefined).map(Number) : [];
+
+      if (agg.fn === 'count') {
+        out[agg.as] = rows.length;
+      } else if (agg.fn === 'sum') {
+        out[agg.as] = values.reduce((s, v) => s + v, 0);
+      } else if (agg.fn === 'avg') {
+        let avg = values.length ? values.reduce((s, v) => s + v, 0) / values.length : null;
+        if (avg !== null && agg.round !== null) {
+          const factor = Math.pow(10, Number(agg.round));
+          avg = Math.round(avg * factor) / factor;
+        }
+        out[agg.as] = avg;
+      } else {
+        throw new QueryError(`Unsupported aggregate: ${agg.fn}`);
+      }
+    }
+    return out;
+  });
+}
+
+function matchesCondition(value, cond) {
+  switch (cond.op) {
+    case '=': return value !== null && String(value) === String(restValue(cond.value));
+    case '!=': return value !== null && String(value) !== String(restValue(cond.value));
+    case '>': return value !== null && Number(value) > Number(cond.value);
+    case '>=': return value !== null && Number(value) >= Number(cond.value);
+    case '<': return value !== null && Number(value) < Number(cond.value);
+    case '<=': return value !== null && Number(value) <= Number(cond.value);
+    case 'in': return value !== null && cond.value.map(v => String(restValue(v))).includes(String(value));
+    case 'is null': return value === null || value === undefined;
+    case 'is not null': return value !== null && value !== undefined;
+    case 'date =': return value !== null && String(value).slice(0, 10) === toDay(cond.value);
+    default: throw new QueryError(`Unsupported operator: ${cond.op}`);
+  }
+}
+
+function sortRows(rows, orderBy) {
+  return [...rows].sort((a, b) => {
+    for (const order of orderBy) {
+      const x = a[order.column];
+      const y = b[order.column];
+      if (x === y) continue;
+      const cmp = x === null || x === undefined ? -1 : y === null || y === undefined ? 1 : (x < y ? -1 : 1);
+      return order.direction === 'asc' ? cmp : -cmp;
+    }
+    return 0;
+  });
+}
+
+// ─── Value helpers ────────────────────────────────────────────
+
+function restValue(value) {
+  if (value === NOW) return new Date().toISOString();
+  if (value === TODAY) return toDay(TODAY);
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value === undefined) return null;
+  return value;
+}
+
+// in.(...) list with every string double-quoted and its quotes/backslashes
+// escaped — supabase-js's .in() leaves embedded quotes as they are, so a
+// value like `a",b` would split into two list entries
+function restList(values) {
+  const items = values.map(restValue).map(value => {
+    if (value === null) return 'null';
+    if (typeof value === 'number') return String(value);
+    return `"${String(value).replace(/[\\"]/g, ch => `\\${ch}`)}"`;
+  });
+  return `(${items.join(',')})`;
+}
+
+function restValues(values) {
+  const out = {};
+  Object.entries(values).forEach(([col, value]) => { out[col] = restValue(value); });
+  return out;
+}
+
+function toDay(value) {
+  if (value === TODAY) return new Date().toISOString().split('T')[0];
+  const day = String(value).slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) throw new QueryError(`Invalid date: ${JSON.stringify(value)}`);
+  return day;
+}
+
+function nextDay(day) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().split('T')[0];
+}
+
+module.exports = { createSupabaseAdapter, getPgPool };
@@ -0,0 +1,96 @@
+const { QueryBuilder, QueryError } = require('./query');
+
+// ─── Tenant scoping ───────────────────────────────────────────
+// db.forTenant(restaurantId) hands out builders that can only see and change
+// one restaurant's rows: reads/updates/deletes get `restaurant_id = ?` added,
+// joined tenant tables get it in their ON clause, and inserts have it filled
+// in. Tables without a tenant column are reached through their parent.
+
+// table → column holding the restaurant id
+const TENANT_COLUMNS = {
+  restaurants: 'id',
+  users: 'restaurant_id',
+  tables: 'restaurant_id',
+  menu_categories: 'restaurant_id',
+  menu_items: 'restaurant_id',
+  menu_item_variants: 'restaurant_id',
+  modifier_groups: 'restaurant_id',
+  modifier_options: 'restaurant_id',
+  combos: 'restaurant_id',
+  combo_slots: 'restaurant_id',
+  combo_slot_options: 'restaurant_id',
+  ingredients: 'restaurant_id',
+  recipe_lines: 'restaurant_id',
+  ingredient_movements: 'restaurant_id',
+  price_rules: 'restaurant_id',
+  tax_classes: 'restaurant_id',
+  coupons: 'restaurant_id',
+  order_discounts: 'restaurant_id',
+  invoice_sequences: 'restaurant_id',
+  invoices: 'restaurant_id',
+  orders: 'restaurant_id',
+  payments: 'restaurant_id',
+  refunds: 'restaurant_id',
+  reconciliation_issues: 'restaurant_id',
+  feedback: 'restaurant_id'
+};
+
+// table → parent that carries the tenant column
+const TENANT_PARENTS = {
+  order_items: { table: 'orders', column: 'order_id' }
+};
+
+class TenantQueryBuilder extends QueryBuilder {
+  constructor(adapter, table, alias, restaurantId) {
+    super(adapter, table, alias);
+    this.restaurantId = restaurantId;
+
+    const ref = alias || table;
+    if (TENANT_COLUMNS[table]) {
+      this.where(`${ref}.${TENANT_COLUMNS[table]}`, restaurantId);
+    } else if (TENANT_PARENTS[table]) {
+      const parent = TENANT_PARENTS[table];
+      this.join(parent.table, '_tenant', '_tenant.id', `${ref}.${parent.column}`);
+    } else {
+      throw new QueryError(`Table ${table} has no tenant scope`);
+    }
+  }
+
+  _join(kind, table, alias, left, right, on) {
+    const column = TENANT_COLUMNS[table];
+    return super._join(kind, table, alias, left, right, column ? { ...on, [column]: this.restaurantId } : on);
+  }
+
+  async insert(values) {
+    return await super.insert(this._withTenant(values, 'INSERT'));
+  }
+
+  async update(values) {
+    const column = TENANT_COLUMNS[this.ast.table];
+    if (values && column in values) this._withTenant(values, 'UPDATE');
+    return await super.update(values);
+  }
+
+  _withTenant(values, op) {
+    const column = TENANT_COLUMNS[this.ast.table];
+    if (!column || column === 'id') throw new QueryError(`${op} into ${this.ast.table} is not tenant-scoped`);
+    if (values && values[column] !== undefined && String(values[column]) !== String(this.restaurantId)) {
+      throw new QueryError(`${op} into ${this.ast.table} for another restaurant`);
+    }
+    return { ...values, [column]: this.restaurantId };
+  }
+}
+
+function forTenant(adapter, restaurantId) {
+  if (restaurantId === undefined || restaurantId === null || restaurantId === '') {
+    throw new QueryError('A restaurant id is required for tenant-scoped queries');
+  }
+  return {
+    restaurantId,
+    from(table, alias) {
+      return new TenantQueryBuilder(adapter, table, alias, restaurantId);
+    }
+  };
+}
+
+module.exports = { forTenant, TENANT_COLUMNS };
@@ -8,6 +8,8 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
+// Gateway webhooks are signed over the raw body, so they come before the JSON parser
+app.use('/api/webhooks', require('./routes/webhooks'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -19,16 +21,24 @@ app.get('/', (req, res) => {
 // Static files
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
-// Initialize database (runs migrations + seed on first load)
+// Initialize database (driver picked by DB_DRIVER, see server/db/index.js)
 require('./db');
 
 // API Routes
+app.use('/api', require('./middleware/tableToken').checkTableToken);
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/menu', require('./routes/menu'));
 app.use('/api/tables', require('./routes/tables'));
 app.use('/api/orders', require('./routes/orders'));
 app.use('/api/payments', require('./routes/payments'));
 app.use('/api/feedback', require('./routes/feedback'));
+app.use('/api/inventory', require('./routes/inventory'));
+app.use('/api/restaurant', require('./routes/restaurant'));
+app.use('/api/promotions', require('./routes/promotions'));
+app.use('/api/coupons', require('./routes/coupons'));
+app.use('/api/invoices', require('./routes/invoices'));
+app.use('/api/reconciliation', require('./routes/reconciliation'));
+app.use('/api/sandbox', require('./routes/sandbox'));
 app.use('/api/sse', require('./routes/sse'));
 
 // ─── HTML Route Handlers ──────────────────────────────────────
@@ -77,12 +87,13 @@ app.get('/api/health', (req, res) => {
 app.get('/api/health/db', async (req, res) => {
     try {
         const db = require('./db');
-        const supabaseUrl = process.env.SUPABASE_URL || 'NOT SET';
-        const result = await db.query('SELECT COUNT(*) as count FROM users');
+        const dbHost = db.driver === 'supabase' ? (process.env.SUPABASE_URL || 'NOT SET') : db.filename;
+        const result = await db.from('users').count().get();
         res.json({
             status: 'connected',
-            db_host: supabaseUrl,
-            users_count: result.rows[0].count,
+            driver: db.driver,
+            db_host: dbHost,
+            users_count: result.count,
             timestamp: new Date().toISOString()
         });
     } catch (err) {
@@ -111,13 +122,19 @@ app.use((err, req, res, next) => {
     res.status(500).json({ error: 'Internal server error' });
 });
 
-app.listen(PORT, () => {
-    console.log(`\n🍽️  QR Restaurant Server running on http://localhost:${PORT}`);
-    console.log(`\n   Customer:  http://localhost:${PORT}/order?token=<qr_token>`);
-    console.log(`   Kitchen:   http://localhost:${PORT}/kitchen`);
-    console.log(`   Waiter:    http://localhost:${PORT}/waiter`);
-    console.log(`   Admin:     http://localhost:${PORT}/admin`);
-    console.log(`   Staff:     http://localhost:${PORT}/staff\n`);
-});
+// Tests require the app and listen on a port of their own
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`\n🍽️  QR Restaurant Server running on http://localhost:${PORT}`);
+        console.log(`\n   Customer:  http://localhost:${PORT}/order?token=<qr_token>`);
+        console.log(`   Kitchen:   http://localhost:${PORT}/kitchen`);
+        console.log(`   Waiter:    http://localhost:${PORT}/waiter`);
+        console.log(`   Admin:     http://localhost:${PORT}/admin`);
+        console.log(`   Staff:     http://localhost:${PORT}/staff\n`);
+
+        // Compare each day's payments with the gateway's, every night
+        require('./utils/reconciliation').scheduleReconciliation();
+    });
+}
 
 module.exports = app;
@@ -1,9 +1,31 @@
 const jwt = require('jsonwebtoken');
+const { scopeToTenant } = require('./tenant');
 
-function authenticateToken(req, res, next) {
+// Set on login for the SSE endpoints (see authenticateStream)
+const STAFF_COOKIE = 'staff_token';
+
+function bearerToken(req) {
     const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    return authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+}
+
+function readCookie(req, name) {
+    const header = req.headers['cookie'];
+    if (!header) return null;
+    for (const part of header.split(';')) {
+        const idx = part.indexOf('=');
+        if (idx !== -1 && part.slice(0, idx).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(idx + 1).trim());
+            } catch (e) {
+                return null;
+            }
+        }
+    }
+    return null;
+}
 
+function verifyStaffToken(token, req, res, next) {
     if (!token) {
         return res.status(401).json({ error: 'Authentication required' });
     }
@@ -11,10 +33,23 @@ function authenticateToken(req, res, next) {
     try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         req.user = decoded;
-        next();
     } catch (err) {
         return res.status(403).json({ error: 'Invalid or expired token' });
     }
+
+    // Every authenticated request works inside its own restaurant
+    scopeToTenant(req, res, next);
+}
+
+function authenticateToken(req, res, next) {
+    verifyStaffToken(bearerToken(req), req, res, next);
+}
+
+// EventSource cannot set headers, so streams also accept the JWT as
+// ?access_token= or in the staff_token cookie
+function authenticateStream(req, res, next) {
+    const queryToken = typeof req.query.access_token === 'string' ? req.query.access_token : null;
+    verifyStaffToken(bearerToken(req) || queryToken || readCookie(req, STAFF_COOKIE), req, res, next);
 }
 
 function requireRole(...roles) {
@@ -29,4 +64,4 @@ function requireRole(...roles) {
     };
 }
 
-module.exports = { authenticateToken, requireRole };
+module.exports = { authenticateToken, authenticateStream, requireRole, STAFF_COOKIE };
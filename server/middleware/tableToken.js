@@ -0,0 +1,12 @@
+// Customers name their table by its QR token: table_token in a body, ?token=
+// in a URL. Anything but a string there (an array from ?token=a&token=b, an
+// object from JSON) is not a table, and the query builder cannot bind it.
+function checkTableToken(req, res, next) {
+    const tokens = [req.query.token, req.body && req.body.table_token];
+    if (tokens.some(token => token != null && typeof token !== 'string')) {
+        return res.status(400).json({ error: 'Invalid table' });
+    }
+    next();
+}
+
+module.exports = { checkTableToken };
@@ -0,0 +1,13 @@
+const db = require('../db');
+
+// Gives staff routes req.db — the query builder scoped to the signed-in
+// user's restaurant — so handlers cannot forget the restaurant_id filter
+function scopeToTenant(req, res, next) {
+    if (!req.user || !req.user.restaurant_id) {
+        return res.status(403).json({ error: 'No restaurant assigned to this account' });
+    }
+    req.db = db.forTenant(req.user.restaurant_id);
+    next();
+}
+
+module.exports = { scopeToTenant };
@@ -0,0 +1,32 @@
+require('dotenv').config();
+const db = require('./db');
+const { lastDay, reconcileDay } = require('./utils/reconciliation');
+const { isDate } = require('./utils/availability');
+
+// ─── Reconciling a day by hand ────────────────────────────────
+// A run covers every restaurant on the gateway account, so it is started
+// from the server, not by a restaurant's admin:
+//
+//   npm run reconcile                  yesterday
+//   npm run reconcile -- 2026-03-01    a day the scheduler missed, or whose run failed
+
+async function main() {
+    const day = process.argv[2] || lastDay();
+    if (!isDate(day) || day > lastDay()) {
+        throw new Error('The day must be a date (YYYY-MM-DD) before today');
+    }
+
+    const run = await reconcileDay(day);
+    if (run.status === 'running') {
+        throw new Error(`${day} is being reconciled already`);
+    }
+    const detail = run.error ? `: ${run.error}` : '';
+    console.log(`🧾 ${day} ${run.status}${detail} (${run.checked} checked, ${run.fixed} fixed, ${run.issues} issue(s))`);
+
+    await db.adapter.close();
+}
+
+main().catch(err => {
+    console.error('❌ Reconciliation failed:', err.message);
+    process.exit(1);
+});
@@ -3,6 +3,17 @@ const router = express.Router();
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const db = require('../db');
+const { STAFF_COOKIE } = require('../middleware/auth');
+
+const TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+
+// The JWT again as a cookie, so SSE clients can skip ?access_token=
+const staffCookieOptions = {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/api/sse'
+};
 
 // POST /api/auth/login
 router.post('/login', async (req, res) => {
@@ -13,9 +24,10 @@ router.post('/login', async (req, res) => {
             return res.status(400).json({ error: 'Username and password are required' });
         }
 
-        const user = await db.prepare(
-            'SELECT id, username, password_hash, role, name, restaurant_id FROM users WHERE username = ? AND active = 1'
-        ).get(username);
+        const user = await db.from('users')
+            .select('id', 'username', 'password_hash', 'role', 'name', 'restaurant_id')
+            .where({ username, active: 1 })
+            .get();
 
         if (!user) {
             return res.status(401).json({ error: 'Invalid credentials' });
@@ -38,6 +50,7 @@ router.post('/login', async (req, res) => {
             { expiresIn: '12h' }
         );
 
+        res.cookie(STAFF_COOKIE, token, { ...staffCookieOptions, maxAge: TOKEN_TTL_MS });
         res.json({
             token,
             user: {
@@ -54,4 +67,10 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// POST /api/auth/logout
+router.post('/logout', (req, res) => {
+    res.clearCookie(STAFF_COOKIE, staffCookieOptions);
+    res.json({ success: true });
+});
+
 module.exports = router;
@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { CouponError, validateCoupon } = require('../utils/coupons');
+const { PricingError, roundMoney } = require('../utils/pricing');
+const { billCart } = require('../utils/billing');
+const { DEFAULT_TIMEZONE, localNow, reportDays, withinLocalDays } = require('../utils/availability');
+
+// The category or item a coupon is scoped to must belong to the restaurant
+async function checkCouponScope(tenantDb, values) {
+    if (values.category_id) {
+        const category = await tenantDb.from('menu_categories').select('id').where('id', values.category_id).get();
+        if (!category) return 'Category not found';
+    }
+    if (values.menu_item_id) {
+        const item = await tenantDb.from('menu_items').select('id').where('id', values.menu_item_id).get();
+        if (!item) return 'Menu item not found';
+    }
+    return null;
+}
+
+// ─── Customer: check a code against the cart ──────────────────
+
+// POST /api/coupons/validate
+// Body: { table_token, code, items, customer_phone? } → the discount the
+// order would get, and its total. The order re-checks the code when placed.
+router.post('/validate', async (req, res) => {
+    try {
+        const { table_token, code, items, customer_phone } = req.body;
+        if (!table_token || !code || !items || !items.length) {
+            return res.status(400).json({ error: 'table_token, code and items are required' });
+        }
+
+        const table = await db.from('tables')
+            .select('id', 'restaurant_id')
+            .where({ qr_token: table_token, active: 1 })
+            .get();
+        if (!table) return res.status(404).json({ error: 'Invalid table' });
+
+        const { coupon, bill } = await billCart(table.restaurant_id, items, {
+            checkStock: false,
+            couponCode: code,
+            phone: customer_phone
+        });
+        res.json({
+            code: coupon.coupon.code,
+            label: coupon.label,
+            discount: coupon.discount,
+            subtotal: bill.subtotal,
+            total: bill.total_amount
+        });
+    } catch (err) {
+        if (err instanceof CouponError) return res.status(400).json({ error: err.message, needs_phone: err.needsPhone });
+        if (err instanceof PricingError) return res.status(400).json({ error: err.message });
+        console.error('Coupon validate error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ─── Admin: Coupons ───────────────────────────────────────────
+// Body: { code, description?, kind: 'flat' | 'percent', value, max_discount?,
+//         min_bill?, usage_limit?, per_customer_limit?, valid_from?,
+//         valid_to?, category_id?, menu_item_id?, active } — see utils/coupons.js
+
+// GET /api/coupons (includes inactive, with redemption counts)
+router.get('/', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const coupons = await req.db.from('coupons', 'c')
+            .select('c.*', 'mc.name as category_name', 'mi.name as item_name')
+            .leftJoin('menu_categories', 'mc', 'mc.id', 'c.category_id')
+            .leftJoin('menu_items', 'mi', 'mi.id', 'c.menu_item_id')
+            .orderBy('c.id')
+            .all();
+        const uses = await req.db.from('order_discounts')
+            .select('coupon_id')
+            .count('redemptions')
+            .sum('amount', 'discount')
+            .groupBy('coupon_id')
+            .all();
+        const usesById = new Map(uses.map(u => [u.coupon_id, u]));
+
+        res.json(coupons.map(c => ({
+            ...c,
+            redemptions: usesById.has(c.id) ? usesById.get(c.id).redemptions : 0,
+            discount_total: usesById.has(c.id) ? roundMoney(usesById.get(c.id).discount) : 0
+        })));
+    } catch (err) {
+        console.error('Coupons fetch error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/coupons
+router.post('/', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const values = validateCoupon(req.body);
+        const invalid = await checkCouponScope(req.db, values);
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        const taken = await req.db.from('coupons').select('id').where('code', values.code).get();
+        if (taken) return res.status(409).json({ error: `Coupon ${values.code} already exists` });
+
+        const result = await req.db.from('coupons').insert(values);
+        const coupon = await req.db.from('coupons').where('id', result.lastInsertRowid).get();
+        res.status(201).json(coupon);
+    } catch (err) {
+        if (err instanceof CouponError) return res.status(400).json({ error: err.message });
+        console.error('Coupon create error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// PUT /api/coupons/:id
+router.put('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const existing = await req.db.from('coupons').where('id', req.params.id).get();
+        if (!existing) return res.status(404).json({ error: 'Coupon not found' });
+
+        const values = validateCoupon(req.body, existing);
+        const invalid = await checkCouponScope(req.db, values);
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        const taken = await req.db.from('coupons').select('id').where('code', values.code).where('id', '!=', existing.id).get();
+        if (taken) return res.status(409).json({ error: `Coupon ${values.code} already exists` });
+
+        await req.db.from('coupons').where('id', existing.id).update({ ...values, updated_at: db.NOW });
+        const coupon = await req.db.from('coupons').where('id', existing.id).get();
+        res.json(coupon);
+    } catch (err) {
+        if (err instanceof CouponError) return res.status(400).json({ error: err.message });
+        console.error('Coupon update error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /api/coupons/:id
+router.delete('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const coupon = await req.db.from('coupons').select('id').where('id', req.params.id).get();
+        if (!coupon) return res.status(404).json({ error: 'Coupon not found' });
+
+        // Soft delete - redemptions still point at it
+        await req.db.from('coupons').where('id', coupon.id).update({ active: 0, updated_at: db.NOW });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Coupon delete error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ─── Admin: Redemption report ─────────────────────────────────
+
+// GET /api/coupons/report?from=YYYY-MM-DD&to=YYYY-MM-DD (default: last 7 days)
+// Redemptions per coupon between two restaurant-local dates, with the
+// discount given and the bills it was given on, and the latest redemptions.
+router.get('/report', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const restaurant = await db.from('restaurants').select('timezone').where('id', req.user.restaurant_id).get();
+        const timezone = restaurant.timezone || DEFAULT_TIMEZONE;
+        const days = reportDays(req.query, localNow(timezone).date);
+        if (!days) {
+            return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD), from not after to' });
+        }
+        const { from, to } = days;
+
+        const redemptions = await withinLocalDays(req.db.from('order_discounts', 'od')
+            .select('od.order_id', 'od.coupon_id', 'od.code', 'od.amount', 'od.customer_phone', 'od.created_at', 'o.total_amount', 't.table_number')
+            .join('orders', 'o', 'o.id', 'od.order_id')
+            .join('tables', 't', 't.id', 'o.table_id')
+            .orderBy('od.created_at', 'desc'), timezone, from, to, 'od.created_at');
+
+        const byCoupon = new Map();
+        const customers = new Map();
+        for (const r of redemptions) {
+            if (!byCoupon.has(r.code)) {
+                byCoupon.set(r.code, { coupon_id: r.coupon_id, code: r.code, redemptions: 0, customers: 0, discount: 0, order_total: 0 });
+                customers.set(r.code, new Set());
+            }
+            const coupon = byCoupon.get(r.code);
+            coupon.redemptions++;
+            coupon.discount += r.amount;
+            coupon.order_total += r.total_amount;
+            if (r.customer_phone) customers.get(r.code).add(r.customer_phone);
+        }
+
+        const coupons = [...byCoupon.values()].map(c => ({
+            ...c,
+            customers: customers.get(c.code).size,
+            discount: roundMoney(c.discount),
+            order_total: roundMoney(c.order_total)
+        }));
+        res.json({
+            from,
+            to,
+            redemptions: redemptions.length,
+            discount: roundMoney(coupons.reduce((sum, c) => sum + c.discount, 0)),
+            coupons: coupons.sort((a, b) => b.discount - a.discount),
+            recent: redemptions.slice(0, 20)
+        });
+    } catch (err) {
+        console.error('Coupon report error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
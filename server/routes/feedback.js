@@ -2,25 +2,54 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db');
 
+const MAX_COMMENT = 1000;
+
+const isId = value => (typeof value === 'number' || typeof value === 'string') && /^[1-9]\d*$/.test(String(value));
+
 // POST /api/feedback — Submit feedback from customer
+// Body: { table_token, rating: 1-5, comment?, order_id? (one of this table's orders) }
 router.post('/', async (req, res) => {
     try {
         const { table_token, order_id, rating, comment } = req.body;
 
-        if (!table_token || !rating) {
+        if (!table_token || rating === undefined) {
             return res.status(400).json({ error: 'table_token and rating are required' });
         }
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            return res.status(400).json({ error: 'Rating must be a whole number from 1 to 5' });
+        }
+        if (comment !== undefined && comment !== null && (typeof comment !== 'string' || comment.length > MAX_COMMENT)) {
+            return res.status(400).json({ error: `Comment must be text of up to ${MAX_COMMENT} characters` });
+        }
+        const hasOrder = order_id !== undefined && order_id !== null;
+        if (hasOrder && !isId(order_id)) {
+            return res.status(400).json({ error: 'order_id must be an order id' });
+        }
 
         // Validate table
-        const table = await db.prepare(
-            'SELECT id, restaurant_id FROM tables WHERE qr_token = ? AND active = 1'
-        ).get(table_token);
+        const table = await db.from('tables')
+            .select('id', 'restaurant_id')
+            .where({ qr_token: table_token, active: 1 })
+            .get();
         if (!table) return res.status(404).json({ error: 'Invalid table' });
 
+        // Feedback on an order is only taken from the table that placed it
+        if (hasOrder) {
+            const order = await db.from('orders')
+                .select('id')
+                .where({ id: Number(order_id), table_id: table.id })
+                .get();
+            if (!order) return res.status(404).json({ error: 'Order not found for this table' });
+        }
+
         // Insert feedback
-        const result = await db.prepare(
-            'INSERT INTO feedback (restaurant_id, order_id, table_id, rating, comment) VALUES (?, ?, ?, ?, ?)'
-        ).run(table.restaurant_id, order_id || null, table.id, rating, comment || '');
+        const result = await db.from('feedback').insert({
+            restaurant_id: table.restaurant_id,
+            order_id: hasOrder ? Number(order_id) : null,
+            table_id: table.id,
+            rating,
+            comment: comment || ''
+        });
 
         res.json({ success: true, feedback_id: result.lastInsertRowid });
     } catch (err) {
@@ -34,21 +63,20 @@ const { authenticateToken, requireRole } = require('../middleware/auth');
 
 router.get('/', authenticateToken, requireRole('admin'), async (req, res) => {
     try {
-        const feedbacks = await db.prepare(
-            `SELECT f.*, t.table_number 
-             FROM feedback f 
-             LEFT JOIN tables t ON f.table_id = t.id 
-             WHERE f.restaurant_id = ? 
-             ORDER BY f.created_at DESC LIMIT 100`
-        ).all(req.user.restaurant_id);
+        const feedbacks = await req.db.from('feedback', 'f')
+            .select('f.*', 't.table_number')
+            .leftJoin('tables', 't', 't.id', 'f.table_id')
+            .orderBy('f.created_at', 'desc')
+            .limit(100)
+            .all();
 
         // Summary stats
-        const stats = await db.prepare(
-            `SELECT COUNT(*) as total, ROUND(AVG(rating), 1) as avg_rating,
-                    SUM(CASE WHEN rating >= 4 THEN 1 ELSE 0 END) as positive,
-                    SUM(CASE WHEN rating <= 2 THEN 1 ELSE 0 END) as negative
-             FROM feedback WHERE restaurant_id = ?`
-        ).get(req.user.restaurant_id);
+        const stats = await req.db.from('feedback')
+            .count('total')
+            .avg('rating', 'avg_rating', { round: 1 })
+            .count('positive', ['rating', '>=', 4])
+            .count('negative', ['rating', '<=', 2])
+            .get();
 
         res.json({ feedbacks, stats });
     } catch (err) {
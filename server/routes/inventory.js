@@ -0,0 +1,298 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+    UNITS, IngredientError, roundQty, isLow, moveStock, publishLowStock, usageReport
+} = require('../utils/ingredients');
+const { restaurantNow, reportDays } = require('../utils/availability');
+
+const MAX_QUANTITY = 1000000;
+const isQuantity = value => typeof value === 'number' && Number.isFinite(value) && value > 0 && value <= MAX_QUANTITY;
+const isLevel = value => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= MAX_QUANTITY;
+
+// ─── Ingredients ──────────────────────────────────────────────
+
+// GET /api/inventory/ingredients
+router.get('/ingredients', authenticateToken, requireRole('kitchen', 'admin'), async (req, res) => {
+    try {
+        const ingredients = await req.db.from('ingredients')
+            .select('id', 'name', 'unit', 'stock_qty', 'low_stock_level', 'updated_at')
+            .where('active', 1)
+            .orderBy('name')
+            .all();
+        res.json(ingredients.map(i => ({ ...i, low: isLow(i) })));
+    } catch (err) {
+        console.error('Ingredients fetch error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/inventory/ingredients
+// Body: { name, unit, stock_qty?, low_stock_level? } — opening stock is logged as a restock
+router.post('/ingredients', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const { unit = 'g', stock_qty = 0, low_stock_level = 0 } = req.body;
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+        if (!name || name.length > 100) return res.status(400).json({ error: 'Name is required (up to 100 characters)' });
+        if (!UNITS.includes(unit)) return res.status(400).json({ error: `Unit must be one of ${UNITS.join(', ')}` });
+        if (!isLevel(stock_qty) || !isLevel(low_stock_level)) {
+            return res.status(400).json({ error: 'Stock and low-stock level must be numbers from 0' });
+        }
+
+        const existing = await req.db.from('ingredients').select('id').where({ name, active: 1 }).get();
+        if (existing) return res.status(409).json({ error: 'An ingredient with this name already exists' });
+
+        const ingredientId = await db.transaction(async () => {
+            const result = await req.db.from('ingredients').insert({
+                name,
+                unit,
+                low_stock_level: roundQty(low_stock_level)
+            });
+            if (stock_qty > 0) {
+                await moveStock(req.user.restaurant_id, result.lastInsertRowid, {
+                    kind: 'restock', quantity: stock_qty, userId: req.user.id, note: 'Opening stock'
+                });
+            }
+            return result.lastInsertRowid;
+        })();
+
+        const ingredient = await req.db.from('ingredients').where('id', ingredientId).get();
+        res.status(201).json({ ...ingredient, low: isLow(ingredient) });
+    } catch (err) {
+        console.error('Ingredient create error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// PUT /api/inventory/ingredients/:id
+// Body: { name?, unit?, low_stock_level? } — stock itself only changes through movements
+router.put('/ingredients/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const { unit, low_stock_level } = req.body;
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : req.body.name;
+
+        const ingredient = await req.db.from('ingredients').where({ id: req.params.id, active: 1 }).get();
+        if (!ingredient) return res.status(404).json({ error: 'Ingredient not found' });
+
+        if (name !== undefined && (!name || name.length > 100)) {
+            return res.status(400).json({ error: 'Name is required (up to 100 characters)' });
+        }
+        if (unit !== undefined && !UNITS.includes(unit)) {
+            return res.status(400).json({ error: `Unit must be one of ${UNITS.join(', ')}` });
+        }
+        if (low_stock_level !== undefined && !isLevel(low_stock_level)) {
+            return res.status(400).json({ error: 'Low-stock level must be a number from 0' });
+        }
+        if (name && name !== ingredient.name) {
+            const existing = await req.db.from('ingredients')
+                .select('id')
+                .where({ name, active: 1 })
+                .where('id', '!=', ingredient.id)
+                .get();
+            if (existing) return res.status(409).json({ error: 'An ingredient with this name already exists' });
+        }
+
+        await req.db.from('ingredients').where('id', ingredient.id).update({
+            name: name || ingredient.name,
+            unit: unit || ingredient.unit,
+            low_stock_level: low_stock_level === undefined ? ingredient.low_stock_level : roundQty(low_stock_level),
+            updated_at: db.NOW
+        });
+
+        const updated = await req.db.from('ingredients').where('id', ingredient.id).get();
+        res.json({ ...updated, low: isLow(updated) });
+    } catch (err) {
+        console.error('Ingredient update error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /api/inventory/ingredients/:id (soft delete; drops it from recipes)
+router.delete('/ingredients/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const ingredient = await req.db.from('ingredients').select('id').where({ id: req.params.id, active: 1 }).get();
+        if (!ingredient) return res.status(404).json({ error: 'Ingredient not found' });
+
+        await db.transaction(async () => {
+            await req.db.from('recipe_lines').where('ingredient_id', ingredient.id).delete();
+            await req.db.from('ingredients').where('id', ingredient.id).update({ active: 0, updated_at: db.NOW });
+        })();
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Ingredient delete error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ─── Stock movements ──────────────────────────────────────────
+
+// POST /api/inventory/ingredients/:id/movements
+// Body: { kind: 'restock' | 'waste' | 'count', quantity, note? } — a count
+// sets the stock to what was counted. The kitchen may only log waste.
+router.post('/ingredients/:id/movements', authenticateToken, requireRole('kitchen', 'admin'), async (req, res) => {
+    try {
+        const { kind, quantity } = req.body;
+        const note = typeof req.body.note === 'string' ? req.body.note.slice(0, 200) : '';
+
+        if (!['restock', 'waste', 'count'].includes(kind)) {
+            return res.status(400).json({ error: 'kind must be restock, waste or count' });
+        }
+        if (kind === 'count' ? !isLevel(quantity) : !isQuantity(quantity)) {
+            return res.status(400).json({ error: 'Invalid quantity' });
+        }
+        if (req.user.role !== 'admin' && kind !== 'waste') {
+            return res.status(403).json({ error: 'Kitchen can only log waste' });
+        }
+
+        const ingredient = await req.db.from('ingredients').select('id').where({ id: req.params.id, active: 1 }).get();
+        if (!ingredient) return res.status(404).json({ error: 'Ingredient not found' });
+
+        const updated = await db.transaction(() => moveStock(req.user.restaurant_id, ingredient.id, {
+            kind,
+            quantity: kind === 'waste' ? -quantity : quantity,
+            count: kind === 'count' ? quantity : null,
+            userId: req.user.id,
+            note
+        }))();
+        if (updated.crossed_low) publishLowStock(req.user.restaurant_id, [updated]);
+
+        const { crossed_low, ...result } = updated;
+        res.json({ ...result, low: isLow(updated) });
+    } catch (err) {
+        if (err instanceof IngredientError) return res.status(409).json({ error: err.message });
+        console.error('Stock movement error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/inventory/ingredients/:id/movements
+router.get('/ingredients/:id/movements', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const movements = await req.db.from('ingredient_movements', 'm')
+            .select('m.*', 'u.name as user_name')
+            .leftJoin('users', 'u', 'u.id', 'm.user_id')
+            .where('m.ingredient_id', req.params.id)
+            .orderBy('m.id', 'desc')
+            .limit(100)
+            .all();
+        res.json(movements);
+    } catch (err) {
+        console.error('Movements fetch error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/inventory/alerts — ingredients at or below their low-stock level
+router.get('/alerts', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const ingredients = await req.db.from('ingredients')
+            .select('id', 'name', 'unit', 'stock_qty', 'low_stock_level')
+            .where('active', 1)
+            .where('low_stock_level', '>', 0)
+            .orderBy('name')
+            .all();
+        res.json(ingredients.filter(isLow));
+    } catch (err) {
+        console.error('Alerts fetch error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ─── Recipes ──────────────────────────────────────────────────
+
+// GET /api/inventory/recipes — every recipe line of the restaurant
+router.get('/recipes', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const lines = await req.db.from('recipe_lines', 'rl')
+            .select('rl.id', 'rl.menu_item_id', 'rl.variant_id', 'rl.ingredient_id', 'rl.quantity', 'i.name as ingredient_name', 'i.unit')
+            .join('ingredients', 'i', 'i.id', 'rl.ingredient_id')
+            .orderBy('rl.menu_item_id')
+            .orderBy('rl.id')
+            .all();
+        res.json(lines);
+    } catch (err) {
+        console.error('Recipes fetch error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// PUT /api/inventory/recipes/:menuItemId
+// Body: { lines: [{ ingredient_id, quantity, variant_id? }] } — replaces the
+// item's recipe. Lines with a variant_id make up that variant's own recipe.
+router.put('/recipes/:menuItemId', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const { lines } = req.body;
+        if (!Array.isArray(lines) || lines.length > 50) {
+            return res.status(400).json({ error: 'lines must be an array of up to 50 entries' });
+        }
+
+        const item = await req.db.from('menu_items').select('id').where('id', req.params.menuItemId).get();
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+
+        const [ingredients, variants] = await Promise.all([
+            req.db.from('ingredients').select('id').where('active', 1).all(),
+            req.db.from('menu_item_variants').select('id').where('menu_item_id', item.id).all()
+        ]);
+        const seen = new Set();
+        for (const line of lines) {
+            const variantId = line && line.variant_id != null ? line.variant_id : null;
+            if (!line || !ingredients.some(i => i.id === line.ingredient_id)) {
+                return res.status(400).json({ error: 'Unknown ingredient in recipe' });
+            }
+            if (variantId !== null && !variants.some(v => v.id === variantId)) {
+                return res.status(400).json({ error: 'Unknown variant in recipe' });
+            }
+            if (!isQuantity(line.quantity)) {
+                return res.status(400).json({ error: 'Recipe quantities must be positive numbers' });
+            }
+            const key = `${line.ingredient_id}:${variantId}`;
+            if (seen.has(key)) return res.status(400).json({ error: 'An ingredient is listed twice in the recipe' });
+            seen.add(key);
+        }
+
+        await db.transaction(async () => {
+            await req.db.from('recipe_lines').where('menu_item_id', item.id).delete();
+            for (const line of lines) {
+                await req.db.from('recipe_lines').insert({
+                    menu_item_id: item.id,
+                    variant_id: line.variant_id != null ? line.variant_id : null,
+                    ingredient_id: line.ingredient_id,
+                    quantity: roundQty(line.quantity)
+                });
+            }
+        })();
+
+        const saved = await req.db.from('recipe_lines', 'rl')
+            .select('rl.id', 'rl.menu_item_id', 'rl.variant_id', 'rl.ingredient_id', 'rl.quantity', 'i.name as ingredient_name', 'i.unit')
+            .join('ingredients', 'i', 'i.id', 'rl.ingredient_id')
+            .where('rl.menu_item_id', item.id)
+            .orderBy('rl.id')
+            .all();
+        res.json({ menu_item_id: item.id, lines: saved });
+    } catch (err) {
+        console.error('Recipe save error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ─── Reports ──────────────────────────────────────────────────
+
+// GET /api/inventory/usage?from=YYYY-MM-DD&to=YYYY-MM-DD (restaurant-local dates;
+// default: the last 7 days, to alone: the 7 days up to it)
+router.get('/usage', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const days = reportDays(req.query, (await restaurantNow(req.user.restaurant_id)).date);
+        if (!days) {
+            return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD), from not after to' });
+        }
+
+        res.json({ ...days, ingredients: await usageReport(req.user.restaurant_id, days.from, days.to) });
+    } catch (err) {
+        console.error('Usage report error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authenticateToken, authenticateStream, requireRole } = require('../middleware/auth');
+const { roundMoney } = require('../utils/pricing');
+const { restaurantNow, reportDays } = require('../utils/availability');
+const { InvoiceError, issueCreditNote, creditable, parseInvoice, invoicePdf, invoiceHtml } = require('../utils/invoices');
+
+// Customers reach their table's invoices with its QR token (?token=), admins
+// with their login — which download links, like EventSource, can only pass
+// as ?access_token= (see authenticateStream)
+function invoiceAccess(req, res, next) {
+    if (typeof req.query.token === 'string') return next();
+    authenticateStream(req, res, () => requireRole('admin')(req, res, next));
+}
+
+// The invoice (with its table, and the invoice a credit note is against)
+// if the caller may see it
+async function findInvoice(req) {
+    let tenantDb = req.db;
+    const query = { 'i.id': req.params.id };
+    if (!req.user) {
+        const table = await db.from('tables').select('id', 'restaurant_id').where('qr_token', req.query.token).get();
+        if (!table) return null;
+        tenantDb = db.forTenant(table.restaurant_id);
+        query['o.table_id'] = table.id;
+    }
+
+    const invoice = parseInvoice(await tenantDb.from('invoices', 'i')
+        .select('i.*', 't.table_number')
+        .join('orders', 'o', 'o.id', 'i.order_id')
+        .join('tables', 't', 't.id', 'o.table_id')
+        .where(query)
+        .get());
+    if (invoice && invoice.invoice_id) {
+        invoice.original = await tenantDb.from('invoices').select('id', 'number', 'invoice_date').where('id', invoice.invoice_id).get();
+    }
+    return invoice;
+}
+
+// ─── Admin: Invoice register ──────────────────────────────────
+
+// GET /api/invoices?from=YYYY-MM-DD&to=YYYY-MM-DD (default: last 7 days)
+// Invoices and credit notes by their (restaurant-local) date, with the GST
+// they carry in total
+router.get('/', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const days = reportDays(req.query, (await restaurantNow(req.user.restaurant_id)).date);
+        if (!days) {
+            return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD), from not after to' });
+        }
+        const { from, to } = days;
+
+        const invoices = await req.db.from('invoices', 'i')
+            .select('i.id', 'i.kind', 'i.number', 'i.invoice_date', 'i.order_id', 'i.invoice_id', 'i.reason',
+                'i.subtotal', 'i.discount_amount', 'i.tax_amount', 'i.total_amount', 't.table_number')
+            .join('orders', 'o', 'o.id', 'i.order_id')
+            .join('tables', 't', 't.id', 'o.table_id')
+            .where('i.invoice_date', '>=', from)
+            .where('i.invoice_date', '<=', to)
+            .orderBy('i.invoice_date', 'desc')
+            .orderBy('i.id', 'desc')
+            .all();
+
+        const totals = kind => {
+            const rows = invoices.filter(i => i.kind === kind);
+            return {
+                count: rows.length,
+                tax: roundMoney(rows.reduce((sum, i) => sum + i.tax_amount, 0)),
+                total: roundMoney(rows.reduce((sum, i) => sum + i.total_amount, 0))
+            };
+        };
+        res.json({ from, to, invoices, totals: { invoices: totals('invoice'), credit_notes: totals('credit_note') } });
+    } catch (err) {
+        console.error('Invoices fetch error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ─── Invoice documents ────────────────────────────────────────
+
+// GET /api/invoices/:id — the invoice as JSON, with its credit notes
+router.get('/:id', invoiceAccess, async (req, res) => {
+    try {
+        const invoice = await findInvoice(req);
+        if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+
+        const tenantDb = db.forTenant(invoice.restaurant_id);
+        if (invoice.kind === 'invoice') {
+            invoice.credit_notes = await tenantDb.from('invoices')
+                .select('id', 'number', 'invoice_date', 'reason', 'total_amount')
+                .where({ invoice_id: invoice.id, kind: 'credit_note' })
+                .orderBy('id')
+                .all();
+            invoice.creditable = await creditable(invoice.restaurant_id, invoice);
+        }
+        res.json(invoice);
+    } catch (err) {
+        console.error('Invoice get error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/invoices/:id/html — printable page
+router.get('/:id/html', invoiceAccess, async (req, res) => {
+    try {
+        const invoice = await findInvoice(req);
+        if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+        res.type('html').send(invoiceHtml(invoice));
+    } catch (err) {
+        console.error('Invoice html error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/invoices/:id/pdf — download
+router.get('/:id/pdf', invoiceAccess, async (req, res) => {
+    try {
+        const invoice = await findInvoice(req);
+        if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+        res.type('pdf')
+            .attachment(`${invoice.number.replace(/\//g, '-')}.pdf`)
+            .send(invoicePdf(invoice));
+    } catch (err) {
+        console.error('Invoice pdf error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ─── Admin: Credit notes ──────────────────────────────────────
+
+// POST /api/invoices/:id/credit-notes
+// Body: { amount?, reason } — amount defaults to all that is left to credit
+router.post('/:id/credit-notes', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const { amount, reason } = req.body;
+        if (amount !== undefined && amount !== null && (typeof amount !== 'number' || !Number.isFinite(amount))) {
+            return res.status(400).json({ error: 'amount must be a number' });
+        }
+        if (typeof reason !== 'string' || !reason.trim()) {
+            return res.status(400).json({ error: 'A reason is required' });
+        }
+
+        const invoice = await req.db.from('invoices').select('id').where({ id: req.params.id, kind: 'invoice' }).get();
+        if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+
+        const creditNote = await issueCreditNote(req.user.restaurant_id, invoice.id, {
+            amount: amount ?? null,
+            reason
+        });
+        res.status(201).json(creditNote);
+    } catch (err) {
+        if (err instanceof InvoiceError) return res.status(400).json({ error: err.message });
+        console.error('Credit note error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
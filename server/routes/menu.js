@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { loadModifierGroups, loadVariants, loadCombos, offerPrice } = require('../utils/pricing');
+const { isAvailable, stockDay, stockOnDay, restoreDailyStock, publishStock } = require('../utils/inventory');
+const { DEFAULT_TIMEZONE, ScheduleError, localNow, validateSchedule, parseSchedule, isScheduled } = require('../utils/availability');
+const { loadActiveRules, ruleFor, publicRule } = require('../utils/promotions');
 
 // ─── Public: Get menu for a restaurant ────────────────────────
 
@@ -10,28 +14,83 @@ router.get('/:restaurantId', async (req, res) => {
     try {
         const { restaurantId } = req.params;
 
-        const restaurant = await db.prepare('SELECT id, name, description, prepaid_enabled, postpaid_enabled FROM restaurants WHERE id = ?').get(restaurantId);
+        const restaurant = await db.from('restaurants')
+            .select('id', 'name', 'description', 'prepaid_enabled', 'postpaid_enabled', 'timezone')
+            .where('id', restaurantId)
+            .get();
         if (!restaurant) {
             return res.status(404).json({ error: 'Restaurant not found' });
         }
 
-        const categories = await db.prepare(
-            'SELECT id, name, description, sort_order FROM menu_categories WHERE restaurant_id = ? AND active = 1 ORDER BY sort_order'
-        ).all(restaurantId);
+        restaurant.timezone = restaurant.timezone || DEFAULT_TIMEZONE;
+        const local = localNow(restaurant.timezone);
 
-        const items = await db.prepare(
-            'SELECT id, category_id, name, description, price, image_url, is_veg, is_bestseller, is_spicy, allergen_tags, prep_time_mins, customizations, sort_order FROM menu_items WHERE restaurant_id = ? AND active = 1 ORDER BY sort_order'
-        ).all(restaurantId);
+        const categories = await db.from('menu_categories')
+            .select('id', 'name', 'description', 'sort_order', 'availability')
+            .where({ restaurant_id: restaurantId, active: 1 })
+            .orderBy('sort_order')
+            .all();
+
+        const items = await db.from('menu_items')
+            .select(
+                'id', 'category_id', 'name', 'description', 'price', 'image_url', 'is_veg', 'is_bestseller',
+                'is_spicy', 'allergen_tags', 'prep_time_mins', 'sort_order', 'stock_count', 'sold_out', 'availability',
+                'daily_stock', 'stock_date'
+            )
+            .where({ restaurant_id: restaurantId, active: 1 })
+            .orderBy('sort_order')
+            .all();
+
+        // Stock as today's stock day leaves it; reading the menu doesn't start
+        // the day (orders and the kitchen's stock screen do)
+        items.forEach(item => {
+            Object.assign(item, stockOnDay(item, local.date));
+            delete item.daily_stock;
+            delete item.stock_date;
+        });
+
+        // Only what is on right now in the restaurant's timezone (breakfast at breakfast)
+        const openCategories = categories.filter(cat => isScheduled(cat.availability, local));
+        const closedItemIds = new Set(items
+            .filter(item => {
+                const category = categories.find(cat => cat.id === item.category_id);
+                return !isScheduled(item.availability, local) || (category && !isScheduled(category.availability, local));
+            })
+            .map(item => item.id));
+        const openItems = items.filter(item => !closedItemIds.has(item.id));
+        await attachItemOptions(restaurant.id, openItems);
+        openItems.forEach(item => { item.available = isAvailable(item); });
+
+        // Offers on right now: offer_price is what a unit costs under a
+        // percent/amount rule, for the strike-through in the menu
+        const rules = await loadActiveRules(restaurant.id, local);
+        openItems.forEach(item => {
+            const rule = ruleFor(rules, item);
+            item.offer = publicRule(rule);
+            if (!rule || rule.kind === 'bogo') return;
+            item.offer_price = offerPrice(rule, item.price);
+            item.variants.forEach(variant => { variant.offer_price = offerPrice(rule, variant.price); });
+        });
 
         // Group items by category
-        const menuCategories = categories.map(cat => ({
+        const menuCategories = openCategories.map(cat => ({
             ...cat,
-            items: items.filter(item => item.category_id === cat.id)
+            availability: parseSchedule(cat.availability),
+            items: openItems.filter(item => item.category_id === cat.id)
         }));
 
+        // Combos whose every slot still has something in stock and on the menu to offer
+        const combos = [...(await loadCombos(restaurant.id)).values()]
+            .map(combo => ({
+                ...combo,
+                slots: combo.slots.map(slot => ({ ...slot, options: slot.options.filter(o => o.available && !closedItemIds.has(o.menu_item_id)) }))
+            }))
+            .filter(combo => combo.slots.length && combo.slots.every(slot => slot.options.length));
+
         res.json({
             restaurant,
-            categories: menuCategories
+            categories: menuCategories,
+            combos: combos.map(publicCombo)
         });
     } catch (err) {
         console.error('Menu fetch error:', err);
@@ -40,6 +99,22 @@ router.get('/:restaurantId', async (req, res) => {
 });
 
 // ─── Admin: Category CRUD ─────────────────────────────────────
+// Categories and items take an optional `availability` schedule (see
+// utils/availability.js); null or [] means always available.
+
+// GET /api/menu/categories/all (admin - every active category, whatever the time)
+router.get('/categories/all', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const categories = await req.db.from('menu_categories')
+            .where('active', 1)
+            .orderBy('sort_order')
+            .all();
+        res.json(categories.map(publicCategory));
+    } catch (err) {
+        console.error('Categories fetch error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
 // POST /api/menu/categories
 router.post('/categories', authenticateToken, requireRole('admin'), async (req, res) => {
@@ -47,13 +122,17 @@ router.post('/categories', authenticateToken, requireRole('admin'), async (req,
         const { name, description, sort_order } = req.body;
         if (!name) return res.status(400).json({ error: 'Category name is required' });
 
-        const result = await db.prepare(
-            'INSERT INTO menu_categories (restaurant_id, name, description, sort_order) VALUES (?, ?, ?, ?)'
-        ).run(req.user.restaurant_id, name, description || '', sort_order || 0);
+        const result = await req.db.from('menu_categories').insert({
+            name,
+            description: description || '',
+            sort_order: sort_order || 0,
+            availability: scheduleText(req.body.availability)
+        });
 
-        const category = await db.prepare('SELECT * FROM menu_categories WHERE id = ?').get(result.lastInsertRowid);
-        res.status(201).json(category);
+        const category = await req.db.from('menu_categories').where('id', result.lastInsertRowid).get();
+        res.status(201).json(publicCategory(category));
     } catch (err) {
+        if (err instanceof ScheduleError) return res.status(400).json({ error: err.message });
         console.error('Category create error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
@@ -63,16 +142,21 @@ router.post('/categories', authenticateToken, requireRole('admin'), async (req,
 router.put('/categories/:id', authenticateToken, requireRole('admin'), async (req, res) => {
     try {
         const { name, description, sort_order, active } = req.body;
-        const cat = await db.prepare('SELECT * FROM menu_categories WHERE id = ? AND restaurant_id = ?').get(req.params.id, req.user.restaurant_id);
+        const cat = await req.db.from('menu_categories').where('id', req.params.id).get();
         if (!cat) return res.status(404).json({ error: 'Category not found' });
 
-        await db.prepare(
-            'UPDATE menu_categories SET name = ?, description = ?, sort_order = ?, active = ? WHERE id = ?'
-        ).run(name || cat.name, description ?? cat.description, sort_order ?? cat.sort_order, active ?? cat.active, req.params.id);
+        await req.db.from('menu_categories').where('id', req.params.id).update({
+            name: name || cat.name,
+            description: description ?? cat.description,
+            sort_order: sort_order ?? cat.sort_order,
+            active: active ?? cat.active,
+            availability: req.body.availability === undefined ? cat.availability : scheduleText(req.body.availability)
+        });
 
-        const updated = await db.prepare('SELECT * FROM menu_categories WHERE id = ?').get(req.params.id);
-        res.json(updated);
+        const updated = await req.db.from('menu_categories').where('id', req.params.id).get();
+        res.json(publicCategory(updated));
     } catch (err) {
+        if (err instanceof ScheduleError) return res.status(400).json({ error: err.message });
         console.error('Category update error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
@@ -81,12 +165,12 @@ router.put('/categories/:id', authenticateToken, requireRole('admin'), async (re
 // DELETE /api/menu/categories/:id
 router.delete('/categories/:id', authenticateToken, requireRole('admin'), async (req, res) => {
     try {
-        const cat = await db.prepare('SELECT * FROM menu_categories WHERE id = ? AND restaurant_id = ?').get(req.params.id, req.user.restaurant_id);
+        const cat = await req.db.from('menu_categories').where('id', req.params.id).get();
         if (!cat) return res.status(404).json({ error: 'Category not found' });
 
         // Soft delete - just deactivate
-        await db.prepare('UPDATE menu_categories SET active = 0 WHERE id = ?').run(req.params.id);
-        await db.prepare('UPDATE menu_items SET active = 0 WHERE category_id = ?').run(req.params.id);
+        await req.db.from('menu_categories').where('id', req.params.id).update({ active: 0 });
+        await req.db.from('menu_items').where('category_id', req.params.id).update({ active: 0 });
         res.json({ success: true });
     } catch (err) {
         console.error('Category delete error:', err);
@@ -99,9 +183,13 @@ router.delete('/categories/:id', authenticateToken, requireRole('admin'), async
 // GET /api/menu/items/all (admin - includes inactive)
 router.get('/items/all', authenticateToken, requireRole('admin'), async (req, res) => {
     try {
-        const items = await db.prepare(
-            'SELECT mi.*, mc.name as category_name FROM menu_items mi JOIN menu_categories mc ON mi.category_id = mc.id WHERE mi.restaurant_id = ? ORDER BY mc.sort_order, mi.sort_order'
-        ).all(req.user.restaurant_id);
+        const items = await req.db.from('menu_items', 'mi')
+            .select('mi.*', 'mc.name as category_name')
+            .join('menu_categories', 'mc', 'mc.id', 'mi.category_id')
+            .orderBy('mc.sort_order')
+            .orderBy('mi.sort_order')
+            .all();
+        await attachItemOptions(req.user.restaurant_id, items);
         res.json(items);
     } catch (err) {
         console.error('Items fetch error:', err);
@@ -110,20 +198,53 @@ router.get('/items/all', authenticateToken, requireRole('admin'), async (req, re
 });
 
 // POST /api/menu/items
+// Optional variants: [{ name, price, sku, is_default }] (e.g. Half/Full); the
+// item's price then follows its cheapest variant. tax_class_id null bills the
+// item at the restaurant's default tax class.
 router.post('/items', authenticateToken, requireRole('admin'), async (req, res) => {
     try {
-        const { category_id, name, description, price, image_url, is_veg, sort_order } = req.body;
-        if (!category_id || !name || price === undefined) {
+        const { category_id, name, description, price, image_url, is_veg, sort_order, tax_class_id } = req.body;
+        const hasVariants = Array.isArray(req.body.variants) && req.body.variants.length > 0;
+        if (!category_id || !name || (price === undefined && !hasVariants)) {
             return res.status(400).json({ error: 'category_id, name, and price are required' });
         }
 
-        const result = await db.prepare(
-            'INSERT INTO menu_items (category_id, restaurant_id, name, description, price, image_url, is_veg, sort_order) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
-        ).run(category_id, req.user.restaurant_id, name, description || '', price, image_url || '', is_veg ?? 1, sort_order || 0);
+        let variants = null;
+        if (req.body.variants !== undefined) {
+            const checked = validateVariants(req.body.variants);
+            if (checked.error) return res.status(400).json({ error: checked.error });
+            variants = checked.variants;
+        }
+
+        const category = await req.db.from('menu_categories').select('id').where('id', category_id).get();
+        if (!category) return res.status(400).json({ error: 'Category not found' });
+        if (!await isTaxClass(req.db, tax_class_id)) return res.status(400).json({ error: 'Tax class not found' });
+        const availability = scheduleText(req.body.availability);
+
+        const itemId = await db.transaction(async () => {
+            const result = await req.db.from('menu_items').insert({
+                category_id,
+                name,
+                description: description || '',
+                price: price ?? 0,
+                image_url: image_url || '',
+                is_veg: is_veg ?? 1,
+                sort_order: sort_order || 0,
+                tax_class_id: tax_class_id || null,
+                availability
+            });
+            if (variants) {
+                const conflict = await saveVariants(req.db, result.lastInsertRowid, variants);
+                if (conflict) throw new VariantError(conflict);
+            }
+            return result.lastInsertRowid;
+        })();
 
-        const item = await db.prepare('SELECT * FROM menu_items WHERE id = ?').get(result.lastInsertRowid);
+        const item = await req.db.from('menu_items').where('id', itemId).get();
+        await attachItemOptions(req.user.restaurant_id, [item]);
         res.status(201).json(item);
     } catch (err) {
+        if (err instanceof VariantError || err instanceof ScheduleError) return res.status(400).json({ error: err.message });
         console.error('Item create error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
@@ -132,21 +253,50 @@ router.post('/items', authenticateToken, requireRole('admin'), async (req, res)
 // PUT /api/menu/items/:id
 router.put('/items/:id', authenticateToken, requireRole('admin'), async (req, res) => {
     try {
-        const { category_id, name, description, price, image_url, is_veg, active, sort_order } = req.body;
-        const item = await db.prepare('SELECT * FROM menu_items WHERE id = ? AND restaurant_id = ?').get(req.params.id, req.user.restaurant_id);
+        const { category_id, name, description, price, image_url, is_veg, active, sort_order, tax_class_id } = req.body;
+        const item = await req.db.from('menu_items').where('id', req.params.id).get();
         if (!item) return res.status(404).json({ error: 'Item not found' });
+        if (!await isTaxClass(req.db, tax_class_id)) return res.status(400).json({ error: 'Tax class not found' });
 
-        await db.prepare(
-            `UPDATE menu_items SET category_id = ?, name = ?, description = ?, price = ?, image_url = ?, is_veg = ?, active = ?, sort_order = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`
-        ).run(
-            category_id || item.category_id, name || item.name, description ?? item.description,
-            price ?? item.price, image_url ?? item.image_url, is_veg ?? item.is_veg,
-            active ?? item.active, sort_order ?? item.sort_order, req.params.id
-        );
+        if (category_id && category_id !== item.category_id) {
+            const category = await req.db.from('menu_categories').select('id').where('id', category_id).get();
+            if (!category) return res.status(400).json({ error: 'Category not found' });
+        }
 
-        const updated = await db.prepare('SELECT * FROM menu_items WHERE id = ?').get(req.params.id);
+        // Variants are only touched when the body has them; [] removes them all
+        let variants = null;
+        if (req.body.variants !== undefined) {
+            const checked = validateVariants(req.body.variants);
+            if (checked.error) return res.status(400).json({ error: checked.error });
+            variants = checked.variants;
+        }
+        const availability = req.body.availability === undefined ? item.availability : scheduleText(req.body.availability);
+
+        await db.transaction(async () => {
+            await req.db.from('menu_items').where('id', item.id).update({
+                category_id: category_id || item.category_id,
+                name: name || item.name,
+                description: description ?? item.description,
+                price: price ?? item.price,
+                image_url: image_url ?? item.image_url,
+                is_veg: is_veg ?? item.is_veg,
+                active: active ?? item.active,
+                sort_order: sort_order ?? item.sort_order,
+                tax_class_id: tax_class_id === undefined ? item.tax_class_id : tax_class_id || null,
+                availability,
+                updated_at: db.NOW
+            });
+            if (variants) {
+                const conflict = await saveVariants(req.db, item.id, variants);
+                if (conflict) throw new VariantError(conflict);
+            }
+        })();
+
+        const updated = await req.db.from('menu_items').where('id', item.id).get();
+        await attachItemOptions(req.user.restaurant_id, [updated]);
         res.json(updated);
     } catch (err) {
+        if (err instanceof VariantError || err instanceof ScheduleError) return res.status(400).json({ error: err.message });
         console.error('Item update error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
@@ -155,10 +305,10 @@ router.put('/items/:id', authenticateToken, requireRole('admin'), async (req, re
 // DELETE /api/menu/items/:id
 router.delete('/items/:id', authenticateToken, requireRole('admin'), async (req, res) => {
     try {
-        const item = await db.prepare('SELECT * FROM menu_items WHERE id = ? AND restaurant_id = ?').get(req.params.id, req.user.restaurant_id);
+        const item = await req.db.from('menu_items').where('id', req.params.id).get();
         if (!item) return res.status(404).json({ error: 'Item not found' });
 
-        await db.prepare('UPDATE menu_items SET active = 0 WHERE id = ?').run(req.params.id);
+        await req.db.from('menu_items').where('id', req.params.id).update({ active: 0 });
         res.json({ success: true });
     } catch (err) {
         console.error('Item delete error:', err);
@@ -166,4 +316,516 @@ router.delete('/items/:id', authenticateToken, requireRole('admin'), async (req,
     }
 });
 
+// ─── Kitchen/Admin: Stock ─────────────────────────────────────
+
+// GET /api/menu/items/stock
+router.get('/items/stock', authenticateToken, requireRole('kitchen', 'admin'), async (req, res) => {
+    try {
+        await restoreDailyStock(req.user.restaurant_id);
+        const items = await req.db.from('menu_items', 'mi')
+            .select('mi.id', 'mi.name', 'mi.stock_count', 'mi.daily_stock', 'mi.sold_out', 'mc.name as category_name')
+            .join('menu_categories', 'mc', 'mc.id', 'mi.category_id')
+            .where('mi.active', 1)
+            .orderBy('mc.sort_order')
+            .orderBy('mi.sort_order')
+            .all();
+        res.json(items.map(item => ({ ...item, available: isAvailable(item) })));
+    } catch (err) {
+        console.error('Stock fetch error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// PATCH /api/menu/items/:id/stock
+// Body: { sold_out?, stock_count?, daily_stock? } — counts are whole numbers or
+// null (not counted). The kitchen can 86 items and set today's count; only
+// admins change the daily stock.
+router.patch('/items/:id/stock', authenticateToken, requireRole('kitchen', 'admin'), async (req, res) => {
+    try {
+        const { sold_out, stock_count, daily_stock } = req.body;
+        const isCount = value => value === null || (Number.isInteger(value) && value >= 0 && value <= 100000);
+
+        if (sold_out !== undefined && ![true, false, 0, 1].includes(sold_out)) {
+            return res.status(400).json({ error: 'sold_out must be true or false' });
+        }
+        if (stock_count !== undefined && !isCount(stock_count)) {
+            return res.status(400).json({ error: 'stock_count must be a whole number or null' });
+        }
+        if (daily_stock !== undefined && !isCount(daily_stock)) {
+            return res.status(400).json({ error: 'daily_stock must be a whole number or null' });
+        }
+        if (daily_stock !== undefined && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Only admins can change the daily stock' });
+        }
+
+        const item = await req.db.from('menu_items').select('id').where('id', req.params.id).get();
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+
+        // Start today's stock day first, so it doesn't overwrite this change later
+        await restoreDailyStock(req.user.restaurant_id);
+
+        const values = { stock_date: await stockDay(req.user.restaurant_id) };
+        if (sold_out !== undefined) values.sold_out = sold_out ? 1 : 0;
+        if (stock_count !== undefined) values.stock_count = stock_count;
+        if (daily_stock !== undefined) values.daily_stock = daily_stock;
+        await req.db.from('menu_items').where('id', item.id).update(values);
+
+        const updated = await req.db.from('menu_items')
+            .select('id', 'name', 'stock_count', 'daily_stock', 'sold_out')
+            .where('id', item.id)
+            .get();
+        await publishStock(req.user.restaurant_id, [item.id], { includeUntracked: true });
+        res.json({ ...updated, available: isAvailable(updated) });
+    } catch (err) {
+        console.error('Stock update error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ─── Admin: Modifier groups ───────────────────────────────────
+
+// PUT /api/menu/items/:id/modifiers
+// Body: { groups: [{ id?, name, min_select, max_select, options: [{ id?, name, price_delta, is_default }] }] }
+// Replaces the item's groups: matching ids (or names) are updated, the rest
+// inserted, and groups/options missing from the body removed.
+router.put('/items/:id/modifiers', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const item = await req.db.from('menu_items').select('id').where('id', req.params.id).get();
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+
+        const { groups, error } = validateModifierGroups(req.body.groups);
+        if (error) return res.status(400).json({ error });
+
+        const missing = await db.transaction(() => saveModifierGroups(req.db, item.id, groups))();
+        if (missing) return res.status(400).json({ error: missing });
+
+        const saved = await loadModifierGroups(req.user.restaurant_id, [item.id]);
+        res.json({ menu_item_id: item.id, modifier_groups: publicGroups(saved.get(item.id)) });
+    } catch (err) {
+        console.error('Modifier update error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ─── Admin: Combos ────────────────────────────────────────────
+// Body: { name, description, price, category_id, is_veg, active, sort_order,
+//         slots: [{ name, options: [{ menu_item_id, variant_id?, price_delta, is_default }] }] }
+// Slots are replaced as a whole whenever the body has them.
+
+// GET /api/menu/combos/all (admin - includes inactive)
+router.get('/combos/all', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const ids = (await req.db.from('combos').select('id').all()).map(c => c.id);
+        const combos = await loadCombos(req.user.restaurant_id, ids);
+        res.json([...combos.values()].map(publicCombo));
+    } catch (err) {
+        console.error('Combos fetch error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/menu/combos
+router.post('/combos', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const { combo, error } = validateCombo(req.body, null);
+        if (error) return res.status(400).json({ error });
+        const invalid = await checkComboRefs(req.db, combo);
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        const comboId = await db.transaction(async () => {
+            const { slots, ...values } = combo;
+            const result = await req.db.from('combos').insert(values);
+            await saveComboSlots(req.db, result.lastInsertRowid, slots);
+            return result.lastInsertRowid;
+        })();
+
+        const saved = await loadCombos(req.user.restaurant_id, [comboId]);
+        res.status(201).json(publicCombo(saved.get(comboId)));
+    } catch (err) {
+        console.error('Combo create error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// PUT /api/menu/combos/:id
+router.put('/combos/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const existing = await req.db.from('combos').where('id', req.params.id).get();
+        if (!existing) return res.status(404).json({ error: 'Combo not found' });
+
+        const { combo, error } = validateCombo(req.body, existing);
+        if (error) return res.status(400).json({ error });
+        const invalid = await checkComboRefs(req.db, combo);
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        await db.transaction(async () => {
+            const { slots, ...values } = combo;
+            await req.db.from('combos').where('id', existing.id).update({ ...values, updated_at: db.NOW });
+            if (slots) await saveComboSlots(req.db, existing.id, slots);
+        })();
+
+        const saved = await loadCombos(req.user.restaurant_id, [existing.id]);
+        res.json(publicCombo(saved.get(existing.id)));
+    } catch (err) {
+        console.error('Combo update error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /api/menu/combos/:id
+router.delete('/combos/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const combo = await req.db.from('combos').select('id').where('id', req.params.id).get();
+        if (!combo) return res.status(404).json({ error: 'Combo not found' });
+
+        // Soft delete - past orders still point at it
+        await req.db.from('combos').where('id', combo.id).update({ active: 0 });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Combo delete error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ─── Helper ───────────────────────────────────────────────────
+
+function publicGroups(groups = []) {
+    return groups.map(g => ({
+        id: g.id,
+        name: g.name,
+        min_select: g.min_select,
+        max_select: g.max_select,
+        options: g.options.map(o => ({ id: o.id, name: o.name, price_delta: o.price_delta, is_default: o.is_default }))
+    }));
+}
+
+function publicVariants(variants = []) {
+    return variants.map(v => ({ id: v.id, name: v.name, price: v.price, sku: v.sku, is_default: v.is_default }));
+}
+
+async function attachItemOptions(restaurantId, items) {
+    const ids = items.length === 1 ? [items[0].id] : null;
+    const groupsByItem = await loadModifierGroups(restaurantId, ids);
+    const variantsByItem = await loadVariants(restaurantId, ids);
+    items.forEach(item => {
+        item.variants = publicVariants(variantsByItem.get(item.id));
+        item.modifier_groups = publicGroups(groupsByItem.get(item.id));
+        item.availability = parseSchedule(item.availability);
+    });
+}
+
+const publicCategory = category => ({ ...category, availability: parseSchedule(category.availability) });
+
+// Schedule from a request body → text to store (null = always); throws ScheduleError
+function scheduleText(schedule) {
+    const windows = validateSchedule(schedule);
+    return windows ? JSON.stringify(windows) : null;
+}
+
+// Absent or null (the restaurant's default) or one of the restaurant's tax classes
+async function isTaxClass(tenantDb, id) {
+    if (id === undefined || id === null) return true;
+    return !!await tenantDb.from('tax_classes').select('id').where('id', id).get();
+}
+
+const isName = value => typeof value === 'string' && value.trim().length > 0 && value.trim().length <= 60;
+
+// → { groups } with normalised values, or { error }
+function validateModifierGroups(input) {
+    if (!Array.isArray(input)) return { error: 'groups must be an array' };
+    if (input.length > 20) return { error: 'An item can have at most 20 modifier groups' };
+
+    const groups = [];
+    for (const group of input) {
+        if (!group || !isName(group.name)) return { error: 'Every modifier group needs a name' };
+        const name = group.name.trim();
+        const minSelect = group.min_select ?? 0;
+        const maxSelect = group.max_select ?? 1;
+        if (!Array.isArray(group.options) || !group.options.length) {
+            return { error: `"${name}" needs at least one option` };
+        }
+        if (!Number.isInteger(minSelect) || !Number.isInteger(maxSelect) || minSelect < 0 || maxSelect < 1 || maxSelect < minSelect) {
+            return { error: `"${name}" has an invalid min/max selection` };
+        }
+        if (minSelect > group.options.length) {
+            return { error: `"${name}" requires more choices than it has options` };
+        }
+
+        const options = [];
+        for (const option of group.options) {
+            if (!option || !isName(option.name)) return { error: `Every option in "${name}" needs a name` };
+            const priceDelta = option.price_delta ?? 0;
+            if (typeof priceDelta !== 'number' || !Number.isFinite(priceDelta)) {
+                return { error: `"${option.name}" in "${name}" has an invalid price` };
+            }
+            if (options.some(o => o.name === option.name.trim())) {
+                return { error: `"${name}" lists "${option.name.trim()}" twice` };
+            }
+            options.push({ id: option.id, name: option.name.trim(), price_delta: priceDelta, is_default: option.is_default ? 1 : 0 });
+        }
+        if (options.filter(o => o.is_default).length > maxSelect) {
+            return { error: `"${name}" has more defaults than it allows` };
+        }
+
+        groups.push({ id: group.id, name, min_select: minSelect, max_select: maxSelect, options });
+    }
+    return { groups };
+}
+
+function publicCombo(combo) {
+    return {
+        id: combo.id,
+        category_id: combo.category_id,
+        name: combo.name,
+        description: combo.description,
+        price: combo.price,
+        image_url: combo.image_url,
+        is_veg: combo.is_veg,
+        active: combo.active,
+        sort_order: combo.sort_order,
+        slots: combo.slots.map(slot => ({
+            id: slot.id,
+            name: slot.name,
+            options: slot.options.map(o => ({
+                id: o.id,
+                menu_item_id: o.menu_item_id,
+                variant_id: o.variant_id,
+                name: o.name,
+                price_delta: o.price_delta,
+                is_default: o.is_default
+            }))
+        }))
+    };
+}
+
+const isMoney = value => typeof value === 'number' && Number.isFinite(value);
+
+// → { combo } with normalised values, or { error }. With `existing`, missing
+// fields keep their current value and slots are only set if given.
+function validateCombo(body, existing) {
+    const input = body || {};
+    const name = input.name ?? existing?.name;
+    const price = input.price ?? existing?.price;
+    if (!isName(name)) return { error: 'Combo name is required' };
+    if (!isMoney(price) || price < 0) return { error: 'Combo needs a valid price' };
+
+    const combo = {
+        name: name.trim(),
+        description: input.description ?? existing?.description ?? '',
+        price,
+        category_id: input.category_id !== undefined ? input.category_id || null : existing?.category_id ?? null,
+        image_url: input.image_url ?? existing?.image_url ?? '',
+        is_veg: input.is_veg ?? existing?.is_veg ?? 1,
+        active: input.active ?? existing?.active ?? 1,
+        sort_order: input.sort_order ?? existing?.sort_order ?? 0
+    };
+    if (input.slots === undefined && existing) return { combo };
+
+    if (!Array.isArray(input.slots) || !input.slots.length) return { error: 'A combo needs at least one slot' };
+    if (input.slots.length > 10) return { error: 'A combo can have at most 10 slots' };
+
+    combo.slots = [];
+    for (const slot of input.slots) {
+        if (!slot || !isName(slot.name)) return { error: 'Every slot needs a name' };
+        const slotName = slot.name.trim();
+        if (!Array.isArray(slot.options) || !slot.options.length) return { error: `"${slotName}" needs at least one option` };
+        if (slot.options.length > 30) return { error: `"${slotName}" can have at most 30 options` };
+
+        const options = [];
+        for (const option of slot.options) {
+            if (!option || !Number.isInteger(option.menu_item_id)) return { error: `Every option in "${slotName}" needs a menu_item_id` };
+            if (option.variant_id != null && !Number.isInteger(option.variant_id)) return { error: `"${slotName}" has an invalid variant_id` };
+            const priceDelta = option.price_delta ?? 0;
+            if (!isMoney(priceDelta)) return { error: `"${slotName}" has an option with an invalid price` };
+            options.push({
+                menu_item_id: option.menu_item_id,
+                variant_id: option.variant_id ?? null,
+                price_delta: priceDelta,
+                is_default: option.is_default ? 1 : 0
+            });
+        }
+        const defaults = options.filter(o => o.is_default).length;
+        if (defaults > 1) return { error: `"${slotName}" can only have one default` };
+        if (!defaults) options[0].is_default = 1;
+        combo.slots.push({ name: slotName, options });
+    }
+    return { combo };
+}
+
+// Category, menu items and variants must belong to the restaurant → error message or null
+async function checkComboRefs(tenantDb, combo) {
+    if (combo.category_id) {
+        const category = await tenantDb.from('menu_categories').select('id').where('id', combo.category_id).get();
+        if (!category) return 'Category not found';
+    }
+    if (!combo.slots) return null;
+
+    const options = combo.slots.flatMap(slot => slot.options);
+    const itemIds = [...new Set(options.map(o => o.menu_item_id))];
+    const items = await tenantDb.from('menu_items').select('id').whereIn('id', itemIds).all();
+    const missing = itemIds.find(id => !items.some(i => i.id === id));
+    if (missing) return `Menu item ${missing} not found`;
+
+    const variantIds = options.map(o => o.variant_id).filter(Boolean);
+    const variants = variantIds.length
+        ? await tenantDb.from('menu_item_variants').select('id', 'menu_item_id').whereIn('id', variantIds).all()
+        : [];
+    const stray = options.find(o => o.variant_id && !variants.some(v => v.id === o.variant_id && v.menu_item_id === o.menu_item_id));
+    if (stray) return `Variant ${stray.variant_id} does not belong to menu item ${stray.menu_item_id}`;
+    return null;
+}
+
+// Runs inside a transaction; order lines snapshot their items, so slots can be rebuilt
+async function saveComboSlots(tenantDb, comboId, slots) {
+    const existing = await tenantDb.from('combo_slots').select('id').where('combo_id', comboId).all();
+    if (existing.length) {
+        await tenantDb.from('combo_slot_options').whereIn('slot_id', existing.map(s => s.id)).delete();
+        await tenantDb.from('combo_slots').where('combo_id', comboId).delete();
+    }
+
+    for (const [slotIndex, slot] of slots.entries()) {
+        const result = await tenantDb.from('combo_slots').insert({ combo_id: comboId, name: slot.name, sort_order: slotIndex });
+        for (const [optionIndex, option] of slot.options.entries()) {
+            await tenantDb.from('combo_slot_options').insert({ slot_id: result.lastInsertRowid, ...option, sort_order: optionIndex });
+        }
+    }
+}
+
+// Rolls back the surrounding item write
+class VariantError extends Error { }
+
+const SKU_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,39}$/;
+
+// → { variants } with normalised values, or { error }
+function validateVariants(input) {
+    if (!Array.isArray(input)) return { error: 'variants must be an array' };
+    if (input.length > 20) return { error: 'An item can have at most 20 variants' };
+
+    const variants = [];
+    for (const variant of input) {
+        if (!variant || !isName(variant.name)) return { error: 'Every variant needs a name' };
+        const name = variant.name.trim();
+        if (typeof variant.price !== 'number' || !Number.isFinite(variant.price) || variant.price < 0) {
+            return { error: `Variant "${name}" needs a valid price` };
+        }
+        const sku = typeof variant.sku === 'string' && variant.sku.trim() ? variant.sku.trim() : null;
+        if (variant.sku != null && variant.sku !== '' && (!sku || !SKU_PATTERN.test(sku))) {
+            return { error: `Variant "${name}" has an invalid SKU (letters, digits, . _ - up to 40)` };
+        }
+        if (variants.some(v => v.name === name)) return { error: `Variant "${name}" is listed twice` };
+        if (sku && variants.some(v => v.sku === sku)) return { error: `SKU "${sku}" is listed twice` };
+        variants.push({ id: variant.id, name, price: variant.price, sku, is_default: variant.is_default ? 1 : 0 });
+    }
+
+    const defaults = variants.filter(v => v.is_default).length;
+    if (defaults > 1) return { error: 'Only one variant can be the default' };
+    if (variants.length && !defaults) variants[0].is_default = 1;
+    return { variants };
+}
+
+// Runs inside a transaction; returns an error message (before any write) for
+// unknown ids or SKUs taken by another item. Dropped variants are deactivated,
+// not deleted, since past order lines point at them.
+async function saveVariants(tenantDb, menuItemId, variants) {
+    const existing = await tenantDb.from('menu_item_variants').select('id', 'name').where('menu_item_id', menuItemId).all();
+
+    for (const variant of variants) {
+        if (variant.id && !existing.some(v => v.id === Number(variant.id))) return `Variant ${variant.id} not found`;
+    }
+    const skus = variants.map(v => v.sku).filter(Boolean);
+    if (skus.length) {
+        const taken = await tenantDb.from('menu_item_variants', 'v')
+            .select('v.sku', 'mi.name as item_name')
+            .join('menu_items', 'mi', 'mi.id', 'v.menu_item_id')
+            .whereIn('v.sku', skus)
+            .where('v.menu_item_id', '!=', menuItemId)
+            .get();
+        if (taken) return `SKU "${taken.sku}" is already used by ${taken.item_name}`;
+    }
+
+    // Free this item's SKUs first so variants can swap them without a unique clash
+    if (existing.length) {
+        await tenantDb.from('menu_item_variants').where('menu_item_id', menuItemId).update({ sku: null });
+    }
+
+    const kept = [];
+    for (const [index, variant] of variants.entries()) {
+        const match = existing.find(v => !kept.includes(v.id) && (variant.id ? v.id === Number(variant.id) : v.name === variant.name));
+
+        const values = { name: variant.name, price: variant.price, sku: variant.sku, is_default: variant.is_default, active: 1, sort_order: index };
+        if (match) {
+            await tenantDb.from('menu_item_variants').where('id', match.id).update(values);
+            kept.push(match.id);
+        } else {
+            kept.push((await tenantDb.from('menu_item_variants').insert({ menu_item_id: menuItemId, ...values })).lastInsertRowid);
+        }
+    }
+
+    // A retired variant keeps no SKU, so another item can take it
+    for (const variant of existing.filter(v => !kept.includes(v.id))) {
+        await tenantDb.from('menu_item_variants').where('id', variant.id).update({ active: 0, is_default: 0 });
+    }
+
+    if (variants.length) {
+        await tenantDb.from('menu_items').where('id', menuItemId).update({ price: Math.min(...variants.map(v => v.price)) });
+    }
+    return null;
+}
+
+// Runs inside a transaction; returns an error message (before any write) for unknown ids
+async function saveModifierGroups(tenantDb, menuItemId, groups) {
+    const existing = await tenantDb.from('modifier_groups').select('id', 'name').where('menu_item_id', menuItemId).all();
+    const existingOptions = existing.length
+        ? await tenantDb.from('modifier_options').select('id', 'group_id', 'name').whereIn('group_id', existing.map(g => g.id)).all()
+        : [];
+
+    // Check ids before writing anything
+    for (const group of groups) {
+        if (group.id && !existing.some(g => g.id === Number(group.id))) return `Modifier group ${group.id} not found`;
+        for (const option of group.options) {
+            if (option.id && !existingOptions.some(o => o.id === Number(option.id) && o.group_id === Number(group.id))) {
+                return `Modifier option ${option.id} not found in "${group.name}"`;
+            }
+        }
+    }
+
+    const keptGroups = [];
+    for (const [groupIndex, group] of groups.entries()) {
+        const match = existing.find(g => !keptGroups.includes(g.id) && (group.id ? g.id === Number(group.id) : g.name === group.name));
+
+        const values = { name: group.name, min_select: group.min_select, max_select: group.max_select, sort_order: groupIndex };
+        let groupId;
+        if (match) {
+            await tenantDb.from('modifier_groups').where('id', match.id).update(values);
+            groupId = match.id;
+        } else {
+            groupId = (await tenantDb.from('modifier_groups').insert({ menu_item_id: menuItemId, ...values })).lastInsertRowid;
+        }
+        keptGroups.push(groupId);
+
+        const current = existingOptions.filter(o => o.group_id === groupId);
+        const keptOptions = [];
+        for (const [optionIndex, option] of group.options.entries()) {
+            const found = current.find(o => !keptOptions.includes(o.id) && (option.id ? o.id === Number(option.id) : o.name === option.name));
+
+            const optionValues = { name: option.name, price_delta: option.price_delta, is_default: option.is_default, active: 1, sort_order: optionIndex };
+            if (found) {
+                await tenantDb.from('modifier_options').where('id', found.id).update(optionValues);
+                keptOptions.push(found.id);
+            } else {
+                keptOptions.push((await tenantDb.from('modifier_options').insert({ group_id: groupId, ...optionValues })).lastInsertRowid);
+            }
+        }
+        for (const option of current.filter(o => !keptOptions.includes(o.id))) {
+            await tenantDb.from('modifier_options').where('id', option.id).delete();
+        }
+    }
+
+    for (const group of existing.filter(g => !keptGroups.includes(g.id))) {
+        await tenantDb.from('modifier_options').where('group_id', group.id).delete();
+        await tenantDb.from('modifier_groups').where('id', group.id).delete();
+    }
+    return null;
+}
+
 module.exports = router;
@@ -3,6 +3,13 @@ const router = express.Router();
 const db = require('../db');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const orderEvents = require('../utils/events');
+const { PricingError, priceOrderItems, roundMoney } = require('../utils/pricing');
+const { StockError, consumeStock, publishStock } = require('../utils/inventory');
+const { IngredientError, deductIngredients, publishLowStock } = require('../utils/ingredients');
+const { CouponError, redeemCoupon } = require('../utils/coupons');
+const { billOrder, billCart, billColumns, parseTaxes } = require('../utils/billing');
+const { SplitError, billBalance } = require('../utils/settlement');
+const { REASONS, RefundError, cancelOrder, cancelItem } = require('../utils/refunds');
 
 // Internal → Public status mapping
 const STATUS_MAP = {
@@ -17,7 +24,7 @@ const STATUS_MAP = {
 // POST /api/orders
 router.post('/', async (req, res) => {
     try {
-        const { table_token, items, payment_mode, notes } = req.body;
+        const { table_token, items, payment_mode, notes, coupon_code, customer_phone } = req.body;
 
         if (!table_token || !items || !items.length || !payment_mode) {
             return res.status(400).json({ error: 'table_token, items, and payment_mode are required' });
@@ -28,9 +35,10 @@ router.post('/', async (req, res) => {
         }
 
         // Validate table
-        const table = await db.prepare(
-            'SELECT id, restaurant_id FROM tables WHERE qr_token = ? AND active = 1'
-        ).get(table_token);
+        const table = await db.from('tables')
+            .select('id', 'restaurant_id')
+            .where({ qr_token: table_token, active: 1 })
+            .get();
         if (!table) return res.status(404).json({ error: 'Invalid table' });
 
         // For PREPAID, this endpoint should only be called after payment verification
@@ -39,45 +47,22 @@ router.post('/', async (req, res) => {
             return res.status(400).json({ error: 'Prepaid orders must go through payment verification first' });
         }
 
-        // Validate and calculate total
-        let totalAmount = 0;
-        const orderItems = [];
-
-        for (const item of items) {
-            const menuItem = await db.prepare(
-                'SELECT id, name, price FROM menu_items WHERE id = ? AND restaurant_id = ? AND active = 1'
-            ).get(item.menu_item_id, table.restaurant_id);
-
-            if (!menuItem) {
-                return res.status(400).json({ error: `Menu item ${item.menu_item_id} not found or inactive` });
-            }
-
-            const qty = item.quantity || 1;
-            totalAmount += menuItem.price * qty;
-
-            orderItems.push({
-                menu_item_id: menuItem.id,
-                item_name: menuItem.name,
-                quantity: qty,
-                price_at_order: menuItem.price,
-                notes: item.notes || ''
-            });
-        }
-
-        // Create order
-        const result = await db.prepare(
-            `INSERT INTO orders (restaurant_id, table_id, internal_status, public_status, payment_mode, total_amount, notes)
-         VALUES (?, ?, 'PLACED', 'Order placed', ?, ?, ?)`
-        ).run(table.restaurant_id, table.id, payment_mode, totalAmount, notes || '');
-
-        const orderId = result.lastInsertRowid;
+        // Price and bill on the server from menu items, modifier options and the coupon
+        const { lines: orderItems, coupon, bill } = await billCart(table.restaurant_id, items, {
+            couponCode: coupon_code,
+            phone: customer_phone
+        });
 
-        // Insert order items
-        for (const oi of orderItems) {
-            await db.prepare(
-                'INSERT INTO order_items (order_id, menu_item_id, item_name, quantity, price_at_order, notes) VALUES (?, ?, ?, ?, ?, ?)'
-            ).run(orderId, oi.menu_item_id, oi.item_name, oi.quantity, oi.price_at_order, oi.notes);
-        }
+        // Create order and its items atomically
+        const orderId = await insertOrder({
+            restaurantId: table.restaurant_id,
+            tableId: table.id,
+            paymentMode: payment_mode,
+            bill,
+            notes,
+            items: orderItems,
+            coupon
+        });
 
         // Get order with items
         const order = await getOrderById(orderId);
@@ -87,19 +72,68 @@ router.post('/', async (req, res) => {
             restaurant_id: table.restaurant_id,
             order
         });
+        publishStock(table.restaurant_id, orderItems.map(oi => oi.menu_item_id))
+            .catch(err => console.error('Stock publish error:', err));
 
         res.status(201).json({
             order_id: orderId,
             public_status: 'Order placed',
-            total_amount: totalAmount,
+            total_amount: bill.total_amount,
+            discount_amount: bill.discount_amount,
             payment_mode
         });
     } catch (err) {
+        if (err instanceof PricingError) return res.status(400).json({ error: err.message });
+        if (err instanceof CouponError) return res.status(400).json({ error: err.message, needs_phone: err.needsPhone });
+        if (err instanceof StockError) return res.status(409).json({ error: err.message });
         console.error('Order create error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// ─── Bill preview (public - customer cart) ────────────────────
+
+// POST /api/orders/quote
+// Body: { table_token, items, coupon_code?, customer_phone? } → the bill the
+// order would get. A coupon that can't be used is left off the bill and
+// explained in coupon_error (needs_phone: ask for the customer's number).
+router.post('/quote', async (req, res) => {
+    try {
+        const { table_token, items, coupon_code, customer_phone } = req.body;
+        if (!table_token || !items || !items.length) {
+            return res.status(400).json({ error: 'table_token and items are required' });
+        }
+
+        const table = await db.from('tables')
+            .select('id', 'restaurant_id')
+            .where({ qr_token: table_token, active: 1 })
+            .get();
+        if (!table) return res.status(404).json({ error: 'Invalid table' });
+
+        const options = { checkStock: false, phone: customer_phone };
+        let quote;
+        let couponError = null;
+        try {
+            quote = await billCart(table.restaurant_id, items, { ...options, couponCode: coupon_code });
+        } catch (err) {
+            if (!(err instanceof CouponError)) throw err;
+            couponError = err;
+            quote = await billCart(table.restaurant_id, items, options);
+        }
+
+        const { coupon, bill } = quote;
+        res.json({
+            ...bill,
+            discounts: coupon ? [{ code: coupon.coupon.code, label: coupon.label, amount: coupon.discount }] : [],
+            ...(couponError && { coupon_error: couponError.message, needs_phone: couponError.needsPhone })
+        });
+    } catch (err) {
+        if (err instanceof PricingError) return res.status(400).json({ error: err.message });
+        console.error('Order quote error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // ─── Add items to existing POSTPAID order ─────────────────────
 
 // POST /api/orders/:id/add-items
@@ -113,49 +147,47 @@ router.post('/:id/add-items', async (req, res) => {
         }
 
         // Validate order belongs to this table
-        const table = await db.prepare(
-            'SELECT id, restaurant_id FROM tables WHERE qr_token = ? AND active = 1'
-        ).get(table_token);
+        const table = await db.from('tables')
+            .select('id', 'restaurant_id')
+            .where({ qr_token: table_token, active: 1 })
+            .get();
         if (!table) return res.status(404).json({ error: 'Invalid table' });
 
-        const order = await db.prepare(
-            'SELECT id, total_amount, internal_status, payment_mode FROM orders WHERE id = ? AND table_id = ?'
-        ).get(orderId, table.id);
+        const order = await db.from('orders')
+            .select('id', 'total_amount', 'internal_status', 'payment_mode')
+            .where({ id: orderId, table_id: table.id })
+            .get();
         if (!order) return res.status(404).json({ error: 'Order not found' });
 
         // Validate and price new items
-        let additionalAmount = 0;
-        const newItems = [];
-        for (const item of items) {
-            const menuItem = await db.prepare(
-                'SELECT id, name, price FROM menu_items WHERE id = ? AND restaurant_id = ? AND active = 1'
-            ).get(item.menu_item_id, table.restaurant_id);
-            if (!menuItem) return res.status(400).json({ error: `Item ${item.menu_item_id} not found` });
-            const qty = item.quantity || 1;
-            additionalAmount += menuItem.price * qty;
-            newItems.push({
-                menu_item_id: menuItem.id,
-                item_name: menuItem.name,
-                quantity: qty,
-                price_at_order: menuItem.price,
-                notes: item.notes || ''
-            });
-        }
-
-        // Insert new items
-        for (const oi of newItems) {
-            await db.prepare(
-                'INSERT INTO order_items (order_id, menu_item_id, item_name, quantity, price_at_order, notes) VALUES (?, ?, ?, ?, ?, ?)'
-            ).run(orderId, oi.menu_item_id, oi.item_name, oi.quantity, oi.price_at_order, oi.notes);
-        }
+        const { lines: newItems } = await priceOrderItems(table.restaurant_id, items);
 
-        // Update order total and reset status to PLACED so kitchen sees new items
-        const newTotal = order.total_amount + additionalAmount;
+        // Insert new items, re-bill the order and reset status to PLACED so
+        // kitchen sees new items — all or nothing
         const newInternalStatus = 'PLACED';
         const newPublicStatus = 'Order placed';
-        await db.prepare(
-            'UPDATE orders SET total_amount = ?, internal_status = ?, public_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
-        ).run(newTotal, newInternalStatus, newPublicStatus, orderId);
+        const newTotal = await db.transaction(async () => {
+            // A paid bill is closed; more food is a new order
+            const current = await db.from('orders').select('settled', 'cancelled').where('id', orderId).get();
+            if (current.cancelled) throw new SplitError('This order was cancelled — please place a new order');
+            if (current.settled) throw new SplitError('This bill is already paid — please place a new order');
+
+            // Re-read inside the transaction so concurrent add-items don't lose each other's lines
+            const billed = await db.from('order_items')
+                .select('menu_item_id', 'quantity', 'price_at_order', 'tax_rate', 'discount')
+                .where({ order_id: orderId, cancelled: 0 })
+                .all();
+            const bill = await billOrder(table.restaurant_id, [...billed, ...newItems]);
+            await insertOrderItems(table.restaurant_id, orderId, newItems);
+
+            await db.from('orders').where('id', orderId).update({
+                ...billColumns(bill),
+                internal_status: newInternalStatus,
+                public_status: newPublicStatus,
+                updated_at: db.NOW
+            });
+            return bill.total_amount;
+        })();
 
         const updatedOrder = await getOrderById(orderId);
         orderEvents.emit('order-updated', {
@@ -165,6 +197,8 @@ router.post('/:id/add-items', async (req, res) => {
             public_status: updatedOrder.public_status,
             table_number: updatedOrder.table_number
         });
+        publishStock(table.restaurant_id, newItems.map(oi => oi.menu_item_id))
+            .catch(err => console.error('Stock publish error:', err));
 
         res.json({
             order_id: parseInt(orderId),
@@ -173,6 +207,8 @@ router.post('/:id/add-items', async (req, res) => {
             public_status: updatedOrder.public_status
         });
     } catch (err) {
+        if (err instanceof PricingError) return res.status(400).json({ error: err.message });
+        if (err instanceof StockError || err instanceof SplitError) return res.status(409).json({ error: err.message });
         console.error('Add items error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
@@ -184,42 +220,82 @@ router.post('/:id/add-items', async (req, res) => {
 router.get('/:id', async (req, res) => {
     try {
         const { token } = req.query;
-        const order = await db.prepare(
-            `SELECT o.id, o.table_id, o.public_status, o.payment_mode, o.total_amount, o.created_at,
-              t.table_number
-       FROM orders o
-       JOIN tables t ON o.table_id = t.id
-       WHERE o.id = ?`
-        ).get(req.params.id);
+        if (!token) return res.status(400).json({ error: 'Table token required' });
 
-        if (!order) return res.status(404).json({ error: 'Order not found' });
+        // The table token decides which restaurant and table the order must belong to
+        const table = await db.from('tables').select('id', 'restaurant_id').where('qr_token', token).get();
+        if (!table) return res.status(403).json({ error: 'Access denied' });
 
-        // If token provided, validate it matches the table
-        if (token) {
-            const table = await db.prepare('SELECT id FROM tables WHERE qr_token = ?').get(token);
-            if (!table || table.id !== order.table_id) {
-                return res.status(403).json({ error: 'Access denied' });
-            }
-        }
+        const tenantDb = db.forTenant(table.restaurant_id);
+        const order = await tenantDb.from('orders', 'o')
+            .select('o.id', 'o.table_id', 'o.public_status', 'o.payment_mode', 'o.subtotal', 'o.discount_amount', 'o.service_charge',
+                'o.packaging_charge', 'o.tax_amount', 'o.taxes', 'o.round_off', 'o.total_amount', 'o.settled', 'o.cancelled', 'o.cancel_reason', 'o.created_at', 't.table_number')
+            .join('tables', 't', 't.id', 'o.table_id')
+            .where({ 'o.id': req.params.id, 'o.table_id': table.id })
+            .get();
+
+        if (!order) return res.status(404).json({ error: 'Order not found' });
 
-        const items = await db.prepare(
-            'SELECT item_name, quantity, price_at_order, notes FROM order_items WHERE order_id = ?'
-        ).all(req.params.id);
+        const items = await tenantDb.from('order_items')
+            .select('id', 'item_name', 'variant_name', 'combo_name', 'combo_ref', 'quantity', 'list_price', 'price_at_order', 'price_rule_name', 'notes', 'modifiers', 'cancelled', 'cancel_reason')
+            .where('order_id', req.params.id)
+            .orderBy('id')
+            .all();
+        const discounts = await tenantDb.from('order_discounts')
+            .select('code', 'label', 'amount')
+            .where('order_id', order.id)
+            .all();
+        const invoices = await tenantDb.from('invoices')
+            .select('id', 'kind', 'number', 'total_amount')
+            .where('order_id', order.id)
+            .orderBy('id')
+            .all();
+        const refunds = await tenantDb.from('refunds')
+            .select('id', 'amount', 'status', 'reason', 'created_at')
+            .where('order_id', order.id)
+            .where('status', '!=', 'failed')
+            .orderBy('id')
+            .all();
+        const bill = await billBalance(table.restaurant_id, order.id);
+        const paidItems = new Set(bill.paid_item_ids);
+        for (const item of items) item.paid = paidItems.has(item.id);
 
         // Check payment status
-        const payment = await db.prepare(
-            'SELECT status, verified FROM payments WHERE order_id = ? ORDER BY created_at DESC LIMIT 1'
-        ).get(req.params.id);
+        const payment = await tenantDb.from('payments')
+            .select('status', 'verified')
+            .where('order_id', req.params.id)
+            .orderBy('created_at', 'desc')
+            .get();
 
         res.json({
             id: order.id,
             table_number: order.table_number,
             public_status: order.public_status,
             payment_mode: order.payment_mode,
+            subtotal: order.subtotal,
+            discount_amount: order.discount_amount || 0,
+            service_charge: order.service_charge || 0,
+            packaging_charge: order.packaging_charge || 0,
+            tax_amount: order.tax_amount || 0,
+            taxes: parseTaxes(order.taxes),
+            round_off: order.round_off || 0,
             total_amount: order.total_amount,
+            cancelled: !!order.cancelled,
+            cancel_reason: order.cancel_reason && (REASONS[order.cancel_reason] || order.cancel_reason),
             created_at: order.created_at,
-            items,
-            payment_status: payment ? payment.status : (order.payment_mode === 'POSTPAID' ? 'pending' : null)
+            items: withModifiers(items),
+            discounts,
+            invoices,
+            paid_amount: bill.paid_amount,
+            balance: bill.balance,
+            settled: !!order.settled,
+            tip_amount: roundMoney(bill.payments.reduce((sum, p) => sum + p.tip_amount, 0)),
+            payments: bill.payments,
+            refunds: refunds.map(r => ({ ...r, reason: REASONS[r.reason] || r.reason })),
+            refunded_amount: roundMoney(refunds.reduce((sum, r) => sum + r.amount, 0)),
+            payment_status: order.settled ? 'paid'
+                : bill.paid_amount > 0 ? 'partial'
+                    : payment ? payment.status : (order.payment_mode === 'POSTPAID' ? 'pending' : null)
         });
     } catch (err) {
         console.error('Order get error:', err);
@@ -232,19 +308,20 @@ router.get('/:id', async (req, res) => {
 // GET /api/orders/feed/kitchen
 router.get('/feed/kitchen', authenticateToken, requireRole('kitchen', 'admin'), async (req, res) => {
     try {
-        const orders = await db.prepare(
-            `SELECT o.*, t.table_number
-       FROM orders o
-       JOIN tables t ON o.table_id = t.id
-       WHERE o.restaurant_id = ? AND o.internal_status IN ('PLACED', 'PREPARING')
-       ORDER BY o.created_at ASC`
-        ).all(req.user.restaurant_id);
+        const orders = await req.db.from('orders', 'o')
+            .select('o.*', 't.table_number')
+            .join('tables', 't', 't.id', 'o.table_id')
+            .whereIn('o.internal_status', ['PLACED', 'PREPARING'])
+            .where('o.cancelled', 0)
+            .orderBy('o.created_at', 'asc')
+            .all();
 
         const result = await Promise.all(orders.map(async order => {
-            const items = await db.prepare(
-                'SELECT item_name, quantity, price_at_order, notes FROM order_items WHERE order_id = ?'
-            ).all(order.id);
-            return { ...order, items };
+            const items = await req.db.from('order_items')
+                .select('item_name', 'variant_name', 'combo_name', 'combo_ref', 'quantity', 'list_price', 'price_at_order', 'price_rule_name', 'notes', 'modifiers')
+                .where({ order_id: order.id, cancelled: 0 })
+                .all();
+            return { ...order, items: withModifiers(items) };
         }));
 
         res.json(result);
@@ -259,19 +336,20 @@ router.get('/feed/kitchen', authenticateToken, requireRole('kitchen', 'admin'),
 // GET /api/orders/feed/waiter
 router.get('/feed/waiter', authenticateToken, requireRole('waiter', 'admin'), async (req, res) => {
     try {
-        const orders = await db.prepare(
-            `SELECT o.*, t.table_number
-       FROM orders o
-       JOIN tables t ON o.table_id = t.id
-       WHERE o.restaurant_id = ? AND o.internal_status = 'READY'
-       ORDER BY o.updated_at ASC`
-        ).all(req.user.restaurant_id);
+        const orders = await req.db.from('orders', 'o')
+            .select('o.*', 't.table_number')
+            .join('tables', 't', 't.id', 'o.table_id')
+            .where('o.internal_status', 'READY')
+            .where('o.cancelled', 0)
+            .orderBy('o.updated_at', 'asc')
+            .all();
 
         const result = await Promise.all(orders.map(async order => {
-            const items = await db.prepare(
-                'SELECT item_name, quantity, price_at_order, notes FROM order_items WHERE order_id = ?'
-            ).all(order.id);
-            return { ...order, items };
+            const items = await req.db.from('order_items')
+                .select('item_name', 'variant_name', 'combo_name', 'combo_ref', 'quantity', 'list_price', 'price_at_order', 'price_rule_name', 'notes', 'modifiers')
+                .where({ order_id: order.id, cancelled: 0 })
+                .all();
+            return { ...order, items: withModifiers(items) };
         }));
 
         res.json(result);
@@ -287,29 +365,54 @@ router.get('/feed/waiter', authenticateToken, requireRole('waiter', 'admin'), as
 router.get('/feed/all', authenticateToken, requireRole('admin'), async (req, res) => {
     try {
         const { date, status } = req.query;
-        let query = `SELECT o.*, t.table_number FROM orders o JOIN tables t ON o.table_id = t.id WHERE o.restaurant_id = ?`;
-        const params = [req.user.restaurant_id];
+        const query = req.db.from('orders', 'o')
+            .select('o.*', 't.table_number')
+            .join('tables', 't', 't.id', 'o.table_id');
 
-        if (date) {
-            query += ` AND date(o.created_at) = ?`;
-            params.push(date);
-        }
-        if (status) {
-            query += ` AND o.internal_status = ?`;
-            params.push(status);
-        }
-
-        query += ` ORDER BY o.created_at DESC LIMIT 100`;
+        if (date) query.whereDate('o.created_at', date);
+        if (status) query.where('o.internal_status', status);
 
-        const orders = await db.prepare(query).all(...params);
+        const orders = await query.orderBy('o.created_at', 'desc').limit(100).all();
         const result = await Promise.all(orders.map(async order => {
-            const items = await db.prepare(
-                'SELECT item_name, quantity, price_at_order, notes FROM order_items WHERE order_id = ?'
-            ).all(order.id);
-            const payment = await db.prepare(
-                'SELECT * FROM payments WHERE order_id = ? ORDER BY created_at DESC LIMIT 1'
-            ).get(order.id);
-            return { ...order, items, payment };
+            const items = await req.db.from('order_items')
+                .select('id', 'item_name', 'variant_name', 'combo_name', 'combo_ref', 'quantity', 'list_price', 'price_at_order', 'price_rule_name', 'notes', 'modifiers', 'cancelled', 'cancel_reason')
+                .where('order_id', order.id)
+                .orderBy('id')
+                .all();
+            const payment = await req.db.from('payments')
+                .where('order_id', order.id)
+                .orderBy('created_at', 'desc')
+                .get();
+            const discounts = await req.db.from('order_discounts')
+                .select('code', 'label', 'amount')
+                .where('order_id', order.id)
+                .all();
+            const invoices = await req.db.from('invoices')
+                .select('id', 'kind', 'number', 'total_amount')
+                .where('order_id', order.id)
+                .orderBy('id')
+                .all();
+            const payments = await req.db.from('payments')
+                .select('id', 'razorpay_order_id', 'amount', 'tip_amount', 'refunded_amount', 'tip_refunded', 'status', 'created_at')
+                .where({ order_id: order.id, verified: 1 })
+                .orderBy('id')
+                .all();
+            const refunds = await req.db.from('refunds')
+                .select('id', 'payment_id', 'amount', 'tip_amount', 'reason', 'note', 'status', 'error', 'created_at')
+                .where('order_id', order.id)
+                .orderBy('id')
+                .all();
+            return {
+                ...order,
+                taxes: parseTaxes(order.taxes),
+                items: withModifiers(items),
+                discounts,
+                payment,
+                invoices,
+                payments,
+                refunds,
+                tip_amount: roundMoney(payments.reduce((sum, p) => sum + p.tip_amount - (p.tip_refunded || 0), 0))
+            };
         }));
 
         res.json(result);
@@ -330,11 +433,12 @@ router.patch('/:id/status', authenticateToken, requireRole('kitchen', 'waiter',
             return res.status(400).json({ error: 'Invalid status' });
         }
 
-        const order = await db.prepare(
-            'SELECT * FROM orders WHERE id = ? AND restaurant_id = ?'
-        ).get(req.params.id, req.user.restaurant_id);
+        const order = await req.db.from('orders')
+            .where('id', req.params.id)
+            .get();
 
         if (!order) return res.status(404).json({ error: 'Order not found' });
+        if (order.cancelled) return res.status(409).json({ error: 'This order was cancelled' });
 
         // Kitchen can only set PREPARING or READY
         if (req.user.role === 'kitchen' && !['PREPARING', 'READY'].includes(internal_status)) {
@@ -348,9 +452,19 @@ router.patch('/:id/status', authenticateToken, requireRole('kitchen', 'waiter',
 
         const public_status = STATUS_MAP[internal_status];
 
-        await db.prepare(
-            `UPDATE orders SET internal_status = ?, public_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`
-        ).run(internal_status, public_status, req.params.id);
+        // Once the kitchen starts on an order its ingredients are used up
+        const lowStock = await db.transaction(async () => {
+            await req.db.from('orders').where('id', req.params.id).update({
+                internal_status,
+                public_status,
+                // Whoever serves the order gets its tips (see utils/tips.js)
+                ...(internal_status === 'SERVED' ? { served_by: req.user.id } : {}),
+                updated_at: db.NOW
+            });
+            if (internal_status === 'PLACED') return [];
+            return await deductIngredients(req.user.restaurant_id, order.id, req.user.id);
+        })();
+        publishLowStock(req.user.restaurant_id, lowStock);
 
         // Emit event
         orderEvents.emit('order-updated', {
@@ -358,27 +472,182 @@ router.patch('/:id/status', authenticateToken, requireRole('kitchen', 'waiter',
             order_id: parseInt(req.params.id),
             internal_status,
             public_status,
-            table_number: (await db.prepare('SELECT table_number FROM tables WHERE id = ?').get(order.table_id))?.table_number
+            table_number: (await req.db.from('tables').select('table_number').where('id', order.table_id).get())?.table_number
         });
 
         res.json({ success: true, internal_status, public_status });
     } catch (err) {
+        if (err instanceof IngredientError) return res.status(409).json({ error: err.message });
         console.error('Status update error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// ─── Cancellations ────────────────────────────────────────────
+
+// Customers may cancel their own order with its table's token (table_token)
+// until the kitchen starts on it; admins any time
+async function cancelAccess(req, res, next) {
+    const token = req.body.table_token;
+    if (typeof token !== 'string') return authenticateToken(req, res, () => requireRole('admin')(req, res, next));
+
+    try {
+        const table = await db.from('tables').select('id', 'restaurant_id').where({ qr_token: token, active: 1 }).get();
+        if (!table) return res.status(404).json({ error: 'Invalid table' });
+        const order = await db.forTenant(table.restaurant_id).from('orders')
+            .select('id')
+            .where({ id: req.params.id, table_id: table.id })
+            .get();
+        if (!order) return res.status(404).json({ error: 'Order not found for this table' });
+        req.table = table;
+    } catch (err) {
+        console.error('Cancel access error:', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+    next();
+}
+
+// POST /api/orders/:id/cancel
+// Body: { reason, note?, refund? } (admin) or { table_token } (customer).
+// Refunds the order's payments if the kitchen had not started, or if
+// refund is true.
+router.post('/:id/cancel', cancelAccess, async (req, res) => {
+    try {
+        const restaurantId = req.table ? req.table.restaurant_id : req.user.restaurant_id;
+        if (!req.table) {
+            const order = await req.db.from('orders').select('id').where('id', req.params.id).get();
+            if (!order) return res.status(404).json({ error: 'Order not found' });
+        }
+        const { reason, note, refund } = req.body;
+        if (refund !== undefined && typeof refund !== 'boolean') {
+            return res.status(400).json({ error: 'refund must be true or false' });
+        }
+
+        const result = await cancelOrder(restaurantId, req.params.id, req.table
+            ? { reason: 'customer_request', note, onlyPlaced: true }
+            : { reason, note, refund, userId: req.user.id });
+        publishStock(restaurantId, result.menu_item_ids).catch(err => console.error('Stock publish error:', err));
+
+        res.json({
+            order_id: result.order_id,
+            cancelled: true,
+            public_status: 'Cancelled',
+            refunds: result.refunds
+        });
+    } catch (err) {
+        if (err instanceof RefundError) return res.status(400).json({ error: err.message });
+        console.error('Order cancel error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/orders/:id/items/:itemId/cancel
+// Body: { reason, note?, refund? } — takes the line (with the rest of its
+// combo) off the bill and refunds any overpayment unless refund is false
+router.post('/:id/items/:itemId/cancel', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const order = await req.db.from('orders').select('id').where('id', req.params.id).get();
+        if (!order) return res.status(404).json({ error: 'Order not found' });
+        const { reason, note, refund } = req.body;
+        if (refund !== undefined && typeof refund !== 'boolean') {
+            return res.status(400).json({ error: 'refund must be true or false' });
+        }
+
+        const result = await cancelItem(req.user.restaurant_id, order.id, req.params.itemId, {
+            reason,
+            note,
+            refund: refund !== false,
+            userId: req.user.id
+        });
+        publishStock(req.user.restaurant_id, result.menu_item_ids).catch(err => console.error('Stock publish error:', err));
+
+        res.json({
+            order_id: result.order_id,
+            total_amount: result.total_amount,
+            cancelled_item_ids: result.cancelled_item_ids,
+            order_cancelled: result.order_cancelled,
+            refunds: result.refunds
+        });
+    } catch (err) {
+        if (err instanceof RefundError) return res.status(400).json({ error: err.message });
+        console.error('Item cancel error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // ─── Helper ───────────────────────────────────────────────────
 
+// order_items.modifiers is stored as JSON text → array for API responses
+function withModifiers(items) {
+    return items.map(item => {
+        let modifiers = [];
+        try {
+            modifiers = item.modifiers ? JSON.parse(item.modifiers) : [];
+        } catch (e) { }
+        return { ...item, modifiers };
+    });
+}
+
+// Takes the items off stock first; allowOversell is for orders already paid for
+async function insertOrderItems(restaurantId, orderId, items, { allowOversell = false } = {}) {
+    await consumeStock(restaurantId, items, { allowOversell });
+    for (const oi of items) {
+        await db.from('order_items').insert({
+            order_id: orderId,
+            menu_item_id: oi.menu_item_id,
+            variant_id: oi.variant_id || null,
+            variant_name: oi.variant_name || null,
+            combo_id: oi.combo_id || null,
+            combo_name: oi.combo_name || null,
+            combo_ref: oi.combo_ref || null,
+            item_name: oi.item_name,
+            quantity: oi.quantity,
+            list_price: oi.list_price ?? oi.price_at_order,
+            price_at_order: oi.price_at_order,
+            price_rule_id: oi.price_rule_id || null,
+            price_rule_name: oi.price_rule_name || null,
+            tax_rate: oi.tax_rate || 0,
+            discount: oi.discount || 0,
+            notes: oi.notes,
+            modifiers: oi.modifiers && oi.modifiers.length ? JSON.stringify(oi.modifiers) : null
+        });
+    }
+}
+
+// The order row and its items are written in one transaction, so a failure
+// half-way never leaves a priced order with missing lines in the kitchen feed.
+// `bill` is billOrder's for the items, after `coupon` (a quoteCoupon quote).
+const insertOrder = db.transaction(async ({ restaurantId, tableId, paymentMode, bill, notes, items, allowOversell, coupon }) => {
+    const result = await db.from('orders').insert({
+        restaurant_id: restaurantId,
+        table_id: tableId,
+        internal_status: 'PLACED',
+        public_status: 'Order placed',
+        payment_mode: paymentMode,
+        ...billColumns(bill),
+        notes: notes || ''
+    });
+
+    await insertOrderItems(restaurantId, result.lastInsertRowid, items, { allowOversell });
+    // A paid order keeps its coupon the way it keeps its stock
+    if (coupon) await redeemCoupon(restaurantId, result.lastInsertRowid, coupon, { paid: allowOversell });
+    return result.lastInsertRowid;
+});
+
 async function getOrderById(orderId) {
-    const order = await db.prepare(
-        `SELECT o.*, t.table_number FROM orders o JOIN tables t ON o.table_id = t.id WHERE o.id = ?`
-    ).get(orderId);
+    const order = await db.from('orders', 'o')
+        .select('o.*', 't.table_number')
+        .join('tables', 't', 't.id', 'o.table_id')
+        .where('o.id', orderId)
+        .get();
     if (!order) return null;
-    order.items = await db.prepare('SELECT * FROM order_items WHERE order_id = ?').all(orderId);
+    order.taxes = parseTaxes(order.taxes);
+    order.items = withModifiers(await db.from('order_items').where('order_id', orderId).all());
+    order.discounts = await db.from('order_discounts').select('code', 'label', 'amount').where('order_id', orderId).all();
     return order;
 }
 
 module.exports = router;
 module.exports.getOrderById = getOrderById;
+module.exports.insertOrder = insertOrder;
 module.exports.STATUS_MAP = STATUS_MAP;
@@ -1,31 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
-const crypto = require('crypto');
 const orderEvents = require('../utils/events');
-
-let Razorpay;
-try {
-    Razorpay = require('razorpay');
-} catch (e) {
-    console.warn('⚠️  Razorpay module not loaded — payment features will use mock mode');
-}
-
-function getRazorpayInstance() {
-    if (!Razorpay) return null;
-    if (!process.env.RAZORPAY_KEY_ID || process.env.RAZORPAY_KEY_ID === 'rzp_test_placeholder') return null;
-    return new Razorpay({
-        key_id: process.env.RAZORPAY_KEY_ID,
-        key_secret: process.env.RAZORPAY_KEY_SECRET
-    });
-}
+const { insertOrder, getOrderById } = require('./orders');
+const { PricingError, roundMoney } = require('../utils/pricing');
+const { CouponError } = require('../utils/coupons');
+const { billCart } = require('../utils/billing');
+const { StockError, publishStock } = require('../utils/inventory');
+const { InvoiceError } = require('../utils/invoices');
+const { SplitError, billBalance, quoteSplit, settlePayments, publishBalance } = require('../utils/settlement');
+const { TipError, validateTip, tipsReport } = require('../utils/tips');
+const { parseTimestamp, restaurantNow, reportDays } = require('../utils/availability');
+const { GatewayError, getProvider, restaurantProvider } = require('../utils/gateway');
+const { RefundError, refundPayment } = require('../utils/refunds');
+const { authenticateToken, requireRole } = require('../middleware/auth');
 
 // ─── Create Razorpay Order ────────────────────────────────────
 
 // POST /api/payments/create-order
+// The amount is always the server's: the bill for the items, or the part of
+// order_id's balance being paid, plus any tip
 router.post('/create-order', async (req, res) => {
     try {
-        const { amount, table_token, items, payment_mode, notes, order_id } = req.body;
+        const { table_token, items, payment_mode, notes, order_id, coupon_code, customer_phone, split, tip } = req.body;
 
         if (!table_token) {
             return res.status(400).json({ error: 'table_token is required' });
@@ -35,213 +32,353 @@ router.post('/create-order', async (req, res) => {
         }
 
         // Validate table
-        const table = await db.prepare(
-            'SELECT id, restaurant_id FROM tables WHERE qr_token = ? AND active = 1'
-        ).get(table_token);
+        const table = await db.from('tables')
+            .select('id', 'restaurant_id')
+            .where({ qr_token: table_token, active: 1 })
+            .get();
         if (!table) return res.status(404).json({ error: 'Invalid table' });
 
-        // If paying for an existing order, just use its total
+        // If paying for an existing order, charge this payer's part of what is left
         let serverAmount = 0;
+        let coupon = null;
+        let splitColumns = {};
+        let checkout;
 
         if (order_id) {
             // Postpaid bill: look up order amount from database
-            const existingOrder = await db.prepare(
-                'SELECT total_amount FROM orders WHERE id = ? AND table_id = ?'
-            ).get(order_id, table.id);
+            const existingOrder = await db.from('orders')
+                .select('id')
+                .where({ id: order_id, table_id: table.id })
+                .get();
             if (!existingOrder) return res.status(404).json({ error: 'Order not found for this table' });
-            serverAmount = existingOrder.total_amount;
+            const part = await quoteSplit(table.restaurant_id, await billBalance(table.restaurant_id, existingOrder.id), split);
+            serverAmount = part.amount;
+            splitColumns = part.columns;
+            checkout = { table_id: table.id, order_id: existingOrder.id };
         } else if (items && items.length) {
-            // New prepaid order: calculate from items
-            for (const item of items) {
-                const menuItem = await db.prepare(
-                    'SELECT price FROM menu_items WHERE id = ? AND active = 1'
-                ).get(item.menu_item_id);
-                if (!menuItem) return res.status(400).json({ error: `Item ${item.menu_item_id} not found` });
-                serverAmount += menuItem.price * (item.quantity || 1);
-            }
+            // New prepaid order: bill the items, with any coupon, taxes and charges
+            let bill;
+            ({ coupon, bill } = await billCart(table.restaurant_id, items, { couponCode: coupon_code, phone: customer_phone }));
+            serverAmount = bill.total_amount;
+            checkout = { table_id: table.id, items, notes: notes || '' };
         } else {
             return res.status(400).json({ error: 'Either order_id or items are required' });
         }
 
-        const amountInPaise = Math.round(serverAmount * 100);
+        // The tip is charged on top but kept apart from the bill
+        const tipAmount = validateTip(tip, serverAmount);
+        const amountInPaise = Math.round((serverAmount + tipAmount) * 100);
+
+        // Open an order for it with the restaurant's provider
+        const provider = await restaurantProvider(table.restaurant_id);
+        const gatewayOrder = await provider.createOrder({
+            amount: amountInPaise,
+            receipt: `order_${Date.now()}`,
+            notes: {
+                table_id: table.id.toString(),
+                restaurant_id: table.restaurant_id.toString()
+            }
+        });
 
-        const razorpay = getRazorpayInstance();
+        // Store payment record
+        const result = await db.from('payments').insert({
+            restaurant_id: table.restaurant_id,
+            provider: provider.name,
+            razorpay_order_id: gatewayOrder.id,
+            amount: serverAmount,
+            tip_amount: tipAmount,
+            payment_mode: payment_mode || 'PREPAID',
+            status: 'created',
+            coupon_code: coupon ? coupon.coupon.code : null,
+            customer_phone: coupon ? coupon.phone : null,
+            checkout: JSON.stringify(checkout),
+            ...splitColumns
+        });
 
-        if (razorpay) {
-            // Real Razorpay order
-            const rpOrder = await razorpay.orders.create({
-                amount: amountInPaise,
-                currency: 'INR',
-                receipt: `order_${Date.now()}`,
-                notes: {
-                    table_id: table.id.toString(),
-                    restaurant_id: table.restaurant_id.toString()
-                }
-            });
+        res.json({
+            provider: provider.name,
+            razorpay_order_id: gatewayOrder.id,
+            amount: amountInPaise,
+            currency: 'INR',
+            ...gatewayOrder.checkout,
+            payment_id: result.lastInsertRowid,
+            discount_amount: coupon ? coupon.discount : 0,
+            tip_amount: tipAmount
+        });
+    } catch (err) {
+        if (err instanceof PricingError) return res.status(400).json({ error: err.message });
+        if (err instanceof CouponError) return res.status(400).json({ error: err.message, needs_phone: err.needsPhone });
+        if (err instanceof SplitError || err instanceof TipError) return res.status(400).json({ error: err.message });
+        if (err instanceof StockError) return res.status(409).json({ error: err.message });
+        if (err instanceof GatewayError) return res.status(503).json({ error: err.message });
+        console.error('Payment order error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-            // Store payment record
-            const result = await db.prepare(
-                `INSERT INTO payments (restaurant_id, razorpay_order_id, amount, payment_mode, status)
-         VALUES (?, ?, ?, ?, 'created')`
-            ).run(table.restaurant_id, rpOrder.id, serverAmount, payment_mode || 'PREPAID');
-
-            res.json({
-                razorpay_order_id: rpOrder.id,
-                amount: amountInPaise,
-                currency: 'INR',
-                key_id: process.env.RAZORPAY_KEY_ID,
-                payment_id: result.lastInsertRowid
-            });
-        } else {
-            // Mock mode for development
-            const mockOrderId = `order_mock_${Date.now()}`;
-            const result = await db.prepare(
-                `INSERT INTO payments (restaurant_id, razorpay_order_id, amount, payment_mode, status)
-         VALUES (?, ?, ?, ?, 'created')`
-            ).run(table.restaurant_id, mockOrderId, serverAmount, payment_mode || 'PREPAID');
-
-            res.json({
-                razorpay_order_id: mockOrderId,
-                amount: amountInPaise,
-                currency: 'INR',
-                key_id: process.env.RAZORPAY_KEY_ID || 'rzp_test_mock',
-                payment_id: result.lastInsertRowid,
-                mock_mode: true
-            });
+// ─── Split a bill ─────────────────────────────────────────────
+
+// POST /api/payments/split-quote
+// Body: { table_token, order_id, split } — what this payer would pay, as
+// create-order and pay-cash will charge it
+router.post('/split-quote', async (req, res) => {
+    try {
+        const { table_token, order_id, split } = req.body;
+        if (!table_token || !order_id) {
+            return res.status(400).json({ error: 'table_token and order_id are required' });
         }
+
+        const table = await db.from('tables')
+            .select('id', 'restaurant_id')
+            .where({ qr_token: table_token, active: 1 })
+            .get();
+        if (!table) return res.status(404).json({ error: 'Invalid table' });
+
+        const order = await db.from('orders').select('id').where({ id: order_id, table_id: table.id }).get();
+        if (!order) return res.status(404).json({ error: 'Order not found for this table' });
+
+        const balance = await billBalance(table.restaurant_id, order.id);
+        const part = await quoteSplit(table.restaurant_id, balance, split);
+        res.json({ amount: part.amount, balance: balance.balance, paid_amount: balance.paid_amount });
     } catch (err) {
-        console.error('Payment order error:', err);
+        if (err instanceof SplitError) return res.status(400).json({ error: err.message });
+        console.error('Split quote error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// ─── Capture a payment ────────────────────────────────────────
+
+// What a payment was created for: { table_id, order_id } for a part of a
+// postpaid bill, { table_id, items, notes } for a prepaid order; {} for
+// payments from before this was kept
+function paymentCheckout(payment) {
+    try {
+        return payment.checkout ? JSON.parse(payment.checkout) : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+// Gives back what a captured payment paid beyond its bill → the refund, or
+// null if it could not be started (the error is logged)
+async function refundSurplus(payment, surplus) {
+    try {
+        return await refundPayment(payment.restaurant_id, payment.id, {
+            amount: surplus >= payment.amount ? null : surplus,
+            reason: 'payment_issue',
+            note: 'Paid after the bill was already covered',
+            credit: false
+        });
+    } catch (err) {
+        console.error(`Surplus refund of payment ${payment.id} failed:`, err);
+        return null;
+    }
+}
+
+// Marks a payment paid and does what it was for — places its prepaid order
+// or settles its part of a postpaid bill — whichever of the customer's
+// browser (verify), the gateway's webhook or the nightly reconciliation
+// gets there first; the others find it done.
+// `orderId` is the postpaid bill, otherwise `items` and `notes` the order.
+// A part quoted before another payer paid may now be more than is left:
+// the gateway has taken it, so it is captured and the difference refunded.
+// → { orderId, created, postpaid, paid, refund } with paid from
+// settlePayments and refund that of any surplus
+async function capturePayment(payment, { tableId, orderId = null, items = null, notes = '', gatewayPaymentId = null, signature = '' }) {
+    const restaurantId = payment.restaurant_id;
+
+    // For PREPAID: the order is created now (order only reaches kitchen after payment)
+    let bill = null;
+    let orderItems = [];
+    let coupon = null;
+    if (!orderId) {
+        // Calculate total server-side. Stock was checked when the payment
+        // was created; the customer has paid now, so a sell-out meanwhile
+        // is the kitchen's to sort out rather than a reason to drop the order.
+        // Offers and the coupon are those of when the amount was quoted.
+        ({ lines: orderItems, coupon, bill } = await billCart(restaurantId, items, {
+            checkStock: false,
+            checkSchedule: false,
+            at: parseTimestamp(payment.created_at),
+            couponCode: payment.coupon_code,
+            phone: payment.customer_phone,
+            paid: true
+        }));
+    }
+
+    // Mark paid, create the order, link the payment and settle it as one
+    // unit — if any step fails the payment stays 'created' and capture can
+    // be retried
+    const captured = await db.transaction(async () => {
+        // What is left of the bill now, before this payment counts
+        const before = orderId && await billBalance(restaurantId, orderId);
+        const surplus = before ? Math.max(0, roundMoney(payment.amount - before.balance)) : 0;
+
+        // Only one capture may mark it paid: a second (double-submitted
+        // verify, webhook racing verify) waits on the row lock, changes
+        // nothing and gets the order the first one placed
+        const { changes } = await db.from('payments').where({ id: payment.id, verified: 0 }).update({
+            status: 'paid',
+            verified: 1,
+            razorpay_payment_id: gatewayPaymentId,
+            razorpay_signature: signature || '',
+            updated_at: db.NOW
+        });
+        if (!changes) {
+            const current = await db.from('payments').select('order_id').where('id', payment.id).get();
+            if (!current.order_id) throw new Error(`Payment ${payment.id} is verified but has no order`);
+            const paid = await settlePayments(restaurantId, current.order_id, { paymentId: payment.id });
+            return { orderId: current.order_id, created: false, paid, surplus: 0 };
+        }
+
+        const capturedOrderId = orderId || await insertOrder({
+            restaurantId,
+            tableId,
+            paymentMode: 'PREPAID',
+            bill,
+            notes,
+            items: orderItems,
+            allowOversell: true,
+            coupon
+        });
+
+        // Link payment to order
+        await db.from('payments').where('id', payment.id).update({ order_id: capturedOrderId });
+        const paid = await settlePayments(restaurantId, capturedOrderId, { paymentId: payment.id });
+        return { orderId: capturedOrderId, created: !orderId, paid, surplus };
+    })();
+
+    const { surplus, ...result } = captured;
+    result.refund = null;
+    if (surplus > 0) {
+        console.warn(`Payment ${payment.id} paid ₹${surplus} more than was left of order ${orderId}; refunding it`);
+        result.refund = await refundSurplus(payment, surplus);
+        result.paid = { ...await billBalance(restaurantId, orderId), invoice: captured.paid.invoice };
+    }
+
+    if (orderId) {
+        // This payer's part is paid; the bill closes once all are
+        publishBalance(restaurantId, result.paid);
+    } else if (result.created) {
+        // Emit event for kitchen
+        orderEvents.emit('new-order', {
+            restaurant_id: restaurantId,
+            order: await getOrderById(result.orderId)
+        });
+        publishStock(restaurantId, orderItems.map(oi => oi.menu_item_id))
+            .catch(err => console.error('Stock publish error:', err));
+    }
+    return { ...result, postpaid: !!orderId };
+}
+
 // ─── Verify Payment ───────────────────────────────────────────
 
 // POST /api/payments/verify
 router.post('/verify', async (req, res) => {
     try {
-        const { razorpay_payment_id, razorpay_order_id, razorpay_signature, table_token, items, payment_mode, notes, order_id } = req.body;
+        const { razorpay_payment_id, razorpay_order_id, razorpay_signature, table_token } = req.body;
 
         if (!razorpay_order_id) {
             return res.status(400).json({ error: 'razorpay_order_id is required' });
         }
 
         // Validate table
-        const table = await db.prepare(
-            'SELECT id, restaurant_id FROM tables WHERE qr_token = ? AND active = 1'
-        ).get(table_token);
+        const table = await db.from('tables')
+            .select('id', 'restaurant_id')
+            .where({ qr_token: table_token, active: 1 })
+            .get();
         if (!table) return res.status(404).json({ error: 'Invalid table' });
 
-        const payment = await db.prepare(
-            'SELECT * FROM payments WHERE razorpay_order_id = ?'
-        ).get(razorpay_order_id);
-        if (!payment) return res.status(404).json({ error: 'Payment record not found' });
-
-        const razorpay = getRazorpayInstance();
-        let verified = false;
-
-        if (razorpay && razorpay_signature) {
-            // Real signature verification
-            const body = razorpay_order_id + '|' + razorpay_payment_id;
-            const expectedSignature = crypto
-                .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-                .update(body)
-                .digest('hex');
-
-            verified = expectedSignature === razorpay_signature;
-        } else if (razorpay_order_id.startsWith('order_mock_')) {
-            // Mock mode - auto-verify
-            verified = true;
+        const payment = await db.from('payments')
+            .where({ razorpay_order_id, restaurant_id: table.restaurant_id })
+            .get();
+
+        // The bill or cart the payment was created for, rather than what this
+        // request says; only the table that started it may report on it
+        const checkout = payment ? paymentCheckout(payment) : {};
+        if (!payment || checkout.table_id !== table.id) {
+            return res.status(404).json({ error: 'Payment record not found' });
         }
 
+        // The provider the payment was made with vouches for it. Cash is no
+        // provider: only staff can say it was paid, or that it was not
+        const provider = getProvider(payment.provider);
+        if (!provider) {
+            return res.status(400).json({ error: 'This payment is not made online', verified: false });
+        }
+        const verified = provider.verifyPayment({
+            orderId: razorpay_order_id,
+            paymentId: razorpay_payment_id,
+            signature: razorpay_signature
+        });
+
         if (!verified) {
-            // Payment failed
-            await db.prepare(
-                `UPDATE payments SET status = 'failed', razorpay_payment_id = ?, razorpay_signature = ?, updated_at = CURRENT_TIMESTAMP
-         WHERE razorpay_order_id = ?`
-            ).run(razorpay_payment_id || '', razorpay_signature || '', razorpay_order_id);
+            // Payment failed — unless the provider's webhook already said it was paid
+            await db.from('payments').where({ id: payment.id, status: 'created' }).update({
+                status: 'failed',
+                razorpay_payment_id: razorpay_payment_id || '',
+                razorpay_signature: razorpay_signature || '',
+                updated_at: db.NOW
+            });
 
             return res.status(400).json({ error: 'Payment verification failed', verified: false });
         }
 
         // Payment verified!
-        await db.prepare(
-            `UPDATE payments SET status = 'paid', verified = 1, razorpay_payment_id = ?, razorpay_signature = ?, updated_at = CURRENT_TIMESTAMP
-       WHERE razorpay_order_id = ?`
-        ).run(razorpay_payment_id || 'mock_pay_' + Date.now(), razorpay_signature || '', razorpay_order_id);
-
-        // For POSTPAID: Just mark the existing order as paid
-        if (payment_mode === 'POSTPAID' && order_id) {
-            await db.prepare('UPDATE payments SET order_id = ? WHERE razorpay_order_id = ?').run(order_id, razorpay_order_id);
-            return res.json({
-                verified: true,
-                order_id: order_id,
-                message: 'Payment verified. Bill is closed.'
-            });
-        }
-
-        // For PREPAID: NOW create the order (order only reaches kitchen after payment)
-        if (!items || !items.length) {
+        const billOrderId = checkout.order_id || null;
+        const orderItems = checkout.items;
+        if (!billOrderId && (!orderItems || !orderItems.length)) {
             return res.status(400).json({ error: 'Items required for prepaid order creation' });
         }
 
-        // Calculate total server-side
-        let totalAmount = 0;
-        const orderItems = [];
-        for (const item of items) {
-            const menuItem = await db.prepare(
-                'SELECT id, name, price FROM menu_items WHERE id = ? AND restaurant_id = ? AND active = 1'
-            ).get(item.menu_item_id, table.restaurant_id);
-            if (!menuItem) continue;
-            const qty = item.quantity || 1;
-            totalAmount += menuItem.price * qty;
-            orderItems.push({
-                menu_item_id: menuItem.id,
-                item_name: menuItem.name,
-                quantity: qty,
-                price_at_order: menuItem.price,
-                notes: item.notes || ''
+        const captured = await capturePayment(payment, {
+            tableId: table.id,
+            orderId: billOrderId,
+            items: orderItems,
+            notes: checkout.notes,
+            gatewayPaymentId: razorpay_payment_id,
+            signature: razorpay_signature
+        });
+        const { paid, refund } = captured;
+        const invoice = paid.invoice && { id: paid.invoice.id, number: paid.invoice.number };
+
+        if (captured.postpaid) {
+            let message = paid.settled ? 'Payment verified. Bill is closed.' : `Payment verified. ₹${paid.balance} is left to pay.`;
+            if (refund) {
+                message = refund.status === 'failed'
+                    ? 'Someone else paid this bill first. Please ask the staff about your refund.'
+                    : `Someone else paid this bill first: ₹${refund.amount} is being refunded to you.`;
+            }
+            return res.json({
+                verified: true,
+                order_id: paid.order_id,
+                paid_amount: paid.paid_amount,
+                balance: paid.balance,
+                settled: paid.settled,
+                tip_amount: payment.tip_amount || 0,
+                invoice,
+                refund: refund && { id: refund.id, amount: refund.amount, status: refund.status },
+                message
             });
         }
 
-        // Create order
-        const orderResult = await db.prepare(
-            `INSERT INTO orders (restaurant_id, table_id, internal_status, public_status, payment_mode, total_amount, notes)
-         VALUES (?, ?, 'PLACED', 'Order placed', 'PREPAID', ?, ?)`
-        ).run(table.restaurant_id, table.id, totalAmount, notes || '');
-
-        const newOrderId = orderResult.lastInsertRowid;
-
-        // Insert order items
-        for (const oi of orderItems) {
-            await db.prepare(
-                'INSERT INTO order_items (order_id, menu_item_id, item_name, quantity, price_at_order, notes) VALUES (?, ?, ?, ?, ?, ?)'
-            ).run(newOrderId, oi.menu_item_id, oi.item_name, oi.quantity, oi.price_at_order, oi.notes);
-        }
-
-        // Link payment to order
-        await db.prepare('UPDATE payments SET order_id = ? WHERE razorpay_order_id = ?').run(newOrderId, razorpay_order_id);
-
-        // Get full order for event
-        const order = await db.prepare(
-            `SELECT o.*, t.table_number FROM orders o JOIN tables t ON o.table_id = t.id WHERE o.id = ?`
-        ).get(newOrderId);
-        order.items = await db.prepare('SELECT * FROM order_items WHERE order_id = ?').all(newOrderId);
-
-        // Emit event for kitchen
-        orderEvents.emit('new-order', {
-            restaurant_id: table.restaurant_id,
-            order
-        });
-
+        const order = await getOrderById(captured.orderId);
         res.json({
             verified: true,
-            order_id: newOrderId,
-            public_status: 'Order placed',
-            total_amount: totalAmount,
+            order_id: captured.orderId,
+            public_status: order.public_status,
+            total_amount: order.total_amount,
+            tip_amount: payment.tip_amount || 0,
+            invoice,
             message: 'Payment verified. Your order has been placed!'
         });
     } catch (err) {
+        // The payment stays 'created', so it can be reconciled or refunded
+        if (err instanceof PricingError || err instanceof CouponError || err instanceof InvoiceError || err instanceof SplitError) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (err instanceof StockError) return res.status(409).json({ error: err.message });
         console.error('Payment verify error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
@@ -249,81 +386,198 @@ router.post('/verify', async (req, res) => {
 
 // ─── Pay by Cash (Postpaid) ───────────────────────────────────
 
+// Tells the staff, and the customer's order page, that a cash payment was
+// asked for ('created'), confirmed ('paid') or turned down ('failed')
+function publishCash(restaurantId, payment, status) {
+    orderEvents.emit('cash-payment', {
+        restaurant_id: Number(restaurantId),
+        payment_id: payment.id,
+        order_id: payment.order_id,
+        table_id: payment.table_id,
+        table_number: payment.table_number,
+        amount: payment.amount,
+        tip_amount: payment.tip_amount,
+        status
+    });
+}
+
 // POST /api/payments/pay-cash
+// The customer says they are paying their part in cash → the payment, to be
+// confirmed by staff (POST /api/payments/:id/confirm-cash)
 router.post('/pay-cash', async (req, res) => {
     try {
-        const { table_token, order_id } = req.body;
+        const { table_token, order_id, split, tip } = req.body;
 
         if (!table_token || !order_id) {
             return res.status(400).json({ error: 'table_token and order_id are required' });
         }
 
         // Validate table
-        const table = await db.prepare(
-            'SELECT id, restaurant_id FROM tables WHERE qr_token = ? AND active = 1'
-        ).get(table_token);
+        const table = await db.from('tables')
+            .select('id', 'table_number', 'restaurant_id')
+            .where({ qr_token: table_token, active: 1 })
+            .get();
         if (!table) return res.status(404).json({ error: 'Invalid table' });
 
         // Get order
-        const order = await db.prepare(
-            'SELECT * FROM orders WHERE id = ? AND table_id = ? AND payment_mode = ?'
-        ).get(order_id, table.id, 'POSTPAID');
+        const order = await db.from('orders')
+            .where({ id: order_id, table_id: table.id, payment_mode: 'POSTPAID' })
+            .get();
         if (!order) return res.status(404).json({ error: 'Postpaid order not found for this table' });
 
-        // Check if already paid
-        const existingPayment = await db.prepare(
-            'SELECT id FROM payments WHERE order_id = ? AND verified = 1'
-        ).get(order_id);
-        if (existingPayment) {
-            return res.status(400).json({ error: 'Order already paid' });
-        }
-
-        // Create a cash payment record
-        await db.prepare(
-            `INSERT INTO payments (restaurant_id, order_id, razorpay_order_id, amount, payment_mode, status, verified)
-             VALUES (?, ?, ?, ?, 'POSTPAID', 'paid', 1)`
-        ).run(table.restaurant_id, order_id, 'cash_' + Date.now(), order.total_amount);
+        // Only staff can say the cash was handed over: until a waiter or admin
+        // confirms it, this payer's part waits as a 'created' payment and the
+        // bill is neither settled nor invoiced
+        const part = await quoteSplit(table.restaurant_id, await billBalance(table.restaurant_id, order.id), split);
+        const tipAmount = validateTip(tip, part.amount);
+        const result = await db.from('payments').insert({
+            restaurant_id: table.restaurant_id,
+            order_id: order.id,
+            provider: 'cash',
+            razorpay_order_id: 'cash_' + Date.now(),
+            amount: part.amount,
+            tip_amount: tipAmount,
+            payment_mode: 'POSTPAID',
+            status: 'created',
+            ...part.columns
+        });
+        const payment = { id: result.lastInsertRowid, order_id: order.id, table_id: table.id, table_number: table.table_number, amount: part.amount, tip_amount: tipAmount };
+        publishCash(table.restaurant_id, payment, 'created');
 
         res.json({
             success: true,
-            order_id: parseInt(order_id),
-            message: 'Cash payment recorded. Thank you!'
+            pending: true,
+            order_id: order.id,
+            payment_id: payment.id,
+            amount: part.amount,
+            tip_amount: tipAmount,
+            message: `Please hand ₹${roundMoney(part.amount + tipAmount)} to the staff — they will confirm it here.`
         });
     } catch (err) {
+        if (err instanceof SplitError || err instanceof TipError) return res.status(400).json({ error: err.message });
         console.error('Cash payment error:', err);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// ─── Admin: payment reports ───────────────────────────────────
+// ─── Staff: confirm cash ──────────────────────────────────────
 
-const { authenticateToken, requireRole } = require('../middleware/auth');
+// The cash payments customers are waiting to have confirmed, oldest first
+// GET /api/payments/cash-pending
+router.get('/cash-pending', authenticateToken, requireRole('waiter', 'admin'), async (req, res) => {
+    try {
+        const payments = await req.db.from('payments', 'p')
+            .select('p.id', 'p.order_id', 'p.amount', 'p.tip_amount', 'p.split_mode', 'p.created_at', 'o.table_id', 't.table_number')
+            .join('orders', 'o', 'o.id', 'p.order_id')
+            .join('tables', 't', 't.id', 'o.table_id')
+            .where({ 'p.provider': 'cash', 'p.status': 'created' })
+            .orderBy('p.id')
+            .all();
+        res.json(payments);
+    } catch (err) {
+        console.error('Pending cash error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Marks a pending cash payment paid, if its part is still owed, and settles
+// the bill with it → settlePayments' balance, or null if there is no such
+// pending payment. Both steps share a transaction, so a part someone else
+// has paid meanwhile is refused rather than taken twice.
+const confirmCash = db.transaction(async (restaurantId, paymentId, userId) => {
+    const tenantDb = db.forTenant(restaurantId);
+    const payment = await tenantDb.from('payments').where({ id: paymentId, provider: 'cash', status: 'created' }).get();
+    if (!payment) return null;
+
+    const balance = await billBalance(restaurantId, payment.order_id);
+    const items = payment.split_items ? JSON.parse(payment.split_items) : [];
+    if (payment.amount > balance.balance || items.some(id => balance.paid_item_ids.includes(id))) {
+        throw new SplitError(balance.cancelled ? 'This order was cancelled. Turn this one down.'
+            : balance.balance > 0 ? `This part has been paid meanwhile; ₹${balance.balance} is left on the bill. Turn this one down and ask the customer again.`
+            : 'This bill is already paid. Turn this one down.');
+    }
+
+    const { changes } = await tenantDb.from('payments').where({ id: payment.id, status: 'created' }).update({
+        status: 'paid',
+        verified: 1,
+        confirmed_by: userId,
+        updated_at: db.NOW
+    });
+    if (!changes) return null;
+    return settlePayments(restaurantId, payment.order_id, { paymentId: payment.id });
+});
+
+// POST /api/payments/:id/confirm-cash — the cash has been handed over
+router.post('/:id/confirm-cash', authenticateToken, requireRole('waiter', 'admin'), async (req, res) => {
+    try {
+        const paid = await confirmCash(req.user.restaurant_id, req.params.id, req.user.id);
+        if (!paid) return res.status(404).json({ error: 'Pending cash payment not found' });
+
+        const payment = paid.payments.find(p => p.id == req.params.id);
+        publishCash(req.user.restaurant_id, { ...payment, order_id: paid.order_id, table_id: paid.table_id }, 'paid');
+        publishBalance(req.user.restaurant_id, paid);
+
+        res.json({
+            success: true,
+            order_id: paid.order_id,
+            paid_amount: paid.paid_amount,
+            balance: paid.balance,
+            settled: paid.settled,
+            invoice: paid.invoice && { id: paid.invoice.id, number: paid.invoice.number }
+        });
+    } catch (err) {
+        if (err instanceof SplitError) return res.status(409).json({ error: err.message });
+        if (err instanceof InvoiceError) return res.status(400).json({ error: err.message });
+        console.error('Confirm cash error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/payments/:id/reject-cash — no cash came, or the part is no longer owed
+router.post('/:id/reject-cash', authenticateToken, requireRole('waiter', 'admin'), async (req, res) => {
+    try {
+        const payment = await req.db.from('payments')
+            .select('id', 'order_id', 'amount', 'tip_amount')
+            .where({ id: req.params.id, provider: 'cash', status: 'created' })
+            .get();
+        if (!payment) return res.status(404).json({ error: 'Pending cash payment not found' });
+
+        const { changes } = await req.db.from('payments')
+            .where({ id: payment.id, status: 'created' })
+            .update({ status: 'failed', confirmed_by: req.user.id, updated_at: db.NOW });
+        if (!changes) return res.status(404).json({ error: 'Pending cash payment not found' });
+
+        publishCash(req.user.restaurant_id, payment, 'failed');
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Reject cash error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ─── Admin: payment reports ───────────────────────────────────
 
 // GET /api/payments/report
 router.get('/report', authenticateToken, requireRole('admin'), async (req, res) => {
     try {
         const { date } = req.query;
-        let query = `SELECT p.*, o.table_id, t.table_number
-                 FROM payments p
-                 LEFT JOIN orders o ON p.order_id = o.id
-                 LEFT JOIN tables t ON o.table_id = t.id
-                 WHERE p.restaurant_id = ?`;
-        const params = [req.user.restaurant_id];
-
-        if (date) {
-            query += ` AND date(p.created_at) = ?`;
-            params.push(date);
-        }
+        const query = req.db.from('payments', 'p')
+            .select('p.*', 'o.table_id', 't.table_number')
+            .leftJoin('orders', 'o', 'o.id', 'p.order_id')
+            .leftJoin('tables', 't', 't.id', 'o.table_id');
 
-        query += ` ORDER BY p.created_at DESC LIMIT 100`;
+        if (date) query.whereDate('p.created_at', date);
 
-        const payments = await db.prepare(query).all(...params);
+        const payments = await query.orderBy('p.created_at', 'desc').limit(100).all();
 
         // Summary
-        const todayPayments = await db.prepare(
-            `SELECT COUNT(*) as count, COALESCE(SUM(amount), 0) as total
-       FROM payments WHERE restaurant_id = ? AND verified = 1 AND date(created_at) = date('now')`
-        ).get(req.user.restaurant_id);
+        const todayPayments = await req.db.from('payments')
+            .count('count')
+            .sum('amount', 'total')
+            .sum('refunded_amount', 'refunded')
+            .where('verified', 1)
+            .whereDate('created_at')
+            .get();
 
         res.json({
             payments,
@@ -335,4 +589,51 @@ router.get('/report', authenticateToken, requireRole('admin'), async (req, res)
     }
 });
 
+// POST /api/payments/:id/refund
+// Body: { amount?, reason, note? } — amount defaults to all that is left of
+// the payment, tip included; reason is a code from utils/refunds.js
+router.post('/:id/refund', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const { amount, reason, note } = req.body;
+        if (amount !== undefined && amount !== null && (typeof amount !== 'number' || !Number.isFinite(amount))) {
+            return res.status(400).json({ error: 'amount must be a number' });
+        }
+
+        const payment = await req.db.from('payments').select('id').where('id', req.params.id).get();
+        if (!payment) return res.status(404).json({ error: 'Payment not found' });
+
+        const refund = await refundPayment(req.user.restaurant_id, payment.id, {
+            amount: amount ?? null,
+            reason,
+            note,
+            userId: req.user.id
+        });
+        if (refund.status === 'failed') {
+            return res.status(502).json({ error: `The payment gateway refused the refund: ${refund.error}`, refund });
+        }
+        res.status(201).json(refund);
+    } catch (err) {
+        if (err instanceof RefundError || err instanceof InvoiceError) return res.status(400).json({ error: err.message });
+        console.error('Refund error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /api/payments/tips?from=YYYY-MM-DD&to=YYYY-MM-DD (default: last 7 days)
+// Tips by restaurant-local date and what each member of staff is owed, for payroll
+router.get('/tips', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const days = reportDays(req.query, (await restaurantNow(req.user.restaurant_id)).date);
+        if (!days) {
+            return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD), from not after to' });
+        }
+        res.json(await tipsReport(req.user.restaurant_id, days.from, days.to));
+    } catch (err) {
+        console.error('Tips report error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 module.exports = router;
+module.exports.paymentCheckout = paymentCheckout;
+module.exports.capturePayment = capturePayment;
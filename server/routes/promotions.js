@@ -0,0 +1,152 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { RuleError, validateRule } = require('../utils/promotions');
+const { DEFAULT_TIMEZONE, localNow, reportDays, withinLocalDays, parseSchedule } = require('../utils/availability');
+const { roundMoney } = require('../utils/pricing');
+
+const publicRule = rule => ({ ...rule, availability: parseSchedule(rule.availability) });
+
+// The category or item a rule targets must belong to the restaurant
+async function checkRuleTarget(tenantDb, values) {
+    if (values.category_id) {
+        const category = await tenantDb.from('menu_categories').select('id').where('id', values.category_id).get();
+        if (!category) return 'Category not found';
+    }
+    if (values.menu_item_id) {
+        const item = await tenantDb.from('menu_items').select('id').where('id', values.menu_item_id).get();
+        if (!item) return 'Menu item not found';
+    }
+    return null;
+}
+
+// ─── Admin: Price rules ───────────────────────────────────────
+// Body: { name, kind: 'percent' | 'amount' | 'bogo', value, category_id?,
+//         menu_item_id?, availability?, active } — see utils/promotions.js
+
+// GET /api/promotions/rules (includes inactive)
+router.get('/rules', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const rules = await req.db.from('price_rules', 'pr')
+            .select('pr.*', 'mc.name as category_name', 'mi.name as item_name')
+            .leftJoin('menu_categories', 'mc', 'mc.id', 'pr.category_id')
+            .leftJoin('menu_items', 'mi', 'mi.id', 'pr.menu_item_id')
+            .orderBy('pr.id')
+            .all();
+        res.json(rules.map(publicRule));
+    } catch (err) {
+        console.error('Price rules fetch error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/promotions/rules
+router.post('/rules', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const values = validateRule(req.body);
+        const invalid = await checkRuleTarget(req.db, values);
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        const result = await req.db.from('price_rules').insert(values);
+        const rule = await req.db.from('price_rules').where('id', result.lastInsertRowid).get();
+        res.status(201).json(publicRule(rule));
+    } catch (err) {
+        if (err instanceof RuleError) return res.status(400).json({ error: err.message });
+        console.error('Price rule create error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// PUT /api/promotions/rules/:id
+router.put('/rules/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const existing = await req.db.from('price_rules').where('id', req.params.id).get();
+        if (!existing) return res.status(404).json({ error: 'Price rule not found' });
+
+        const values = validateRule(req.body, existing);
+        const invalid = await checkRuleTarget(req.db, values);
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        await req.db.from('price_rules').where('id', existing.id).update({ ...values, updated_at: db.NOW });
+        const rule = await req.db.from('price_rules').where('id', existing.id).get();
+        res.json(publicRule(rule));
+    } catch (err) {
+        if (err instanceof RuleError) return res.status(400).json({ error: err.message });
+        console.error('Price rule update error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /api/promotions/rules/:id
+router.delete('/rules/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const rule = await req.db.from('price_rules').select('id').where('id', req.params.id).get();
+        if (!rule) return res.status(404).json({ error: 'Price rule not found' });
+
+        // Soft delete - past order lines still point at it
+        await req.db.from('price_rules').where('id', rule.id).update({ active: 0, updated_at: db.NOW });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Price rule delete error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ─── Admin: Discount report ───────────────────────────────────
+
+// GET /api/promotions/report?from=YYYY-MM-DD&to=YYYY-MM-DD (default: last 7 days)
+// List and charged totals of every order line placed between two
+// restaurant-local dates, and per rule.
+router.get('/report', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const restaurant = await db.from('restaurants').select('timezone').where('id', req.user.restaurant_id).get();
+        const timezone = restaurant.timezone || DEFAULT_TIMEZONE;
+        const days = reportDays(req.query, localNow(timezone).date);
+        if (!days) {
+            return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD), from not after to' });
+        }
+        const { from, to } = days;
+
+        const lines = await withinLocalDays(req.db.from('order_items', 'oi')
+            .select('oi.price_rule_id', 'oi.price_rule_name', 'oi.quantity', 'oi.list_price', 'oi.price_at_order', 'o.created_at')
+            .join('orders', 'o', 'o.id', 'oi.order_id'), timezone, from, to, 'o.created_at');
+
+        const totals = { list_total: 0, charged_total: 0 };
+        const byRule = new Map();
+        for (const line of lines) {
+            const list = (line.list_price ?? line.price_at_order) * line.quantity;
+            const charged = line.price_at_order * line.quantity;
+            totals.list_total += list;
+            totals.charged_total += charged;
+            if (!line.price_rule_id) continue;
+
+            if (!byRule.has(line.price_rule_id)) {
+                byRule.set(line.price_rule_id, { price_rule_id: line.price_rule_id, name: line.price_rule_name, lines: 0, quantity: 0, list_total: 0, charged_total: 0 });
+            }
+            const rule = byRule.get(line.price_rule_id);
+            rule.lines++;
+            rule.quantity += line.quantity;
+            rule.list_total += list;
+            rule.charged_total += charged;
+        }
+
+        const withDiscount = t => ({
+            ...t,
+            list_total: roundMoney(t.list_total),
+            charged_total: roundMoney(t.charged_total),
+            discount: roundMoney(t.list_total - t.charged_total)
+        });
+        res.json({
+            from,
+            to,
+            ...withDiscount(totals),
+            rules: [...byRule.values()].map(withDiscount).sort((a, b) => b.discount - a.discount)
+        });
+    } catch (err) {
+        console.error('Discount report error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { ISSUE_KINDS } = require('../utils/reconciliation');
+
+const RUNS_SHOWN = 30;
+
+// Runs cover every restaurant on the gateway account; an admin sees only
+// their own restaurant's issues in them
+async function runIssues(restaurantId, runIds) {
+    if (!runIds.length) return [];
+    return (await db.forTenant(restaurantId).from('reconciliation_issues', 'ri')
+        .select('ri.id', 'ri.run_id', 'ri.payment_id', 'ri.kind', 'ri.gateway_id', 'ri.detail', 'ri.fixed', 'ri.created_at', 'p.order_id')
+        .leftJoin('payments', 'p', 'p.id', 'ri.payment_id')
+        .whereIn('ri.run_id', runIds)
+        .orderBy('ri.id')
+        .all())
+        .map(issue => ({ ...issue, kind_label: ISSUE_KINDS[issue.kind] || issue.kind }));
+}
+
+// ─── Admin: Reconciliation ────────────────────────────────────
+
+// GET /api/reconciliation — the latest nightly runs with this restaurant's issues
+router.get('/', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const runs = await db.from('reconciliation_runs')
+            .select('id', 'day', 'status', 'error', 'created_at', 'updated_at')
+            .orderBy('day', 'desc')
+            .limit(RUNS_SHOWN)
+            .all();
+        const issues = await runIssues(req.user.restaurant_id, runs.map(run => run.id));
+
+        res.json(runs.map(run => {
+            const own = issues.filter(issue => issue.run_id === run.id);
+            return {
+                ...run,
+                fixed: own.filter(issue => issue.fixed).length,
+                open: own.filter(issue => !issue.fixed).length,
+                issues: own
+            };
+        }));
+    } catch (err) {
+        console.error('Reconciliation list error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,241 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { DEFAULT_TIMEZONE, isTimezone } = require('../utils/availability');
+const { RESTAURANT_SAC, GSTIN, INVOICE_PREFIX, HSN_SAC } = require('../utils/invoices');
+const { TipError, parseTipPresets, validateTipPresets } = require('../utils/tips');
+const { listProviders, getProvider } = require('../utils/gateway');
+
+const SETTINGS = [
+    'id', 'name', 'description', 'prepaid_enabled', 'postpaid_enabled', 'timezone',
+    'default_tax_class_id', 'service_charge_rate', 'packaging_charge', 'round_off',
+    'gstin', 'legal_name', 'address', 'invoice_prefix', 'tip_presets', 'tip_pooling', 'payment_provider'
+];
+
+const isAmount = (value, max) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= max;
+
+async function loadSettings(restaurantId) {
+    const restaurant = await db.from('restaurants').select(...SETTINGS).where('id', restaurantId).get();
+    return restaurant && {
+        ...restaurant,
+        timezone: restaurant.timezone || DEFAULT_TIMEZONE,
+        tip_presets: parseTipPresets(restaurant.tip_presets),
+        payment_providers: listProviders()
+    };
+}
+
+// ─── Admin: Restaurant settings ───────────────────────────────
+
+// GET /api/restaurant/settings
+router.get('/settings', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const restaurant = await loadSettings(req.user.restaurant_id);
+        if (!restaurant) return res.status(404).json({ error: 'Restaurant not found' });
+        res.json(restaurant);
+    } catch (err) {
+        console.error('Settings fetch error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// PUT /api/restaurant/settings
+// Body: { name?, description?, prepaid_enabled?, postpaid_enabled?, timezone?,
+//         default_tax_class_id?, service_charge_rate?, packaging_charge?, round_off?,
+//         gstin?, legal_name?, address?, invoice_prefix?, tip_presets?, tip_pooling?,
+//         payment_provider? }
+// The timezone is an IANA name (e.g. Asia/Kolkata); menu schedules and the
+// stock day follow it. Then billing (see utils/billing.js), what invoices
+// say about the restaurant (see utils/invoices.js) and tips: the percentages
+// offered at checkout, e.g. [5, 10, 15], and whether they are pooled
+// (see utils/tips.js). The payment provider is one this server is set up
+// for, or null for the server's default (see utils/gateway.js).
+router.put('/settings', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const {
+            name, description, prepaid_enabled, postpaid_enabled, timezone,
+            default_tax_class_id, service_charge_rate, packaging_charge, round_off,
+            legal_name, address, tip_pooling, payment_provider
+        } = req.body;
+        const gstin = typeof req.body.gstin === 'string' ? req.body.gstin.trim().toUpperCase() || null : req.body.gstin;
+        const invoicePrefix = typeof req.body.invoice_prefix === 'string' ? req.body.invoice_prefix.trim().toUpperCase() : req.body.invoice_prefix;
+        const isFlag = value => value === undefined || [true, false, 0, 1].includes(value);
+
+        if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > 100)) {
+            return res.status(400).json({ error: 'Name is required (up to 100 characters)' });
+        }
+        if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+            return res.status(400).json({ error: 'Description must be up to 500 characters' });
+        }
+        if (!isFlag(prepaid_enabled) || !isFlag(postpaid_enabled) || !isFlag(round_off) || !isFlag(tip_pooling)) {
+            return res.status(400).json({ error: 'Payment options, round-off and tip pooling must be true or false' });
+        }
+        if (service_charge_rate !== undefined && !isAmount(service_charge_rate, 25)) {
+            return res.status(400).json({ error: 'Service charge must be 0-25%' });
+        }
+        if (packaging_charge !== undefined && !isAmount(packaging_charge, 10000)) {
+            return res.status(400).json({ error: 'Packaging charge must be a non-negative amount' });
+        }
+        if (default_tax_class_id !== undefined && default_tax_class_id !== null) {
+            const taxClass = await req.db.from('tax_classes').select('id').where('id', default_tax_class_id).get();
+            if (!taxClass) return res.status(400).json({ error: 'Tax class not found' });
+        }
+        if (timezone !== undefined && !isTimezone(timezone)) {
+            return res.status(400).json({ error: 'Unknown timezone' });
+        }
+        if (gstin !== undefined && gstin !== null && !GSTIN.test(gstin)) {
+            return res.status(400).json({ error: 'GSTIN must be 15 characters, e.g. 29ABCDE1234F1Z5' });
+        }
+        if (legal_name !== undefined && legal_name !== null && (typeof legal_name !== 'string' || legal_name.length > 200)) {
+            return res.status(400).json({ error: 'Legal name must be up to 200 characters' });
+        }
+        if (address !== undefined && address !== null && (typeof address !== 'string' || address.length > 500)) {
+            return res.status(400).json({ error: 'Address must be up to 500 characters' });
+        }
+        if (invoicePrefix !== undefined && !INVOICE_PREFIX.test(invoicePrefix)) {
+            return res.status(400).json({ error: 'Invoice prefix must be 1-4 letters or digits' });
+        }
+
+        if (payment_provider !== undefined && payment_provider !== null) {
+            const provider = getProvider(payment_provider);
+            if (!provider || !provider.configured()) {
+                return res.status(400).json({ error: 'That payment provider is not available on this server' });
+            }
+        }
+
+        const tipPresets = req.body.tip_presets === undefined ? undefined : validateTipPresets(req.body.tip_presets);
+
+        const current = await loadSettings(req.user.restaurant_id);
+        if (!current) return res.status(404).json({ error: 'Restaurant not found' });
+
+        const prepaid = prepaid_enabled === undefined ? current.prepaid_enabled : (prepaid_enabled ? 1 : 0);
+        const postpaid = postpaid_enabled === undefined ? current.postpaid_enabled : (postpaid_enabled ? 1 : 0);
+        if (!prepaid && !postpaid) {
+            return res.status(400).json({ error: 'At least one payment option must stay enabled' });
+        }
+
+        await db.from('restaurants').where('id', current.id).update({
+            name: name === undefined ? current.name : name.trim(),
+            description: description ?? current.description,
+            prepaid_enabled: prepaid,
+            postpaid_enabled: postpaid,
+            timezone: timezone || current.timezone,
+            default_tax_class_id: default_tax_class_id === undefined ? current.default_tax_class_id : default_tax_class_id,
+            service_charge_rate: service_charge_rate ?? current.service_charge_rate,
+            packaging_charge: packaging_charge ?? current.packaging_charge,
+            round_off: round_off === undefined ? current.round_off : (round_off ? 1 : 0),
+            gstin: gstin === undefined ? current.gstin : gstin,
+            legal_name: legal_name === undefined ? current.legal_name : (legal_name || '').trim() || null,
+            address: address === undefined ? current.address : (address || '').trim() || null,
+            invoice_prefix: invoicePrefix || current.invoice_prefix,
+            tip_presets: tipPresets === undefined ? current.tip_presets.join(',') : tipPresets,
+            tip_pooling: tip_pooling === undefined ? current.tip_pooling : (tip_pooling ? 1 : 0),
+            payment_provider: payment_provider === undefined ? current.payment_provider : payment_provider,
+            updated_at: db.NOW
+        });
+        res.json(await loadSettings(current.id));
+    } catch (err) {
+        if (err instanceof TipError) return res.status(400).json({ error: err.message });
+        console.error('Settings update error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ─── Admin: Tax classes ───────────────────────────────────────
+// A GST rate menu items can be billed at, with the HSN/SAC code invoices
+// show for them, e.g. { name: 'GST 5%', rate: 5, hsn_sac: '996331' }.
+// Items without a class are billed at the restaurant's default one.
+
+// → { values } or { error }
+function validateTaxClass(input, existing = {}) {
+    const name = input.name === undefined ? existing.name : input.name;
+    const rate = input.rate === undefined ? existing.rate : input.rate;
+    const hsnSac = input.hsn_sac === undefined ? existing.hsn_sac || RESTAURANT_SAC : String(input.hsn_sac).trim();
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 50) {
+        return { error: 'Name is required (up to 50 characters)' };
+    }
+    if (!isAmount(rate, 100)) return { error: 'Rate must be a percentage from 0 to 100' };
+    if (!HSN_SAC.test(hsnSac)) return { error: 'HSN/SAC code must be 4-8 digits' };
+    return { values: { name: name.trim(), rate: Math.round(rate * 100) / 100, hsn_sac: hsnSac } };
+}
+
+// GET /api/restaurant/tax-classes (with how many items use each)
+router.get('/tax-classes', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const classes = await req.db.from('tax_classes').orderBy('rate').orderBy('id').all();
+        const usage = await req.db.from('menu_items')
+            .select('tax_class_id')
+            .count('items')
+            .where('active', 1)
+            .groupBy('tax_class_id')
+            .all();
+        const itemsByClass = new Map(usage.map(u => [u.tax_class_id, u.items]));
+        res.json(classes.map(c => ({ ...c, items: itemsByClass.get(c.id) || 0 })));
+    } catch (err) {
+        console.error('Tax classes fetch error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /api/restaurant/tax-classes
+router.post('/tax-classes', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const checked = validateTaxClass(req.body);
+        if (checked.error) return res.status(400).json({ error: checked.error });
+
+        const taken = await req.db.from('tax_classes').select('id').where('name', checked.values.name).get();
+        if (taken) return res.status(409).json({ error: `Tax class ${checked.values.name} already exists` });
+
+        const result = await req.db.from('tax_classes').insert(checked.values);
+        res.status(201).json(await req.db.from('tax_classes').where('id', result.lastInsertRowid).get());
+    } catch (err) {
+        console.error('Tax class create error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// PUT /api/restaurant/tax-classes/:id — orders already placed keep their rates
+router.put('/tax-classes/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const existing = await req.db.from('tax_classes').where('id', req.params.id).get();
+        if (!existing) return res.status(404).json({ error: 'Tax class not found' });
+
+        const checked = validateTaxClass(req.body, existing);
+        if (checked.error) return res.status(400).json({ error: checked.error });
+
+        const taken = await req.db.from('tax_classes').select('id')
+            .where('name', checked.values.name)
+            .where('id', '!=', existing.id)
+            .get();
+        if (taken) return res.status(409).json({ error: `Tax class ${checked.values.name} already exists` });
+
+        await req.db.from('tax_classes').where('id', existing.id).update({ ...checked.values, updated_at: db.NOW });
+        res.json(await req.db.from('tax_classes').where('id', existing.id).get());
+    } catch (err) {
+        console.error('Tax class update error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /api/restaurant/tax-classes/:id — only when nothing is billed at it
+router.delete('/tax-classes/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const taxClass = await req.db.from('tax_classes').select('id').where('id', req.params.id).get();
+        if (!taxClass) return res.status(404).json({ error: 'Tax class not found' });
+
+        const current = await loadSettings(req.user.restaurant_id);
+        if (current.default_tax_class_id === taxClass.id) {
+            return res.status(409).json({ error: 'This is the default tax class; choose another default first' });
+        }
+        const item = await req.db.from('menu_items').select('id').where('tax_class_id', taxClass.id).get();
+        if (item) return res.status(409).json({ error: 'Menu items still use this tax class' });
+
+        await req.db.from('tax_classes').where('id', taxClass.id).delete();
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Tax class delete error:', err);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const fakeGateway = require('../utils/providers/fake');
+
+// ─── Fake gateway checkout ────────────────────────────────────
+// What the customer's browser talks to instead of a real gateway's checkout
+// when their restaurant uses the fake gateway (see utils/providers/fake.js)
+
+// POST /api/sandbox/checkout
+// Body: { order_id, outcome: 'success' | 'failure' | 'timeout' }
+// → like Razorpay's checkout handler: { razorpay_order_id,
+//   razorpay_payment_id, razorpay_signature } for /api/payments/verify
+router.post('/checkout', (req, res) => {
+    if (!fakeGateway.configured()) return res.status(404).json({ error: 'API endpoint not found' });
+    const { order_id, outcome } = req.body;
+    if (typeof order_id !== 'string') return res.status(400).json({ error: 'order_id is required' });
+
+    const result = fakeGateway.checkout(order_id, outcome);
+    res.status(result.status).json(result.body);
+});
+
+module.exports = router;
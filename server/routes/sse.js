@@ -1,13 +1,27 @@
 const express = require('express');
 const router = express.Router();
+const db = require('../db');
 const orderEvents = require('../utils/events');
+const { authenticateStream, requireRole } = require('../middleware/auth');
 
-// ─── SSE: Kitchen stream ──────────────────────────────────────
-
-router.get('/kitchen', (req, res) => {
+// Staff streams take the restaurant from the JWT; an explicit restaurant_id
+// that names another restaurant is refused rather than ignored
+function matchTenant(req, res, next) {
     const { restaurant_id } = req.query;
-    if (!restaurant_id) return res.status(400).json({ error: 'restaurant_id required' });
-
+    if (restaurant_id !== undefined && String(restaurant_id) !== String(req.user.restaurant_id)) {
+        return res.status(403).json({ error: 'Access denied' });
+    }
+    next();
+}
+
+// ─── Stream helper ────────────────────────────────────────────
+// Opens the event stream and forwards one restaurant's events through
+// `handlers` (event name → data => [sse event name, payload] or null to skip).
+// A client resuming with Last-Event-ID (header, or ?last_event_id= after a
+// manual reconnect) gets what it missed replayed first, or a `resync` event
+// when the replay log no longer covers the gap.
+
+function openEventStream(req, res, restaurantId, handlers) {
     res.writeHead(200, {
         'Content-Type': 'text/event-stream',
         'Cache-Control': 'no-cache',
@@ -15,31 +29,35 @@ router.get('/kitchen', (req, res) => {
         'Access-Control-Allow-Origin': '*'
     });
 
-    // Send initial keepalive
-    res.write('event: connected\ndata: {"status":"connected"}\n\n');
-
-    const onNewOrder = (data) => {
-        if (data.restaurant_id == restaurant_id) {
-            res.write(`event: new-order\ndata: ${JSON.stringify(data.order)}\n\n`);
+    const send = (event, data, id) => {
+        if (event === 'resync') {
+            res.write(`id: ${id}\nevent: resync\ndata: {}\n\n`);
+            return;
         }
+        const message = handlers[event] && handlers[event](data);
+        if (!message) return;
+        res.write(`id: ${id}\nevent: ${message[0]}\ndata: ${JSON.stringify(message[1])}\n\n`);
     };
 
-    const onOrderUpdated = (data) => {
-        if (data.restaurant_id == restaurant_id) {
-            res.write(`event: order-updated\ndata: ${JSON.stringify(data)}\n\n`);
-        }
-    };
+    // Subscribe first: delivery is asynchronous, so nothing can slip in
+    // between the replay below and the live events
+    const unsubscribe = orderEvents.subscribe(restaurantId, send);
 
-    orderEvents.on('new-order', onNewOrder);
-    orderEvents.on('order-updated', onOrderUpdated);
+    const lastEventId = req.headers['last-event-id'] || req.query.last_event_id;
+    const missed = lastEventId ? orderEvents.since(restaurantId, lastEventId) : null;
 
-    // Call waiter events
-    const onCallWaiter = (data) => {
-        if (data.restaurant_id == restaurant_id) {
-            res.write(`event: call-waiter\ndata: ${JSON.stringify(data)}\n\n`);
-        }
-    };
-    orderEvents.on('call-waiter', onCallWaiter);
+    // Send initial keepalive; fresh clients get the current id to resume from
+    if (lastEventId) {
+        res.write('event: connected\ndata: {"status":"connected"}\n\n');
+    } else {
+        res.write(`id: ${orderEvents.lastId(restaurantId)}\nevent: connected\ndata: {"status":"connected"}\n\n`);
+    }
+
+    if (missed) {
+        missed.forEach(entry => send(entry.event, entry.data, entry.id));
+    } else if (lastEventId) {
+        res.write(`id: ${orderEvents.lastId(restaurantId)}\nevent: resync\ndata: {}\n\n`);
+    }
 
     // Keepalive every 30 seconds
     const keepalive = setInterval(() => {
@@ -48,95 +66,114 @@ router.get('/kitchen', (req, res) => {
 
     req.on('close', () => {
         clearInterval(keepalive);
-        orderEvents.off('new-order', onNewOrder);
-        orderEvents.off('order-updated', onOrderUpdated);
-        orderEvents.off('call-waiter', onCallWaiter);
+        unsubscribe();
     });
-});
-
-// ─── SSE: Waiter stream ───────────────────────────────────────
+}
 
-router.get('/waiter', (req, res) => {
-    const { restaurant_id } = req.query;
-    if (!restaurant_id) return res.status(400).json({ error: 'restaurant_id required' });
+// ─── SSE: Kitchen stream ──────────────────────────────────────
 
-    res.writeHead(200, {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': '*'
+router.get('/kitchen', authenticateStream, requireRole('kitchen', 'admin'), matchTenant, (req, res) => {
+    openEventStream(req, res, req.user.restaurant_id, {
+        'new-order': data => ['new-order', data.order],
+        'order-updated': data => ['order-updated', data],
+        'call-waiter': data => ['call-waiter', data],
+        'menu-updated': data => ['menu-updated', { items: data.items }]
     });
+});
 
-    res.write('event: connected\ndata: {"status":"connected"}\n\n');
-
-    const onOrderUpdated = (data) => {
-        if (data.restaurant_id == restaurant_id) {
-            res.write(`event: order-updated\ndata: ${JSON.stringify(data)}\n\n`);
-        }
-    };
-
-    const onNewOrder = (data) => {
-        if (data.restaurant_id == restaurant_id) {
-            res.write(`event: new-order\ndata: ${JSON.stringify(data.order)}\n\n`);
-        }
-    };
-
-    // Call waiter events
-    const onCallWaiter = (data) => {
-        if (data.restaurant_id == restaurant_id) {
-            res.write(`event: call-waiter\ndata: ${JSON.stringify(data)}\n\n`);
-        }
-    };
-
-    orderEvents.on('order-updated', onOrderUpdated);
-    orderEvents.on('new-order', onNewOrder);
-    orderEvents.on('call-waiter', onCallWaiter);
-
-    const keepalive = setInterval(() => {
-        res.write(': keepalive\n\n');
-    }, 30000);
+// ─── SSE: Waiter stream ───────────────────────────────────────
 
-    req.on('close', () => {
-        clearInterval(keepalive);
-        orderEvents.off('order-updated', onOrderUpdated);
-        orderEvents.off('new-order', onNewOrder);
-        orderEvents.off('call-waiter', onCallWaiter);
+router.get('/waiter', authenticateStream, requireRole('waiter', 'admin'), matchTenant, (req, res) => {
+    openEventStream(req, res, req.user.restaurant_id, {
+        'order-updated': data => ['order-updated', data],
+        'new-order': data => ['new-order', data.order],
+        'call-waiter': data => ['call-waiter', data],
+        'cash-payment': data => ['cash-payment', data]
     });
 });
 
-// ─── SSE: Customer order tracking ─────────────────────────────
-
-router.get('/order/:orderId', (req, res) => {
-    const { orderId } = req.params;
+// ─── SSE: Admin stream ────────────────────────────────────────
 
-    res.writeHead(200, {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': '*'
+router.get('/admin', authenticateStream, requireRole('admin'), matchTenant, (req, res) => {
+    openEventStream(req, res, req.user.restaurant_id, {
+        'low-stock': data => ['low-stock', { ingredients: data.ingredients }]
     });
+});
 
-    res.write('event: connected\ndata: {"status":"connected"}\n\n');
+// ─── SSE: Customer order tracking ─────────────────────────────
 
-    const onOrderUpdated = (data) => {
-        if (data.order_id == orderId) {
-            // Only send public_status to customer
-            res.write(`event: status-update\ndata: ${JSON.stringify({
-                order_id: data.order_id,
-                public_status: data.public_status
-            })}\n\n`);
+// Customers pass their table token (?token=); staff may watch any order of
+// their own restaurant with the same credentials as the other streams
+function tableOrStaff(req, res, next) {
+    if (req.query.token !== undefined) return next();
+    authenticateStream(req, res, next);
+}
+
+router.get('/order/:orderId', tableOrStaff, async (req, res) => {
+    let order;
+    try {
+        if (req.user) {
+            order = await req.db.from('orders').select('id', 'restaurant_id').where('id', req.params.orderId).get();
+        } else {
+            const table = await db.from('tables').select('id', 'restaurant_id').where('qr_token', req.query.token).get();
+            if (!table) return res.status(403).json({ error: 'Access denied' });
+
+            order = await db.forTenant(table.restaurant_id).from('orders')
+                .select('id', 'restaurant_id')
+                .where({ id: req.params.orderId, table_id: table.id })
+                .get();
         }
-    };
-
-    orderEvents.on('order-updated', onOrderUpdated);
-
-    const keepalive = setInterval(() => {
-        res.write(': keepalive\n\n');
-    }, 30000);
+    } catch (err) {
+        console.error('SSE order lookup error:', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+
+    openEventStream(req, res, order.restaurant_id, {
+        // Only send public_status to customer
+        'order-updated': data => data.order_id == order.id
+            ? ['status-update', { order_id: data.order_id, public_status: data.public_status }]
+            : null,
+        // What is left to pay, as each payer at the table pays their part
+        'bill-updated': data => data.order_id == order.id
+            ? ['bill-updated', {
+                order_id: data.order_id,
+                total_amount: data.total_amount,
+                paid_amount: data.paid_amount,
+                balance: data.balance,
+                settled: data.settled
+            }]
+            : null,
+        // Money given back on the order, and when the gateway has sent it
+        'refund-updated': data => data.order_id == order.id
+            ? ['refund-updated', { order_id: data.order_id, refund: data.refund }]
+            : null,
+        // Staff confirming, or turning down, a cash payment asked for here
+        'cash-payment': data => data.order_id == order.id
+            ? ['cash-payment', { order_id: data.order_id, payment_id: data.payment_id, amount: data.amount, status: data.status }]
+            : null
+    });
+});
 
-    req.on('close', () => {
-        clearInterval(keepalive);
-        orderEvents.off('order-updated', onOrderUpdated);
+// ─── SSE: Customer menu ───────────────────────────────────────
+
+// Stock changes for an open menu, so sold-out items grey out straight away.
+// The table token (?token=) picks the restaurant.
+router.get('/menu', async (req, res) => {
+    let table;
+    try {
+        table = req.query.token === undefined ? null : await db.from('tables')
+            .select('id', 'restaurant_id')
+            .where({ qr_token: req.query.token, active: 1 })
+            .get();
+    } catch (err) {
+        console.error('SSE menu lookup error:', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+    if (!table) return res.status(403).json({ error: 'Access denied' });
+
+    openEventStream(req, res, table.restaurant_id, {
+        'menu-updated': data => ['menu-updated', { items: data.items }]
     });
 });
 
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
+const { parseTipPresets } = require('../utils/tips');
 const QRCode = require('qrcode');
 const { v4: uuidv4 } = require('uuid');
 const { authenticateToken, requireRole } = require('../middleware/auth');
@@ -11,37 +12,34 @@ const { authenticateToken, requireRole } = require('../middleware/auth');
 router.get('/validate/:token', async (req, res) => {
     try {
         const { token } = req.params;
-        const table = await db.prepare(
-            `SELECT t.id, t.table_number, t.seats, t.restaurant_id,
-              r.name as restaurant_name, r.description as restaurant_description,
-              r.prepaid_enabled, r.postpaid_enabled
-       FROM tables t
-       JOIN restaurants r ON t.restaurant_id = r.id
-       WHERE t.qr_token = ? AND t.active = 1`
-        ).get(token);
+        const table = await db.from('tables', 't')
+            .select(
+                't.id', 't.table_number', 't.seats', 't.restaurant_id',
+                'r.name as restaurant_name', 'r.description as restaurant_description',
+                'r.prepaid_enabled', 'r.postpaid_enabled', 'r.tip_presets'
+            )
+            .join('restaurants', 'r', 'r.id', 't.restaurant_id')
+            .where({ 't.qr_token': token, 't.active': 1 })
+            .get();
 
         if (!table) {
             return res.status(404).json({ error: 'Invalid or inactive table' });
         }
 
         // Check for active unpaid postpaid orders on this table
-        const activeOrder = await db.prepare(
-            `SELECT o.id, o.public_status, o.payment_mode, o.total_amount, o.created_at
-       FROM orders o
-       WHERE o.table_id = ? AND o.payment_mode = 'POSTPAID'
-       AND o.internal_status != 'SERVED'
-       ORDER BY o.created_at DESC LIMIT 1`
-        ).get(table.id);
-
-        // Check for unpaid postpaid orders that are served (waiting for payment)
-        const unpaidOrder = await db.prepare(
-            `SELECT o.id, o.total_amount, o.created_at
-       FROM orders o
-       LEFT JOIN payments p ON p.order_id = o.id AND p.verified = 1
-       WHERE o.table_id = ? AND o.payment_mode = 'POSTPAID'
-       AND o.internal_status = 'SERVED' AND p.id IS NULL
-       ORDER BY o.created_at DESC LIMIT 1`
-        ).get(table.id);
+        const activeOrder = await db.from('orders')
+            .select('id', 'public_status', 'payment_mode', 'total_amount', 'created_at')
+            .where({ table_id: table.id, payment_mode: 'POSTPAID', cancelled: 0 })
+            .where('internal_status', '!=', 'SERVED')
+            .orderBy('created_at', 'desc')
+            .get();
+
+        // Check for served postpaid orders not yet paid in full (waiting for payment)
+        const unpaidOrder = await db.from('orders')
+            .select('id', 'total_amount', 'paid_amount', 'created_at')
+            .where({ table_id: table.id, payment_mode: 'POSTPAID', internal_status: 'SERVED', settled: 0, cancelled: 0 })
+            .orderBy('created_at', 'desc')
+            .get();
 
         res.json({
             table_id: table.id,
@@ -52,6 +50,7 @@ router.get('/validate/:token', async (req, res) => {
             restaurant_description: table.restaurant_description,
             prepaid_enabled: table.prepaid_enabled,
             postpaid_enabled: table.postpaid_enabled,
+            tip_presets: parseTipPresets(table.tip_presets),
             active_order: activeOrder || null,
             unpaid_order: unpaidOrder || null
         });
@@ -66,9 +65,9 @@ router.get('/validate/:token', async (req, res) => {
 // GET /api/tables
 router.get('/', authenticateToken, requireRole('admin'), async (req, res) => {
     try {
-        const tables = await db.prepare(
-            'SELECT * FROM tables WHERE restaurant_id = ? ORDER BY table_number'
-        ).all(req.user.restaurant_id);
+        const tables = await req.db.from('tables')
+            .orderBy('table_number')
+            .all();
         res.json(tables);
     } catch (err) {
         console.error('Tables list error:', err);
@@ -82,17 +81,20 @@ router.post('/', authenticateToken, requireRole('admin'), async (req, res) => {
         const { table_number, seats } = req.body;
         if (!table_number) return res.status(400).json({ error: 'Table number is required' });
 
-        const existing = await db.prepare(
-            'SELECT id FROM tables WHERE restaurant_id = ? AND table_number = ?'
-        ).get(req.user.restaurant_id, table_number);
+        const existing = await req.db.from('tables')
+            .select('id')
+            .where('table_number', table_number)
+            .get();
         if (existing) return res.status(409).json({ error: 'Table number already exists' });
 
         const qr_token = uuidv4();
-        const result = await db.prepare(
-            'INSERT INTO tables (restaurant_id, table_number, qr_token, seats) VALUES (?, ?, ?, ?)'
-        ).run(req.user.restaurant_id, table_number, qr_token, seats || 4);
+        const result = await req.db.from('tables').insert({
+            table_number,
+            qr_token,
+            seats: seats || 4
+        });
 
-        const table = await db.prepare('SELECT * FROM tables WHERE id = ?').get(result.lastInsertRowid);
+        const table = await req.db.from('tables').where('id', result.lastInsertRowid).get();
         res.status(201).json(table);
     } catch (err) {
         console.error('Table create error:', err);
@@ -104,21 +106,25 @@ router.post('/', authenticateToken, requireRole('admin'), async (req, res) => {
 router.put('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
     try {
         const { table_number, seats, active } = req.body;
-        const table = await db.prepare('SELECT * FROM tables WHERE id = ? AND restaurant_id = ?').get(req.params.id, req.user.restaurant_id);
+        const table = await req.db.from('tables').where('id', req.params.id).get();
         if (!table) return res.status(404).json({ error: 'Table not found' });
 
         if (table_number && table_number !== table.table_number) {
-            const existing = await db.prepare(
-                'SELECT id FROM tables WHERE restaurant_id = ? AND table_number = ? AND id != ?'
-            ).get(req.user.restaurant_id, table_number, req.params.id);
+            const existing = await req.db.from('tables')
+                .select('id')
+                .where('table_number', table_number)
+                .where('id', '!=', req.params.id)
+                .get();
             if (existing) return res.status(409).json({ error: 'Table number already exists' });
         }
 
-        await db.prepare(
-            'UPDATE tables SET table_number = ?, seats = ?, active = ? WHERE id = ?'
-        ).run(table_number || table.table_number, seats ?? table.seats, active ?? table.active, req.params.id);
+        await req.db.from('tables').where('id', req.params.id).update({
+            table_number: table_number || table.table_number,
+            seats: seats ?? table.seats,
+            active: active ?? table.active
+        });
 
-        const updated = await db.prepare('SELECT * FROM tables WHERE id = ?').get(req.params.id);
+        const updated = await req.db.from('tables').where('id', req.params.id).get();
         res.json(updated);
     } catch (err) {
         console.error('Table update error:', err);
@@ -129,10 +135,10 @@ router.put('/:id', authenticateToken, requireRole('admin'), async (req, res) =>
 // DELETE /api/tables/:id
 router.delete('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
     try {
-        const table = await db.prepare('SELECT * FROM tables WHERE id = ? AND restaurant_id = ?').get(req.params.id, req.user.restaurant_id);
+        const table = await req.db.from('tables').where('id', req.params.id).get();
         if (!table) return res.status(404).json({ error: 'Table not found' });
 
-        await db.prepare('UPDATE tables SET active = 0 WHERE id = ?').run(req.params.id);
+        await req.db.from('tables').where('id', req.params.id).update({ active: 0 });
         res.json({ success: true });
     } catch (err) {
         console.error('Table delete error:', err);
@@ -143,7 +149,7 @@ router.delete('/:id', authenticateToken, requireRole('admin'), async (req, res)
 // GET /api/tables/:id/qr — Generate QR code image
 router.get('/:id/qr', authenticateToken, requireRole('admin'), async (req, res) => {
     try {
-        const table = await db.prepare('SELECT * FROM tables WHERE id = ? AND restaurant_id = ?').get(req.params.id, req.user.restaurant_id);
+        const table = await req.db.from('tables').where('id', req.params.id).get();
         if (!table) return res.status(404).json({ error: 'Table not found' });
 
         const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
@@ -170,13 +176,13 @@ router.get('/:id/qr', authenticateToken, requireRole('admin'), async (req, res)
 // POST /api/tables/:id/regenerate-qr
 router.post('/:id/regenerate-qr', authenticateToken, requireRole('admin'), async (req, res) => {
     try {
-        const table = await db.prepare('SELECT * FROM tables WHERE id = ? AND restaurant_id = ?').get(req.params.id, req.user.restaurant_id);
+        const table = await req.db.from('tables').where('id', req.params.id).get();
         if (!table) return res.status(404).json({ error: 'Table not found' });
 
         const newToken = uuidv4();
-        await db.prepare('UPDATE tables SET qr_token = ? WHERE id = ?').run(newToken, req.params.id);
+        await req.db.from('tables').where('id', req.params.id).update({ qr_token: newToken });
 
-        const updated = await db.prepare('SELECT * FROM tables WHERE id = ?').get(req.params.id);
+        const updated = await req.db.from('tables').where('id', req.params.id).get();
         res.json(updated);
     } catch (err) {
         console.error('QR regenerate error:', err);
@@ -190,9 +196,10 @@ router.post('/call-waiter', async (req, res) => {
         const { table_token } = req.body;
         if (!table_token) return res.status(400).json({ error: 'Table token required' });
 
-        const table = await db.prepare(
-            'SELECT t.id, t.table_number, t.restaurant_id FROM tables t WHERE t.qr_token = ? AND t.active = 1'
-        ).get(table_token);
+        const table = await db.from('tables')
+            .select('id', 'table_number', 'restaurant_id')
+            .where({ qr_token: table_token, active: 1 })
+            .get();
 
         if (!table) return res.status(404).json({ error: 'Invalid table' });
 
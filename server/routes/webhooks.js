@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const crypto = require('crypto');
+const { paymentCheckout, capturePayment } = require('./payments');
+const { getProvider } = require('../utils/gateway');
+const { parseTimestamp } = require('../utils/availability');
+const { markRefundProcessed } = require('../utils/refunds');
+
+// ─── Gateway webhooks ─────────────────────────────────────────
+// Payment providers tell us about payments whether or not the customer's
+// browser made it back to /api/payments/verify — a closed tab or a dropped
+// network no longer leaves a paid order unplaced. Each delivery is signed
+// over the raw body (see each provider's verifyWebhook), so this router is
+// mounted before the JSON body parser. Deliveries are logged by event id and
+// the gateway retries any we answer with an error, so handling one twice
+// must change nothing.
+
+// A delivery still 'received' after this long was cut short (the process
+// died mid-way) and is handled again, rather than answered as a duplicate
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+const paise = payment => Math.round((payment.amount + (payment.tip_amount || 0)) * 100);
+
+// Captures a payment from the gateway's word that it was paid (a payment
+// entity) → 'captured', 'already' (verify got there first), 'mismatch' (the
+// amounts differ) or 'unknown' (it was not kept what it was for)
+async function captureGatewayPayment(payment, entity) {
+    if (payment.verified) return 'already';
+    if (entity.amount !== paise(payment)) return 'mismatch';
+    const checkout = paymentCheckout(payment);
+    if (!checkout.table_id) return 'unknown';
+
+    await capturePayment(payment, {
+        tableId: checkout.table_id,
+        orderId: checkout.order_id || null,
+        items: checkout.items,
+        notes: checkout.notes,
+        gatewayPaymentId: entity.id
+    });
+    return 'captured';
+}
+
+// The payment a payment entity is about; callers first check there is one
+const findPayment = (provider, entity) => db.from('payments')
+    .where({ provider: provider.name, razorpay_order_id: entity.order_id || '' })
+    .get();
+
+// Each handler takes the provider and its parsed event → [status, error]
+// for the event log
+const HANDLERS = {
+    'payment.captured': async (provider, { payment: entity }) => {
+        if (!entity) return ['ignored', 'No payment in event'];
+        const payment = await findPayment(provider, entity);
+        if (!payment) return ['ignored', 'Not one of our payments'];
+        const result = await captureGatewayPayment(payment, entity);
+        if (result === 'captured' || result === 'already') return ['processed', null];
+        console.warn(`Webhook capture of payment ${payment.id} skipped: ${result}`);
+        return ['ignored', result === 'mismatch' ? `Paid ${entity.amount} paise, expected ${paise(payment)}` : 'Nothing to capture it for'];
+    },
+
+    'payment.failed': async (provider, { payment: entity }) => {
+        if (!entity) return ['ignored', 'No payment in event'];
+        const payment = await findPayment(provider, entity);
+        if (!payment) return ['ignored', 'Not one of our payments'];
+        // Only a payment still waiting: the customer may have paid on a retry
+        const { changes } = await db.from('payments')
+            .where({ id: payment.id, status: 'created' })
+            .update({ status: 'failed', razorpay_payment_id: entity.id, updated_at: db.NOW });
+        return changes ? ['processed', null] : ['ignored', `Payment is ${payment.status}`];
+    },
+
+    'refund.processed': async (provider, { refund: entity }) => {
+        const refund = entity && await markRefundProcessed(entity.id);
+        return refund ? ['processed', null] : ['ignored', 'No pending refund'];
+    }
+};
+
+// Logs a delivery → false if it was already handled, or is being handled
+const claimEvent = db.transaction(async (provider, eventId, event, payload) => {
+    const seen = await db.from('webhook_events').select('id', 'status', 'updated_at').where('event_id', eventId).get();
+    const abandoned = seen && seen.status === 'received' &&
+        Date.now() - parseTimestamp(seen.updated_at).getTime() > CLAIM_TIMEOUT_MS;
+    if (seen && seen.status !== 'failed' && !abandoned) return false;
+    if (seen) {
+        await db.from('webhook_events').where('id', seen.id).update({ status: 'received', error: null, updated_at: db.NOW });
+    } else {
+        await db.from('webhook_events').insert({ provider: provider.name, event_id: eventId, event, payload });
+    }
+    return true;
+});
+
+// POST /api/webhooks/:provider (e.g. /api/webhooks/razorpay)
+router.post('/:provider', express.raw({ type: '*/*', limit: '1mb' }), async (req, res) => {
+    const provider = getProvider(req.params.provider);
+    if (!provider || !provider.configured()) return res.status(404).json({ error: 'Unknown payment provider' });
+
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const valid = provider.verifyWebhook(rawBody, req.headers);
+    if (valid === null) return res.status(503).json({ error: 'Webhooks are not configured' });
+    if (!valid) return res.status(400).json({ error: 'Invalid signature' });
+
+    let body;
+    try {
+        body = JSON.parse(rawBody.toString('utf8'));
+    } catch (e) {
+        return res.status(400).json({ error: 'Invalid JSON' });
+    }
+    const parsed = provider.parseWebhook(body, req.headers);
+    const eventId = parsed.id || crypto.createHash('sha256').update(rawBody).digest('hex');
+    const event = parsed.type;
+
+    try {
+        if (!await claimEvent(provider, eventId, event, rawBody.toString('utf8'))) {
+            return res.json({ status: 'duplicate' });
+        }
+    } catch (err) {
+        console.error('Webhook log error:', err);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    try {
+        const [status, error] = HANDLERS[event]
+            ? await HANDLERS[event](provider, parsed)
+            : ['ignored', null];
+        await db.from('webhook_events').where('event_id', eventId).update({ status, error, updated_at: db.NOW });
+        res.json({ status });
+    } catch (err) {
+        // Answering with an error makes the gateway deliver it again
+        console.error('Webhook error:', err);
+        await db.from('webhook_events').where('event_id', eventId)
+            .update({ status: 'failed', error: String(err.message).slice(0, 500), updated_at: db.NOW })
+            .catch(logErr => console.error('Webhook log error:', logErr));
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
+module.exports.captureGatewayPayment = captureGatewayPayment;
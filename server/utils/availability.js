@@ -0,0 +1,192 @@
+const db = require('../db');
+
+// ─── Availability schedules ───────────────────────────────────
+// Categories and items may carry a schedule (JSON text in `availability`):
+// a list of windows, any of which makes them available. A window is
+//   { days: [1-7], from: 'HH:MM', to: 'HH:MM', start_date: 'YYYY-MM-DD', end_date: 'YYYY-MM-DD' }
+// with every field optional — days are ISO weekdays (1 = Monday), a time
+// range ending before it starts runs past midnight (and belongs to the day
+// it started), and dates bound seasonal specials. No schedule = always on.
+// Everything is evaluated in the restaurant's timezone.
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const MAX_WINDOWS = 10;
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+class ScheduleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ScheduleError';
+    }
+}
+
+function isTimezone(value) {
+    if (typeof value !== 'string' || !value) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// The wall clock in a timezone → { date: 'YYYY-MM-DD', day: 1-7, time: 'HH:MM' }
+function localNow(timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+        weekday: 'short'
+    }).formatToParts(now).forEach(p => { parts[p.type] = p.value; });
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        day: WEEKDAYS[parts.weekday],
+        time: `${parts.hour}:${parts.minute}`
+    };
+}
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+// Round trip so 2026-02-30 doesn't pass as 2 March
+const isDate = value => typeof value === 'string' && DATE.test(value) && !isNaN(new Date(`${value}T00:00:00Z`)) &&
+    new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+
+// Checks a schedule from the admin → normalized windows, or null for "always"
+function validateSchedule(schedule) {
+    if (schedule === null || schedule === undefined) return null;
+    if (!Array.isArray(schedule) || schedule.length > MAX_WINDOWS) {
+        throw new ScheduleError(`Availability must be a list of up to ${MAX_WINDOWS} windows`);
+    }
+    if (!schedule.length) return null;
+
+    return schedule.map(window => {
+        if (!window || typeof window !== 'object') throw new ScheduleError('Invalid availability window');
+        const normalized = {};
+
+        if (window.days !== undefined && window.days !== null) {
+            const days = window.days;
+            if (!Array.isArray(days) || !days.length || !days.every(d => Number.isInteger(d) && d >= 1 && d <= 7)) {
+                throw new ScheduleError('Days must be weekday numbers from 1 (Monday) to 7 (Sunday)');
+            }
+            normalized.days = [...new Set(days)].sort();
+        }
+
+        const hasFrom = window.from !== undefined && window.from !== null;
+        const hasTo = window.to !== undefined && window.to !== null;
+        if (hasFrom !== hasTo) throw new ScheduleError('A time range needs both from and to');
+        if (hasFrom) {
+            if (!TIME.test(window.from) || !TIME.test(window.to) || window.from === window.to) {
+                throw new ScheduleError('Times must be HH:MM and from must differ from to');
+            }
+            normalized.from = window.from;
+            normalized.to = window.to;
+        }
+
+        for (const key of ['start_date', 'end_date']) {
+            if (window[key] === undefined || window[key] === null) continue;
+            if (!isDate(window[key])) throw new ScheduleError(`${key} must be a date (YYYY-MM-DD)`);
+            normalized[key] = window[key];
+        }
+        if (normalized.start_date && normalized.end_date && normalized.start_date > normalized.end_date) {
+            throw new ScheduleError('start_date must not be after end_date');
+        }
+        return normalized;
+    });
+}
+
+// A stored timestamp → Date: 'YYYY-MM-DD HH:MM:SS' (UTC) from SQLite, an ISO
+// string with its offset from Supabase, a Date from Postgres
+function parseTimestamp(value) {
+    if (value instanceof Date) return value;
+    const text = String(value);
+    const hasZone = /[zZ]$|[+-]\d{2}:?\d{2}$/.test(text);
+    const date = new Date(hasZone ? text : `${text.replace(' ', 'T')}Z`);
+    if (isNaN(date)) throw new Error(`Invalid timestamp: ${value}`);
+    return date;
+}
+
+// 'YYYY-MM-DD' moved by a number of days
+function addDays(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+// A report's period from its ?from=&to= (local dates, both inclusive): to
+// defaults to `today` and from to the six days before to → { from, to }, or
+// null if either is not a date or from is after to
+function reportDays(query, today) {
+    const to = query.to || today;
+    if (!isDate(to)) return null;
+    const from = query.from || addDays(to, -6);
+    if (!isDate(from) || from > to) return null;
+    return { from, to };
+}
+
+// Runs a query for the rows whose `column` falls between two local dates
+// (both inclusive) in a timezone → the rows, each with its local_date.
+// Stored times are UTC, so the query fetches a day either side and the
+// local dates asked for are kept here.
+async function withinLocalDays(query, timeZone, from, to, column = 'created_at') {
+    const key = column.split('.').pop();
+    const rows = await query
+        .where(column, '>=', addDays(from, -1))
+        .where(column, '<', addDays(to, 2))
+        .all();
+    return rows
+        .map(row => ({ ...row, local_date: localNow(timeZone, parseTimestamp(row[key])).date }))
+        .filter(row => row.local_date >= from && row.local_date <= to);
+}
+
+// The restaurant's wall clock (see localNow)
+async function restaurantNow(restaurantId, now = new Date()) {
+    const restaurant = await db.from('restaurants').select('timezone').where('id', restaurantId).get();
+    return localNow((restaurant && restaurant.timezone) || DEFAULT_TIMEZONE, now);
+}
+
+// Stored text → windows or null
+function parseSchedule(text) {
+    if (!text) return null;
+    try {
+        const schedule = typeof text === 'string' ? JSON.parse(text) : text;
+        return Array.isArray(schedule) && schedule.length ? schedule : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function windowOpen(window, local) {
+    if (window.start_date && local.date < window.start_date) return false;
+    if (window.end_date && local.date > window.end_date) return false;
+
+    const onDay = day => !window.days || window.days.includes(day);
+    if (!window.from) return onDay(local.day);
+    if (window.from < window.to) return onDay(local.day) && local.time >= window.from && local.time < window.to;
+
+    // Overnight, e.g. 22:00–02:00: the early hours belong to the day before
+    const yesterday = local.day === 1 ? 7 : local.day - 1;
+    return (onDay(local.day) && local.time >= window.from) || (onDay(yesterday) && local.time < window.to);
+}
+
+// schedule: stored text or windows; local: from localNow()
+function isScheduled(schedule, local) {
+    const windows = parseSchedule(schedule);
+    return !windows || windows.some(window => windowOpen(window, local));
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    ScheduleError,
+    isTimezone,
+    localNow,
+    restaurantNow,
+    parseTimestamp,
+    isDate,
+    addDays,
+    reportDays,
+    withinLocalDays,
+    validateSchedule,
+    parseSchedule,
+    isScheduled
+};
@@ -0,0 +1,147 @@
+const db = require('../db');
+const { priceOrderItems, roundMoney } = require('./pricing');
+const { quoteCoupon } = require('./coupons');
+
+// ─── Bills ────────────────────────────────────────────────────
+// Turns priced order lines into what the customer pays:
+//   subtotal          Σ price_at_order × quantity (menu prices are before tax)
+//   − discount        coupons, shared out over the lines they applied to
+//   + service charge  service_charge_rate % of the discounted subtotal
+//   + packaging       the restaurant's flat packaging_charge per order
+//   + GST             lines at their item's tax class (or the restaurant's
+//                     default class), charges at the default; billed as equal
+//                     CGST and SGST halves, dine-in being an intra-state supply
+//   ± round-off       to the nearest rupee, if the restaurant rounds bills
+// Orders store the result; order lines keep their tax_rate and discount so
+// the bill can be redone when items are added.
+
+async function loadBillSettings(restaurantId) {
+    const restaurant = await db.from('restaurants')
+        .select('default_tax_class_id', 'service_charge_rate', 'packaging_charge', 'round_off')
+        .where('id', restaurantId)
+        .get();
+    const classes = await db.forTenant(restaurantId).from('tax_classes').select('id', 'name', 'rate', 'hsn_sac').all();
+    const byId = new Map(classes.map(c => [c.id, c]));
+    return {
+        classes: byId,
+        defaultClass: byId.get(restaurant.default_tax_class_id) || null,
+        serviceChargeRate: restaurant.service_charge_rate || 0,
+        packagingCharge: restaurant.packaging_charge || 0,
+        roundOff: !!restaurant.round_off
+    };
+}
+
+// Lines not billed before get the GST rate of their item's tax class
+async function assignTaxRates(restaurantId, settings, lines) {
+    const pending = lines.filter(line => line.tax_rate === undefined || line.tax_rate === null);
+    if (!pending.length) return;
+
+    const items = await db.forTenant(restaurantId).from('menu_items')
+        .select('id', 'tax_class_id')
+        .whereIn('id', [...new Set(pending.map(line => line.menu_item_id))])
+        .all();
+    const classByItem = new Map(items.map(item => [item.id, settings.classes.get(item.tax_class_id) || settings.defaultClass]));
+    for (const line of pending) {
+        const taxClass = classByItem.get(line.menu_item_id);
+        line.tax_rate = taxClass ? taxClass.rate : 0;
+    }
+}
+
+// Spreads a coupon quote's discount over the lines it applied to, by value
+function shareDiscount(quote) {
+    const lines = quote.lines.filter(line => line.price_at_order > 0);
+    const total = lines.reduce((sum, line) => sum + line.price_at_order * line.quantity, 0);
+    let left = quote.discount;
+    lines.forEach((line, i) => {
+        const share = i === lines.length - 1
+            ? left
+            : roundMoney(quote.discount * line.price_at_order * line.quantity / total);
+        line.discount = roundMoney((line.discount || 0) + share);
+        left = roundMoney(left - share);
+    });
+}
+
+function computeBill(settings, lines) {
+    const taxableByRate = new Map();
+    const addTaxable = (rate, amount) => {
+        if (rate > 0 && amount > 0) taxableByRate.set(rate, (taxableByRate.get(rate) || 0) + amount);
+    };
+
+    let subtotal = 0;
+    let discount = 0;
+    for (const line of lines) {
+        const value = line.price_at_order * line.quantity;
+        subtotal += value;
+        discount += line.discount || 0;
+        addTaxable(line.tax_rate, value - (line.discount || 0));
+    }
+    subtotal = roundMoney(subtotal);
+    discount = roundMoney(discount);
+
+    const serviceCharge = roundMoney((subtotal - discount) * settings.serviceChargeRate / 100);
+    const packagingCharge = lines.length ? settings.packagingCharge : 0;
+    addTaxable(settings.defaultClass ? settings.defaultClass.rate : 0, serviceCharge + packagingCharge);
+
+    const taxes = [];
+    [...taxableByRate.entries()].sort((a, b) => a[0] - b[0]).forEach(([rate, taxable]) => {
+        const half = { rate: rate / 2, taxable: roundMoney(taxable), amount: roundMoney(taxable * rate / 200) };
+        taxes.push({ name: 'CGST', ...half }, { name: 'SGST', ...half });
+    });
+    const taxAmount = roundMoney(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+
+    const exact = roundMoney(subtotal - discount + serviceCharge + packagingCharge + taxAmount);
+    const total = settings.roundOff ? Math.round(exact) : exact;
+    return {
+        subtotal,
+        discount_amount: discount,
+        service_charge: serviceCharge,
+        packaging_charge: packagingCharge,
+        tax_amount: taxAmount,
+        taxes,
+        round_off: roundMoney(total - exact),
+        total_amount: total
+    };
+}
+
+// The bill for all of an order's lines. Fills in tax_rate on new lines, and
+// discount on the lines a coupon quote (from quoteCoupon) applies to.
+async function billOrder(restaurantId, lines, { coupon = null } = {}) {
+    const settings = await loadBillSettings(restaurantId);
+    await assignTaxRates(restaurantId, settings, lines);
+    if (coupon) shareDiscount(coupon);
+    return computeBill(settings, lines);
+}
+
+// Prices a cart, applies a coupon code and bills it → { lines, coupon, bill }.
+// Other options go to priceOrderItems; `at` also dates the coupon check and
+// a paid quote keeps its coupon (see quoteCoupon).
+async function billCart(restaurantId, items, { couponCode = null, phone = null, paid = false, ...pricing } = {}) {
+    const { lines } = await priceOrderItems(restaurantId, items, pricing);
+    const coupon = couponCode
+        ? await quoteCoupon(restaurantId, couponCode, lines, { phone, at: pricing.at, paid })
+        : null;
+    const bill = await billOrder(restaurantId, lines, { coupon });
+    return { lines, coupon, bill };
+}
+
+// A bill → its columns on orders
+function billColumns(bill) {
+    return { ...bill, taxes: JSON.stringify(bill.taxes) };
+}
+
+function parseTaxes(text) {
+    try {
+        return text ? JSON.parse(text) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+module.exports = {
+    loadBillSettings,
+    computeBill,
+    billOrder,
+    billCart,
+    billColumns,
+    parseTaxes
+};
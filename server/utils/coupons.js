@@ -0,0 +1,191 @@
+const db = require('../db');
+const { restaurantNow, isDate } = require('./availability');
+const { roundMoney } = require('./pricing');
+
+// ─── Coupons ──────────────────────────────────────────────────
+// Admin-managed codes taking a flat amount or a percentage (optionally
+// capped) off the bill. A coupon may need a minimum bill, run between two
+// dates (in the restaurant's timezone), apply to one category or item only,
+// and be limited in total uses and uses per customer — customers being told
+// apart by phone number, which such coupons ask for. Discounts are taken from
+// the order's lines as priced (offers included); the redeemed coupon is
+// stored as a discount line in order_discounts.
+
+const CODE = /^[A-Z0-9_-]{3,20}$/;
+
+class CouponError extends Error {
+    constructor(message, { needsPhone = false } = {}) {
+        super(message);
+        this.name = 'CouponError';
+        this.needsPhone = needsPhone;
+    }
+}
+
+const normalizeCode = code => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+// Digits only, keeping the last 10 so +91 98xxx and 098xxx are one customer
+function normalizePhone(phone) {
+    if (typeof phone !== 'string' && typeof phone !== 'number') return null;
+    const digits = String(phone).replace(/\D/g, '');
+    return digits.length >= 10 && digits.length <= 15 ? digits.slice(-10) : null;
+}
+
+// Checks an admin's coupon against the existing one (if updating) → values to store
+function validateCoupon(input, existing = null) {
+    const merged = { ...existing, ...input };
+    const code = normalizeCode(merged.code);
+    if (!CODE.test(code)) throw new CouponError('Code must be 3-20 letters, digits, - or _');
+    if (!['flat', 'percent'].includes(merged.kind)) throw new CouponError('Kind must be flat or percent');
+
+    const money = (key, { optional = false, positive = false } = {}) => {
+        const value = merged[key];
+        if (optional && (value === undefined || value === null)) return null;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || (positive && value === 0) || value > 1000000) {
+            throw new CouponError(`${key} must be a ${positive ? 'positive' : 'non-negative'} amount`);
+        }
+        return roundMoney(value);
+    };
+    const limit = key => {
+        const value = merged[key];
+        if (value === undefined || value === null) return null;
+        if (!Number.isInteger(value) || value < 1) throw new CouponError(`${key} must be a whole number from 1, or null`);
+        return value;
+    };
+    const ref = key => {
+        const value = merged[key];
+        if (value === undefined || value === null) return null;
+        if (!Number.isInteger(value) || value < 1) throw new CouponError(`${key} must be an id or null`);
+        return value;
+    };
+    const date = key => {
+        const value = merged[key];
+        if (value === undefined || value === null || value === '') return null;
+        if (!isDate(value)) throw new CouponError(`${key} must be a date (YYYY-MM-DD)`);
+        return value;
+    };
+
+    const values = {
+        code,
+        description: typeof merged.description === 'string' ? merged.description.trim().slice(0, 200) : '',
+        kind: merged.kind,
+        value: money('value', { positive: true }),
+        max_discount: merged.kind === 'percent' ? money('max_discount', { optional: true }) : null,
+        min_bill: money('min_bill', { optional: true }) || 0,
+        usage_limit: limit('usage_limit'),
+        per_customer_limit: limit('per_customer_limit'),
+        valid_from: date('valid_from'),
+        valid_to: date('valid_to'),
+        category_id: ref('category_id'),
+        menu_item_id: ref('menu_item_id'),
+        active: merged.active === undefined || merged.active ? 1 : 0
+    };
+    if (values.kind === 'percent' && values.value > 100) throw new CouponError('A percentage can be at most 100');
+    if (values.category_id && values.menu_item_id) throw new CouponError('A coupon is scoped to an item or a category, not both');
+    if (values.valid_from && values.valid_to && values.valid_from > values.valid_to) {
+        throw new CouponError('valid_from must not be after valid_to');
+    }
+    return values;
+}
+
+// A coupon's uses so far, in total and by one customer
+async function countUses(restaurantId, couponId, phone) {
+    const tenantDb = db.forTenant(restaurantId);
+    const total = await tenantDb.from('order_discounts').count('uses').where('coupon_id', couponId).get();
+    const byCustomer = phone
+        ? await tenantDb.from('order_discounts').count('uses').where({ coupon_id: couponId, customer_phone: phone }).get()
+        : { uses: 0 };
+    return { total: total.uses, byCustomer: byCustomer.uses };
+}
+
+function checkLimits(coupon, uses) {
+    if (coupon.usage_limit !== null && uses.total >= coupon.usage_limit) {
+        throw new CouponError(`${coupon.code} has been fully redeemed`);
+    }
+    if (coupon.per_customer_limit !== null && uses.byCustomer >= coupon.per_customer_limit) {
+        throw new CouponError(`You have already used ${coupon.code}`);
+    }
+}
+
+// What a code takes off priced order lines (from priceOrderItems) →
+// { coupon, label, discount, phone, lines: the lines it applies to } or
+// throws CouponError. `at` is when the bill was quoted. A paid quote is
+// honoured even if the coupon has since been switched off or used up.
+async function quoteCoupon(restaurantId, code, lines, { phone = null, at = new Date(), paid = false } = {}) {
+    const tenantDb = db.forTenant(restaurantId);
+    const coupon = await tenantDb.from('coupons').where('code', normalizeCode(code)).get();
+    if (!coupon || (!coupon.active && !paid)) throw new CouponError('Invalid coupon code');
+
+    const today = (await restaurantNow(restaurantId, at)).date;
+    if ((coupon.valid_from && today < coupon.valid_from) || (coupon.valid_to && today > coupon.valid_to)) {
+        throw new CouponError(`${coupon.code} is not valid today`);
+    }
+
+    const lineTotal = line => line.price_at_order * line.quantity;
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + lineTotal(line), 0));
+    if (subtotal < coupon.min_bill) {
+        throw new CouponError(`${coupon.code} needs a bill of at least ₹${coupon.min_bill}`);
+    }
+
+    let eligible = lines;
+    if (coupon.menu_item_id) {
+        eligible = lines.filter(line => line.menu_item_id === coupon.menu_item_id);
+    } else if (coupon.category_id) {
+        const inCategory = await tenantDb.from('menu_items')
+            .select('id')
+            .whereIn('id', [...new Set(lines.map(line => line.menu_item_id))])
+            .where('category_id', coupon.category_id)
+            .all();
+        const ids = new Set(inCategory.map(item => item.id));
+        eligible = lines.filter(line => ids.has(line.menu_item_id));
+    }
+    const eligibleTotal = roundMoney(eligible.reduce((sum, line) => sum + lineTotal(line), 0));
+    if (eligibleTotal <= 0) throw new CouponError(`${coupon.code} doesn't apply to anything in your order`);
+
+    const customerPhone = normalizePhone(phone);
+    if (coupon.per_customer_limit !== null && !customerPhone) {
+        throw new CouponError(`Enter your phone number to use ${coupon.code}`, { needsPhone: true });
+    }
+    if (!paid) checkLimits(coupon, await countUses(restaurantId, coupon.id, customerPhone));
+
+    let discount = coupon.kind === 'flat' ? coupon.value : eligibleTotal * coupon.value / 100;
+    if (coupon.max_discount !== null) discount = Math.min(discount, coupon.max_discount);
+    discount = roundMoney(Math.min(discount, eligibleTotal));
+    return { coupon, label: coupon.description || `Coupon ${coupon.code}`, discount, phone: customerPhone, lines: eligible };
+}
+
+// Stores a quote as the order's discount line. Call in the order's
+// transaction: a use is taken with a compare-and-set on coupons.uses, so
+// two orders can't both take the last use, and a second redemption of the
+// coupon waits for the first to commit before the customer's uses are
+// counted again.
+async function redeemCoupon(restaurantId, orderId, quote, { paid = false } = {}) {
+    const { coupon, label, discount, phone } = quote;
+    const tenantDb = db.forTenant(restaurantId);
+    for (let attempt = 1; ; attempt++) {
+        const { uses } = await tenantDb.from('coupons').select('uses').where('id', coupon.id).get();
+        if (!paid) {
+            const { byCustomer } = await countUses(restaurantId, coupon.id, phone);
+            checkLimits(coupon, { total: uses, byCustomer });
+        }
+        const { changes } = await tenantDb.from('coupons').where({ id: coupon.id, uses }).update({ uses: uses + 1 });
+        if (changes) break;
+        if (attempt === 3) throw new CouponError(`${coupon.code} is being redeemed, please try again`);
+    }
+    await tenantDb.from('order_discounts').insert({
+        order_id: orderId,
+        coupon_id: coupon.id,
+        code: coupon.code,
+        label,
+        amount: discount,
+        customer_phone: phone
+    });
+}
+
+module.exports = {
+    CouponError,
+    normalizeCode,
+    normalizePhone,
+    validateCoupon,
+    quoteCoupon,
+    redeemCoupon
+};
@@ -1,8 +1,130 @@
-const EventEmitter = require('events');
+const { createPubSub } = require('./pubsub');
 
-class OrderEvents extends EventEmitter { }
+// ─── Order events ─────────────────────────────────────────────
+// orderEvents.emit(event, data) publishes to the restaurant's own channel
+// (data.restaurant_id) on the pub/sub bus, so SSE clients on any instance
+// receive it. Each instance only listens to restaurants it has clients for.
+//
+// Every delivered event gets an id "<tag>-<seq>", numbered per restaurant by
+// the receiving instance, and is kept in that restaurant's replay log so SSE
+// clients can resume from Last-Event-ID after a dropped connection. Ids from
+// another instance, boot, or a broken bus connection cannot be replayed.
 
-const orderEvents = new OrderEvents();
-orderEvents.setMaxListeners(100); // Support many concurrent SSE clients
+const REPLAY_LOG_SIZE = parseInt(process.env.SSE_REPLAY_LOG_SIZE, 10) || 500;
+
+// Keep listening this long after the last client leaves, so a reconnecting
+// dashboard can still be replayed what it missed
+const IDLE_UNSUBSCRIBE_MS = 10 * 60 * 1000;
+
+const INSTANCE_ID = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+
+const channelFor = restaurantId => `restaurant_${restaurantId}`;
+
+class OrderEvents {
+    constructor(bus) {
+        this.bus = bus;
+        this.rooms = new Map(); // restaurant_id → { tag, seq, entries, listeners, unsubscribe, idleTimer }
+        this.generation = 0;
+        bus.onReset(() => this._resetRooms());
+    }
+
+    emit(event, data) {
+        if (!data || data.restaurant_id == null) {
+            throw new Error(`Order event "${event}" needs a restaurant_id`);
+        }
+        const channel = channelFor(data.restaurant_id);
+        this.bus.publish(channel, { event, data })
+            .catch(err => {
+                console.error(`Event publish error (${event}):`, err.message);
+                // Too big for the bus: have the restaurant's dashboards reload instead
+                if (err.code === 'PAYLOAD_TOO_LARGE') {
+                    return this.bus.publish(channel, { event: 'resync', data: {} });
+                }
+            })
+            .catch(err => console.error('Event publish error (resync):', err.message));
+        return true;
+    }
+
+    // listener(event, data, id); returns unsubscribe(). A 'resync' event means
+    // events may have been missed and clients should reload.
+    subscribe(restaurantId, listener) {
+        const room = this._room(restaurantId);
+        clearTimeout(room.idleTimer);
+        room.listeners.add(listener);
+
+        return () => {
+            room.listeners.delete(listener);
+            if (room.listeners.size) return;
+            room.idleTimer = setTimeout(() => {
+                room.unsubscribe();
+                this.rooms.delete(String(restaurantId));
+            }, IDLE_UNSUBSCRIBE_MS);
+            room.idleTimer.unref();
+        };
+    }
+
+    // Events after lastEventId for one restaurant, oldest first, or null when
+    // they can no longer be replayed (unknown tag, or pushed out of the log)
+    since(restaurantId, lastEventId) {
+        const room = this.rooms.get(String(restaurantId));
+        const match = /^([0-9a-z.]+)-(\d+)$/.exec(String(lastEventId));
+        if (!room || !match || match[1] !== room.tag) return null;
+
+        const lastSeq = parseInt(match[2], 10);
+        if (lastSeq > room.seq) return null;
+
+        const oldest = room.entries.length ? room.entries[0].seq : room.seq + 1;
+        if (lastSeq < oldest - 1) return null;
+
+        return room.entries.filter(entry => entry.seq > lastSeq);
+    }
+
+    // Id of the newest event so far, for clients with nothing to resume from
+    lastId(restaurantId) {
+        const room = this._room(restaurantId);
+        return `${room.tag}-${room.seq}`;
+    }
+
+    close() {
+        this.rooms.forEach(room => clearTimeout(room.idleTimer));
+        this.rooms.clear();
+        return this.bus.close();
+    }
+
+    _room(restaurantId) {
+        const key = String(restaurantId);
+        if (!this.rooms.has(key)) {
+            const room = { tag: this._nextTag(), seq: 0, entries: [], listeners: new Set(), idleTimer: null };
+            room.unsubscribe = this.bus.subscribe(channelFor(key), message => this._deliver(room, message));
+            this.rooms.set(key, room);
+        }
+        return this.rooms.get(key);
+    }
+
+    _deliver(room, { event, data }) {
+        const seq = ++room.seq;
+        const entry = { seq, id: `${room.tag}-${seq}`, event, data };
+        room.entries.push(entry);
+        if (room.entries.length > REPLAY_LOG_SIZE) room.entries.shift();
+
+        room.listeners.forEach(listener => listener(event, data, entry.id));
+    }
+
+    // Anything published while the bus was down is gone: start every log over
+    // under a new tag and tell connected clients to reload
+    _resetRooms() {
+        this.rooms.forEach(room => {
+            Object.assign(room, { tag: this._nextTag(), seq: 0, entries: [] });
+            room.listeners.forEach(listener => listener('resync', {}, `${room.tag}-0`));
+        });
+    }
+
+    _nextTag() {
+        return `${INSTANCE_ID}.${++this.generation}`;
+    }
+}
+
+const orderEvents = new OrderEvents(createPubSub());
 
 module.exports = orderEvents;
+module.exports.OrderEvents = OrderEvents;
@@ -0,0 +1,88 @@
+const db = require('../db');
+
+// ─── Payment gateway ──────────────────────────────────────────
+// Online payments go through a provider, chosen per restaurant
+// (restaurants.payment_provider) or else by PAYMENT_PROVIDER, or else the
+// first one this server is configured for. Each payment keeps the provider
+// it was made with (payments.provider), so switching leaves payments under
+// way with the one they started on. The provider's order and payment ids
+// are kept in the razorpay_* columns whatever the provider.
+//
+// A provider (see providers/) is an object with:
+//   name, label
+//   configured()                    whether this server can take payments with it
+//   createOrder({ amount, receipt, notes }) → { id, checkout }
+//                                   amount in paise; checkout is what the
+//                                   browser needs to open it (e.g. key_id)
+//   verifyPayment({ orderId, paymentId, signature }) → whether the browser's
+//                                   word that it paid is the provider's
+//   refund(paymentId, amount, notes) → { id, status: 'processed' | 'pending' }
+//   verifyWebhook(rawBody, headers) → true / false, null if not set up
+//   parseWebhook(body, headers)     → { id, type, payment, refund }, type one
+//                                   of payment.captured, payment.failed,
+//                                   refund.processed (others are ignored)
+//   fetchPayments(from, to), fetchSettlements(day), fetchRefund(id)
+//                                   optional: for the nightly reconciliation
+// with payments, refunds and settlement items shaped as Razorpay's. Adding
+// one (PhonePe, Stripe, Paytm…) is a module there and a line in PROVIDERS.
+// Cash (cash_…) is no provider: it is refunded at the counter.
+
+const PROVIDERS = {
+    razorpay: require('./providers/razorpay'),
+    fake: require('./providers/fake')
+};
+const DEFAULT_ORDER = ['razorpay', 'fake'];
+
+class GatewayError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GatewayError';
+    }
+}
+
+// Those the nightly reconciliation can compare with
+const reconcilableProviders = () => Object.values(PROVIDERS).filter(provider => provider.fetchPayments && provider.configured());
+
+// Every provider, for admins choosing one
+const listProviders = () => Object.values(PROVIDERS).map(provider => ({
+    name: provider.name,
+    label: provider.label,
+    configured: provider.configured()
+}));
+
+const getProvider = name => Object.hasOwn(PROVIDERS, name) ? PROVIDERS[name] : null;
+
+// The provider a restaurant takes payments with → throws GatewayError if
+// it has none on this server
+async function restaurantProvider(restaurantId) {
+    const restaurant = await db.from('restaurants').select('payment_provider').where('id', restaurantId).get();
+    const chosen = (restaurant && restaurant.payment_provider) || process.env.PAYMENT_PROVIDER;
+    const provider = chosen
+        ? getProvider(chosen)
+        : DEFAULT_ORDER.map(getProvider).find(p => p.configured());
+    if (!provider || !provider.configured()) {
+        throw new GatewayError('Online payments are not available right now — please pay at the counter');
+    }
+    return provider;
+}
+
+// Gives `amount` (rupees) of a verified payment back to the customer
+// → { id, status } with status 'processed' or 'pending'. Throws what the
+// provider throws.
+async function refundGatewayPayment(payment, amount, notes = {}) {
+    if (payment.provider === 'cash') return { id: null, status: 'processed' };
+    const provider = getProvider(payment.provider);
+    if (!provider || !provider.configured()) {
+        throw new GatewayError(`This payment was made with ${payment.provider}, which is not set up here`);
+    }
+    return provider.refund(payment.razorpay_payment_id, Math.round(amount * 100), notes);
+}
+
+module.exports = {
+    GatewayError,
+    reconcilableProviders,
+    listProviders,
+    getProvider,
+    restaurantProvider,
+    refundGatewayPayment
+};
@@ -0,0 +1,199 @@
+const db = require('../db');
+const orderEvents = require('./events');
+const { DEFAULT_TIMEZONE, withinLocalDays } = require('./availability');
+
+// ─── Ingredients ──────────────────────────────────────────────
+// Recipes map a menu item to ingredient quantities; a variant with recipe
+// lines of its own uses those instead of the item's. When the kitchen starts
+// an order, deductIngredients() takes its lines' recipes off stock, and each
+// change is logged in ingredient_movements:
+//   usage    recipe quantity taken by an order (negative)
+//   restock  delivery received (positive)
+//   waste    spoiled or dropped (negative)
+//   count    correction from a physical count (counted − expected)
+// Stock may go negative: the food is already being cooked, and a negative
+// balance is the cue for a count.
+
+const UNITS = ['g', 'kg', 'ml', 'l', 'pcs'];
+
+class IngredientError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'IngredientError';
+    }
+}
+
+// Quantities are kept to 3 decimals (grams of a kilo, ml of a litre)
+const roundQty = value => Math.round(value * 1000) / 1000;
+
+const isLow = ingredient => ingredient.low_stock_level > 0 && ingredient.stock_qty <= ingredient.low_stock_level;
+
+// menu_item_id → { base: [lines], variants: Map(variant_id → [lines]) }
+async function loadRecipes(restaurantId, menuItemIds = null) {
+    const query = db.forTenant(restaurantId).from('recipe_lines', 'rl')
+        .select('rl.id', 'rl.menu_item_id', 'rl.variant_id', 'rl.ingredient_id', 'rl.quantity', 'i.name as ingredient_name', 'i.unit')
+        .join('ingredients', 'i', 'i.id', 'rl.ingredient_id')
+        .orderBy('rl.id');
+    if (menuItemIds) {
+        if (!menuItemIds.length) return new Map();
+        query.whereIn('rl.menu_item_id', menuItemIds);
+    }
+
+    const recipes = new Map();
+    for (const line of await query.all()) {
+        if (!recipes.has(line.menu_item_id)) recipes.set(line.menu_item_id, { base: [], variants: new Map() });
+        const recipe = recipes.get(line.menu_item_id);
+        if (line.variant_id === null) {
+            recipe.base.push(line);
+        } else {
+            if (!recipe.variants.has(line.variant_id)) recipe.variants.set(line.variant_id, []);
+            recipe.variants.get(line.variant_id).push(line);
+        }
+    }
+    return recipes;
+}
+
+function recipeFor(recipes, menuItemId, variantId) {
+    const recipe = recipes.get(menuItemId);
+    if (!recipe) return [];
+    return (variantId && recipe.variants.get(variantId)) || recipe.base;
+}
+
+// Applies a stock change and logs it → the ingredient after the change, with
+// `crossed_low` set when this change took it to or below its low-stock level.
+// Call inside a transaction; the update is a compare-and-set on the balance.
+async function moveStock(restaurantId, ingredientId, { kind, quantity, count = null, orderId = null, userId = null, note = '' }) {
+    const tenantDb = db.forTenant(restaurantId);
+    for (let attempt = 1; ; attempt++) {
+        const ingredient = await tenantDb.from('ingredients')
+            .select('id', 'name', 'unit', 'stock_qty', 'low_stock_level')
+            .where('id', ingredientId)
+            .get();
+        if (!ingredient) throw new IngredientError(`Ingredient ${ingredientId} not found`);
+
+        const change = roundQty(count === null ? quantity : count - ingredient.stock_qty);
+        const balance = roundQty(ingredient.stock_qty + change);
+        const { changes } = await tenantDb.from('ingredients')
+            .where({ id: ingredient.id, stock_qty: ingredient.stock_qty })
+            .update({ stock_qty: balance, updated_at: db.NOW });
+        if (!changes) {
+            if (attempt === 3) throw new IngredientError(`${ingredient.name} is being updated, please try again`);
+            continue;
+        }
+
+        await tenantDb.from('ingredient_movements').insert({
+            ingredient_id: ingredient.id,
+            kind,
+            quantity: change,
+            balance,
+            order_id: orderId,
+            user_id: userId,
+            note
+        });
+        const after = { ...ingredient, stock_qty: balance };
+        return { ...after, crossed_low: isLow(after) && !isLow(ingredient) };
+    }
+}
+
+// Takes the recipes of an order's not yet deducted lines off stock (lines
+// added to a started order are picked up the next time it moves on, and
+// cancelled ones are never made) → ingredients that just ran low. Call
+// inside the status change's transaction.
+async function deductIngredients(restaurantId, orderId, userId = null) {
+    const lines = await db.forTenant(restaurantId).from('order_items', 'oi')
+        .select('oi.id', 'oi.menu_item_id', 'oi.variant_id', 'oi.quantity')
+        .where({ 'oi.order_id': orderId, 'oi.cancelled': 0, 'oi.ingredients_deducted': 0 })
+        .all();
+    if (!lines.length) return [];
+
+    const recipes = await loadRecipes(restaurantId, [...new Set(lines.map(l => l.menu_item_id))]);
+    const needed = new Map(); // ingredient_id → quantity
+    lines.forEach(line => {
+        recipeFor(recipes, line.menu_item_id, line.variant_id).forEach(r => {
+            needed.set(r.ingredient_id, (needed.get(r.ingredient_id) || 0) + r.quantity * line.quantity);
+        });
+    });
+
+    const low = [];
+    for (const [ingredientId, quantity] of needed) {
+        const ingredient = await moveStock(restaurantId, ingredientId, { kind: 'usage', quantity: -quantity, orderId, userId });
+        if (ingredient.crossed_low) low.push(ingredient);
+    }
+
+    // order_items has no tenant column of its own; the lines were read through the tenant above
+    await db.from('order_items')
+        .whereIn('id', lines.map(l => l.id))
+        .update({ ingredients_deducted: 1 });
+    return low;
+}
+
+// Tells admin dashboards which ingredients just ran low
+function publishLowStock(restaurantId, ingredients) {
+    if (!ingredients.length) return;
+    orderEvents.emit('low-stock', {
+        restaurant_id: Number(restaurantId),
+        ingredients: ingredients.map(i => ({ id: i.id, name: i.name, unit: i.unit, stock_qty: i.stock_qty, low_stock_level: i.low_stock_level }))
+    });
+}
+
+// Movement kind → its total in the usage report
+const USAGE_TOTALS = { usage: 'used', restock: 'restocked', waste: 'wasted', count: 'counted' };
+
+// Theoretical usage is what recipes say the orders took; actual usage adds
+// waste and count corrections, so it is only as good as the counts taken
+// in the period. from/to are restaurant-local YYYY-MM-DD, both inclusive.
+async function usageReport(restaurantId, from, to) {
+    const tenantDb = db.forTenant(restaurantId);
+    const restaurant = await db.from('restaurants').select('timezone').where('id', restaurantId).get();
+    const timezone = restaurant.timezone || DEFAULT_TIMEZONE;
+
+    const [ingredients, movements] = await Promise.all([
+        tenantDb.from('ingredients')
+            .select('id', 'name', 'unit', 'stock_qty', 'low_stock_level')
+            .where('active', 1)
+            .orderBy('name')
+            .all(),
+        withinLocalDays(tenantDb.from('ingredient_movements')
+            .select('ingredient_id', 'kind', 'quantity', 'created_at'), timezone, from, to)
+    ]);
+
+    const totals = new Map();
+    for (const m of movements) {
+        if (!totals.has(m.ingredient_id)) totals.set(m.ingredient_id, { used: 0, restocked: 0, wasted: 0, counted: 0 });
+        totals.get(m.ingredient_id)[USAGE_TOTALS[m.kind]] += m.quantity;
+    }
+
+    return ingredients.map(ingredient => {
+        const t = totals.get(ingredient.id) || { used: 0, restocked: 0, wasted: 0, counted: 0 };
+        const theoretical = roundQty(-t.used);
+        const actual = roundQty(-(t.used + t.wasted + t.counted));
+        const variance = roundQty(actual - theoretical);
+        return {
+            ingredient_id: ingredient.id,
+            name: ingredient.name,
+            unit: ingredient.unit,
+            stock_qty: ingredient.stock_qty,
+            low: isLow(ingredient),
+            restocked: roundQty(t.restocked),
+            wasted: roundQty(-t.wasted),
+            count_adjustment: roundQty(t.counted),
+            theoretical_usage: theoretical,
+            actual_usage: actual,
+            variance,
+            variance_pct: theoretical ? Math.round(variance / theoretical * 1000) / 10 : null
+        };
+    });
+}
+
+module.exports = {
+    UNITS,
+    IngredientError,
+    roundQty,
+    isLow,
+    loadRecipes,
+    recipeFor,
+    moveStock,
+    deductIngredients,
+    publishLowStock,
+    usageReport
+};
@@ -0,0 +1,156 @@
+const db = require('../db');
+const orderEvents = require('./events');
+const { restaurantNow } = require('./availability');
+
+// ─── Inventory ────────────────────────────────────────────────
+// menu_items.stock_count is what is left today (null = not counted) and
+// sold_out is the kitchen's "86 it for today" switch. Both reset on the first
+// touch of a new day: sold_out clears and, if the item has a daily_stock,
+// stock_count goes back to it.
+//
+// Orders take stock inside their transaction (consumeStock) and give it back
+// if cancelled before the kitchen starts (releaseStock); routes then
+// publishStock() so open menus learn about it through a `menu-updated` event.
+
+class StockError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StockError';
+    }
+}
+
+// YYYY-MM-DD in the restaurant's timezone; stock "days" start at its midnight
+async function stockDay(restaurantId) {
+    return (await restaurantNow(restaurantId)).date;
+}
+
+const isAvailable = item => !item.sold_out && (item.stock_count === null || item.stock_count > 0);
+
+// Availability as clients see it
+function stockState(item) {
+    return { id: item.id, available: isAvailable(item), stock_count: item.stock_count, sold_out: item.sold_out ? 1 : 0 };
+}
+
+// An item's { stock_count, sold_out } on `today` (from stockDay), as if its
+// stock day had started — for readers that must not start it themselves
+function stockOnDay(item, today) {
+    if (item.stock_date === today) return { stock_count: item.stock_count, sold_out: item.sold_out };
+    return { stock_count: item.daily_stock !== null ? item.daily_stock : item.stock_count, sold_out: 0 };
+}
+
+// Starts a new stock day for the restaurant's items if it hasn't been yet →
+// ids of items whose stock changed. Orders and the staff stock routes call
+// this; the public menu only reads stockOnDay.
+async function restoreDailyStock(restaurantId) {
+    const tenantDb = db.forTenant(restaurantId);
+    const today = await stockDay(restaurantId);
+    const items = await tenantDb.from('menu_items')
+        .select('id', 'stock_count', 'daily_stock', 'sold_out', 'stock_date')
+        .where('active', 1)
+        .all();
+
+    const restored = [];
+    for (const item of items.filter(i => i.stock_date !== today)) {
+        const values = { stock_date: today, ...stockOnDay(item, today) };
+
+        // Conditional on stock_date, so two requests can't both restore (and
+        // the second undo what was sold in between)
+        const { changes } = await tenantDb.from('menu_items')
+            .where({ id: item.id, stock_date: item.stock_date })
+            .update(values);
+        if (changes && (item.sold_out || values.stock_count !== item.stock_count)) {
+            restored.push(item.id);
+        }
+    }
+    return restored;
+}
+
+// Takes the ordered quantities off tracked items; call inside the order's
+// transaction. Throws StockError when an item is sold out or short, unless
+// allowOversell (an order that is already paid for), which floors at zero.
+async function consumeStock(restaurantId, lines, { allowOversell = false } = {}) {
+    const tenantDb = db.forTenant(restaurantId);
+    const wanted = new Map();
+    lines.forEach(line => wanted.set(line.menu_item_id, (wanted.get(line.menu_item_id) || 0) + line.quantity));
+
+    for (const [menuItemId, quantity] of wanted) {
+        // Compare-and-set on the count read, retried if another order got there first
+        for (let attempt = 1; ; attempt++) {
+            const item = await tenantDb.from('menu_items')
+                .select('id', 'name', 'stock_count', 'sold_out')
+                .where('id', menuItemId)
+                .get();
+            if (!item) throw new StockError(`Menu item ${menuItemId} not found`);
+            if (!allowOversell) assertInStock(item, quantity);
+            if (item.stock_count === null) break;
+
+            const { changes } = await tenantDb.from('menu_items')
+                .where({ id: item.id, stock_count: item.stock_count })
+                .update({ stock_count: Math.max(item.stock_count - quantity, 0) });
+            if (changes) break;
+            if (attempt === 3) throw new StockError(`${item.name} is selling fast, please try again`);
+        }
+    }
+}
+
+// Puts cancelled lines back on tracked items — but only into the stock day
+// they were taken from (`day`); a later day has been counted afresh
+async function releaseStock(restaurantId, lines, day) {
+    const tenantDb = db.forTenant(restaurantId);
+    const returned = new Map();
+    lines.forEach(line => returned.set(line.menu_item_id, (returned.get(line.menu_item_id) || 0) + line.quantity));
+
+    for (const [menuItemId, quantity] of returned) {
+        for (let attempt = 1; attempt <= 3; attempt++) {
+            const item = await tenantDb.from('menu_items')
+                .select('id', 'stock_count', 'stock_date')
+                .where('id', menuItemId)
+                .get();
+            if (!item || item.stock_count === null || item.stock_date !== day) break;
+
+            const { changes } = await tenantDb.from('menu_items')
+                .where({ id: item.id, stock_count: item.stock_count, stock_date: day })
+                .update({ stock_count: item.stock_count + quantity });
+            if (changes) break;
+        }
+    }
+}
+
+function assertInStock(item, quantity) {
+    if (!isAvailable(item)) throw new StockError(`${item.name} is sold out`);
+    if (item.stock_count !== null && quantity > item.stock_count) {
+        throw new StockError(`Only ${item.stock_count} ${item.name} left`);
+    }
+}
+
+// Tells open menus the current stock of the given items. After an order only
+// counted or sold-out items matter; includeUntracked is for explicit changes
+// (an item back in stock with no count).
+async function publishStock(restaurantId, menuItemIds, { includeUntracked = false } = {}) {
+    const ids = [...new Set(menuItemIds)];
+    if (!ids.length) return;
+    const items = await db.forTenant(restaurantId).from('menu_items')
+        .select('id', 'stock_count', 'sold_out')
+        .whereIn('id', ids)
+        .all();
+    const changed = includeUntracked ? items : items.filter(item => item.stock_count !== null || item.sold_out);
+    if (!changed.length) return;
+
+    orderEvents.emit('menu-updated', {
+        restaurant_id: Number(restaurantId),
+        items: changed.map(stockState)
+    });
+}
+
+module.exports = {
+    StockError,
+    stockDay,
+    isAvailable,
+    stockState,
+    stockOnDay,
+    assertInStock,
+    restoreDailyStock,
+    consumeStock,
+    releaseStock,
+    publishStock
+};
@@ -0,0 +1,381 @@
+const db = require('../db');
+const { roundMoney } = require('./pricing');
+const { restaurantNow } = require('./availability');
+const { loadBillSettings, parseTaxes } = require('./billing');
+const { PdfDocument } = require('./pdf');
+
+// ─── GST invoices ─────────────────────────────────────────────
+// A settled bill gets a tax invoice; money given back gets a credit note
+// against it. Each kind is numbered per restaurant and Indian financial year
+// (April-March, in the restaurant's timezone) without gaps: the number is
+// taken in the transaction that writes the invoice, so a failed issue hands
+// it back. Numbers look like INV/26-27/00042 (CN/... for credit notes) —
+// at most 16 characters, as GST asks.
+// An invoice copies in the seller's details, its lines with HSN/SAC codes
+// and the order's bill when issued, and never changes after.
+
+const RESTAURANT_SAC = '996331'; // restaurant and food serving services
+const CREDIT_NOTE_PREFIX = 'CN';
+
+// State code, PAN, entity number, Z, check character
+const GSTIN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const INVOICE_PREFIX = /^[A-Z0-9]{1,4}$/;
+const HSN_SAC = /^\d{4,8}$/;
+
+class InvoiceError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvoiceError';
+    }
+}
+
+// 2026-10-18 → 2026-27
+function financialYear(date) {
+    const [year, month] = date.split('-').map(Number);
+    const start = month >= 4 ? year : year - 1;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+// The next number of a series; call inside the issuing transaction
+async function nextSequence(restaurantId, kind, year) {
+    const tenantDb = db.forTenant(restaurantId);
+    for (let attempt = 1; ; attempt++) {
+        const series = await tenantDb.from('invoice_sequences').where({ kind, financial_year: year }).get();
+        if (!series) {
+            // UNIQUE(restaurant_id, kind, financial_year) stops a second first
+            // invoice: that one goes round again and takes the next number
+            try {
+                await db.savepoint(() => tenantDb.from('invoice_sequences').insert({ kind, financial_year: year, last_number: 1 }));
+                return 1;
+            } catch (err) {
+                if (!db.isUniqueViolation(err)) throw err;
+                continue;
+            }
+        }
+        // Compare-and-set, as for stock: retried if another invoice got there first
+        const { changes } = await tenantDb.from('invoice_sequences')
+            .where({ id: series.id, last_number: series.last_number })
+            .update({ last_number: series.last_number + 1 });
+        if (changes) return series.last_number + 1;
+        if (attempt === 3) throw new InvoiceError('Invoice numbering is busy, please try again');
+    }
+}
+
+async function sellerDetails(restaurantId) {
+    const restaurant = await db.from('restaurants')
+        .select('name', 'legal_name', 'gstin', 'address', 'invoice_prefix')
+        .where('id', restaurantId)
+        .get();
+    return {
+        name: restaurant.name,
+        legal_name: restaurant.legal_name || restaurant.name,
+        gstin: restaurant.gstin || null,
+        state_code: restaurant.gstin ? restaurant.gstin.slice(0, 2) : null,
+        address: restaurant.address || '',
+        invoice_prefix: restaurant.invoice_prefix || 'INV'
+    };
+}
+
+// An order's items and charges as invoice lines
+async function invoiceLines(restaurantId, order) {
+    const settings = await loadBillSettings(restaurantId);
+    const hsnOf = taxClass => (taxClass && taxClass.hsn_sac) || RESTAURANT_SAC;
+
+    const items = await db.forTenant(restaurantId).from('order_items', 'oi')
+        .select('oi.item_name', 'oi.variant_name', 'oi.combo_name', 'oi.quantity', 'oi.price_at_order', 'oi.tax_rate', 'oi.discount', 'mi.tax_class_id')
+        .leftJoin('menu_items', 'mi', 'mi.id', 'oi.menu_item_id')
+        .where({ 'oi.order_id': order.id, 'oi.cancelled': 0 })
+        .orderBy('oi.id')
+        .all();
+    const lines = items.map(item => {
+        const taxable = roundMoney(item.price_at_order * item.quantity - (item.discount || 0));
+        const name = item.variant_name && !item.item_name.includes(`(${item.variant_name})`)
+            ? `${item.item_name} (${item.variant_name})`
+            : item.item_name;
+        return {
+            description: item.combo_name ? `${item.combo_name}: ${name}` : name,
+            hsn_sac: hsnOf(settings.classes.get(item.tax_class_id) || settings.defaultClass),
+            quantity: item.quantity,
+            rate: item.price_at_order,
+            discount: item.discount || 0,
+            taxable,
+            tax_rate: item.tax_rate || 0,
+            tax: roundMoney(taxable * (item.tax_rate || 0) / 100)
+        };
+    });
+
+    // Charges were taxed at the default class (see utils/billing.js)
+    const chargeRate = settings.defaultClass ? settings.defaultClass.rate : 0;
+    const charge = (description, amount) => lines.push({
+        description,
+        hsn_sac: hsnOf(settings.defaultClass),
+        quantity: 1,
+        rate: amount,
+        discount: 0,
+        taxable: amount,
+        tax_rate: chargeRate,
+        tax: roundMoney(amount * chargeRate / 100)
+    });
+    if (order.service_charge > 0) charge('Service charge', order.service_charge);
+    if (order.packaging_charge > 0) charge('Packaging', order.packaging_charge);
+    return lines;
+}
+
+async function insertInvoice(restaurantId, kind, values, at) {
+    const seller = await sellerDetails(restaurantId);
+    const date = (await restaurantNow(restaurantId, at)).date;
+    const year = financialYear(date);
+    const sequence = await nextSequence(restaurantId, kind, year);
+    const prefix = kind === 'invoice' ? seller.invoice_prefix : CREDIT_NOTE_PREFIX;
+
+    const tenantDb = db.forTenant(restaurantId);
+    const result = await tenantDb.from('invoices').insert({
+        kind,
+        number: `${prefix}/${year.slice(2)}/${String(sequence).padStart(5, '0')}`,
+        financial_year: year,
+        sequence,
+        invoice_date: date,
+        seller: JSON.stringify(seller),
+        ...values,
+        lines: JSON.stringify(values.lines),
+        taxes: JSON.stringify(values.taxes)
+    });
+    return parseInvoice(await tenantDb.from('invoices').where('id', result.lastInsertRowid).get());
+}
+
+// The tax invoice of a settled order → the invoice (the existing one if
+// the order already has it). Call in the transaction that settles it.
+const issueInvoice = db.transaction(async (restaurantId, orderId, { paymentId = null, at = new Date() } = {}) => {
+    const tenantDb = db.forTenant(restaurantId);
+    const existing = await tenantDb.from('invoices').where({ order_id: orderId, kind: 'invoice' }).get();
+    if (existing) return parseInvoice(existing);
+
+    const order = await tenantDb.from('orders').where('id', orderId).get();
+    if (!order) throw new InvoiceError('Order not found');
+
+    return insertInvoice(restaurantId, 'invoice', {
+        order_id: order.id,
+        payment_id: paymentId,
+        lines: await invoiceLines(restaurantId, order),
+        taxes: parseTaxes(order.taxes),
+        subtotal: order.subtotal ?? order.total_amount,
+        discount_amount: order.discount_amount || 0,
+        service_charge: order.service_charge || 0,
+        packaging_charge: order.packaging_charge || 0,
+        tax_amount: order.tax_amount || 0,
+        round_off: order.round_off || 0,
+        total_amount: order.total_amount
+    }, at);
+});
+
+// What is left to credit on an invoice
+async function creditable(restaurantId, invoice) {
+    const credited = await db.forTenant(restaurantId).from('invoices')
+        .sum('total_amount', 'total')
+        .where({ invoice_id: invoice.id, kind: 'credit_note' })
+        .get();
+    return roundMoney(invoice.total_amount - (credited.total || 0));
+}
+
+// A credit note against an invoice for `amount` (default: all that is left
+// of it), e.g. for a refund. A part credit takes the same share of every
+// line and tax; round-off makes up the last paisa.
+const issueCreditNote = db.transaction(async (restaurantId, invoiceId, { amount = null, reason = '', paymentId = null, at = new Date() } = {}) => {
+    const invoice = await db.forTenant(restaurantId).from('invoices').where({ id: invoiceId, kind: 'invoice' }).get();
+    if (!invoice) throw new InvoiceError('Invoice not found');
+
+    const left = await creditable(restaurantId, invoice);
+    if (left <= 0) throw new InvoiceError(`${invoice.number} has already been fully credited`);
+    const total = amount === null ? left : roundMoney(amount);
+    if (!(total > 0) || total > left) throw new InvoiceError(`The credit must be more than ₹0 and at most ₹${left}`);
+
+    const share = total / invoice.total_amount;
+    const part = value => roundMoney(value * share);
+    const whole = total === invoice.total_amount;
+    const lines = JSON.parse(invoice.lines).map(line => (whole ? line : {
+        ...line,
+        rate: null,
+        discount: part(line.discount),
+        taxable: part(line.taxable),
+        tax: part(line.tax)
+    }));
+    const taxes = parseTaxes(invoice.taxes).map(tax => ({ ...tax, taxable: part(tax.taxable), amount: part(tax.amount) }));
+
+    const values = {
+        order_id: invoice.order_id,
+        payment_id: paymentId,
+        invoice_id: invoice.id,
+        reason: typeof reason === 'string' ? reason.trim().slice(0, 200) : '',
+        lines,
+        taxes,
+        subtotal: part(invoice.subtotal),
+        discount_amount: part(invoice.discount_amount),
+        service_charge: part(invoice.service_charge),
+        packaging_charge: part(invoice.packaging_charge),
+        tax_amount: roundMoney(taxes.reduce((sum, tax) => sum + tax.amount, 0)),
+        total_amount: total
+    };
+    values.round_off = roundMoney(total - (values.subtotal - values.discount_amount + values.service_charge +
+        values.packaging_charge + values.tax_amount));
+    return insertInvoice(restaurantId, 'credit_note', values, at);
+});
+
+function parseInvoice(row) {
+    if (!row) return null;
+    return {
+        ...row,
+        seller: JSON.parse(row.seller),
+        lines: JSON.parse(row.lines),
+        taxes: parseTaxes(row.taxes)
+    };
+}
+
+// ─── Printing ─────────────────────────────────────────────────
+
+const money = value => Number(value || 0).toFixed(2);
+
+function invoiceTitle(invoice) {
+    if (invoice.kind === 'credit_note') return 'Credit Note';
+    return invoice.seller.gstin ? 'Tax Invoice' : 'Invoice';
+}
+
+// Label/amount rows under the lines
+function totalRows(invoice) {
+    const rows = [['Subtotal', invoice.subtotal]];
+    if (invoice.discount_amount) rows.push(['Discount', -invoice.discount_amount]);
+    if (invoice.service_charge) rows.push(['Service charge', invoice.service_charge]);
+    if (invoice.packaging_charge) rows.push(['Packaging', invoice.packaging_charge]);
+    invoice.taxes.forEach(tax => rows.push([`${tax.name} @ ${tax.rate}%`, tax.amount]));
+    if (invoice.round_off) rows.push(['Round off', invoice.round_off]);
+    return rows;
+}
+
+// invoice: from parseInvoice, with order (table_number) and, for a credit
+// note, original (the invoice it credits)
+function headerRows(invoice) {
+    const rows = [
+        [invoice.kind === 'credit_note' ? 'Credit note no.' : 'Invoice no.', invoice.number],
+        ['Date', invoice.invoice_date],
+        ['Order', `#${invoice.order_id}${invoice.table_number ? ` · Table ${invoice.table_number}` : ''}`]
+    ];
+    if (invoice.seller.state_code) rows.push(['Place of supply', invoice.seller.state_code]);
+    if (invoice.original) rows.push(['Against invoice', `${invoice.original.number} of ${invoice.original.invoice_date}`]);
+    if (invoice.reason) rows.push(['Reason', invoice.reason]);
+    return rows;
+}
+
+function invoicePdf(invoice) {
+    const doc = new PdfDocument();
+    const width = doc.columns();
+    const cell = (value, size, right = false) => {
+        const text = String(value).slice(0, size);
+        return right ? text.padStart(size) : text.padEnd(size);
+    };
+    const pair = (label, value) => `${label}${' '.repeat(Math.max(1, width - label.length - value.length))}${value}`;
+
+    doc.text(invoiceTitle(invoice).toUpperCase(), { bold: true, size: 14 });
+    doc.space(4);
+    doc.text(invoice.seller.legal_name, { bold: true });
+    invoice.seller.address.split('\n').filter(Boolean).forEach(line => doc.text(line));
+    if (invoice.seller.gstin) doc.text(`GSTIN ${invoice.seller.gstin}`);
+    doc.space(4);
+    headerRows(invoice).forEach(([label, value]) => doc.text(`${cell(label, 18)}${value}`));
+    doc.rule();
+
+    const columns = [['#', 3], ['Description', 30, false], ['HSN/SAC', 8], ['Qty', 4, true], ['Rate', 9, true],
+        ['Disc', 8, true], ['Taxable', 10, true], ['GST%', 6, true], ['GST', 9, true]];
+    const row = values => values.map((value, i) => cell(value, columns[i][1], columns[i][2])).join(' ');
+    doc.text(row(columns.map(c => c[0])), { bold: true });
+    doc.rule();
+    invoice.lines.forEach((line, i) => doc.text(row([
+        i + 1, line.description, line.hsn_sac, line.quantity, line.rate === null ? '-' : money(line.rate),
+        line.discount ? money(line.discount) : '', money(line.taxable), line.tax_rate, money(line.tax)
+    ])));
+    doc.rule();
+
+    totalRows(invoice).forEach(([label, amount]) => doc.text(pair(label, money(amount))));
+    doc.text(pair(invoice.kind === 'credit_note' ? 'Total credited' : 'Total', `Rs. ${money(invoice.total_amount)}`), { bold: true });
+    doc.space(12);
+    doc.text(`${invoice.seller.name} · Thank you for dining with us`);
+    return doc.toBuffer();
+}
+
+const escapeHtml = value => String(value ?? '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[c]);
+
+function invoiceHtml(invoice) {
+    const e = escapeHtml;
+    const title = `${invoiceTitle(invoice)} ${invoice.number}`;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${e(title)}</title>
+<style>
+  body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #222; max-width: 800px; margin: 24px auto; padding: 0 16px; font-size: 13px; }
+  h1 { font-size: 20px; margin: 0 0 12px; text-transform: uppercase; letter-spacing: 1px; }
+  .seller { margin-bottom: 12px; }
+  .seller strong { font-size: 15px; }
+  .meta td { padding: 2px 16px 2px 0; }
+  table.lines { width: 100%; border-collapse: collapse; margin: 16px 0; }
+  table.lines th, table.lines td { border-bottom: 1px solid #ddd; padding: 6px 4px; text-align: right; }
+  table.lines th:nth-child(-n+3), table.lines td:nth-child(-n+3) { text-align: left; }
+  table.totals { margin-left: auto; border-collapse: collapse; }
+  table.totals td { padding: 3px 0 3px 24px; text-align: right; }
+  table.totals tr.grand td { font-weight: 700; font-size: 15px; border-top: 2px solid #222; padding-top: 6px; }
+  .footer { margin-top: 24px; color: #777; }
+  .actions { margin-bottom: 16px; }
+  @media print { .actions { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+  <div class="actions"><button onclick="window.print()">🖨️ Print</button></div>
+  <h1>${e(invoiceTitle(invoice))}</h1>
+  <div class="seller">
+    <strong>${e(invoice.seller.legal_name)}</strong><br>
+    ${invoice.seller.address ? `${e(invoice.seller.address).replace(/\n/g, '<br>')}<br>` : ''}
+    ${invoice.seller.gstin ? `GSTIN ${e(invoice.seller.gstin)}` : ''}
+  </div>
+  <table class="meta">
+    ${headerRows(invoice).map(([label, value]) => `<tr><td>${e(label)}</td><td><strong>${e(value)}</strong></td></tr>`).join('')}
+  </table>
+  <table class="lines">
+    <thead>
+      <tr><th>#</th><th>Description</th><th>HSN/SAC</th><th>Qty</th><th>Rate</th><th>Discount</th><th>Taxable</th><th>GST</th><th>GST ₹</th></tr>
+    </thead>
+    <tbody>
+      ${invoice.lines.map((line, i) => `
+      <tr>
+        <td>${i + 1}</td><td>${e(line.description)}</td><td>${e(line.hsn_sac)}</td><td>${line.quantity}</td>
+        <td>${line.rate === null ? '-' : money(line.rate)}</td><td>${line.discount ? money(line.discount) : ''}</td>
+        <td>${money(line.taxable)}</td><td>${line.tax_rate}%</td><td>${money(line.tax)}</td>
+      </tr>`).join('')}
+    </tbody>
+  </table>
+  <table class="totals">
+    ${totalRows(invoice).map(([label, amount]) => `<tr><td>${e(label)}</td><td>${money(amount)}</td></tr>`).join('')}
+    <tr class="grand"><td>${invoice.kind === 'credit_note' ? 'Total credited' : 'Total'}</td><td>₹${money(invoice.total_amount)}</td></tr>
+  </table>
+  <div class="footer">${e(invoice.seller.name)} · Thank you for dining with us</div>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    RESTAURANT_SAC,
+    GSTIN,
+    INVOICE_PREFIX,
+    HSN_SAC,
+    InvoiceError,
+    financialYear,
+    nextSequence,
+    issueInvoice,
+    issueCreditNote,
+    creditable,
+    parseInvoice,
+    invoicePdf,
+    invoiceHtml
+};
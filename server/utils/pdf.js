@@ -0,0 +1,93 @@
+// ─── PDF writer ───────────────────────────────────────────────
+// Just enough PDF for printable documents without a dependency: A4 pages of
+// Courier text and horizontal rules. Every Courier glyph is 0.6 em wide, so
+// columns line up by padding strings to `columns(size)` characters. Text is
+// WinAnsi (Latin-1); ₹ becomes "Rs." and other characters "?".
+
+const PAGE = { width: 595, height: 842, margin: 40 };
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+function encodeText(text) {
+    return String(text)
+        .replace(/₹/g, 'Rs.')
+        .replace(/[–—]/g, '-')
+        .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+        .replace(/([\\()])/g, '\\$1');
+}
+
+class PdfDocument {
+    constructor({ size = 9 } = {}) {
+        this.size = size;
+        this.pages = [];
+        this.addPage();
+    }
+
+    // Characters that fit on a line at a font size
+    columns(size = this.size) {
+        return Math.floor((PAGE.width - 2 * PAGE.margin) / (size * 0.6));
+    }
+
+    addPage() {
+        this.page = [];
+        this.pages.push(this.page);
+        this.y = PAGE.height - PAGE.margin;
+    }
+
+    // Moves down, starting a new page when the line would not fit
+    advance(height) {
+        if (this.y - height < PAGE.margin) this.addPage();
+        this.y -= height;
+    }
+
+    text(line, { bold = false, size = this.size } = {}) {
+        this.advance(size * 1.4);
+        this.page.push(`BT /${bold ? FONTS.bold : FONTS.regular} ${size} Tf ${PAGE.margin} ${this.y.toFixed(2)} Td (${encodeText(line)}) Tj ET`);
+        return this;
+    }
+
+    rule() {
+        this.advance(5);
+        this.page.push(`0.5 w ${PAGE.margin} ${this.y.toFixed(2)} m ${PAGE.width - PAGE.margin} ${this.y.toFixed(2)} l S`);
+        this.advance(2);
+        return this;
+    }
+
+    space(height = this.size) {
+        this.advance(height);
+        return this;
+    }
+
+    // → Buffer holding the finished file
+    toBuffer() {
+        const objects = [];
+        const add = body => objects.push(body); // → the object's number
+
+        const catalog = add(null);
+        const pages = add(null);
+        const font = name => add(`<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`);
+        const fonts = `<< /${FONTS.regular} ${font('Courier')} 0 R /${FONTS.bold} ${font('Courier-Bold')} 0 R >>`;
+
+        const kids = this.pages.map(content => {
+            const stream = content.join('\n');
+            const contents = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+            return add(`<< /Type /Page /Parent ${pages} 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] ` +
+                `/Resources << /Font ${fonts} >> /Contents ${contents} 0 R >>`);
+        });
+        objects[catalog - 1] = `<< /Type /Catalog /Pages ${pages} 0 R >>`;
+        objects[pages - 1] = `<< /Type /Pages /Kids [${kids.map(id => `${id} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+        let out = '%PDF-1.4\n';
+        const offsets = objects.map((body, i) => {
+            const offset = Buffer.byteLength(out, 'latin1');
+            out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+        const xref = Buffer.byteLength(out, 'latin1');
+        out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        out += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+        return Buffer.from(out, 'latin1');
+    }
+}
+
+module.exports = { PdfDocument };
@@ -0,0 +1,433 @@
+const crypto = require('crypto');
+const db = require('../db');
+const { isAvailable, stockDay, stockOnDay, assertInStock, restoreDailyStock } = require('./inventory');
+const { restaurantNow, isScheduled } = require('./availability');
+const { loadActiveRules, ruleFor } = require('./promotions');
+
+// ─── Server-side pricing ──────────────────────────────────────
+// Every route that takes a cart (order create, add-items, prepaid payment)
+// prices it here from the database; prices sent by the client are ignored.
+//
+// A cart line is { menu_item_id, variant_id, quantity, notes, modifiers: [option ids] }.
+// It becomes an order line whose price_at_order is the unit price (the
+// variant's price, if the item has variants) including modifier deltas, with
+// the chosen variant and modifiers snapshotted for the kitchen. A price rule
+// that is on (see promotions.js) lowers that price; the line keeps the
+// list_price it had before. Combo lines are described at priceOrderItems.
+
+const MAX_QUANTITY = 99;
+
+class PricingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PricingError';
+    }
+}
+
+const roundMoney = amount => Math.round(amount * 100) / 100;
+
+const isId = value => (typeof value === 'number' || typeof value === 'string') && /^\d+$/.test(String(value));
+
+// menu_item_id → [{ id, name, min_select, max_select, options: [...] }] for
+// the given items, or every item of the restaurant when menuItemIds is null
+async function loadModifierGroups(restaurantId, menuItemIds = null) {
+    const tenantDb = db.forTenant(restaurantId);
+    const byItem = new Map();
+    if (menuItemIds && !menuItemIds.length) return byItem;
+
+    const groupQuery = tenantDb.from('modifier_groups')
+        .select('id', 'menu_item_id', 'name', 'min_select', 'max_select', 'sort_order');
+    if (menuItemIds) groupQuery.whereIn('menu_item_id', menuItemIds);
+    const groups = await groupQuery.orderBy('sort_order').orderBy('id').all();
+    if (!groups.length) return byItem;
+
+    const options = await tenantDb.from('modifier_options')
+        .select('id', 'group_id', 'name', 'price_delta', 'is_default', 'sort_order')
+        .whereIn('group_id', groups.map(g => g.id))
+        .where('active', 1)
+        .orderBy('sort_order')
+        .orderBy('id')
+        .all();
+
+    for (const group of groups) {
+        if (!byItem.has(group.menu_item_id)) byItem.set(group.menu_item_id, []);
+        byItem.get(group.menu_item_id).push({
+            ...group,
+            options: options.filter(o => o.group_id === group.id)
+        });
+    }
+    return byItem;
+}
+
+// menu_item_id → active variants [{ id, name, price, sku, is_default }], for the
+// given items or every item of the restaurant when menuItemIds is null
+async function loadVariants(restaurantId, menuItemIds = null) {
+    const byItem = new Map();
+    if (menuItemIds && !menuItemIds.length) return byItem;
+
+    const query = db.forTenant(restaurantId).from('menu_item_variants')
+        .select('id', 'menu_item_id', 'name', 'price', 'sku', 'is_default', 'sort_order')
+        .where('active', 1);
+    if (menuItemIds) query.whereIn('menu_item_id', menuItemIds);
+    const variants = await query.orderBy('sort_order').orderBy('id').all();
+
+    for (const variant of variants) {
+        if (!byItem.has(variant.menu_item_id)) byItem.set(variant.menu_item_id, []);
+        byItem.get(variant.menu_item_id).push(variant);
+    }
+    return byItem;
+}
+
+// Items with variants must be ordered as one of them; without a variant_id the
+// item's default variant is used. → variant or null
+function chooseVariant(menuItem, variants, variantId) {
+    const none = variantId === undefined || variantId === null;
+    if (!none && !isId(variantId)) throw new PricingError(`Invalid variant for ${menuItem.name}`);
+
+    if (!variants.length) {
+        if (!none) throw new PricingError(`${menuItem.name} has no variants`);
+        return null;
+    }
+    const variant = none
+        ? variants.find(v => v.is_default)
+        : variants.find(v => v.id === Number(variantId));
+    if (!variant) {
+        throw new PricingError(none
+            ? `Choose a size for ${menuItem.name}`
+            : `Variant ${variantId} is not available for ${menuItem.name}`);
+    }
+    return variant;
+}
+
+// Checks the selection against the item's groups → [{ group, option, price_delta }]
+function chooseModifiers(menuItem, groups, selected) {
+    if (selected === undefined || selected === null) selected = [];
+    if (!Array.isArray(selected) || !selected.every(isId)) {
+        throw new PricingError(`Invalid modifiers for ${menuItem.name}`);
+    }
+    const ids = selected.map(Number);
+    if (new Set(ids).size !== ids.length) {
+        throw new PricingError(`Duplicate modifiers for ${menuItem.name}`);
+    }
+
+    const chosen = [];
+    const known = new Set();
+    for (const group of groups) {
+        const picked = group.options.filter(o => ids.includes(o.id));
+        group.options.forEach(o => known.add(o.id));
+
+        if (picked.length < group.min_select) {
+            throw new PricingError(`Choose at least ${group.min_select} for "${group.name}" on ${menuItem.name}`);
+        }
+        if (picked.length > group.max_select) {
+            throw new PricingError(`Choose at most ${group.max_select} for "${group.name}" on ${menuItem.name}`);
+        }
+        picked.forEach(o => chosen.push({ group: group.name, option: o.name, price_delta: o.price_delta }));
+    }
+
+    const unknown = ids.find(id => !known.has(id));
+    if (unknown !== undefined) {
+        throw new PricingError(`Modifier ${unknown} is not available for ${menuItem.name}`);
+    }
+    return chosen;
+}
+
+// combo id → { ..., slots: [{ id, name, options: [...] }] }, for the given
+// combos or every active combo of the restaurant when comboIds is null.
+// Options whose menu item (or variant) is inactive are left out; `available`
+// is the item's stock as of today's stock day.
+async function loadCombos(restaurantId, comboIds = null) {
+    const tenantDb = db.forTenant(restaurantId);
+    const byId = new Map();
+    if (comboIds && !comboIds.length) return byId;
+
+    const comboQuery = tenantDb.from('combos')
+        .select('id', 'category_id', 'name', 'description', 'price', 'image_url', 'is_veg', 'active', 'sort_order');
+    if (comboIds) comboQuery.whereIn('id', comboIds);
+    else comboQuery.where('active', 1);
+    const combos = await comboQuery.orderBy('sort_order').orderBy('id').all();
+    if (!combos.length) return byId;
+
+    const slots = await tenantDb.from('combo_slots')
+        .select('id', 'combo_id', 'name')
+        .whereIn('combo_id', combos.map(c => c.id))
+        .orderBy('sort_order')
+        .orderBy('id')
+        .all();
+    const options = slots.length
+        ? await tenantDb.from('combo_slot_options', 'o')
+            .select('o.id', 'o.slot_id', 'o.menu_item_id', 'o.variant_id', 'o.price_delta', 'o.is_default',
+                'mi.name as item_name', 'mi.price as item_price', 'mi.active as item_active',
+                'mi.stock_count as item_stock_count', 'mi.sold_out as item_sold_out',
+                'mi.daily_stock as item_daily_stock', 'mi.stock_date as item_stock_date',
+                'v.name as variant_name', 'v.price as variant_price', 'v.active as variant_active')
+            .join('menu_items', 'mi', 'mi.id', 'o.menu_item_id')
+            .leftJoin('menu_item_variants', 'v', 'v.id', 'o.variant_id')
+            .whereIn('o.slot_id', slots.map(s => s.id))
+            .orderBy('o.sort_order')
+            .orderBy('o.id')
+            .all()
+        : [];
+    const today = options.length ? await stockDay(restaurantId) : null;
+
+    for (const combo of combos) {
+        byId.set(combo.id, {
+            ...combo,
+            slots: slots.filter(s => s.combo_id === combo.id).map(slot => ({
+                id: slot.id,
+                name: slot.name,
+                options: options
+                    .filter(o => o.slot_id === slot.id && o.item_active && (!o.variant_id || o.variant_active))
+                    .map(o => ({
+                        id: o.id,
+                        menu_item_id: o.menu_item_id,
+                        variant_id: o.variant_id,
+                        name: o.variant_id ? `${o.item_name} (${o.variant_name})` : o.item_name,
+                        variant_name: o.variant_name,
+                        list_price: o.variant_id ? o.variant_price : o.item_price,
+                        price_delta: o.price_delta,
+                        is_default: o.is_default,
+                        available: isAvailable(stockOnDay({
+                            stock_count: o.item_stock_count,
+                            sold_out: o.item_sold_out,
+                            daily_stock: o.item_daily_stock,
+                            stock_date: o.item_stock_date
+                        }, today))
+                    }))
+            }))
+        });
+    }
+    return byId;
+}
+
+// One option per slot: the chosen one, else the slot's default (or its only option)
+function chooseComboOptions(combo, selected) {
+    if (selected === undefined || selected === null) selected = [];
+    if (!Array.isArray(selected) || !selected.every(isId)) {
+        throw new PricingError(`Invalid choices for ${combo.name}`);
+    }
+    const ids = selected.map(Number);
+
+    const chosen = combo.slots.map(slot => {
+        const picked = slot.options.filter(o => ids.includes(o.id));
+        if (picked.length > 1) throw new PricingError(`Choose one ${slot.name} for ${combo.name}`);
+        const option = picked[0]
+            || slot.options.find(o => o.is_default)
+            || (slot.options.length === 1 ? slot.options[0] : null);
+        if (!option) {
+            throw new PricingError(slot.options.length
+                ? `Choose ${slot.name} for ${combo.name}`
+                : `${combo.name} is not available right now`);
+        }
+        return option;
+    });
+
+    const known = new Set(combo.slots.flatMap(slot => slot.options.map(o => o.id)));
+    const unknown = ids.find(id => !known.has(id));
+    if (unknown !== undefined) throw new PricingError(`Choice ${unknown} is not available for ${combo.name}`);
+    return chosen;
+}
+
+// Splits a combo's unit price over its components in proportion to their
+// list prices, in paise so the shares add up exactly
+function allocateComboPrice(unitPrice, components) {
+    const totalPaise = Math.round(unitPrice * 100);
+    const weights = components.map(c => Math.max(c.list_price, 0));
+    const weightSum = weights.reduce((sum, w) => sum + w, 0);
+
+    let allocated = 0;
+    return components.map((component, i) => {
+        if (i === components.length - 1) return (totalPaise - allocated) / 100;
+        const share = weightSum > 0
+            ? Math.floor(totalPaise * weights[i] / weightSum)
+            : Math.floor(totalPaise / components.length);
+        allocated += share;
+        return share / 100;
+    });
+}
+
+// Unit price under a percent or amount rule; bogo works on whole lines
+function offerPrice(rule, price) {
+    if (!rule || rule.kind === 'bogo') return price;
+    const off = rule.kind === 'percent' ? price * rule.value / 100 : rule.value;
+    return roundMoney(Math.max(0, price - off));
+}
+
+// A menu item line under its rule → one line, or for buy-one-get-one a paid
+// line and a free one carrying the rule
+function applyRule(line, rule) {
+    if (!rule) return [line];
+    const ruled = { ...line, price_rule_id: rule.id, price_rule_name: rule.name };
+    if (rule.kind !== 'bogo') {
+        const price = offerPrice(rule, line.list_price);
+        return price < line.list_price ? [{ ...ruled, price_at_order: price }] : [line];
+    }
+
+    const free = Math.floor(line.quantity / 2);
+    if (!free) return [line];
+    return [
+        { ...line, quantity: line.quantity - free },
+        { ...ruled, quantity: free, price_at_order: 0, notes: '' }
+    ];
+}
+
+// Combo components go to the kitchen with the defaults of any required
+// modifier groups, at no extra charge
+function defaultModifiers(groups) {
+    return groups
+        .filter(g => g.min_select > 0)
+        .flatMap(g => g.options.filter(o => o.is_default).slice(0, g.max_select)
+            .map(o => ({ group: g.name, option: o.name, price_delta: 0 })));
+}
+
+// Prices a cart for one restaurant → { total, lines } or throws PricingError
+// (StockError when something is sold out, unless checkStock is false; items
+// outside their availability schedule are refused unless checkSchedule is false).
+// Schedules and price rules are taken as of `at`.
+// A cart line is either a menu item or { combo_id, quantity, notes, choices:
+// [combo option ids] }; a combo becomes one order line per component.
+async function priceOrderItems(restaurantId, items, { checkStock = true, checkSchedule = true, at = new Date() } = {}) {
+    if (!Array.isArray(items) || !items.length) {
+        throw new PricingError('At least one item is required');
+    }
+
+    for (const item of items) {
+        if (!item || !(isId(item.menu_item_id) || isId(item.combo_id))) {
+            throw new PricingError('Every item needs a menu_item_id or combo_id');
+        }
+        const qty = item.quantity === undefined ? 1 : item.quantity;
+        if (!Number.isInteger(qty) || qty < 1 || qty > MAX_QUANTITY) {
+            throw new PricingError(`Invalid quantity for item ${item.menu_item_id ?? `combo ${item.combo_id}`}`);
+        }
+    }
+
+    if (checkStock) await restoreDailyStock(restaurantId);
+
+    const comboIds = [...new Set(items.filter(i => isId(i.combo_id)).map(i => Number(i.combo_id)))];
+    const combos = await loadCombos(restaurantId, comboIds);
+
+    const tenantDb = db.forTenant(restaurantId);
+    const itemIds = [...new Set(items.filter(i => !isId(i.combo_id)).map(i => Number(i.menu_item_id)))];
+    const componentIds = [...combos.values()].flatMap(c => c.slots.flatMap(s => s.options.map(o => o.menu_item_id)));
+    const allIds = [...new Set([...itemIds, ...componentIds])];
+    const menuItems = allIds.length
+        ? await tenantDb.from('menu_items')
+            .select('id', 'category_id', 'name', 'price', 'stock_count', 'sold_out', 'availability')
+            .whereIn('id', allIds)
+            .where('active', 1)
+            .all()
+        : [];
+    const groupsByItem = await loadModifierGroups(restaurantId, allIds);
+    const variantsByItem = await loadVariants(restaurantId, allIds);
+    const local = await restaurantNow(restaurantId, at);
+    const rules = await loadActiveRules(restaurantId, local);
+
+    let total = 0;
+    const lines = [];
+    for (const item of items) {
+        const quantity = item.quantity === undefined ? 1 : item.quantity;
+
+        if (isId(item.combo_id)) {
+            const combo = combos.get(Number(item.combo_id));
+            if (!combo || !combo.active) throw new PricingError(`Combo ${item.combo_id} not found or inactive`);
+
+            const components = chooseComboOptions(combo, item.choices);
+            const unitPrice = roundMoney(components.reduce((sum, c) => sum + c.price_delta, combo.price));
+            if (unitPrice < 0) throw new PricingError(`Choices make ${combo.name} cost less than nothing`);
+
+            // An option without a fixed variant is served as the item's default size
+            const resolved = components.map(component => {
+                const menuItem = menuItems.find(m => m.id === component.menu_item_id);
+                const variant = component.variant_id
+                    ? { id: component.variant_id, name: component.variant_name, price: component.list_price }
+                    : chooseVariant(menuItem, variantsByItem.get(menuItem.id) || [], null);
+                return {
+                    menuItem,
+                    variant,
+                    list_price: variant ? variant.price : menuItem.price
+                };
+            });
+            const shares = allocateComboPrice(unitPrice, resolved);
+            const comboRef = crypto.randomUUID();
+
+            total += unitPrice * quantity;
+            resolved.forEach(({ menuItem, variant }, i) => lines.push({
+                menu_item_id: menuItem.id,
+                item_name: variant ? `${menuItem.name} (${variant.name})` : menuItem.name,
+                variant_id: variant ? variant.id : null,
+                variant_name: variant ? variant.name : null,
+                quantity,
+                list_price: shares[i],
+                price_at_order: shares[i],
+                price_rule_id: null,
+                price_rule_name: null,
+                notes: i === 0 ? item.notes || '' : '',
+                modifiers: defaultModifiers(groupsByItem.get(menuItem.id) || []),
+                combo_id: combo.id,
+                combo_name: combo.name,
+                combo_ref: comboRef
+            }));
+            continue;
+        }
+
+        const menuItem = menuItems.find(m => m.id === Number(item.menu_item_id));
+        if (!menuItem) throw new PricingError(`Menu item ${item.menu_item_id} not found or inactive`);
+
+        const variant = chooseVariant(menuItem, variantsByItem.get(menuItem.id) || [], item.variant_id);
+        const modifiers = chooseModifiers(menuItem, groupsByItem.get(menuItem.id) || [], item.modifiers);
+        const basePrice = variant ? variant.price : menuItem.price;
+        const unitPrice = roundMoney(modifiers.reduce((sum, m) => sum + m.price_delta, basePrice));
+        if (unitPrice < 0) throw new PricingError(`Modifiers make ${menuItem.name} cost less than nothing`);
+
+        const priced = applyRule({
+            menu_item_id: menuItem.id,
+            item_name: variant ? `${menuItem.name} (${variant.name})` : menuItem.name,
+            variant_id: variant ? variant.id : null,
+            variant_name: variant ? variant.name : null,
+            quantity,
+            list_price: unitPrice,
+            price_at_order: unitPrice,
+            price_rule_id: null,
+            price_rule_name: null,
+            notes: item.notes || '',
+            modifiers
+        }, ruleFor(rules, menuItem));
+        priced.forEach(line => { total += line.price_at_order * line.quantity; });
+        lines.push(...priced);
+    }
+
+    // Enforced here too, so a cart loaded before the window closed can't order it
+    if (checkSchedule) {
+        const ordered = [...new Set(lines.map(line => line.menu_item_id))].map(id => menuItems.find(m => m.id === id));
+        const categories = await tenantDb.from('menu_categories')
+            .select('id', 'availability')
+            .whereIn('id', [...new Set(ordered.map(m => m.category_id))])
+            .all();
+        for (const menuItem of ordered) {
+            const category = categories.find(c => c.id === menuItem.category_id);
+            if (!isScheduled(menuItem.availability, local) || (category && !isScheduled(category.availability, local))) {
+                throw new PricingError(`${menuItem.name} is not available right now`);
+            }
+        }
+    }
+
+    if (checkStock) {
+        const wanted = new Map();
+        lines.forEach(line => wanted.set(line.menu_item_id, (wanted.get(line.menu_item_id) || 0) + line.quantity));
+        wanted.forEach((quantity, menuItemId) => assertInStock(menuItems.find(m => m.id === menuItemId), quantity));
+    }
+
+    return { total: roundMoney(total), lines };
+}
+
+module.exports = {
+    PricingError,
+    priceOrderItems,
+    loadModifierGroups,
+    loadVariants,
+    loadCombos,
+    roundMoney,
+    offerPrice,
+    applyRule,
+    allocateComboPrice
+};
@@ -0,0 +1,105 @@
+const db = require('../db');
+const { ScheduleError, validateSchedule, parseSchedule, isScheduled } = require('./availability');
+
+// ─── Price rules ──────────────────────────────────────────────
+// Happy hours and other scheduled offers. A rule targets one item, one
+// category or (neither) the whole menu, runs on an availability schedule
+// and takes one of these forms:
+//   percent  value % off the unit price
+//   amount   value ₹ off the unit price
+//   bogo     buy one get one: every second unit of a cart line is free
+// When several rules are on at once the most specific wins (item, then
+// category, then the whole menu) and, among equals, the oldest. Combos keep
+// their bundle price. pricing.js applies the rules; order lines keep the
+// list price next to the charged one.
+
+const RULE_KINDS = ['percent', 'amount', 'bogo'];
+
+class RuleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RuleError';
+    }
+}
+
+const specificity = rule => (rule.menu_item_id ? 0 : rule.category_id ? 1 : 2);
+
+// Rules on at `local` (from localNow), best first
+async function loadActiveRules(restaurantId, local) {
+    const rules = await db.forTenant(restaurantId).from('price_rules')
+        .select('id', 'name', 'kind', 'value', 'category_id', 'menu_item_id', 'availability')
+        .where('active', 1)
+        .orderBy('id')
+        .all();
+    return rules
+        .filter(rule => isScheduled(rule.availability, local))
+        .sort((a, b) => specificity(a) - specificity(b) || a.id - b.id);
+}
+
+// The rule that prices this menu item ({ id, category_id }), or null
+function ruleFor(rules, menuItem) {
+    return rules.find(rule => rule.menu_item_id
+        ? rule.menu_item_id === menuItem.id
+        : !rule.category_id || rule.category_id === menuItem.category_id) || null;
+}
+
+// What the customer menu shows about a rule
+function publicRule(rule) {
+    return rule && { id: rule.id, name: rule.name, kind: rule.kind, value: rule.value };
+}
+
+// Checks an admin's rule against the existing one (if updating) → values to store
+function validateRule(input, existing = null) {
+    const merged = { ...existing, ...input };
+    const name = typeof merged.name === 'string' ? merged.name.trim() : '';
+    if (!name || name.length > 100) throw new RuleError('Name is required (up to 100 characters)');
+    if (!RULE_KINDS.includes(merged.kind)) throw new RuleError(`Kind must be one of ${RULE_KINDS.join(', ')}`);
+
+    let value = 0;
+    if (merged.kind !== 'bogo') {
+        value = merged.value;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+            throw new RuleError('Value must be a positive number');
+        }
+        if (merged.kind === 'percent' && value > 100) throw new RuleError('A percentage can be at most 100');
+        value = Math.round(value * 100) / 100;
+    }
+
+    const ref = key => {
+        const id = merged[key];
+        if (id === undefined || id === null) return null;
+        if (!Number.isInteger(id) || id < 1) throw new RuleError(`${key} must be an id or null`);
+        return id;
+    };
+    const values = {
+        name,
+        kind: merged.kind,
+        value,
+        category_id: ref('category_id'),
+        menu_item_id: ref('menu_item_id'),
+        active: merged.active === undefined || merged.active ? 1 : 0
+    };
+    if (values.category_id && values.menu_item_id) {
+        throw new RuleError('A rule targets an item or a category, not both');
+    }
+
+    try {
+        const windows = input.availability === undefined
+            ? parseSchedule(existing && existing.availability)
+            : validateSchedule(input.availability);
+        values.availability = windows ? JSON.stringify(windows) : null;
+    } catch (err) {
+        if (err instanceof ScheduleError) throw new RuleError(err.message);
+        throw err;
+    }
+    return values;
+}
+
+module.exports = {
+    RULE_KINDS,
+    RuleError,
+    loadActiveRules,
+    ruleFor,
+    publicRule,
+    validateRule
+};
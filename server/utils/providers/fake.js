@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+
+// ─── Fake gateway ─────────────────────────────────────────────
+// A local stand-in for a real gateway, for development and tests: nothing
+// is charged, but payments are only paid when it says so. Its checkout (see
+// routes/sandbox.js) takes an outcome instead of card details:
+//   success  the payment is captured and the browser gets a signed result
+//   failure  the payment is declined
+//   timeout  the payment is captured but the browser never hears back —
+//            only the callback tells us, as when a customer closes the tab
+// Each outcome is also sent to our webhook (/api/webhooks/fake) as a signed
+// callback, like a real gateway's. Signatures are HMACs with
+// FAKE_GATEWAY_SECRET, so the same payment always signs the same. Orders
+// live in memory and are gone when the server restarts, so there is nothing
+// to reconcile against.
+//
+// Anyone who knows the secret can "pay", so it is off unless FAKE_GATEWAY=on
+// and, outside tests (NODE_ENV=test), a secret other than the built-in one
+// is set: without one it neither signs nor verifies anything.
+
+const TEST_SECRET = 'fake_gateway_secret';
+const SECRET = () => {
+    const secret = process.env.FAKE_GATEWAY_SECRET || TEST_SECRET;
+    return secret !== TEST_SECRET || process.env.NODE_ENV === 'test' ? secret : null;
+};
+const OUTCOMES = ['success', 'failure', 'timeout'];
+const MAX_ORDERS = 1000;
+const CALLBACK_ATTEMPTS = 3;
+
+const orders = new Map();
+let sequence = 0;
+const nextId = prefix => `${prefix}_${Date.now().toString(36)}${(++sequence).toString(36)}`;
+
+// Callers check there is a secret first (see configured)
+const sign = text => crypto.createHmac('sha256', SECRET()).update(text).digest();
+const sameHex = (given, expected) => {
+    const a = Buffer.from(String(given || ''), 'hex');
+    return a.length === expected.length && crypto.timingSafeEqual(a, expected);
+};
+const configured = () => process.env.FAKE_GATEWAY === 'on' && !!SECRET();
+
+const callbackUrl = () => process.env.FAKE_GATEWAY_CALLBACK_URL ||
+    `http://127.0.0.1:${process.env.PORT || 3000}/api/webhooks/fake`;
+const callbackDelay = () => Number(process.env.FAKE_GATEWAY_CALLBACK_DELAY) || 200;
+
+// Posts a signed event to our webhook, trying again if it is not accepted
+function sendCallback(type, entity) {
+    const body = JSON.stringify({ id: `fake_evt_${entity.id}`, type, entity });
+    const attempt = async n => {
+        try {
+            const res = await fetch(callbackUrl(), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-Fake-Signature': sign(body).toString('hex') },
+                body
+            });
+            if (res.ok) return;
+            throw new Error(`HTTP ${res.status}`);
+        } catch (err) {
+            if (n >= CALLBACK_ATTEMPTS) return console.error(`Fake gateway callback ${type} gave up:`, err.message);
+            setTimeout(() => attempt(n + 1), callbackDelay() * 5).unref();
+        }
+    };
+    setTimeout(() => attempt(1), callbackDelay()).unref();
+}
+
+const paymentEntity = (order, payment) => ({
+    id: payment.id,
+    order_id: order.id,
+    amount: order.amount,
+    status: payment.status
+});
+
+// Pays (or fails to pay) an order as its checkout would
+// → { status, body } for the sandbox route to send
+function checkout(orderId, outcome = 'success') {
+    const order = orders.get(orderId);
+    if (!order) return { status: 404, body: { error: 'Unknown order' } };
+    if (!OUTCOMES.includes(outcome)) return { status: 400, body: { error: `Outcome must be one of: ${OUTCOMES.join(', ')}` } };
+    if (order.payments.some(p => p.status === 'captured')) return { status: 409, body: { error: 'This order is already paid' } };
+
+    const payment = {
+        id: `${orderId.replace('fake_order_', 'fake_pay_')}_${order.payments.length + 1}`,
+        status: outcome === 'failure' ? 'failed' : 'captured'
+    };
+    order.payments.push(payment);
+    sendCallback(outcome === 'failure' ? 'payment.failed' : 'payment.captured', paymentEntity(order, payment));
+
+    if (outcome === 'failure') {
+        return { status: 402, body: { error: 'Payment declined (simulated)' } };
+    }
+    if (outcome === 'timeout') {
+        return { status: 504, body: { error: 'The gateway did not answer in time (simulated)' } };
+    }
+    return {
+        status: 200,
+        body: {
+            razorpay_order_id: orderId,
+            razorpay_payment_id: payment.id,
+            razorpay_signature: sign(orderId + '|' + payment.id).toString('hex')
+        }
+    };
+}
+
+module.exports = {
+    name: 'fake',
+    label: 'Fake gateway (testing)',
+    OUTCOMES,
+    checkout,
+
+    configured,
+
+    async createOrder({ amount, receipt, notes }) {
+        const id = nextId('fake_order');
+        orders.set(id, { id, amount, receipt, notes, payments: [] });
+        // Oldest first: keep the last MAX_ORDERS
+        if (orders.size > MAX_ORDERS) orders.delete(orders.keys().next().value);
+        return { id, checkout: {} };
+    },
+
+    verifyPayment: ({ orderId, paymentId, signature }) => configured() && !!signature &&
+        sameHex(signature, sign(orderId + '|' + paymentId)),
+
+    // Refunds always go through, even of payments from before a restart
+    refund: async () => ({ id: nextId('fake_rfnd'), status: 'processed' }),
+
+    verifyWebhook: (rawBody, headers) => configured() ? sameHex(headers['x-fake-signature'], sign(rawBody)) : null,
+
+    parseWebhook: body => ({
+        id: body.id || null,
+        type: String(body.type || ''),
+        payment: body.type && body.type.startsWith('payment.') ? body.entity : null,
+        refund: body.type && body.type.startsWith('refund.') ? body.entity : null
+    })
+};
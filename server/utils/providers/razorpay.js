@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+
+// ─── Razorpay ─────────────────────────────────────────────────
+// Used when its module is installed and RAZORPAY_KEY_ID / _SECRET are set.
+// Its entities are the shapes the other providers map theirs to.
+
+// Razorpay pages its lists; this is the most one request returns
+const PAGE_SIZE = 100;
+
+let Razorpay;
+try {
+    Razorpay = require('razorpay');
+} catch (e) {
+    console.warn('⚠️  Razorpay module not loaded — Razorpay payments are unavailable');
+}
+
+function instance() {
+    if (!Razorpay) return null;
+    if (!process.env.RAZORPAY_KEY_ID || process.env.RAZORPAY_KEY_ID === 'rzp_test_placeholder') return null;
+    return new Razorpay({
+        key_id: process.env.RAZORPAY_KEY_ID,
+        key_secret: process.env.RAZORPAY_KEY_SECRET
+    });
+}
+
+const sameHex = (given, expected) => {
+    const a = Buffer.from(String(given || ''), 'hex');
+    return a.length === expected.length && crypto.timingSafeEqual(a, expected);
+};
+
+async function fetchAll(fetchPage) {
+    const items = [];
+    for (let skip = 0; ; skip += PAGE_SIZE) {
+        const page = await fetchPage({ count: PAGE_SIZE, skip });
+        items.push(...page.items);
+        if (page.items.length < PAGE_SIZE) return items;
+    }
+}
+
+module.exports = {
+    name: 'razorpay',
+    label: 'Razorpay',
+
+    configured: () => !!instance(),
+
+    async createOrder({ amount, receipt, notes }) {
+        const order = await instance().orders.create({ amount, currency: 'INR', receipt, notes });
+        return { id: order.id, checkout: { key_id: process.env.RAZORPAY_KEY_ID } };
+    },
+
+    verifyPayment({ orderId, paymentId, signature }) {
+        if (!signature || !process.env.RAZORPAY_KEY_SECRET) return false;
+        const expected = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+            .update(orderId + '|' + paymentId)
+            .digest();
+        return sameHex(signature, expected);
+    },
+
+    // Normal-speed refunds settle over a few days, so may come back pending
+    async refund(paymentId, amount, notes) {
+        const refund = await instance().payments.refund(paymentId, { amount, speed: 'normal', notes });
+        return { id: refund.id, status: refund.status === 'processed' ? 'processed' : 'pending' };
+    },
+
+    // Signed with RAZORPAY_WEBHOOK_SECRET (X-Razorpay-Signature)
+    verifyWebhook(rawBody, headers) {
+        const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+        if (!secret) return null;
+        return sameHex(headers['x-razorpay-signature'], crypto.createHmac('sha256', secret).update(rawBody).digest());
+    },
+
+    parseWebhook(body, headers) {
+        const payload = body.payload || {};
+        return {
+            id: headers['x-razorpay-event-id'] || null,
+            type: String(body.event || ''),
+            payment: payload.payment && payload.payment.entity,
+            refund: payload.refund && payload.refund.entity
+        };
+    },
+
+    fetchPayments: (from, to) => fetchAll(page => instance().payments.all({
+        from: Math.floor(from / 1000),
+        to: Math.floor(to / 1000) - 1,
+        ...page
+    })),
+
+    // One item per payment, refund or adjustment settled to the bank on the day
+    fetchSettlements(day) {
+        const [year, month, date] = day.split('-').map(Number);
+        return fetchAll(page => instance().settlements.reports({ year, month, day: date, ...page }));
+    },
+
+    fetchRefund: refundId => instance().refunds.fetch(refundId)
+};
@@ -0,0 +1,202 @@
+// ─── Pub/sub drivers ──────────────────────────────────────────
+// Carries real-time events between server instances. Both drivers expose
+//
+//   publish(channel, message) → Promise   message must be JSON-serialisable;
+//                               rejects with code PAYLOAD_TOO_LARGE if the
+//                               driver cannot carry it
+//   subscribe(channel, handler) → unsubscribe()
+//   onReset(fn)                 fn runs after a dropped connection is restored
+//                               (messages may have been missed meanwhile)
+//   close() → Promise
+//
+// PUBSUB_DRIVER=memory (default)  single process, nothing leaves it
+// PUBSUB_DRIVER=postgres          LISTEN/NOTIFY over DATABASE_URL, so every
+//                                 instance sees every instance's events
+
+// NOTIFY payloads are capped at 8000 bytes by Postgres
+const MAX_NOTIFY_BYTES = 7999;
+const RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+function createMemoryPubSub() {
+    const handlers = new Map(); // channel → Set<handler>
+
+    return {
+        driver: 'memory',
+
+        async publish(channel, message) {
+            // Same shape and timing as a network round trip
+            const payload = JSON.stringify(message);
+            setImmediate(() => {
+                const subscribers = handlers.get(channel);
+                if (subscribers) subscribers.forEach(handler => handler(JSON.parse(payload)));
+            });
+        },
+
+        subscribe(channel, handler) {
+            if (!handlers.has(channel)) handlers.set(channel, new Set());
+            handlers.get(channel).add(handler);
+            return () => {
+                const subscribers = handlers.get(channel);
+                if (!subscribers) return;
+                subscribers.delete(handler);
+                if (!subscribers.size) handlers.delete(channel);
+            };
+        },
+
+        onReset() { },
+
+        async close() {
+            handlers.clear();
+        }
+    };
+}
+
+function createPostgresPubSub({ connectionString = process.env.DATABASE_URL } = {}) {
+    if (!connectionString) {
+        throw new Error('PUBSUB_DRIVER=postgres needs DATABASE_URL (a direct connection, not the transaction pooler)');
+    }
+    const { Client, Pool } = require('pg');
+
+    const handlers = new Map(); // channel → Set<handler>
+    const resetHandlers = new Set();
+    const publisher = new Pool({ connectionString, ssl: { rejectUnauthorized: false }, max: 2 });
+
+    // One long-lived connection per instance holds every LISTEN
+    let listener = null;
+    let connecting = null;
+    let retryDelay = RECONNECT_DELAY_MS;
+    let closed = false;
+
+    const quoteChannel = channel => `"${String(channel).replace(/"/g, '""')}"`;
+
+    async function connect() {
+        const client = new Client({ connectionString, ssl: { rejectUnauthorized: false } });
+
+        client.on('notification', ({ channel, payload }) => {
+            const subscribers = handlers.get(channel);
+            if (!subscribers) return;
+            let message;
+            try {
+                message = JSON.parse(payload);
+            } catch (err) {
+                console.error(`Pub/sub: ignoring malformed message on ${channel}`);
+                return;
+            }
+            subscribers.forEach(handler => handler(message));
+        });
+        client.on('error', err => {
+            console.error('Pub/sub connection error:', err.message);
+            dropped(client);
+        });
+        client.on('end', () => dropped(client));
+
+        try {
+            await client.connect();
+            for (const channel of handlers.keys()) {
+                await client.query(`LISTEN ${quoteChannel(channel)}`);
+            }
+        } catch (err) {
+            client.end().catch(() => { });
+            throw err;
+        }
+        return client;
+    }
+
+    function ensureListener() {
+        if (listener) return Promise.resolve(listener);
+        if (!connecting) {
+            connecting = connect()
+                .then(client => {
+                    listener = client;
+                    retryDelay = RECONNECT_DELAY_MS;
+                    return client;
+                })
+                .finally(() => { connecting = null; });
+        }
+        return connecting;
+    }
+
+    function dropped(client) {
+        if (closed || listener !== client) return;
+        listener = null;
+        client.end().catch(() => { });
+        reconnect();
+    }
+
+    function reconnect() {
+        setTimeout(() => {
+            if (closed) return;
+            ensureListener()
+                .then(() => resetHandlers.forEach(fn => fn()))
+                .catch(err => {
+                    console.error('Pub/sub reconnect failed:', err.message);
+                    retryDelay = Math.min(retryDelay * 2, MAX_RECONNECT_DELAY_MS);
+                    reconnect();
+                });
+        }, retryDelay).unref();
+    }
+
+    return {
+        driver: 'postgres',
+
+        async publish(channel, message) {
+            const payload = JSON.stringify(message);
+            if (Buffer.byteLength(payload) > MAX_NOTIFY_BYTES) {
+                const err = new Error(`Message on ${channel} is too large for NOTIFY (${Buffer.byteLength(payload)} bytes)`);
+                err.code = 'PAYLOAD_TOO_LARGE';
+                throw err;
+            }
+            await publisher.query('SELECT pg_notify($1, $2)', [channel, payload]);
+        },
+
+        subscribe(channel, handler) {
+            if (!handlers.has(channel)) {
+                handlers.set(channel, new Set());
+                ensureListener()
+                    .then(client => client.query(`LISTEN ${quoteChannel(channel)}`))
+                    .catch(err => {
+                        console.error(`Pub/sub: LISTEN ${channel} failed:`, err.message);
+                        if (!listener && !closed) reconnect();
+                    });
+            }
+            handlers.get(channel).add(handler);
+
+            return () => {
+                const subscribers = handlers.get(channel);
+                if (!subscribers) return;
+                subscribers.delete(handler);
+                if (subscribers.size) return;
+                handlers.delete(channel);
+                if (listener) listener.query(`UNLISTEN ${quoteChannel(channel)}`).catch(() => { });
+            };
+        },
+
+        onReset(fn) {
+            resetHandlers.add(fn);
+        },
+
+        async close() {
+            closed = true;
+            handlers.clear();
+            if (listener) await listener.end().catch(() => { });
+            listener = null;
+            await publisher.end();
+        }
+    };
+}
+
+const DRIVERS = {
+    memory: createMemoryPubSub,
+    postgres: createPostgresPubSub
+};
+
+function createPubSub(driverName = process.env.PUBSUB_DRIVER || 'memory') {
+    const name = driverName.toLowerCase();
+    if (!DRIVERS[name]) {
+        throw new Error(`Unknown PUBSUB_DRIVER "${name}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+    }
+    return DRIVERS[name]();
+}
+
+module.exports = { createPubSub, createMemoryPubSub, createPostgresPubSub };
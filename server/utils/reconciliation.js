@@ -0,0 +1,230 @@
+const db = require('../db');
+const { roundMoney } = require('./pricing');
+const { DEFAULT_TIMEZONE, localNow, addDays, withinLocalDays } = require('./availability');
+const { reconcilableProviders } = require('./gateway');
+const { markRefundProcessed } = require('./refunds');
+const { captureGatewayPayment } = require('../routes/webhooks');
+
+// ─── Nightly reconciliation ───────────────────────────────────
+// Once a night (RECONCILE_AT, in India time, which is how the gateways
+// report days) the previous day's payments on each gateway that can be read
+// back (see utils/gateway.js) are compared with ours, and the day's
+// settlement report with what we think was paid. What can be put right is —
+// a payment captured on the gateway but never verified or webhooked here is
+// captured now, a failed one marked failed, a finished refund marked
+// processed, each settled payment given its settlement id and fee — and
+// everything else is recorded as an issue for the restaurant's admins. A
+// run is kept per day; its UNIQUE day stops two instances reconciling the
+// same night twice.
+
+const GATEWAY_TIMEZONE = DEFAULT_TIMEZONE;
+const GATEWAY_OFFSET = '+05:30';
+const DEFAULT_AT = '02:30';
+const ISSUE_KINDS = {
+    missed_capture: 'Paid on the gateway, not here',
+    amount_mismatch: 'Amount differs',
+    not_captured: 'Paid here, not on the gateway',
+    refund_mismatch: 'Refunds differ',
+    settled_unpaid: 'Settled but not paid here'
+};
+
+const paise = payment => Math.round((payment.amount + (payment.tip_amount || 0)) * 100);
+
+// Counts what one run checked, fixed and could not fix
+function runLog(runId) {
+    const log = { checked: 0, fixed: 0, issues: 0 };
+    log.issue = async (payment, kind, gatewayId, detail, fixed = false) => {
+        await db.from('reconciliation_issues').insert({
+            restaurant_id: payment.restaurant_id,
+            run_id: runId,
+            payment_id: payment.id,
+            kind,
+            gateway_id: gatewayId,
+            detail,
+            fixed: fixed ? 1 : 0
+        });
+        if (fixed) log.fixed++;
+        else log.issues++;
+    };
+    return log;
+}
+
+// The gateway's payments made on `day` against ours
+async function reconcilePayments(provider, day, log) {
+    const gatewayPayments = await provider.fetchPayments(
+        new Date(`${day}T00:00:00${GATEWAY_OFFSET}`),
+        new Date(`${addDays(day, 1)}T00:00:00${GATEWAY_OFFSET}`)
+    );
+    const seen = new Set();
+
+    for (const entity of gatewayPayments) {
+        const payment = await db.from('payments')
+            .where({ provider: provider.name, razorpay_order_id: entity.order_id || '' })
+            .get();
+        if (!payment) continue;
+        log.checked++;
+        if (entity.status === 'failed') {
+            if (payment.verified) continue;
+            const { changes } = await db.from('payments')
+                .where({ id: payment.id, status: 'created' })
+                .update({ status: 'failed', razorpay_payment_id: entity.id, updated_at: db.NOW });
+            if (changes) log.fixed++;
+            continue;
+        }
+        if (!['captured', 'refunded'].includes(entity.status)) continue;
+        seen.add(payment.id);
+
+        let result;
+        try {
+            result = await captureGatewayPayment(payment, entity);
+        } catch (err) {
+            console.error(`Reconciliation capture of payment ${payment.id} failed:`, err);
+            await log.issue(payment, 'missed_capture', entity.id, `Paid on the gateway but could not be captured here: ${err.message}`);
+            continue;
+        }
+        if (result === 'captured') {
+            await log.issue(payment, 'missed_capture', entity.id, 'Paid on the gateway but never confirmed here; captured now', true);
+        } else if (result === 'mismatch') {
+            await log.issue(payment, 'amount_mismatch', entity.id, `Paid ₹${entity.amount / 100} on the gateway, ₹${paise(payment) / 100} expected`);
+        } else if (result === 'unknown') {
+            await log.issue(payment, 'missed_capture', entity.id, 'Paid on the gateway but never confirmed here, and its order is not known');
+        } else {
+            const refunded = Math.round((payment.refunded_amount || 0) * 100);
+            if ((entity.amount_refunded || 0) !== refunded) {
+                await log.issue(payment, 'refund_mismatch', entity.id,
+                    `Refunded ₹${(entity.amount_refunded || 0) / 100} on the gateway, ₹${refunded / 100} here`);
+            }
+        }
+    }
+
+    // Ours that the gateway has no capture for
+    const verified = (await withinLocalDays(db.from('payments').where({ provider: provider.name, verified: 1 }), GATEWAY_TIMEZONE, day, day))
+        .filter(p => !seen.has(p.id));
+    for (const payment of verified) {
+        log.checked++;
+        await log.issue(payment, 'not_captured', payment.razorpay_payment_id, 'Paid here but not captured on the gateway');
+    }
+}
+
+// Refunds still pending on the gateway
+async function reconcileRefunds(provider, log) {
+    const pending = await db.from('refunds', 'r')
+        .select('r.id', 'r.gateway_refund_id')
+        .join('payments', 'p', 'p.id', 'r.payment_id')
+        .where({ 'r.status': 'pending', 'p.provider': provider.name })
+        .all();
+    for (const refund of pending.filter(r => r.gateway_refund_id)) {
+        log.checked++;
+        const entity = await provider.fetchRefund(refund.gateway_refund_id);
+        if (entity.status === 'processed' && await markRefundProcessed(refund.gateway_refund_id)) log.fixed++;
+    }
+}
+
+// The day's settlement report: each settled payment gets its settlement id
+// and fee
+async function reconcileSettlements(provider, day, log) {
+    const items = (await provider.fetchSettlements(day)).filter(item => item.type === 'payment');
+    for (const item of items) {
+        const payment = await db.from('payments').where({ provider: provider.name, razorpay_payment_id: item.entity_id }).get()
+            || await db.from('payments').where({ provider: provider.name, razorpay_order_id: item.order_id || '' }).get();
+        if (!payment) continue;
+        log.checked++;
+        if (!payment.verified) {
+            await log.issue(payment, 'settled_unpaid', item.entity_id, `Settled to the bank (${item.settlement_id}) but not paid here`);
+            continue;
+        }
+        if (payment.settlement_id === item.settlement_id) continue;
+        await db.from('payments').where('id', payment.id).update({
+            settlement_id: item.settlement_id,
+            gateway_fee: roundMoney((item.fee || 0) / 100),
+            updated_at: db.NOW
+        });
+    }
+}
+
+// Reconciles `day` (YYYY-MM-DD) unless it already was; a failed run may be
+// run again → the run
+async function reconcileDay(day) {
+    const run = await db.from('reconciliation_runs').where('day', day).get();
+    if (run && run.status !== 'failed') return run;
+
+    let claimed;
+    try {
+        claimed = run
+            ? (await db.from('reconciliation_runs').where({ id: run.id, status: 'failed' })
+                .update({ status: 'running', error: null, checked: 0, fixed: 0, issues: 0, updated_at: db.NOW })).changes
+            : (await db.from('reconciliation_runs').insert({ day })).lastInsertRowid;
+    } catch (err) {
+        // UNIQUE(day): another instance started the day first
+        const started = await db.from('reconciliation_runs').where('day', day).get();
+        if (!started) throw err;
+        return started;
+    }
+    if (!claimed) return db.from('reconciliation_runs').where('day', day).get();
+    const runId = run ? run.id : claimed;
+
+    if (run) await db.from('reconciliation_issues').where('run_id', runId).delete();
+    const log = runLog(runId);
+    try {
+        const providers = reconcilableProviders();
+        if (!providers.length) {
+            // No gateway here to compare with
+            await db.from('reconciliation_runs').where('id', runId).update({ status: 'skipped', updated_at: db.NOW });
+        } else {
+            for (const provider of providers) {
+                await reconcilePayments(provider, day, log);
+                await reconcileRefunds(provider, log);
+                await reconcileSettlements(provider, day, log);
+            }
+            await db.from('reconciliation_runs').where('id', runId).update({
+                status: 'done',
+                checked: log.checked,
+                fixed: log.fixed,
+                issues: log.issues,
+                updated_at: db.NOW
+            });
+        }
+    } catch (err) {
+        console.error(`Reconciliation of ${day} failed:`, err);
+        await db.from('reconciliation_runs').where('id', runId).update({
+            status: 'failed',
+            checked: log.checked,
+            fixed: log.fixed,
+            issues: log.issues,
+            error: String((err.error && err.error.description) || err.message).slice(0, 500),
+            updated_at: db.NOW
+        });
+    }
+    return db.from('reconciliation_runs').where('id', runId).get();
+}
+
+// Yesterday, in the gateway's days
+const lastDay = (now = new Date()) => addDays(localNow(GATEWAY_TIMEZONE, now).date, -1);
+
+// Runs reconcileDay for yesterday every night at RECONCILE_AT (HH:MM)
+function scheduleReconciliation(at = process.env.RECONCILE_AT || DEFAULT_AT) {
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(at)) {
+        console.warn(`⚠️  RECONCILE_AT must be HH:MM — using ${DEFAULT_AT}`);
+        at = DEFAULT_AT;
+    }
+    const now = new Date();
+    const today = localNow(GATEWAY_TIMEZONE, now).date;
+    let next = new Date(`${today}T${at}:00${GATEWAY_OFFSET}`);
+    if (next <= now) next = new Date(`${addDays(today, 1)}T${at}:00${GATEWAY_OFFSET}`);
+
+    setTimeout(async () => {
+        try {
+            await reconcileDay(lastDay());
+        } catch (err) {
+            console.error('Reconciliation error:', err);
+        }
+        scheduleReconciliation(at);
+    }, next - now).unref();
+}
+
+module.exports = {
+    ISSUE_KINDS,
+    lastDay,
+    reconcileDay,
+    scheduleReconciliation
+};
@@ -0,0 +1,363 @@
+const db = require('../db');
+const orderEvents = require('./events');
+const { roundMoney } = require('./pricing');
+const { billOrder, billColumns } = require('./billing');
+const { releaseStock } = require('./inventory');
+const { issueCreditNote, creditable } = require('./invoices');
+const { billBalance, settlePayments, publishBalance } = require('./settlement');
+const { refundGatewayPayment } = require('./gateway');
+const { DEFAULT_TIMEZONE, localNow, parseTimestamp } = require('./availability');
+
+// ─── Refunds and cancellations ────────────────────────────────
+// A payment can be refunded in full or in part, any number of times up to
+// what was paid. A full refund gives back the tip too; a part refund comes
+// out of the bill. The refund is reserved on the payment first, so two
+// admins cannot give the same money back twice, and handed back if the
+// gateway refuses. Money returned on an invoiced bill gets a credit note.
+//
+// Cancelling an order or some of its lines keeps them, flagged with a
+// reason code. Lines cancelled before the kitchen starts go back into stock,
+// a cancelled line is taken off the bill, and whatever was paid beyond the
+// new bill is refunded. An order cancelled before PREPARING is refunded in
+// full unless the caller says otherwise.
+
+const REASONS = {
+    customer_request: 'Customer request',
+    out_of_stock: 'Out of stock',
+    kitchen_delay: 'Kitchen delay',
+    quality_issue: 'Quality issue',
+    wrong_order: 'Wrong order',
+    duplicate: 'Duplicate order',
+    payment_issue: 'Payment issue',
+    other: 'Other'
+};
+
+const MAX_NOTE = 200;
+
+class RefundError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RefundError';
+    }
+}
+
+// A reason code and its note → { reason, note }; throws RefundError
+function validateReason(reason, note) {
+    if (!Object.prototype.hasOwnProperty.call(REASONS, reason)) {
+        throw new RefundError(`Reason must be one of: ${Object.keys(REASONS).join(', ')}`);
+    }
+    const text = typeof note === 'string' ? note.trim().slice(0, MAX_NOTE) : '';
+    if (reason === 'other' && !text) throw new RefundError('Say why in a note');
+    return { reason, note: text || null };
+}
+
+// What is left to refund of a payment: of its bill part and of its tip
+function refundable(payment) {
+    const tipRefunded = payment.tip_refunded || 0;
+    return {
+        bill: roundMoney(payment.amount - ((payment.refunded_amount || 0) - tipRefunded)),
+        tip: roundMoney((payment.tip_amount || 0) - tipRefunded)
+    };
+}
+
+// Takes the refund off the payment and records it as pending
+const reserveRefund = db.transaction(async (restaurantId, paymentId, { amount, reason, note, userId }) => {
+    const tenantDb = db.forTenant(restaurantId);
+    const payment = await tenantDb.from('payments').where('id', paymentId).get();
+    if (!payment) throw new RefundError('Payment not found');
+    if (!payment.verified) throw new RefundError('Only a completed payment can be refunded');
+
+    const left = refundable(payment);
+    if (left.bill + left.tip <= 0) throw new RefundError('This payment has already been refunded in full');
+    let bill = left.bill;
+    let tip = left.tip;
+    if (amount !== null) {
+        if (typeof amount !== 'number' || !Number.isFinite(amount) || roundMoney(amount) <= 0) {
+            throw new RefundError('Refund amount must be more than ₹0');
+        }
+        if (roundMoney(amount) > left.bill) throw new RefundError(`At most ₹${left.bill} of this payment can be refunded`);
+        bill = roundMoney(amount);
+        tip = 0;
+    }
+    const total = roundMoney(bill + tip);
+    const refunded = roundMoney((payment.refunded_amount || 0) + total);
+
+    // Compare-and-set on what was refunded so far
+    const { changes } = await tenantDb.from('payments')
+        .where({ id: payment.id, refunded_amount: payment.refunded_amount || 0 })
+        .update({
+            refunded_amount: refunded,
+            tip_refunded: roundMoney((payment.tip_refunded || 0) + tip),
+            status: refunded >= roundMoney(payment.amount + (payment.tip_amount || 0)) ? 'refunded' : payment.status,
+            updated_at: db.NOW
+        });
+    if (!changes) throw new RefundError('This payment is being refunded already, please try again');
+
+    const result = await tenantDb.from('refunds').insert({
+        payment_id: payment.id,
+        order_id: payment.order_id,
+        amount: total,
+        tip_amount: tip,
+        reason,
+        note,
+        status: 'pending',
+        created_by: userId
+    });
+    return { payment, refundId: result.lastInsertRowid, bill, tip };
+});
+
+// The gateway refused: hand the reservation back
+const releaseRefund = db.transaction(async (restaurantId, refundId, error) => {
+    const tenantDb = db.forTenant(restaurantId);
+    const refund = await tenantDb.from('refunds').where('id', refundId).get();
+    const payment = await tenantDb.from('payments').where('id', refund.payment_id).get();
+    await tenantDb.from('payments').where('id', payment.id).update({
+        refunded_amount: roundMoney(payment.refunded_amount - refund.amount),
+        tip_refunded: roundMoney(payment.tip_refunded - refund.tip_amount),
+        status: 'paid',
+        updated_at: db.NOW
+    });
+    await tenantDb.from('refunds').where('id', refund.id).update({
+        status: 'failed',
+        error: String(error).slice(0, MAX_NOTE),
+        updated_at: db.NOW
+    });
+});
+
+// Credits the bill part of a refund against the order's invoice, if it has one
+async function creditRefund(restaurantId, payment, refundId, bill, { reason, note }) {
+    if (!payment.order_id || bill <= 0) return null;
+    const invoice = await db.forTenant(restaurantId).from('invoices')
+        .where({ order_id: payment.order_id, kind: 'invoice' })
+        .get();
+    if (!invoice) return null;
+    const amount = Math.min(bill, await creditable(restaurantId, invoice));
+    if (amount <= 0) return null;
+
+    const creditNote = await issueCreditNote(restaurantId, invoice.id, {
+        amount,
+        reason: `Refund: ${REASONS[reason]}${note ? ` — ${note}` : ''}`,
+        paymentId: payment.id
+    });
+    await db.forTenant(restaurantId).from('refunds').where('id', refundId).update({ credit_note_id: creditNote.id });
+    return creditNote;
+}
+
+// Tells the order's table about a refund (the `refund-updated` event)
+function publishRefund(restaurantId, tableId, refund) {
+    orderEvents.emit('refund-updated', {
+        restaurant_id: Number(restaurantId),
+        order_id: refund.order_id,
+        table_id: tableId,
+        refund: { id: refund.id, amount: refund.amount, status: refund.status, reason: REASONS[refund.reason] || refund.reason }
+    });
+}
+
+// Refunds `amount` of a verified payment (null: all that is left of it,
+// tip included) → the refund row; its status is 'failed' if the gateway
+// refused, with nothing taken off the payment. `credit: false` issues no
+// credit note, for money the invoice never counted. Throws RefundError.
+async function refundPayment(restaurantId, paymentId, { amount = null, reason, note = null, userId = null, credit = true } = {}) {
+    const details = validateReason(reason, note);
+    const { payment, refundId, bill } = await reserveRefund(restaurantId, paymentId, { amount, ...details, userId });
+    const tenantDb = db.forTenant(restaurantId);
+
+    const refund = await tenantDb.from('refunds').where('id', refundId).get();
+    try {
+        const gatewayRefund = await refundGatewayPayment(payment, refund.amount, { reason: details.reason, refund_id: String(refundId) });
+        await tenantDb.from('refunds').where('id', refundId).update({
+            status: gatewayRefund.status,
+            gateway_refund_id: gatewayRefund.id,
+            updated_at: db.NOW
+        });
+    } catch (err) {
+        console.error('Gateway refund error:', err);
+        await releaseRefund(restaurantId, refundId, (err.error && err.error.description) || err.message);
+    }
+
+    const stored = await tenantDb.from('refunds').where('id', refundId).get();
+    if (stored.status === 'failed' || !payment.order_id) return stored;
+
+    if (credit) await creditRefund(restaurantId, payment, refundId, bill, details);
+    const balance = await billBalance(restaurantId, payment.order_id);
+    await tenantDb.from('orders').where('id', payment.order_id).update({ paid_amount: balance.paid_amount, updated_at: db.NOW });
+
+    const done = await tenantDb.from('refunds').where('id', refundId).get();
+    publishRefund(restaurantId, balance.table_id, done);
+    return done;
+}
+
+// The gateway finished a pending refund (its webhook, or reconciliation
+// finding it done) → the refund, or null if it is not ours or was not pending
+async function markRefundProcessed(gatewayRefundId) {
+    const refund = await db.from('refunds').where('gateway_refund_id', gatewayRefundId).get();
+    if (!refund) return null;
+    const { changes } = await db.from('refunds')
+        .where({ id: refund.id, status: 'pending' })
+        .update({ status: 'processed', updated_at: db.NOW });
+    if (!changes) return null;
+
+    const order = await db.forTenant(refund.restaurant_id).from('orders').select('table_id').where('id', refund.order_id).get();
+    const done = { ...refund, status: 'processed' };
+    publishRefund(refund.restaurant_id, order ? order.table_id : null, done);
+    return done;
+}
+
+// Refunds what is left of each of an order's payments (or only `amount`,
+// latest payments first) → refund rows
+async function refundOrder(restaurantId, orderId, { amount = null, ...details }) {
+    const payments = await db.forTenant(restaurantId).from('payments')
+        .where({ order_id: orderId, verified: 1 })
+        .orderBy('id', 'desc')
+        .all();
+    const refunds = [];
+    let left = amount;
+    for (const payment of payments) {
+        const { bill, tip } = refundable(payment);
+        if (left === null) {
+            if (bill + tip > 0) refunds.push(await refundPayment(restaurantId, payment.id, details));
+            continue;
+        }
+        if (left <= 0) break;
+        const part = Math.min(left, bill);
+        if (part <= 0) continue;
+        refunds.push(await refundPayment(restaurantId, payment.id, { ...details, amount: part }));
+        left = roundMoney(left - part);
+    }
+    return refunds;
+}
+
+// The restaurant-local date an order was placed, which is the stock day it
+// took its stock from
+async function orderDay(restaurantId, order) {
+    const restaurant = await db.from('restaurants').select('timezone').where('id', restaurantId).get();
+    return localNow((restaurant && restaurant.timezone) || DEFAULT_TIMEZONE, parseTimestamp(order.created_at)).date;
+}
+
+async function findOrder(restaurantId, orderId) {
+    const order = await db.forTenant(restaurantId).from('orders').where('id', orderId).get();
+    if (!order) throw new RefundError('Order not found');
+    if (order.cancelled) throw new RefundError('This order is already cancelled');
+    return order;
+}
+
+// Dashboards drop a cancelled order, and reload one that lost lines
+async function publishOrder(restaurantId, order, changes) {
+    const table = await db.from('tables').select('table_number').where('id', order.table_id).get();
+    orderEvents.emit('order-updated', {
+        restaurant_id: Number(restaurantId),
+        order_id: order.id,
+        internal_status: order.internal_status,
+        public_status: changes.cancelled ? 'Cancelled' : order.public_status,
+        table_number: table && table.table_number,
+        ...changes
+    });
+}
+
+const markOrderCancelled = db.transaction(async (restaurantId, orderId, { reason, note, onlyPlaced }) => {
+    const tenantDb = db.forTenant(restaurantId);
+    const order = await findOrder(restaurantId, orderId);
+    if (onlyPlaced && order.internal_status !== 'PLACED') {
+        throw new RefundError('The kitchen has already started on this order — please ask the staff');
+    }
+
+    const lines = await tenantDb.from('order_items')
+        .select('menu_item_id', 'quantity')
+        .where({ order_id: order.id, cancelled: 0 })
+        .all();
+    await tenantDb.from('orders').where('id', order.id).update({
+        cancelled: 1,
+        cancel_reason: reason,
+        cancel_note: note,
+        public_status: 'Cancelled',
+        updated_at: db.NOW
+    });
+    await db.from('order_items').where({ order_id: order.id, cancelled: 0 }).update({ cancelled: 1, cancel_reason: reason });
+    if (order.internal_status === 'PLACED') await releaseStock(restaurantId, lines, await orderDay(restaurantId, order));
+    return { order, lines };
+});
+
+// Cancels a whole order. `refund` says whether to refund its payments;
+// by default they are refunded if the kitchen had not started.
+// onlyPlaced refuses once it has (a customer's cancellation).
+// → { order_id, refunds, menu_item_ids } — items whose stock came back
+async function cancelOrder(restaurantId, orderId, { reason, note = null, refund = null, onlyPlaced = false, userId = null } = {}) {
+    const details = validateReason(reason, note);
+    const { order, lines } = await markOrderCancelled(restaurantId, orderId, { ...details, onlyPlaced });
+
+    const refunds = (refund ?? order.internal_status === 'PLACED')
+        ? await refundOrder(restaurantId, order.id, { ...details, userId })
+        : [];
+    await publishOrder(restaurantId, order, { cancelled: true });
+    return {
+        order_id: order.id,
+        refunds,
+        menu_item_ids: order.internal_status === 'PLACED' ? lines.map(line => line.menu_item_id) : []
+    };
+}
+
+const markItemsCancelled = db.transaction(async (restaurantId, orderId, itemId, { reason }) => {
+    const tenantDb = db.forTenant(restaurantId);
+    const order = await findOrder(restaurantId, orderId);
+    const lines = await tenantDb.from('order_items')
+        .select('id', 'menu_item_id', 'combo_ref', 'quantity', 'price_at_order', 'tax_rate', 'discount', 'cancelled')
+        .where('order_id', order.id)
+        .all();
+    const item = lines.find(line => line.id === Number(itemId));
+    if (!item) throw new RefundError('That item is not on this order');
+    if (item.cancelled) throw new RefundError('That item is already cancelled');
+
+    // A combo's lines go together
+    const open = lines.filter(line => !line.cancelled);
+    const dropped = open.filter(line => line.id === item.id || (item.combo_ref && line.combo_ref === item.combo_ref));
+    const kept = open.filter(line => !dropped.includes(line));
+    if (!kept.length) return { order, dropped, bill: null };
+
+    await db.from('order_items').whereIn('id', dropped.map(line => line.id)).update({ cancelled: 1, cancel_reason: reason });
+    if (order.internal_status === 'PLACED') await releaseStock(restaurantId, dropped, await orderDay(restaurantId, order));
+
+    const bill = await billOrder(restaurantId, kept);
+    await tenantDb.from('orders').where('id', order.id).update({ ...billColumns(bill), updated_at: db.NOW });
+    return { order, dropped, bill };
+});
+
+// Cancels one line of an order (with the rest of its combo) and re-bills
+// it; cancelling the last line cancels the order. What was paid beyond the
+// new bill is refunded unless `refund` is false.
+// → { order_id, total_amount, cancelled_item_ids, refunds, menu_item_ids, order_cancelled }
+async function cancelItem(restaurantId, orderId, itemId, { reason, note = null, refund = true, userId = null } = {}) {
+    const details = validateReason(reason, note);
+    const { order, dropped, bill } = await markItemsCancelled(restaurantId, orderId, itemId, details);
+    if (!bill) {
+        const cancelled = await cancelOrder(restaurantId, order.id, { ...details, refund, userId });
+        return { ...cancelled, total_amount: order.total_amount, cancelled_item_ids: dropped.map(line => line.id), order_cancelled: true };
+    }
+
+    const before = await billBalance(restaurantId, order.id);
+    const over = roundMoney(before.paid_amount - bill.total_amount);
+    const refunds = refund && over > 0
+        ? await refundOrder(restaurantId, order.id, { ...details, amount: over, userId })
+        : [];
+
+    // Paying less may have settled the bill
+    if (before.payments.length) publishBalance(restaurantId, await settlePayments(restaurantId, order.id));
+    await publishOrder(restaurantId, order, { cancelled_item_ids: dropped.map(line => line.id) });
+    return {
+        order_id: order.id,
+        total_amount: bill.total_amount,
+        cancelled_item_ids: dropped.map(line => line.id),
+        refunds,
+        menu_item_ids: order.internal_status === 'PLACED' ? dropped.map(line => line.menu_item_id) : [],
+        order_cancelled: false
+    };
+}
+
+module.exports = {
+    REASONS,
+    RefundError,
+    refundable,
+    refundPayment,
+    markRefundProcessed,
+    cancelOrder,
+    cancelItem
+};
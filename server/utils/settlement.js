@@ -0,0 +1,181 @@
+const db = require('../db');
+const orderEvents = require('./events');
+const { roundMoney } = require('./pricing');
+const { issueInvoice } = require('./invoices');
+
+// ─── Bills paid in parts ──────────────────────────────────────
+// Several people at a table can pay one postpaid bill, each choosing how:
+//   full    whatever is left
+//   equal   `shares` of the bill split `parts` ways
+//   items   the lines they had, at their value after discount and with GST;
+//           charges and round-off are shared out in the same proportion
+//   amount  any amount up to what is left
+// The last equal share or last unpaid line pays whatever is left, so
+// rounding never strands a paisa. An order is settled — and invoiced —
+// once its verified payments cover the bill, and stays settled after any
+// refund (see utils/refunds.js); what counts as paid is net of refunds.
+
+const SPLIT_MODES = ['full', 'equal', 'items', 'amount'];
+const MAX_PARTS = 20;
+
+class SplitError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SplitError';
+    }
+}
+
+const paymentMethod = payment => (payment.razorpay_order_id || '').startsWith('cash_') ? 'cash' : 'online';
+
+// What a payment still counts towards the bill, its tip and refunds aside
+const netAmount = payment => roundMoney(payment.amount - ((payment.refunded_amount || 0) - (payment.tip_refunded || 0)));
+
+// What is paid and left on an order → null if there is no such order
+async function billBalance(restaurantId, orderId) {
+    const tenantDb = db.forTenant(restaurantId);
+    const order = await tenantDb.from('orders').select('id', 'table_id', 'total_amount', 'settled', 'cancelled').where('id', orderId).get();
+    if (!order) return null;
+
+    const payments = await tenantDb.from('payments')
+        .select('id', 'amount', 'tip_amount', 'refunded_amount', 'tip_refunded', 'razorpay_order_id', 'split_mode', 'split_parts', 'split_shares', 'split_items', 'created_at')
+        .where({ order_id: order.id, verified: 1 })
+        .orderBy('id')
+        .all();
+    const paidAmount = roundMoney(payments.reduce((sum, p) => sum + netAmount(p), 0));
+    const paidItems = payments.flatMap(p => p.split_items ? JSON.parse(p.split_items) : []);
+    const settled = !!order.settled || (payments.length > 0 && paidAmount >= order.total_amount);
+
+    return {
+        order_id: order.id,
+        table_id: order.table_id,
+        total_amount: order.total_amount,
+        paid_amount: paidAmount,
+        balance: settled || order.cancelled ? 0 : roundMoney(Math.max(0, order.total_amount - paidAmount)),
+        settled,
+        cancelled: !!order.cancelled,
+        paid_item_ids: paidItems,
+        payments: payments.map(p => ({
+            id: p.id,
+            amount: p.amount,
+            tip_amount: roundMoney((p.tip_amount || 0) - (p.tip_refunded || 0)),
+            refunded_amount: p.refunded_amount || 0,
+            method: paymentMethod(p),
+            split_mode: p.split_mode || 'full',
+            split_parts: p.split_parts,
+            split_shares: p.split_shares,
+            created_at: p.created_at
+        }))
+    };
+}
+
+async function itemsShare(restaurantId, balance, itemIds) {
+    if (!Array.isArray(itemIds) || !itemIds.length || !itemIds.every(id => Number.isInteger(id) && id > 0)) {
+        throw new SplitError('Choose the items you are paying for');
+    }
+    if (new Set(itemIds).size !== itemIds.length) throw new SplitError('An item is chosen twice');
+
+    const lines = await db.forTenant(restaurantId).from('order_items')
+        .select('id', 'quantity', 'price_at_order', 'tax_rate', 'discount')
+        .where({ order_id: balance.order_id, cancelled: 0 })
+        .all();
+    const byId = new Map(lines.map(line => [line.id, line]));
+    const paid = new Set(balance.paid_item_ids);
+    for (const id of itemIds) {
+        if (!byId.has(id)) throw new SplitError('That item is not on this bill');
+        if (paid.has(id)) throw new SplitError('Someone has already paid for that item');
+    }
+
+    const unpaidAfter = lines.filter(line => !paid.has(line.id) && !itemIds.includes(line.id));
+    if (!unpaidAfter.length) return balance.balance;
+
+    const value = line => (line.price_at_order * line.quantity - (line.discount || 0)) * (1 + (line.tax_rate || 0) / 100);
+    const all = lines.reduce((sum, line) => sum + value(line), 0);
+    const chosen = itemIds.reduce((sum, id) => sum + value(byId.get(id)), 0);
+    return all > 0 ? Math.min(balance.balance, roundMoney(balance.total_amount * chosen / all)) : 0;
+}
+
+// What one payer pays of a bill (from billBalance) for `split`:
+// { mode, parts, shares, item_ids, amount } — no split pays what is left.
+// → { amount, columns } with the payment's split_* columns
+async function quoteSplit(restaurantId, balance, split) {
+    const { mode = 'full', parts, shares = 1, item_ids: itemIds, amount } = split || {};
+    if (!SPLIT_MODES.includes(mode)) throw new SplitError(`Split must be one of: ${SPLIT_MODES.join(', ')}`);
+    if (balance.cancelled) throw new SplitError('This order was cancelled');
+    if (balance.settled || balance.balance <= 0) throw new SplitError('This bill is already paid');
+
+    if (mode === 'full') {
+        return { amount: balance.balance, columns: { split_mode: 'full' } };
+    }
+
+    if (mode === 'amount') {
+        if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+            throw new SplitError('Enter the amount you are paying');
+        }
+        if (roundMoney(amount) > balance.balance) throw new SplitError(`Only ₹${balance.balance} is left to pay`);
+        if (amount < Math.min(1, balance.balance)) throw new SplitError('Pay at least ₹1');
+        return { amount: roundMoney(amount), columns: { split_mode: 'amount' } };
+    }
+
+    if (mode === 'equal') {
+        if (!Number.isInteger(parts) || parts < 2 || parts > MAX_PARTS) {
+            throw new SplitError(`Split between 2 and ${MAX_PARTS} people`);
+        }
+        const sharesPaid = balance.payments
+            .filter(p => p.split_mode === 'equal' && p.split_parts === parts)
+            .reduce((sum, p) => sum + p.split_shares, 0);
+        const sharesLeft = parts - sharesPaid;
+        if (sharesLeft < 1) throw new SplitError(`All ${parts} shares are paid`);
+        if (!Number.isInteger(shares) || shares < 1 || shares > sharesLeft) {
+            throw new SplitError(`Pay between 1 and ${sharesLeft} of the ${parts} shares`);
+        }
+        return {
+            amount: shares === sharesLeft
+                ? balance.balance
+                : Math.min(balance.balance, roundMoney(balance.total_amount * shares / parts)),
+            columns: { split_mode: 'equal', split_parts: parts, split_shares: shares }
+        };
+    }
+
+    const share = await itemsShare(restaurantId, balance, itemIds);
+    if (share <= 0) throw new SplitError('Those items have nothing to pay');
+    return { amount: share, columns: { split_mode: 'items', split_items: JSON.stringify(itemIds) } };
+}
+
+// Brings an order's paid_amount up to date after a payment is verified, and
+// invoices it once settled. Call in the payment's transaction.
+// → billBalance with the invoice (null until settled)
+const settlePayments = db.transaction(async (restaurantId, orderId, { paymentId = null } = {}) => {
+    const balance = await billBalance(restaurantId, orderId);
+    if (!balance) throw new SplitError('Order not found');
+
+    await db.forTenant(restaurantId).from('orders').where('id', orderId).update({
+        paid_amount: balance.paid_amount,
+        settled: balance.settled ? 1 : 0,
+        updated_at: db.NOW
+    });
+    const invoice = balance.settled ? await issueInvoice(restaurantId, orderId, { paymentId }) : null;
+    return { ...balance, invoice };
+});
+
+// Tells everyone at the table what is left to pay (the `bill-updated` event)
+function publishBalance(restaurantId, balance) {
+    orderEvents.emit('bill-updated', {
+        restaurant_id: Number(restaurantId),
+        order_id: balance.order_id,
+        table_id: balance.table_id,
+        total_amount: balance.total_amount,
+        paid_amount: balance.paid_amount,
+        balance: balance.balance,
+        settled: balance.settled
+    });
+}
+
+module.exports = {
+    SPLIT_MODES,
+    SplitError,
+    netAmount,
+    billBalance,
+    quoteSplit,
+    settlePayments,
+    publishBalance
+};
@@ -0,0 +1,127 @@
+const db = require('../db');
+const { roundMoney } = require('./pricing');
+const { DEFAULT_TIMEZONE, withinLocalDays } = require('./availability');
+
+// ─── Tips ─────────────────────────────────────────────────────
+// A customer may add a tip to any payment: it is charged with it but kept in
+// payments.tip_amount, apart from the bill. Tips are for whoever served the
+// order (orders.served_by) or, when the restaurant pools them, shared
+// equally each day among the staff who served the bills paid that day.
+
+const MAX_PRESETS = 4;
+const MAX_PRESET = 50;
+
+class TipError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TipError';
+    }
+}
+
+// Stored '5,10,15' → [5, 10, 15]
+function parseTipPresets(text) {
+    return String(text || '').split(',').map(Number).filter(p => Number.isFinite(p) && p > 0);
+}
+
+// Settings input (array of percentages) → stored text; throws TipError
+function validateTipPresets(presets) {
+    if (!Array.isArray(presets) || presets.length > MAX_PRESETS ||
+        !presets.every(p => typeof p === 'number' && Number.isFinite(p) && p > 0 && p <= MAX_PRESET)) {
+        throw new TipError(`Tip options must be up to ${MAX_PRESETS} percentages between 0 and ${MAX_PRESET}`);
+    }
+    return [...new Set(presets)].sort((a, b) => a - b).join(',');
+}
+
+// The tip added to a payment of `amount` → rounded tip; throws TipError
+function validateTip(tip, amount) {
+    if (tip === undefined || tip === null || tip === 0) return 0;
+    if (typeof tip !== 'number' || !Number.isFinite(tip) || tip < 0) throw new TipError('Tip must be a positive amount');
+    if (roundMoney(tip) > amount) throw new TipError(`A tip can be at most the ₹${amount} being paid`);
+    return roundMoney(tip);
+}
+
+// Splits `amount` equally among `count`, the odd paise going to the first
+function shares(amount, count) {
+    const paise = Math.round(amount * 100);
+    const each = Math.floor(paise / count);
+    return Array.from({ length: count }, (_, i) => (each + (i < paise - each * count ? 1 : 0)) / 100);
+}
+
+// Tips paid between two restaurant-local dates, and what each member of
+// staff is owed for them
+async function tipsReport(restaurantId, from, to) {
+    const tenantDb = db.forTenant(restaurantId);
+    const restaurant = await db.from('restaurants').select('timezone', 'tip_pooling').where('id', restaurantId).get();
+    const timezone = restaurant.timezone || DEFAULT_TIMEZONE;
+    const pooled = !!restaurant.tip_pooling;
+
+    const payments = (await withinLocalDays(tenantDb.from('payments', 'p')
+        .select('p.id', 'p.order_id', 'p.tip_amount', 'p.tip_refunded', 'p.created_at', 'o.served_by')
+        .join('orders', 'o', 'o.id', 'p.order_id')
+        .where('p.verified', 1), timezone, from, to, 'p.created_at'))
+        // A refunded tip is no longer owed
+        .map(p => ({ ...p, tip_amount: roundMoney((p.tip_amount || 0) - (p.tip_refunded || 0)), date: p.local_date }));
+
+    const staff = new Map();
+    const member = userId => {
+        if (!staff.has(userId)) staff.set(userId, { user_id: userId, tips: 0, owed: 0, bills: new Set() });
+        return staff.get(userId);
+    };
+    let unassigned = 0;
+
+    const days = new Map();
+    for (const p of payments) {
+        if (!days.has(p.date)) days.set(p.date, []);
+        days.get(p.date).push(p);
+        if (p.served_by) member(p.served_by).bills.add(p.order_id);
+        if (!p.tip_amount) continue;
+        if (p.served_by) member(p.served_by).tips += p.tip_amount;
+        if (!pooled) {
+            if (p.served_by) member(p.served_by).owed += p.tip_amount;
+            else unassigned += p.tip_amount;
+        }
+    }
+
+    const byDay = [...days.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, dayPayments]) => {
+        const tips = roundMoney(dayPayments.reduce((sum, p) => sum + (p.tip_amount || 0), 0));
+        const servers = [...new Set(dayPayments.map(p => p.served_by).filter(Boolean))].sort((a, b) => a - b);
+        if (pooled && tips > 0) {
+            if (servers.length) shares(tips, servers.length).forEach((share, i) => { member(servers[i]).owed += share; });
+            else unassigned += tips;
+        }
+        return { date, tips, staff: servers.length };
+    }).filter(day => day.tips > 0);
+
+    const users = staff.size
+        ? await tenantDb.from('users').select('id', 'name', 'username', 'role').whereIn('id', [...staff.keys()]).all()
+        : [];
+    const usersById = new Map(users.map(u => [u.id, u]));
+
+    return {
+        from,
+        to,
+        pooled,
+        tips: roundMoney(payments.reduce((sum, p) => sum + (p.tip_amount || 0), 0)),
+        tipped_payments: payments.filter(p => p.tip_amount > 0).length,
+        unassigned: roundMoney(unassigned),
+        staff: [...staff.values()]
+            .map(s => ({
+                user_id: s.user_id,
+                name: usersById.has(s.user_id) ? usersById.get(s.user_id).name || usersById.get(s.user_id).username : 'Former staff',
+                role: usersById.has(s.user_id) ? usersById.get(s.user_id).role : null,
+                bills: s.bills.size,
+                tips: roundMoney(s.tips),
+                owed: roundMoney(s.owed)
+            }))
+            .sort((a, b) => b.owed - a.owed || a.user_id - b.user_id),
+        days: byDay
+    };
+}
+
+module.exports = {
+    TipError,
+    parseTipPresets,
+    validateTipPresets,
+    validateTip,
+    tipsReport
+};
@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TABLE, startApp } = require('./helpers');
+
+// ─── Cash payments ────────────────────────────────────────────
+// A customer saying they paid in cash only asks for it: the bill is settled,
+// and its GST invoice numbered, once a waiter or admin confirms the cash.
+
+describe('cash payments wait for staff', () => {
+    let app;
+    let waiter;
+    let admin;
+    let items;
+
+    const payCash = (orderId, extra = {}) => app.request('POST', '/api/payments/pay-cash', { body: { table_token: TABLE, order_id: orderId, ...extra } });
+    const invoiceCount = () => app.request('GET', '/api/invoices', { token: admin }).then(res => res.body.invoices.length);
+
+    before(async () => {
+        app = await startApp();
+        waiter = await app.login('north_waiter', 'north-waiter-pass');
+        admin = await app.login('north_admin', 'north-admin-pass');
+        items = (await app.request('GET', '/api/menu/items/all', { token: admin })).body;
+    });
+
+    after(() => app.close());
+
+    it('pay-cash alone settles nothing and issues no invoice', async () => {
+        const orderId = await app.placeOrder(items);
+        const invoices = await invoiceCount();
+
+        const res = await payCash(orderId, { tip: 20 });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        assert.equal(res.body.pending, true);
+        assert.equal(res.body.amount, (await app.bill(orderId)).total_amount);
+        assert.equal(res.body.tip_amount, 20);
+
+        const order = await app.bill(orderId);
+        assert.equal(order.paid_amount, 0);
+        assert.equal(order.balance, order.total_amount);
+        assert.equal(await invoiceCount(), invoices);
+
+        const pending = (await app.request('GET', '/api/payments/cash-pending', { token: waiter })).body;
+        const payment = pending.find(p => p.id === res.body.payment_id);
+        assert.equal(payment.table_number, 1);
+        assert.equal(payment.amount, order.total_amount);
+    });
+
+    it('a customer cannot verify, or fail, cash still waiting for staff', async () => {
+        const orderId = await app.placeOrder(items);
+        const { payment_id } = (await payCash(orderId)).body;
+        const { razorpay_order_id } = await app.db.from('payments').where('id', payment_id).get();
+
+        const res = await app.request('POST', '/api/payments/verify', {
+            body: { table_token: TABLE, razorpay_order_id, razorpay_payment_id: 'pay_forged', razorpay_signature: 'forged' }
+        });
+        assert.equal(res.status, 404, JSON.stringify(res.body));
+        assert.equal((await app.db.from('payments').where('id', payment_id).get()).status, 'created');
+        assert.equal((await app.bill(orderId)).paid_amount, 0);
+
+        const pending = (await app.request('GET', '/api/payments/cash-pending', { token: waiter })).body;
+        assert.ok(pending.some(p => p.id === payment_id));
+    });
+
+    it('only staff can confirm or turn down cash', async () => {
+        const orderId = await app.placeOrder(items);
+        const { payment_id } = (await payCash(orderId)).body;
+
+        for (const action of ['confirm-cash', 'reject-cash']) {
+            let res = await app.request('POST', `/api/payments/${payment_id}/${action}`, { body: { table_token: TABLE } });
+            assert.equal(res.status, 401);
+            const kitchen = await app.login('north_kitchen', 'north-kitchen-pass');
+            res = await app.request('POST', `/api/payments/${payment_id}/${action}`, { token: kitchen });
+            assert.equal(res.status, 403);
+        }
+        assert.equal((await app.bill(orderId)).paid_amount, 0);
+    });
+
+    it('a waiter confirming the cash settles and invoices the bill once', async () => {
+        const orderId = await app.placeOrder(items);
+        const { payment_id } = (await payCash(orderId)).body;
+        const invoices = await invoiceCount();
+
+        const res = await app.request('POST', `/api/payments/${payment_id}/confirm-cash`, { token: waiter });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        assert.equal(res.body.settled, true);
+        assert.equal(res.body.balance, 0);
+        assert.ok(res.body.invoice.number);
+        assert.equal(await invoiceCount(), invoices + 1);
+
+        const again = await app.request('POST', `/api/payments/${payment_id}/confirm-cash`, { token: waiter });
+        assert.equal(again.status, 404);
+        assert.equal(await invoiceCount(), invoices + 1);
+
+        const pending = (await app.request('GET', '/api/payments/cash-pending', { token: waiter })).body;
+        assert.ok(!pending.some(p => p.id === payment_id));
+    });
+
+    it('a part paid by someone else meanwhile cannot be confirmed as well', async () => {
+        const orderId = await app.placeOrder(items);
+        const first = (await payCash(orderId)).body.payment_id;
+        const second = (await payCash(orderId)).body.payment_id;
+
+        let res = await app.request('POST', `/api/payments/${first}/confirm-cash`, { token: waiter });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        res = await app.request('POST', `/api/payments/${second}/confirm-cash`, { token: waiter });
+        assert.equal(res.status, 409);
+
+        res = await app.request('POST', `/api/payments/${second}/reject-cash`, { token: waiter });
+        assert.equal(res.status, 200);
+        const order = await app.bill(orderId);
+        assert.equal(order.paid_amount, order.total_amount);
+        assert.equal(order.payments.length, 1);
+    });
+
+    it('turned-down cash leaves the bill to pay', async () => {
+        const orderId = await app.placeOrder(items);
+        const { payment_id } = (await payCash(orderId)).body;
+
+        let res = await app.request('POST', `/api/payments/${payment_id}/reject-cash`, { token: admin });
+        assert.equal(res.status, 200);
+        res = await app.request('POST', `/api/payments/${payment_id}/confirm-cash`, { token: admin });
+        assert.equal(res.status, 404);
+
+        const order = await app.bill(orderId);
+        assert.equal(order.paid_amount, 0);
+        assert.equal(order.balance, order.total_amount);
+    });
+});
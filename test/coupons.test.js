@@ -0,0 +1,59 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TABLE, startApp } = require('./helpers');
+
+// ─── Coupon limits ────────────────────────────────────────────
+// Orders placed at the same moment cannot take more uses of a coupon than
+// it has left, in total or per customer.
+
+describe('coupon usage limits', () => {
+    let app;
+    let admin;
+    let item;
+
+    const order = (code, phone) => app.request('POST', '/api/orders', {
+        body: { table_token: TABLE, payment_mode: 'POSTPAID', coupon_code: code, customer_phone: phone, items: [{ menu_item_id: item.id, quantity: 1 }] }
+    });
+    const statuses = results => results.map(res => res.status).sort();
+
+    before(async () => {
+        app = await startApp();
+        admin = await app.login('north_admin', 'north-admin-pass');
+        item = (await app.request('GET', '/api/menu/items/all', { token: admin })).body.find(i => i.name === 'Margherita');
+    });
+
+    after(() => app.close());
+
+    it('gives the last use of a coupon to one order only', async () => {
+        const coupon = await app.request('POST', '/api/coupons', { token: admin, body: { code: 'LAST', kind: 'flat', value: 20, usage_limit: 2 } });
+        assert.equal(coupon.status, 201, JSON.stringify(coupon.body));
+
+        const results = await Promise.all([order('LAST'), order('LAST'), order('LAST')]);
+        assert.deepEqual(statuses(results), [201, 201, 400]);
+        assert.match(results.find(res => res.status === 400).body.error, /fully redeemed/);
+
+        const coupons = (await app.request('GET', '/api/coupons', { token: admin })).body;
+        const last = coupons.find(c => c.code === 'LAST');
+        assert.equal(last.redemptions, 2);
+        assert.equal(last.uses, 2);
+    });
+
+    it('gives a customer no more uses than the coupon allows each', async () => {
+        const coupon = await app.request('POST', '/api/coupons', { token: admin, body: { code: 'ONEEACH', kind: 'flat', value: 20, per_customer_limit: 1 } });
+        assert.equal(coupon.status, 201, JSON.stringify(coupon.body));
+
+        const results = await Promise.all([order('ONEEACH', '9876543210'), order('ONEEACH', '9876543210'), order('ONEEACH', '9123456780')]);
+        assert.deepEqual(statuses(results), [201, 201, 400]);
+        assert.match(results.find(res => res.status === 400).body.error, /already used/);
+    });
+
+    it('takes only real dates for when a coupon runs', async () => {
+        for (const [key, value] of [['valid_from', '2026-02-30'], ['valid_to', '2026-3-1'], ['valid_to', 20260301], ['valid_from', ['2026-03-01']]]) {
+            const res = await app.request('POST', '/api/coupons', { token: admin, body: { code: 'DATED', kind: 'flat', value: 20, [key]: value } });
+            assert.equal(res.status, 400, `${key} ${JSON.stringify(value)}`);
+            assert.match(res.body.error, /must be a date/);
+        }
+        const res = await app.request('POST', '/api/coupons', { token: admin, body: { code: 'DATED', kind: 'flat', value: 20, valid_from: '2026-02-28', valid_to: '2026-03-01' } });
+        assert.equal(res.status, 201, JSON.stringify(res.body));
+    });
+});
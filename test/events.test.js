@@ -0,0 +1,135 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+const { createMemoryPubSub } = require('../server/utils/pubsub');
+
+// ─── Real-time events ─────────────────────────────────────────
+// A dashboard that reconnects with Last-Event-ID is sent what it missed, or
+// told to reload when that is no longer kept. Every instance on the bus
+// hears every restaurant's events, and only that restaurant's clients get
+// them.
+
+// A short replay log, so a few orders push the oldest out
+process.env.SSE_REPLAY_LOG_SIZE = '3';
+
+const { OrderEvents } = require('../server/utils/events');
+
+describe('resuming an event stream', () => {
+    let app;
+    let kitchen;
+    let items;
+    const opened = [];
+
+    const open = async headers => {
+        const stream = await app.stream('/api/sse/kitchen', { Authorization: `Bearer ${kitchen}`, ...headers });
+        opened.push(stream);
+        assert.equal(stream.status, 200);
+        return stream;
+    };
+
+    before(async () => {
+        app = await startApp();
+        kitchen = await app.login('north_kitchen', 'north-kitchen-pass');
+        const admin = await app.login('north_admin', 'north-admin-pass');
+        items = (await app.request('GET', '/api/menu/items/all', { token: admin })).body.slice(0, 1);
+    });
+
+    after(() => {
+        opened.forEach(stream => stream.close());
+        return app.close();
+    });
+
+    // Places `count` orders, each seen on a stream kept open meanwhile
+    // → their ids and the id of the last event before them
+    async function missOrders(count) {
+        const watcher = await open();
+        await watcher.next('connected');
+        const before = watcher.events[watcher.events.length - 1].id;
+        const orders = [];
+        for (let i = 0; i < count; i++) {
+            orders.push(await app.placeOrder(items));
+            await watcher.next('new-order');
+        }
+        watcher.close();
+        return { before, orders };
+    }
+
+    it('replays the events missed since Last-Event-ID, in order', async () => {
+        const { before, orders } = await missOrders(2);
+
+        const stream = await open({ 'Last-Event-ID': before });
+        assert.equal((await stream.next('new-order')).id, orders[0]);
+        assert.equal((await stream.next('new-order')).id, orders[1]);
+        assert.ok(!stream.events.some(e => e.event === 'resync'));
+
+        // Then live events, numbered on from the replayed ones
+        const live = await app.placeOrder(items);
+        assert.equal((await stream.next('new-order')).id, live);
+        const ids = stream.events.filter(e => e.event === 'new-order').map(e => Number(e.id.split('-').pop()));
+        assert.deepEqual(ids, [ids[0], ids[0] + 1, ids[0] + 2]);
+    });
+
+    it('asks for a reload when the missed events are no longer kept', async () => {
+        const { before } = await missOrders(4);
+
+        const stream = await open({ 'Last-Event-ID': before });
+        await stream.next('resync');
+        assert.ok(!stream.events.some(e => e.event === 'new-order'));
+    });
+
+    it('asks for a reload for an id from another instance or boot', async () => {
+        const stream = await app.stream(`/api/sse/kitchen?access_token=${kitchen}&last_event_id=elsewhere.1-3`);
+        opened.push(stream);
+        await stream.next('resync');
+    });
+});
+
+describe('events across instances', () => {
+    const bus = createMemoryPubSub();
+    const instances = [new OrderEvents(bus), new OrderEvents(bus)];
+
+    after(() => Promise.all(instances.map(instance => instance.close())));
+
+    // Collects what a listener hears → { heard, next } with next() resolving
+    // once `count` events have arrived
+    function listen(instance, restaurantId) {
+        const heard = [];
+        let waiting = null;
+        instance.subscribe(restaurantId, (event, data, id) => {
+            heard.push({ event, data, id });
+            if (waiting && heard.length >= waiting.count) waiting.resolve();
+        });
+        const next = count => new Promise(resolve => {
+            waiting = { count, resolve };
+            if (heard.length >= count) resolve();
+        });
+        return { heard, next };
+    }
+
+    it('delivers a restaurant\'s events to its listeners on every instance, and no one else', async () => {
+        const first = listen(instances[0], 1);
+        const second = listen(instances[1], 1);
+        const otherRestaurant = listen(instances[1], 2);
+
+        instances[0].emit('new-order', { restaurant_id: 1, order: { id: 10 } });
+        instances[1].emit('order-updated', { restaurant_id: 1, order_id: 10 });
+        await Promise.all([first.next(2), second.next(2)]);
+        await new Promise(resolve => setImmediate(resolve));
+
+        for (const { heard } of [first, second]) {
+            assert.deepEqual(heard.map(h => h.event), ['new-order', 'order-updated']);
+            assert.deepEqual(heard[0].data.order, { id: 10 });
+        }
+        assert.deepEqual(otherRestaurant.heard, []);
+
+        // Each instance can replay what it received itself
+        instances.forEach((instance, i) => {
+            const { heard } = [first, second][i];
+            assert.deepEqual(instance.since(1, heard[0].id).map(e => e.event), ['order-updated']);
+        });
+    });
+
+    it('needs a restaurant for every event', () => {
+        assert.throws(() => instances[0].emit('new-order', { order: {} }), /restaurant_id/);
+    });
+});
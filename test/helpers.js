@@ -0,0 +1,183 @@
+const path = require('path');
+
+// ─── Test helpers ─────────────────────────────────────────────
+// `npm test` runs each test file in a process of its own, so every file gets
+// a fresh in-memory database (DB_DRIVER=memory) and nothing is shared
+// between them.
+
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+// The fake gateway, with its built-in secret (providers/fake.js)
+process.env.NODE_ENV = 'test';
+process.env.FAKE_GATEWAY = 'on';
+
+const FIXTURES = path.join(__dirname, '..', 'server', 'db', 'fixtures');
+const MULTI_TENANT = path.join(FIXTURES, 'multi-tenant.json');
+
+// North's first table in the multi-tenant fixture, which customers order from
+const TABLE = 'test-north-table-1';
+
+// The fake gateway posts its own callback for each payment a moment after it
+// is made (providers/fake.js). Files that capture payments only by verify,
+// or by webhooks they send themselves, call this first: that callback would
+// race them.
+function holdGatewayCallbacks() {
+    process.env.FAKE_GATEWAY_CALLBACK_DELAY = '600000';
+}
+
+// Seeds the fixtures and serves the app on a free port
+// → { db, base, request, login, stream, placeOrder, bill, payOnline, close }
+async function startApp(fixtures = [MULTI_TENANT]) {
+    const db = require('../server/db');
+    const { seed, loadFixture } = require('../server/db/seed');
+    await seed(db, fixtures.map(loadFixture));
+
+    const app = require('../server/index');
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+    // The fake gateway's callbacks come back to this server
+    process.env.FAKE_GATEWAY_CALLBACK_URL = `${base}/api/webhooks/fake`;
+
+    // → { status, body }
+    async function request(method, url, { token, body } = {}) {
+        const res = await fetch(base + url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: res.status, body: await res.json().catch(() => null) };
+    }
+
+    async function login(username, password) {
+        const { status, body } = await request('POST', '/api/auth/login', { body: { username, password } });
+        if (status !== 200) throw new Error(`Login as ${username} failed: ${status} ${JSON.stringify(body)}`);
+        return body.token;
+    }
+
+    // Opens an event stream as EventSource would, with any extra headers
+    // → { status, body } if it was refused; else { status, events, next,
+    // close }: events as { id, event, data } in the order they came, and
+    // next(event) → the data of the first such event after the one the
+    // last next() took, failing after `wait` ms
+    async function stream(url, headers = {}) {
+        const controller = new AbortController();
+        const res = await fetch(base + url, { headers, signal: controller.signal });
+        if (!(res.headers.get('content-type') || '').startsWith('text/event-stream')) {
+            return { status: res.status, body: await res.json().catch(() => null) };
+        }
+
+        const events = [];
+        const waiting = [];
+        let cursor = 0;
+        const deliver = () => {
+            while (waiting.length) {
+                const waiter = waiting[0];
+                const found = events.findIndex((e, i) => i >= cursor && e.event === waiter.event);
+                if (found === -1) return;
+                cursor = found + 1;
+                waiting.shift();
+                clearTimeout(waiter.timer);
+                waiter.resolve(events[found].data);
+            }
+        };
+
+        (async () => {
+            const decoder = new TextDecoder();
+            let text = '';
+            for await (const chunk of res.body) {
+                text += decoder.decode(chunk, { stream: true });
+                let end;
+                while ((end = text.indexOf('\n\n')) !== -1) {
+                    const message = {};
+                    for (const line of text.slice(0, end).split('\n')) {
+                        const colon = line.indexOf(': ');
+                        if (colon > 0) message[line.slice(0, colon)] = line.slice(colon + 2);
+                    }
+                    text = text.slice(end + 2);
+                    if (message.event) events.push({ id: message.id, event: message.event, data: JSON.parse(message.data) });
+                }
+                deliver();
+            }
+        })().catch(() => { }); // aborted by close()
+
+        const next = (event, wait = 2000) => new Promise((resolve, reject) => {
+            const waiter = { event, resolve };
+            waiter.timer = setTimeout(() => {
+                waiting.splice(waiting.indexOf(waiter), 1);
+                reject(new Error(`No ${event} event on ${url} within ${wait} ms`));
+            }, wait);
+            waiting.push(waiter);
+            deliver();
+        });
+
+        return { status: res.status, events, next, close: () => controller.abort() };
+    }
+
+    // Places a postpaid order at TABLE for one of each of `items` (menu items)
+    // → its id
+    async function placeOrder(items) {
+        const { status, body } = await request('POST', '/api/orders', {
+            body: { table_token: TABLE, payment_mode: 'POSTPAID', items: items.map(item => ({ menu_item_id: item.id, quantity: 1 })) }
+        });
+        if (status !== 201) throw new Error(`Order failed: ${status} ${JSON.stringify(body)}`);
+        return body.order_id;
+    }
+
+    // An order as TABLE's customers see it, with its balance and payments
+    const bill = orderId => request('GET', `/api/orders/${orderId}?token=${TABLE}`).then(res => res.body);
+
+    // Pays through the fake gateway as the customer's browser would: body is
+    // that of create-order → { order, verify } responses, verify null if
+    // the order could not be made
+    async function payOnline(body) {
+        const order = await request('POST', '/api/payments/create-order', { body });
+        if (order.status !== 200) return { order, verify: null };
+        const paid = await request('POST', '/api/sandbox/checkout', { body: { order_id: order.body.razorpay_order_id, outcome: 'success' } });
+        const verify = await request('POST', '/api/payments/verify', { body: { ...body, ...paid.body } });
+        return { order, verify };
+    }
+
+    function close() {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    }
+
+    return { db, base, request, login, stream, placeOrder, bill, payOnline, close };
+}
+
+// A Supabase adapter whose REST calls are recorded instead of sent; each GET
+// answers with `rows` → { adapter, calls } with calls as { method, url,
+// query, body }: url decoded and relative to /rest/v1/, query its parameters
+function recordingSupabase(rows = []) {
+    const REST = 'http://supabase.test/rest/v1/';
+    process.env.SUPABASE_URL = 'http://supabase.test';
+    process.env.SUPABASE_ANON_KEY = 'test-key';
+    process.env.DATABASE_URL = process.env.DATABASE_URL || 'postgres://unused';
+
+    const calls = [];
+    const realFetch = globalThis.fetch;
+    globalThis.fetch = async (input, init = {}) => {
+        const url = String(input instanceof Request ? input.url : input);
+        if (!url.startsWith(REST)) return realFetch(input, init);
+
+        const method = init.method || 'GET';
+        calls.push({
+            method,
+            url: decodeURIComponent(url.slice(REST.length)),
+            query: new URL(url).searchParams,
+            body: init.body ? JSON.parse(init.body) : null
+        });
+        const answer = method === 'GET' ? rows : method === 'POST' ? { id: 1 } : [];
+        return new Response(JSON.stringify(answer), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    };
+
+    const adapter = require('../server/db/supabase').createSupabaseAdapter();
+    return { adapter, calls };
+}
+
+module.exports = { MULTI_TENANT, TABLE, holdGatewayCallbacks, startApp, recordingSupabase };
@@ -0,0 +1,173 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TABLE, startApp, recordingSupabase } = require('./helpers');
+const { QueryBuilder, QueryError } = require('../server/db/query');
+
+// ─── Hostile input ────────────────────────────────────────────
+// Customer text must land in its own column exactly as typed, whatever
+// quotes, placeholders or list separators it holds.
+
+const HOSTILE = [
+    'it\'s',
+    '"; DROP TABLE orders; --',
+    '\' OR \'1\'=\'1',
+    '$2',
+    '$1, $2, $3',
+    '?, ?',
+    'a",b',
+    'back\\slash\\" and \\\'',
+    'in.(1,2)&table_id=eq.2',
+    'नमस्ते 🍛'
+];
+
+describe('hostile strings through the API', () => {
+    let app;
+    let token;
+    let item;
+
+    before(async () => {
+        app = await startApp();
+        token = await app.login('north_admin', 'north-admin-pass');
+        item = (await app.request('GET', '/api/menu/items/all', { token })).body.find(i => i.name === 'Margherita');
+    });
+
+    after(() => app.close());
+
+    for (const text of HOSTILE) {
+        it(`POST /api/orders keeps notes ${JSON.stringify(text)}`, async () => {
+            const placed = await app.request('POST', '/api/orders', {
+                body: {
+                    table_token: TABLE,
+                    payment_mode: 'POSTPAID',
+                    notes: text,
+                    items: [{ menu_item_id: item.id, quantity: 2, notes: text }]
+                }
+            });
+            assert.equal(placed.status, 201, JSON.stringify(placed.body));
+
+            const feed = await app.request('GET', '/api/orders/feed/all', { token });
+            const order = feed.body.find(o => o.id === placed.body.order_id);
+            assert.equal(order.notes, text);
+            assert.equal(order.payment_mode, 'POSTPAID');
+            assert.equal(order.table_number, 1);
+
+            const { body } = await app.request('GET', `/api/orders/${placed.body.order_id}?token=${TABLE}`);
+            assert.equal(body.items.length, 1);
+            assert.equal(body.items[0].notes, text);
+            assert.equal(body.items[0].quantity, 2);
+            assert.equal(body.items[0].item_name, 'Margherita');
+        });
+
+        it(`POST /api/feedback keeps comment ${JSON.stringify(text)}`, async () => {
+            const sent = await app.request('POST', '/api/feedback', { body: { table_token: TABLE, rating: 3, comment: text } });
+            assert.equal(sent.status, 200, JSON.stringify(sent.body));
+
+            const { body } = await app.request('GET', '/api/feedback', { token });
+            const feedback = body.feedbacks.find(f => f.id === sent.body.feedback_id);
+            assert.equal(feedback.comment, text);
+            assert.equal(feedback.rating, 3);
+            assert.equal(feedback.table_number, 1);
+        });
+    }
+
+    it('POST /api/feedback refuses a table token that is not a string', async () => {
+        const total = (await app.request('GET', '/api/feedback', { token })).body.stats.total;
+        for (const table_token of [{ $ne: '' }, [TABLE], { toString: 'x' }]) {
+            const sent = await app.request('POST', '/api/feedback', { body: { table_token, rating: 5, comment: 'x' } });
+            assert.equal(sent.status, 400, JSON.stringify(table_token));
+        }
+        assert.equal((await app.request('GET', '/api/feedback', { token })).body.stats.total, total);
+    });
+
+    it('POST /api/feedback refuses a rating, comment or order that is not one', async () => {
+        const total = (await app.request('GET', '/api/feedback', { token })).body.stats.total;
+        const otherTable = await app.request('POST', '/api/orders', {
+            body: { table_token: 'test-north-table-2', payment_mode: 'POSTPAID', items: [{ menu_item_id: item.id, quantity: 1 }] }
+        });
+        assert.equal(otherTable.status, 201, JSON.stringify(otherTable.body));
+
+        const refused = [
+            [{ rating: 0 }, 400],
+            [{ rating: 6 }, 400],
+            [{ rating: 4.5 }, 400],
+            [{ rating: '5' }, 400],
+            [{ rating: [5] }, 400],
+            [{ rating: 5, comment: { $ne: '' } }, 400],
+            [{ rating: 5, comment: ['nice'] }, 400],
+            [{ rating: 5, comment: 'x'.repeat(1001) }, 400],
+            [{ rating: 5, order_id: { $gt: 0 } }, 400],
+            [{ rating: 5, order_id: '1 OR 1=1' }, 400],
+            [{ rating: 5, order_id: otherTable.body.order_id }, 404],
+            [{ rating: 5, order_id: 999999 }, 404]
+        ];
+        for (const [body, status] of refused) {
+            const sent = await app.request('POST', '/api/feedback', { body: { table_token: TABLE, ...body } });
+            assert.equal(sent.status, status, JSON.stringify(body));
+        }
+        assert.equal((await app.request('GET', '/api/feedback', { token })).body.stats.total, total);
+
+        const own = await app.request('POST', '/api/orders', {
+            body: { table_token: TABLE, payment_mode: 'POSTPAID', items: [{ menu_item_id: item.id, quantity: 1 }] }
+        });
+        const sent = await app.request('POST', '/api/feedback', { body: { table_token: TABLE, rating: 5, order_id: String(own.body.order_id) } });
+        assert.equal(sent.status, 200, JSON.stringify(sent.body));
+        const { body } = await app.request('GET', '/api/feedback', { token });
+        assert.equal(body.feedbacks.find(f => f.id === sent.body.feedback_id).order_id, own.body.order_id);
+    });
+
+    it('POST /api/payments/create-order charges the bill, whatever amount it is sent', async () => {
+        const items = [{ menu_item_id: item.id, quantity: 2 }];
+        const quote = await app.request('POST', '/api/orders/quote', { body: { table_token: TABLE, items } });
+        assert.equal(quote.status, 200, JSON.stringify(quote.body));
+        for (const amount of [1, 0, -500]) {
+            const res = await app.request('POST', '/api/payments/create-order', { body: { table_token: TABLE, payment_mode: 'PREPAID', items, amount } });
+            assert.equal(res.status, 200, JSON.stringify(res.body));
+            assert.equal(res.body.amount, Math.round(quote.body.total_amount * 100));
+        }
+    });
+
+    it('every customer route refuses a table token that is not a string', async () => {
+        const items = [{ menu_item_id: item.id, quantity: 1 }];
+        for (const table_token of [{ $ne: '' }, [TABLE]]) {
+            for (const url of ['/api/orders', '/api/orders/quote', '/api/payments/create-order', '/api/payments/pay-cash', '/api/coupons/validate', '/api/orders/1/add-items', '/api/orders/1/cancel']) {
+                const res = await app.request('POST', url, { body: { table_token, order_id: 1, code: 'X', payment_mode: 'POSTPAID', items } });
+                assert.equal(res.status, 400, `${url} ${JSON.stringify(table_token)}`);
+            }
+        }
+        for (const url of ['/api/orders/1', '/api/invoices/1', '/api/sse/order/1', '/api/sse/menu']) {
+            const res = await app.request('GET', `${url}?token=${TABLE}&token=${TABLE}`);
+            assert.equal(res.status, 400, url);
+            assert.equal(res.body.error, 'Invalid table');
+        }
+    });
+});
+
+describe('hostile strings in the query layer', () => {
+    const capture = { execute: async () => [] };
+
+    it('rejects objects and arrays as filter values', () => {
+        for (const value of [{ $ne: '' }, ['a'], () => 1, Symbol('s')]) {
+            assert.throws(() => new QueryBuilder(capture, 'tables').where('qr_token', value), QueryError);
+        }
+        assert.throws(() => new QueryBuilder(capture, 'tables').whereIn('id', [1, { $gt: 0 }]), QueryError);
+    });
+
+    it('quotes every entry of a Supabase IN list', async () => {
+        const { adapter, calls } = recordingSupabase();
+        await new QueryBuilder(adapter, 'orders').whereIn('notes', ['a",b', 'c\\d', '$2', 7, null]).all();
+        assert.equal(calls[0].query.get('notes'), 'in.("a\\",b","c\\\\d","$2",7,null)');
+    });
+
+    it('keeps Supabase filter values out of the other parameters', async () => {
+        const { adapter, calls } = recordingSupabase();
+        await new QueryBuilder(adapter, 'orders').where('notes', 'x&table_id=eq.2').all();
+        assert.equal(calls[0].query.get('notes'), 'eq.x&table_id=eq.2');
+        assert.equal(calls[0].query.get('table_id'), null);
+    });
+
+    it('sends Supabase inserts as JSON', async () => {
+        const { adapter, calls } = recordingSupabase();
+        for (const text of HOSTILE) await new QueryBuilder(adapter, 'feedback').insert({ comment: text, rating: 1 });
+        assert.deepEqual(calls.map(call => call.body.comment), HOSTILE);
+    });
+});
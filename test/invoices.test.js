@@ -0,0 +1,52 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TABLE, startApp } = require('./helpers');
+
+// ─── Invoice numbering ────────────────────────────────────────
+// GST asks for invoice numbers without gaps or repeats, however many bills
+// are settled at once — including the first ones of a financial year.
+
+describe('invoice numbering', () => {
+    let app;
+    let waiter;
+    let admin;
+    let items;
+    let restaurantId;
+
+    before(async () => {
+        app = await startApp();
+        waiter = await app.login('north_waiter', 'north-waiter-pass');
+        admin = await app.login('north_admin', 'north-admin-pass');
+        items = (await app.request('GET', '/api/menu/items/all', { token: admin })).body;
+        restaurantId = (await app.db.from('tables').where('qr_token', TABLE).get()).restaurant_id;
+    });
+
+    after(() => app.close());
+
+    it('numbers the first invoices of a new year once each', async () => {
+        const { nextSequence } = require('../server/utils/invoices');
+        const numbers = await Promise.all([1, 2, 3].map(() => nextSequence(restaurantId, 'invoice', '2030-31')));
+        assert.deepEqual(numbers.sort(), [1, 2, 3]);
+
+        const series = await app.db.from('invoice_sequences').where({ restaurant_id: restaurantId, financial_year: '2030-31' }).all();
+        assert.deepEqual(series.map(s => s.last_number), [3]);
+    });
+
+    it('numbers bills settled at once without gaps', async () => {
+        const before = await app.db.from('invoices').where({ restaurant_id: restaurantId, kind: 'invoice' }).all();
+        const payments = [];
+        for (let i = 0; i < 4; i++) {
+            const orderId = await app.placeOrder(items);
+            const paid = await app.request('POST', '/api/payments/pay-cash', { body: { table_token: TABLE, order_id: orderId } });
+            assert.equal(paid.status, 200, JSON.stringify(paid.body));
+            payments.push(paid.body.payment_id);
+        }
+
+        const results = await Promise.all(payments.map(id => app.request('POST', `/api/payments/${id}/confirm-cash`, { token: waiter })));
+        for (const res of results) assert.equal(res.status, 200, JSON.stringify(res.body));
+
+        const invoices = await app.db.from('invoices').where({ restaurant_id: restaurantId, kind: 'invoice' }).orderBy('sequence').all();
+        assert.deepEqual(invoices.map(i => i.sequence), Array.from({ length: before.length + 4 }, (_, i) => i + 1));
+        assert.equal(new Set(invoices.map(i => i.number)).size, invoices.length);
+    });
+});
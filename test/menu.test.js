@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TABLE, startApp } = require('./helpers');
+const { localNow } = require('../server/utils/availability');
+
+// ─── Public menu ──────────────────────────────────────────────
+// Anyone can read a restaurant's menu, so reading it writes nothing: items
+// show the stock a new day brings back, and the day itself is started by
+// orders and the kitchen's stock screen.
+
+describe('the public menu on a new stock day', () => {
+    let app;
+    let restaurantId;
+    let item;
+
+    before(async () => {
+        app = await startApp();
+        restaurantId = (await app.db.from('tables').where('qr_token', TABLE).get()).restaurant_id;
+        item = await app.db.from('menu_items').where({ restaurant_id: restaurantId, name: 'Margherita' }).get();
+    });
+
+    after(() => app.close());
+
+    // Sold out yesterday, with 5 to come back today
+    const soldOutYesterday = () => app.db.from('menu_items').where('id', item.id)
+        .update({ stock_count: 0, daily_stock: 5, sold_out: 1, stock_date: '2026-01-01' });
+    const stored = () => app.db.from('menu_items').select('stock_count', 'sold_out', 'stock_date').where('id', item.id).get();
+    const menuItem = async () => {
+        const res = await app.request('GET', `/api/menu/${restaurantId}`);
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        return res.body.categories.flatMap(c => c.items).find(i => i.id === item.id);
+    };
+
+    it('shows today\'s stock without starting the day', async () => {
+        await soldOutYesterday();
+
+        const shown = await menuItem();
+        assert.equal(shown.available, true);
+        assert.equal(shown.stock_count, 5);
+        assert.equal(shown.sold_out, 0);
+        assert.equal(shown.daily_stock, undefined);
+        assert.equal(shown.stock_date, undefined);
+
+        assert.deepEqual(await stored(), { stock_count: 0, sold_out: 1, stock_date: '2026-01-01' });
+    });
+
+    it('leaves starting the day to the kitchen or the first order', async () => {
+        const today = localNow('Asia/Kolkata').date;
+        await soldOutYesterday();
+        const kitchen = await app.login('north_kitchen', 'north-kitchen-pass');
+        const res = await app.request('GET', '/api/menu/items/stock', { token: kitchen });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        assert.deepEqual(await stored(), { stock_count: 5, sold_out: 0, stock_date: today });
+
+        await soldOutYesterday();
+        await app.placeOrder([item]);
+        assert.deepEqual(await stored(), { stock_count: 4, sold_out: 0, stock_date: today });
+        assert.equal((await menuItem()).stock_count, 4);
+    });
+});
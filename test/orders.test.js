@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TABLE, startApp } = require('./helpers');
+const { insertOrder } = require('../server/routes/orders');
+const { billOrder } = require('../server/utils/billing');
+const { priceOrderItems } = require('../server/utils/pricing');
+const { StockError } = require('../server/utils/inventory');
+
+// ─── Placing orders ───────────────────────────────────────────
+// An order and its lines are written together: when a line fails after the
+// order row is in, nothing of the order is left behind.
+
+describe('placing an order that fails half-way', () => {
+    let app;
+    let table;
+    let items;
+
+    before(async () => {
+        app = await startApp();
+        table = await app.db.from('tables').where('qr_token', TABLE).get();
+        const tenantDb = app.db.forTenant(table.restaurant_id);
+        items = Object.fromEntries((await tenantDb.from('menu_items').all()).map(item => [item.name, item.id]));
+        await tenantDb.from('menu_items').where('id', items.Margherita).update({ stock_count: 10 });
+    });
+
+    after(() => app.close());
+
+    const count = table => app.db.from(table).count().get().then(row => row.count);
+
+    // A second line that fails once the first is priced → [name, line, error]
+    const cases = [
+        ['a menu item that is gone', () => ({ menu_item_id: 999999, item_name: 'Gone', quantity: 1, price_at_order: 100 }), StockError],
+        ['a variant that is gone', () => ({ menu_item_id: items.Pepperoni, variant_id: 999999, item_name: 'Pepperoni (Gone)', quantity: 1, price_at_order: 380 }), Error]
+    ];
+    for (const [name, badLine, error] of cases) {
+        it(`writes nothing when a line refers to ${name}`, async () => {
+            const { lines } = await priceOrderItems(table.restaurant_id, [{ menu_item_id: items.Margherita, quantity: 2 }]);
+            lines.push(badLine());
+            const bill = await billOrder(table.restaurant_id, lines);
+            const before = { orders: await count('orders'), order_items: await count('order_items') };
+
+            await assert.rejects(insertOrder({
+                restaurantId: table.restaurant_id,
+                tableId: table.id,
+                paymentMode: 'POSTPAID',
+                bill,
+                items: lines
+            }), error);
+
+            assert.deepEqual({ orders: await count('orders'), order_items: await count('order_items') }, before);
+            const margherita = await app.db.from('menu_items').where('id', items.Margherita).get();
+            assert.equal(margherita.stock_count, 10);
+        });
+    }
+
+    it('still places the order once the lines are good', async () => {
+        const orderId = await app.placeOrder([{ id: items.Margherita }]);
+        const lines = await app.db.from('order_items').where('order_id', orderId).all();
+        assert.deepEqual(lines.map(line => line.menu_item_id), [items.Margherita]);
+    });
+});
@@ -0,0 +1,285 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+const { roundMoney, offerPrice, applyRule, allocateComboPrice, priceOrderItems } = require('../server/utils/pricing');
+const { computeBill } = require('../server/utils/billing');
+
+// ─── Server-side pricing ──────────────────────────────────────
+// What a cart costs and what the bill for it comes to, to the paisa:
+// variants and modifiers, combo shares, price rules, and GST in CGST and SGST
+// halves on top of the service and packaging charges.
+
+describe('money rounding', () => {
+    const cases = [
+        ['a float sum', 0.1 + 0.2, 0.3],
+        ['a third', 100 / 3, 33.33],
+        ['two thirds', 200 / 3, 66.67],
+        ['below half a paisa', 7.49425, 7.49],
+        ['above half a paisa', 7.49925, 7.5],
+        ['a negative amount', -0.456, -0.46]
+    ];
+    for (const [name, amount, expected] of cases) {
+        it(`rounds ${name} to the paisa`, () => assert.equal(roundMoney(amount), expected));
+    }
+});
+
+describe('price rules on a unit price', () => {
+    const cases = [
+        ['no rule', null, 299, 299],
+        ['10% off', { kind: 'percent', value: 10 }, 299, 269.1],
+        ['15% off', { kind: 'percent', value: 15 }, 333, 283.05],
+        ['33% off, rounded', { kind: 'percent', value: 33 }, 99.99, 66.99],
+        ['100% off', { kind: 'percent', value: 100 }, 420.5, 0],
+        ['₹50 off', { kind: 'amount', value: 50 }, 120.75, 70.75],
+        ['more off than the price', { kind: 'amount', value: 50 }, 40, 0],
+        ['buy one get one', { kind: 'bogo', value: 0 }, 299, 299]
+    ];
+    for (const [name, rule, price, expected] of cases) {
+        it(`prices ${name}`, () => assert.equal(offerPrice(rule, price), expected));
+    }
+});
+
+describe('price rules on a cart line', () => {
+    const line = (quantity, price = 250) => ({ menu_item_id: 1, quantity, list_price: price, price_at_order: price, notes: 'no onion' });
+    const percent = { id: 7, name: 'Happy hour', kind: 'percent', value: 20 };
+    const bogo = { id: 8, name: 'Two for one', kind: 'bogo', value: 0 };
+
+    // → [quantity, list_price, price_at_order, price_rule_id] per resulting line
+    const cases = [
+        ['no rule', line(2), null, [[2, 250, 250, undefined]]],
+        ['a percentage off', line(2), percent, [[2, 250, 200, 7]]],
+        ['a percentage off a free item', line(1, 0), percent, [[1, 0, 0, undefined]]],
+        ['one of one on bogo', line(1), bogo, [[1, 250, 250, undefined]]],
+        ['three on bogo', line(3), bogo, [[2, 250, 250, undefined], [1, 250, 0, 8]]],
+        ['four on bogo', line(4), bogo, [[2, 250, 250, undefined], [2, 250, 0, 8]]]
+    ];
+    for (const [name, input, rule, expected] of cases) {
+        it(`splits ${name}`, () => {
+            const lines = applyRule(input, rule);
+            assert.deepEqual(lines.map(l => [l.quantity, l.list_price, l.price_at_order, l.price_rule_id]), expected);
+            const charged = lines.reduce((sum, l) => sum + l.price_at_order * l.quantity, 0);
+            assert.ok(charged <= input.price_at_order * input.quantity);
+        });
+    }
+
+    it('keeps the notes on the paid line of a bogo, not the free one', () => {
+        const [paid, free] = applyRule(line(2), bogo);
+        assert.equal(paid.notes, 'no onion');
+        assert.equal(free.notes, '');
+        assert.equal(free.price_rule_name, 'Two for one');
+    });
+});
+
+describe('combo price shares', () => {
+    const cases = [
+        ['by list price', 499, [450.5, 380], [270.67, 228.33]],
+        ['evenly, the remainder to the last', 100, [60, 60, 60], [33.33, 33.33, 33.34]],
+        ['by weight, with a free component', 150, [100, 0, 200], [50, 0, 100]],
+        ['evenly when nothing has a price', 10, [0, 0], [5, 5]],
+        ['a paisa', 0.01, [1, 1], [0, 0.01]]
+    ];
+    for (const [name, price, listPrices, expected] of cases) {
+        it(`splits ${name}`, () => {
+            const shares = allocateComboPrice(price, listPrices.map(list_price => ({ list_price })));
+            assert.deepEqual(shares, expected);
+            assert.equal(roundMoney(shares.reduce((sum, share) => sum + share, 0)), price);
+        });
+    }
+});
+
+describe('bills', () => {
+    const gst5 = { id: 1, name: 'Restaurant', rate: 5 };
+    const settings = (extra = {}) => ({ classes: new Map(), defaultClass: gst5, serviceChargeRate: 0, packagingCharge: 0, roundOff: false, ...extra });
+    const line = (price, quantity, taxRate, discount = 0) => ({ price_at_order: price, quantity, tax_rate: taxRate, discount });
+    const half = (rate, taxable, amount) => [{ name: 'CGST', rate, taxable, amount }, { name: 'SGST', rate, taxable, amount }];
+
+    const cases = [
+        {
+            name: 'without tax or charges',
+            settings: settings({ defaultClass: null }),
+            lines: [line(300, 2, 0)],
+            bill: { subtotal: 600, discount_amount: 0, service_charge: 0, packaging_charge: 0, tax_amount: 0, taxes: [], round_off: 0, total_amount: 600 }
+        },
+        {
+            name: 'with GST in equal halves',
+            settings: settings(),
+            lines: [line(300, 1, 5), line(380, 1, 5)],
+            bill: { subtotal: 680, discount_amount: 0, service_charge: 0, packaging_charge: 0, tax_amount: 34, taxes: half(2.5, 680, 17), round_off: 0, total_amount: 714 }
+        },
+        {
+            name: 'with lines at two rates, lowest first',
+            settings: settings(),
+            lines: [line(380, 1, 18), line(300, 1, 5)],
+            bill: {
+                subtotal: 680, discount_amount: 0, service_charge: 0, packaging_charge: 0, tax_amount: 83.4,
+                taxes: [...half(2.5, 300, 7.5), ...half(9, 380, 34.2)], round_off: 0, total_amount: 763.4
+            }
+        },
+        {
+            name: 'with a discount taken off before the service charge and GST',
+            settings: settings({ serviceChargeRate: 10 }),
+            lines: [line(333.33, 1, 5, 33.33)],
+            bill: { subtotal: 333.33, discount_amount: 33.33, service_charge: 30, packaging_charge: 0, tax_amount: 16.5, taxes: half(2.5, 330, 8.25), round_off: 0, total_amount: 346.5 }
+        },
+        {
+            name: 'with charges taxed at the default class and rounded up',
+            settings: settings({ serviceChargeRate: 7.5, packagingCharge: 20, roundOff: true }),
+            lines: [line(33.33, 3, 0)],
+            bill: {
+                subtotal: 99.99, discount_amount: 0, service_charge: 7.5, packaging_charge: 20, tax_amount: 1.38,
+                taxes: half(2.5, 27.5, 0.69), round_off: 0.13, total_amount: 129
+            }
+        },
+        {
+            name: 'with every half rounded to the paisa, rounded up',
+            settings: settings({ roundOff: true }),
+            lines: [line(299, 1, 18)],
+            bill: { subtotal: 299, discount_amount: 0, service_charge: 0, packaging_charge: 0, tax_amount: 53.82, taxes: half(9, 299, 26.91), round_off: 0.18, total_amount: 353 }
+        },
+        {
+            name: 'rounded down',
+            settings: settings({ roundOff: true }),
+            lines: [line(297, 1, 18)],
+            bill: { subtotal: 297, discount_amount: 0, service_charge: 0, packaging_charge: 0, tax_amount: 53.46, taxes: half(9, 297, 26.73), round_off: -0.46, total_amount: 350 }
+        },
+        {
+            name: 'with the service charge in the same GST halves as an 18% line',
+            settings: settings({ serviceChargeRate: 5, defaultClass: { id: 2, name: 'Standard', rate: 18 } }),
+            lines: [line(99.95, 1, 18)],
+            bill: {
+                subtotal: 99.95, discount_amount: 0, service_charge: 5, packaging_charge: 0, tax_amount: 18.9,
+                taxes: half(9, 104.95, 9.45), round_off: 0, total_amount: 123.85
+            }
+        },
+        {
+            name: 'with nothing on it',
+            settings: settings({ serviceChargeRate: 10, packagingCharge: 20 }),
+            lines: [],
+            bill: { subtotal: 0, discount_amount: 0, service_charge: 0, packaging_charge: 0, tax_amount: 0, taxes: [], round_off: 0, total_amount: 0 }
+        }
+    ];
+    for (const { name, settings: billSettings, lines, bill } of cases) {
+        it(`bills ${name}`, () => {
+            const computed = computeBill(billSettings, lines);
+            assert.deepEqual(computed, bill);
+            assert.equal(
+                roundMoney(computed.subtotal - computed.discount_amount + computed.service_charge + computed.packaging_charge + computed.tax_amount + computed.round_off),
+                computed.total_amount
+            );
+        });
+    }
+});
+
+describe('pricing a cart', () => {
+    let app;
+    let restaurantId;
+    const ids = {};
+
+    before(async () => {
+        app = await startApp();
+        const table = await app.db.from('tables').where('qr_token', 'test-north-table-1').get();
+        restaurantId = table.restaurant_id;
+        const tenantDb = app.db.forTenant(restaurantId);
+        const insert = async (table, values) => (await tenantDb.from(table).insert(values)).lastInsertRowid;
+
+        for (const item of await tenantDb.from('menu_items').all()) ids[item.name] = item.id;
+        ids.mains = (await tenantDb.from('menu_categories').where('name', 'Mains').get()).id;
+
+        ids.regular = await insert('menu_item_variants', { menu_item_id: ids.Margherita, name: 'Regular', price: 250, is_default: 1 });
+        ids.large = await insert('menu_item_variants', { menu_item_id: ids.Margherita, name: 'Large', price: 450.5 });
+
+        const toppings = await insert('modifier_groups', { menu_item_id: ids.Pepperoni, name: 'Toppings', min_select: 0, max_select: 2 });
+        ids.cheese = await insert('modifier_options', { group_id: toppings, name: 'Cheese', price_delta: 40.5 });
+        ids.olives = await insert('modifier_options', { group_id: toppings, name: 'Olives', price_delta: 25 });
+        const crust = await insert('modifier_groups', { menu_item_id: ids.Pepperoni, name: 'Crust', min_select: 1, max_select: 1, sort_order: 1 });
+        ids.thin = await insert('modifier_options', { group_id: crust, name: 'Thin', price_delta: 0, is_default: 1 });
+        ids.stuffed = await insert('modifier_options', { group_id: crust, name: 'Stuffed', price_delta: 60 });
+
+        ids.combo = await insert('combos', { category_id: ids.mains, name: 'Pizza pair', price: 499 });
+        const first = await insert('combo_slots', { combo_id: ids.combo, name: 'First' });
+        await insert('combo_slot_options', { slot_id: first, menu_item_id: ids.Margherita, variant_id: ids.large, is_default: 1 });
+        const second = await insert('combo_slots', { combo_id: ids.combo, name: 'Second', sort_order: 1 });
+        await insert('combo_slot_options', { slot_id: second, menu_item_id: ids.Pepperoni });
+    });
+
+    after(() => app.close());
+
+    // Each case: a cart, the price rules on meanwhile, and the expected total
+    // and [item_name, quantity, list_price, price_at_order] per order line
+    const cases = [
+        {
+            name: 'an item at its default variant',
+            cart: () => [{ menu_item_id: ids.Margherita }],
+            total: 250,
+            lines: [['Margherita (Regular)', 1, 250, 250]]
+        },
+        {
+            name: 'an item at a chosen variant',
+            cart: () => [{ menu_item_id: ids.Margherita, variant_id: ids.large, quantity: 2 }],
+            total: 901,
+            lines: [['Margherita (Large)', 2, 450.5, 450.5]]
+        },
+        {
+            name: 'modifiers on the unit price',
+            cart: () => [{ menu_item_id: ids.Pepperoni, modifiers: [ids.cheese, ids.olives, ids.stuffed], quantity: 3 }],
+            total: 1516.5,
+            lines: [['Pepperoni', 3, 505.5, 505.5]]
+        },
+        {
+            name: 'a combo split over its components',
+            cart: () => [{ combo_id: ids.combo, quantity: 2 }],
+            total: 998,
+            lines: [['Margherita (Large)', 2, 270.67, 270.67], ['Pepperoni', 2, 228.33, 228.33]]
+        },
+        {
+            name: 'a percentage off an item, modifiers included',
+            rules: () => [{ kind: 'percent', value: 10, menu_item_id: ids.Pepperoni }],
+            cart: () => [{ menu_item_id: ids.Pepperoni, modifiers: [ids.thin, ids.cheese] }, { menu_item_id: ids.Margherita }],
+            total: 628.45,
+            lines: [['Pepperoni', 1, 420.5, 378.45], ['Margherita (Regular)', 1, 250, 250]]
+        },
+        {
+            name: 'an amount off a category',
+            rules: () => [{ kind: 'amount', value: 100, category_id: ids.mains }],
+            cart: () => [{ menu_item_id: ids.Margherita }, { menu_item_id: ids.Pepperoni, modifiers: [ids.thin] }],
+            total: 430,
+            lines: [['Margherita (Regular)', 1, 250, 150], ['Pepperoni', 1, 380, 280]]
+        },
+        {
+            name: 'buy one get one',
+            rules: () => [{ kind: 'bogo', menu_item_id: ids.Margherita }],
+            cart: () => [{ menu_item_id: ids.Margherita, variant_id: ids.large, quantity: 3 }],
+            total: 901,
+            lines: [['Margherita (Large)', 2, 450.5, 450.5], ['Margherita (Large)', 1, 450.5, 0]]
+        },
+        {
+            name: 'an item rule ahead of a category rule',
+            rules: () => [{ kind: 'percent', value: 50, category_id: ids.mains }, { kind: 'amount', value: 30, menu_item_id: ids.Margherita }],
+            cart: () => [{ menu_item_id: ids.Margherita }, { menu_item_id: ids.Pepperoni, modifiers: [ids.thin] }],
+            total: 410,
+            lines: [['Margherita (Regular)', 1, 250, 220], ['Pepperoni', 1, 380, 190]]
+        },
+        {
+            name: 'a combo at its bundle price under a rule',
+            rules: () => [{ kind: 'percent', value: 50, category_id: ids.mains }],
+            cart: () => [{ combo_id: ids.combo }],
+            total: 499,
+            lines: [['Margherita (Large)', 1, 270.67, 270.67], ['Pepperoni', 1, 228.33, 228.33]]
+        }
+    ];
+    for (const { name, rules, cart, total, lines } of cases) {
+        it(`prices ${name}`, async () => {
+            const tenantDb = app.db.forTenant(restaurantId);
+            for (const [i, rule] of (rules ? rules() : []).entries()) {
+                await tenantDb.from('price_rules').insert({ name: `Rule ${i + 1}`, value: 0, ...rule });
+            }
+            try {
+                const priced = await priceOrderItems(restaurantId, cart());
+                assert.equal(priced.total, total);
+                assert.deepEqual(priced.lines.map(l => [l.item_name, l.quantity, l.list_price, l.price_at_order]), lines);
+            } finally {
+                await tenantDb.from('price_rules').delete();
+            }
+        });
+    }
+});
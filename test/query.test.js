@@ -0,0 +1,304 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { recordingSupabase } = require('./helpers');
+const db = require('../server/db');
+const { QueryBuilder, QueryError, NOW } = require('../server/db/query');
+const { compileSql } = require('../server/db/sql');
+const { forTenant } = require('../server/db/tenant');
+
+// ─── Query builder parity ─────────────────────────────────────
+// Queries as the routes build them (through req.db, so with the tenant
+// scope), compiled for SQLite and Postgres, run on the in-memory database
+// and mapped to Supabase REST calls.
+
+// An adapter that keeps the description it is asked to run
+function capture() {
+    const adapter = {
+        asts: [],
+        async execute(ast) {
+            adapter.asts.push(ast);
+            return ast.type === 'select' ? [] : { changes: 0, lastInsertRowid: 1 };
+        }
+    };
+    return adapter;
+}
+
+const ROUTE_QUERIES = [
+    {
+        name: 'kitchen feed (routes/orders.js)',
+        build: t => t.from('orders', 'o')
+            .select('o.*', 't.table_number')
+            .join('tables', 't', 't.id', 'o.table_id')
+            .whereIn('o.internal_status', ['PLACED', 'PREPARING'])
+            .where('o.cancelled', 0)
+            .orderBy('o.created_at', 'asc')
+            .all(),
+        sqlite: 'SELECT "o".*, "t"."table_number" FROM "orders" "o" JOIN "tables" "t" ON "t"."id" = "o"."table_id" AND "t"."restaurant_id" = ? ' +
+            'WHERE "o"."restaurant_id" = ? AND "o"."internal_status" IN (?, ?) AND "o"."cancelled" = ? ORDER BY "o"."created_at" ASC',
+        postgres: 'SELECT "o".*, "t"."table_number" FROM "orders" "o" JOIN "tables" "t" ON "t"."id" = "o"."table_id" AND "t"."restaurant_id" = $1 ' +
+            'WHERE "o"."restaurant_id" = $2 AND "o"."internal_status" IN ($3, $4) AND "o"."cancelled" = $5 ORDER BY "o"."created_at" ASC',
+        params: [1, 1, 'PLACED', 'PREPARING', 0],
+        rest: 'orders?select=*,t:tables!table_id!inner(table_number)&t.restaurant_id=eq.1&restaurant_id=eq.1' +
+            '&internal_status=in.("PLACED","PREPARING")&cancelled=eq.0&order=created_at.asc&offset=0&limit=1000'
+    },
+    {
+        name: 'admin order feed by date (routes/orders.js)',
+        build: t => t.from('orders', 'o')
+            .select('o.*', 't.table_number')
+            .join('tables', 't', 't.id', 'o.table_id')
+            .whereDate('o.created_at', '2026-10-18')
+            .where('o.internal_status', 'SERVED')
+            .orderBy('o.created_at', 'desc')
+            .limit(100)
+            .all(),
+        sqlite: 'SELECT "o".*, "t"."table_number" FROM "orders" "o" JOIN "tables" "t" ON "t"."id" = "o"."table_id" AND "t"."restaurant_id" = ? ' +
+            'WHERE "o"."restaurant_id" = ? AND date("o"."created_at") = ? AND "o"."internal_status" = ? ORDER BY "o"."created_at" DESC LIMIT 100',
+        postgres: 'SELECT "o".*, "t"."table_number" FROM "orders" "o" JOIN "tables" "t" ON "t"."id" = "o"."table_id" AND "t"."restaurant_id" = $1 ' +
+            'WHERE "o"."restaurant_id" = $2 AND ("o"."created_at")::date = $3 AND "o"."internal_status" = $4 ORDER BY "o"."created_at" DESC LIMIT 100',
+        params: [1, 1, '2026-10-18', 'SERVED'],
+        rest: 'orders?select=*,t:tables!table_id!inner(table_number)&t.restaurant_id=eq.1&restaurant_id=eq.1' +
+            '&created_at=gte.2026-10-18&created_at=lt.2026-10-19&internal_status=eq.SERVED&order=created_at.desc&limit=100'
+    },
+    {
+        name: 'payment report (routes/payments.js)',
+        build: t => t.from('payments', 'p')
+            .select('p.*', 'o.table_id', 't.table_number')
+            .leftJoin('orders', 'o', 'o.id', 'p.order_id')
+            .leftJoin('tables', 't', 't.id', 'o.table_id')
+            .orderBy('p.created_at', 'desc')
+            .limit(100)
+            .all(),
+        sqlite: 'SELECT "p".*, "o"."table_id", "t"."table_number" FROM "payments" "p" ' +
+            'LEFT JOIN "orders" "o" ON "o"."id" = "p"."order_id" AND "o"."restaurant_id" = ? ' +
+            'LEFT JOIN "tables" "t" ON "t"."id" = "o"."table_id" AND "t"."restaurant_id" = ? ' +
+            'WHERE "p"."restaurant_id" = ? ORDER BY "p"."created_at" DESC LIMIT 100',
+        postgres: 'SELECT "p".*, "o"."table_id", "t"."table_number" FROM "payments" "p" ' +
+            'LEFT JOIN "orders" "o" ON "o"."id" = "p"."order_id" AND "o"."restaurant_id" = $1 ' +
+            'LEFT JOIN "tables" "t" ON "t"."id" = "o"."table_id" AND "t"."restaurant_id" = $2 ' +
+            'WHERE "p"."restaurant_id" = $3 ORDER BY "p"."created_at" DESC LIMIT 100',
+        params: [1, 1, 1],
+        rest: 'payments?select=*,o:orders!order_id(table_id,t:tables!table_id(table_number))' +
+            '&o.restaurant_id=eq.1&o.t.restaurant_id=eq.1&restaurant_id=eq.1&order=created_at.desc&limit=100'
+    },
+    {
+        name: 'payment summary for today (routes/payments.js)',
+        build: t => t.from('payments')
+            .count('count')
+            .sum('amount', 'total')
+            .sum('refunded_amount', 'refunded')
+            .where('verified', 1)
+            .whereDate('created_at')
+            .get(),
+        sqlite: 'SELECT COUNT(*) AS "count", COALESCE(SUM("payments"."amount"), 0) AS "total", COALESCE(SUM("payments"."refunded_amount"), 0) AS "refunded" ' +
+            'FROM "payments" WHERE "payments"."restaurant_id" = ? AND "payments"."verified" = ? AND date("payments"."created_at") = date(\'now\') LIMIT 1',
+        postgres: 'SELECT COUNT(*) AS "count", COALESCE(SUM("payments"."amount"), 0) AS "total", COALESCE(SUM("payments"."refunded_amount"), 0) AS "refunded" ' +
+            'FROM "payments" WHERE "payments"."restaurant_id" = $1 AND "payments"."verified" = $2 AND ("payments"."created_at")::date = CURRENT_DATE LIMIT 1',
+        params: [1, 1]
+    },
+    {
+        name: 'feedback stats (routes/feedback.js)',
+        build: t => t.from('feedback')
+            .count('total')
+            .avg('rating', 'avg_rating', { round: 1 })
+            .count('positive', ['rating', '>=', 4])
+            .count('negative', ['rating', '<=', 2])
+            .get(),
+        sqlite: 'SELECT COUNT(*) AS "total", ROUND(AVG("feedback"."rating"), 1) AS "avg_rating", ' +
+            'COUNT(CASE WHEN "feedback"."rating" >= ? THEN 1 END) AS "positive", COUNT(CASE WHEN "feedback"."rating" <= ? THEN 1 END) AS "negative" ' +
+            'FROM "feedback" WHERE "feedback"."restaurant_id" = ? LIMIT 1',
+        postgres: 'SELECT COUNT(*) AS "total", ROUND((AVG("feedback"."rating"))::numeric, 1) AS "avg_rating", ' +
+            'COUNT(CASE WHEN "feedback"."rating" >= $1 THEN 1 END) AS "positive", COUNT(CASE WHEN "feedback"."rating" <= $2 THEN 1 END) AS "negative" ' +
+            'FROM "feedback" WHERE "feedback"."restaurant_id" = $3 LIMIT 1',
+        params: [4, 2, 1],
+        rest: 'feedback?select=rating&restaurant_id=eq.1&offset=0&limit=1000'
+    },
+    {
+        name: 'coupon redemptions (routes/coupons.js)',
+        build: t => t.from('order_discounts')
+            .select('coupon_id')
+            .count('redemptions')
+            .sum('amount', 'discount')
+            .groupBy('coupon_id')
+            .all(),
+        sqlite: 'SELECT "order_discounts"."coupon_id", COUNT(*) AS "redemptions", COALESCE(SUM("order_discounts"."amount"), 0) AS "discount" ' +
+            'FROM "order_discounts" WHERE "order_discounts"."restaurant_id" = ? GROUP BY "order_discounts"."coupon_id"',
+        postgres: 'SELECT "order_discounts"."coupon_id", COUNT(*) AS "redemptions", COALESCE(SUM("order_discounts"."amount"), 0) AS "discount" ' +
+            'FROM "order_discounts" WHERE "order_discounts"."restaurant_id" = $1 GROUP BY "order_discounts"."coupon_id"',
+        params: [1],
+        rest: 'order_discounts?select=coupon_id,amount&restaurant_id=eq.1&offset=0&limit=1000'
+    },
+    {
+        name: 'order lines, scoped through their order (routes/orders.js)',
+        build: t => t.from('order_items')
+            .select('id', 'quantity')
+            .where({ order_id: 5, cancelled: 0 })
+            .orderBy('id')
+            .all(),
+        sqlite: 'SELECT "order_items"."id", "order_items"."quantity" FROM "order_items" ' +
+            'JOIN "orders" "_tenant" ON "_tenant"."id" = "order_items"."order_id" AND "_tenant"."restaurant_id" = ? ' +
+            'WHERE "order_items"."order_id" = ? AND "order_items"."cancelled" = ? ORDER BY "order_items"."id" ASC',
+        postgres: 'SELECT "order_items"."id", "order_items"."quantity" FROM "order_items" ' +
+            'JOIN "orders" "_tenant" ON "_tenant"."id" = "order_items"."order_id" AND "_tenant"."restaurant_id" = $1 ' +
+            'WHERE "order_items"."order_id" = $2 AND "order_items"."cancelled" = $3 ORDER BY "order_items"."id" ASC',
+        params: [1, 5, 0],
+        rest: 'order_items?select=id,quantity,_tenant:orders!order_id!inner(id)&_tenant.restaurant_id=eq.1' +
+            '&order_id=eq.5&cancelled=eq.0&order=id.asc&offset=0&limit=1000'
+    },
+    {
+        name: 'items never ordered (LEFT JOIN … IS NULL)',
+        build: t => t.from('menu_items', 'mi')
+            .select('mi.id', 'mi.name')
+            .leftJoin('order_items', 'oi', 'oi.menu_item_id', 'mi.id')
+            .where('oi.id', null)
+            .all(),
+        sqlite: 'SELECT "mi"."id", "mi"."name" FROM "menu_items" "mi" LEFT JOIN "order_items" "oi" ON "oi"."menu_item_id" = "mi"."id" ' +
+            'WHERE "mi"."restaurant_id" = ? AND "oi"."id" IS NULL',
+        postgres: 'SELECT "mi"."id", "mi"."name" FROM "menu_items" "mi" LEFT JOIN "order_items" "oi" ON "oi"."menu_item_id" = "mi"."id" ' +
+            'WHERE "mi"."restaurant_id" = $1 AND "oi"."id" IS NULL',
+        params: [1],
+        rest: 'menu_items?select=id,name,oi:order_items!menu_item_id(id)&restaurant_id=eq.1&oi=is.null&offset=0&limit=1000'
+    },
+    {
+        name: 'table update (routes/tables.js)',
+        build: t => t.from('tables').where('id', 3).update({ seats: 2, active: true, updated_at: NOW }),
+        sqlite: 'UPDATE "tables" SET "seats" = ?, "active" = ?, "updated_at" = CURRENT_TIMESTAMP WHERE "restaurant_id" = ? AND "id" = ?',
+        postgres: 'UPDATE "tables" SET "seats" = $1, "active" = $2, "updated_at" = CURRENT_TIMESTAMP WHERE "restaurant_id" = $3 AND "id" = $4',
+        params: [2, 1, 1, 3],
+        rest: 'tables?restaurant_id=eq.1&id=eq.3&select=id'
+    },
+    {
+        name: 'feedback insert (routes/feedback.js)',
+        build: t => t.from('feedback').insert({ rating: 5, comment: 'Lovely' }),
+        sqlite: 'INSERT INTO "feedback" ("rating", "comment", "restaurant_id") VALUES (?, ?, ?)',
+        postgres: 'INSERT INTO "feedback" ("rating", "comment", "restaurant_id") VALUES ($1, $2, $3) RETURNING "id"',
+        params: [5, 'Lovely', 1],
+        rest: 'feedback?select=id'
+    }
+];
+
+describe('route queries compile to SQL', () => {
+    for (const query of ROUTE_QUERIES) {
+        it(query.name, async () => {
+            const adapter = capture();
+            await query.build(forTenant(adapter, 1));
+            const [ast] = adapter.asts;
+
+            assert.deepEqual(compileSql(ast, 'sqlite'), { text: query.sqlite, params: query.params });
+            assert.deepEqual(compileSql(ast, 'postgres'), { text: query.postgres, params: query.params });
+        });
+    }
+});
+
+describe('route queries run on SQLite', () => {
+    before(async () => {
+        await db.from('restaurants').insert({ name: 'Parity Test' });
+    });
+
+    for (const query of ROUTE_QUERIES.filter(q => !/insert|update/.test(q.name))) {
+        it(query.name, async () => {
+            await assert.doesNotReject(query.build(db.forTenant(1)));
+        });
+    }
+
+    it('aggregates match the Supabase driver', async () => {
+        for (const rating of [5, 1, 4]) await db.forTenant(1).from('feedback').insert({ rating });
+        const stats = ROUTE_QUERIES.find(q => q.name.startsWith('feedback stats'));
+        const expected = { total: 3, avg_rating: 3.3, positive: 2, negative: 1 };
+
+        assert.deepEqual({ ...await stats.build(db.forTenant(1)) }, expected);
+        const { adapter } = recordingSupabase([{ rating: 5 }, { rating: 1 }, { rating: 4 }]);
+        assert.deepEqual(await stats.build(forTenant(adapter, 1)), expected);
+    });
+});
+
+describe('route queries map to Supabase REST', () => {
+    for (const query of ROUTE_QUERIES.filter(q => q.rest)) {
+        it(query.name, async () => {
+            const { adapter, calls } = recordingSupabase();
+            await query.build(forTenant(adapter, 1));
+            assert.equal(calls.length, 1);
+            assert.equal(calls[0].url, query.rest);
+        });
+    }
+
+    it('sends written values as JSON, not in the URL', async () => {
+        const { adapter, calls } = recordingSupabase();
+        await forTenant(adapter, 1).from('feedback').insert({ rating: 4, comment: 'Nice', created_at: NOW });
+        assert.equal(calls[0].method, 'POST');
+        assert.equal(calls[0].body.comment, 'Nice');
+        assert.equal(calls[0].body.restaurant_id, 1);
+        assert.match(calls[0].body.created_at, /^\d{4}-\d{2}-\d{2}T/);
+    });
+});
+
+describe('unsupported constructs throw QueryError', () => {
+    const from = (table, alias) => new QueryBuilder(capture(), table, alias);
+
+    const BUILDER_ERRORS = {
+        'a table name that is not an identifier': () => from('orders; DROP TABLE users'),
+        'a three-part column reference': () => from('orders').select('public.orders.id'),
+        'an aliased wildcard': () => from('orders', 'o').select('o.* as everything'),
+        'an unknown operator': () => from('orders').where('notes', 'like', '%a%'),
+        'an empty IN list': () => from('orders').whereIn('id', []),
+        'an object as a value': () => from('orders').where('id', { $gt: 0 }),
+        'an array as a value': () => from('orders').where('id', [1, 2]),
+        'an unknown ORDER BY direction': () => from('orders').orderBy('id', 'sideways'),
+        'a LIMIT that is not a positive integer': () => from('orders').limit(0),
+        'a JOIN that is not ON the joined table': () => from('orders', 'o').join('tables', 't', 'o.id', 'o.table_id'),
+        'a duplicate table alias': () => from('orders', 'o').join('orders', 'o', 'o.id', 'o.id')
+    };
+    for (const [name, build] of Object.entries(BUILDER_ERRORS)) {
+        it(`builder: ${name}`, () => assert.throws(build, QueryError));
+    }
+
+    it('builder: UPDATE or DELETE without WHERE', async () => {
+        await assert.rejects(from('orders').update({ notes: '' }), QueryError);
+        await assert.rejects(from('orders').delete(), QueryError);
+    });
+
+    it('builder: INSERT through a join or alias', async () => {
+        await assert.rejects(from('orders', 'o').insert({ notes: '' }), QueryError);
+    });
+
+    it('SQL: an unknown dialect, aggregate or query type', () => {
+        const ast = { type: 'select', table: 'orders', alias: null, columns: [], joins: [], where: [], aggregates: [], groupBy: [], orderBy: [], limit: null };
+        assert.throws(() => compileSql(ast, 'mysql'), QueryError);
+        assert.throws(() => compileSql({ ...ast, aggregates: [{ fn: 'median', ref: { alias: null, column: 'id' }, as: 'm' }] }, 'sqlite'), QueryError);
+        assert.throws(() => compileSql({ ...ast, type: 'upsert' }, 'postgres'), QueryError);
+    });
+
+    const REST_ERRORS = {
+        'LIMIT with columns from a one-to-many JOIN': t => t.from('orders', 'o')
+            .select('o.id', 'oi.item_name')
+            .join('order_items', 'oi', 'oi.order_id', 'o.id')
+            .limit(10)
+            .all(),
+        'a WHERE on a LEFT JOINed column other than its id IS NULL': t => t.from('payments', 'p')
+            .leftJoin('orders', 'o', 'o.id', 'p.order_id')
+            .where('o.internal_status', 'SERVED')
+            .all(),
+        'ORDER BY a column two joins away': t => t.from('payments', 'p')
+            .join('orders', 'o', 'o.id', 'p.order_id')
+            .join('tables', 't', 't.id', 'o.table_id')
+            .orderBy('t.table_number')
+            .all(),
+        'a date filter that is not a date': t => t.from('orders').whereDate('created_at', 'yesterday').all()
+    };
+    for (const [name, build] of Object.entries(REST_ERRORS)) {
+        it(`Supabase REST: ${name}`, async () => {
+            const { adapter, calls } = recordingSupabase();
+            await assert.rejects(build(forTenant(adapter, 1)), QueryError);
+            assert.equal(calls.length, 0, 'nothing is sent');
+        });
+    }
+
+    it('tenant scope: no restaurant, or a table without one', () => {
+        assert.throws(() => forTenant(capture(), null), QueryError);
+        assert.throws(() => forTenant(capture(), 1).from('webhook_events'), QueryError);
+    });
+
+    it('tenant scope: writing another restaurant\'s rows', async () => {
+        await assert.rejects(forTenant(capture(), 1).from('tables').insert({ restaurant_id: 2, table_number: 9 }), QueryError);
+        await assert.rejects(forTenant(capture(), 1).from('tables').where('id', 3).update({ restaurant_id: 2 }), QueryError);
+    });
+});
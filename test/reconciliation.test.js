@@ -0,0 +1,37 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+// ─── Reconciliation runs ──────────────────────────────────────
+// A run covers every restaurant on the gateway account: a restaurant's admin
+// sees their own issues in it but cannot start one, and a day started twice
+// at once is run once.
+
+describe('reconciliation runs', () => {
+    let app;
+    let reconcileDay;
+
+    before(async () => {
+        app = await startApp();
+        ({ reconcileDay } = require('../server/utils/reconciliation'));
+    });
+
+    after(() => app.close());
+
+    it('cannot be started by a restaurant\'s admin', async () => {
+        const admin = await app.login('north_admin', 'north-admin-pass');
+        const res = await app.request('POST', '/api/reconciliation/run', { token: admin, body: { day: '2026-03-01' } });
+        assert.equal(res.status, 404);
+        assert.deepEqual(await app.db.from('reconciliation_runs').all(), []);
+    });
+
+    it('runs a day started twice at once only once', async () => {
+        const runs = await Promise.all([reconcileDay('2026-03-02'), reconcileDay('2026-03-02')]);
+        assert.equal(runs[0].id, runs[1].id);
+        assert.equal((await app.db.from('reconciliation_runs').where('day', '2026-03-02').all()).length, 1);
+
+        const admin = await app.login('south_admin', 'south-admin-pass');
+        const listed = (await app.request('GET', '/api/reconciliation', { token: admin })).body;
+        assert.deepEqual(listed.map(run => run.day), ['2026-03-02']);
+    });
+});
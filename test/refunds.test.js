@@ -0,0 +1,163 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TABLE, holdGatewayCallbacks, startApp } = require('./helpers');
+const { roundMoney } = require('../server/utils/pricing');
+
+// ─── Refunds and cancellations ────────────────────────────────
+// No more can be given back than was paid, however many admins press
+// refund at once. Cancelling an order, or a line of it, refunds what was
+// paid beyond the new bill.
+
+holdGatewayCallbacks();
+
+describe('refunding and cancelling orders', () => {
+    let app;
+    let admin;
+    let kitchen;
+    let items;
+
+    // A prepaid order of the named items, paid online → { orderId, paymentId, total }
+    const prepaid = async (...names) => {
+        const { order, verify } = await app.payOnline({
+            table_token: TABLE,
+            payment_mode: 'PREPAID',
+            items: names.map(name => ({ menu_item_id: items[name].id, quantity: 1 }))
+        });
+        assert.equal(verify.status, 200, JSON.stringify(verify.body));
+        return { orderId: verify.body.order_id, paymentId: order.body.payment_id, total: verify.body.total_amount };
+    };
+    const refund = (paymentId, body) => app.request('POST', `/api/payments/${paymentId}/refund`, { token: admin, body });
+    const cancel = (orderId, body, token) => app.request('POST', `/api/orders/${orderId}/cancel`, { token, body });
+    const payment = paymentId => app.db.from('payments').where('id', paymentId).get();
+
+    before(async () => {
+        app = await startApp();
+        admin = await app.login('north_admin', 'north-admin-pass');
+        kitchen = await app.login('north_kitchen', 'north-kitchen-pass');
+        const menu = (await app.request('GET', '/api/menu/items/all', { token: admin })).body;
+        items = Object.fromEntries(menu.map(item => [item.name, item]));
+    });
+
+    after(() => app.close());
+
+    it('refuses to refund more than was paid', async () => {
+        const { paymentId, total } = await prepaid('Margherita');
+
+        let res = await refund(paymentId, { amount: total + 1, reason: 'customer_request' });
+        assert.equal(res.status, 400);
+        assert.match(res.body.error, /At most/);
+
+        res = await refund(paymentId, { amount: 50, reason: 'quality_issue' });
+        assert.equal(res.status, 201, JSON.stringify(res.body));
+        res = await refund(paymentId, { amount: total - 49, reason: 'quality_issue' });
+        assert.equal(res.status, 400);
+        assert.match(res.body.error, new RegExp(`At most ₹${roundMoney(total - 50)}`));
+
+        res = await refund(paymentId, { reason: 'quality_issue' });
+        assert.equal(res.status, 201, JSON.stringify(res.body));
+        assert.equal(res.body.amount, roundMoney(total - 50));
+        res = await refund(paymentId, { amount: 1, reason: 'quality_issue' });
+        assert.equal(res.status, 400);
+
+        const paid = await payment(paymentId);
+        assert.equal(paid.refunded_amount, total);
+        assert.equal(paid.status, 'refunded');
+    });
+
+    it('gives money back once when two admins refund at once', async () => {
+        const { paymentId, total } = await prepaid('Margherita');
+
+        const results = await Promise.all([
+            refund(paymentId, { reason: 'customer_request' }),
+            refund(paymentId, { reason: 'customer_request' })
+        ]);
+        assert.deepEqual(results.map(res => res.status).sort(), [201, 400]);
+
+        assert.equal((await payment(paymentId)).refunded_amount, total);
+        const refunds = await app.db.from('refunds').where('payment_id', paymentId).all();
+        assert.equal(refunds.length, 1);
+        assert.equal(refunds[0].amount, total);
+    });
+
+    it('refunds an order its customer cancels before the kitchen starts', async () => {
+        const { orderId, total } = await prepaid('Margherita');
+
+        const res = await cancel(orderId, { table_token: TABLE });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        assert.deepEqual(res.body.refunds.map(r => [r.amount, r.reason]), [[total, 'customer_request']]);
+
+        const order = await app.bill(orderId);
+        assert.equal(order.cancelled, true);
+        assert.equal(order.paid_amount, 0);
+        const started = await app.request('PATCH', `/api/orders/${orderId}/status`, { token: kitchen, body: { internal_status: 'PREPARING' } });
+        assert.equal(started.status, 409);
+    });
+
+    it('leaves an order the kitchen has started to the admin', async () => {
+        const { orderId, total } = await prepaid('Margherita');
+        const started = await app.request('PATCH', `/api/orders/${orderId}/status`, { token: kitchen, body: { internal_status: 'PREPARING' } });
+        assert.equal(started.status, 200, JSON.stringify(started.body));
+
+        let res = await cancel(orderId, { table_token: TABLE });
+        assert.equal(res.status, 400);
+        assert.match(res.body.error, /already started/);
+
+        // Once the kitchen has started, a refund is the admin's call
+        res = await cancel(orderId, { reason: 'kitchen_delay' }, admin);
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        assert.deepEqual(res.body.refunds, []);
+        assert.equal((await app.bill(orderId)).paid_amount, total);
+
+        res = await cancel(orderId, { reason: 'kitchen_delay' }, admin);
+        assert.equal(res.status, 400);
+        assert.match(res.body.error, /already cancelled/);
+    });
+
+    it('refunds the difference when a paid line is cancelled', async () => {
+        const { orderId, total } = await prepaid('Margherita', 'Pepperoni');
+        const lines = (await app.bill(orderId)).items;
+        const pepperoni = lines.find(line => line.item_name === 'Pepperoni');
+
+        let res = await app.request('POST', `/api/orders/${orderId}/items/${pepperoni.id}/cancel`, { token: admin, body: { reason: 'out_of_stock' } });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        assert.equal(res.body.order_cancelled, false);
+        assert.ok(res.body.total_amount < total);
+        assert.deepEqual(res.body.refunds.map(r => r.amount), [roundMoney(total - res.body.total_amount)]);
+
+        const order = await app.bill(orderId);
+        assert.equal(order.total_amount, res.body.total_amount);
+        assert.equal(order.paid_amount, order.total_amount);
+        assert.equal(order.items.find(line => line.id === pepperoni.id).cancel_reason, 'out_of_stock');
+        const invoices = await app.db.from('invoices').where('order_id', orderId).orderBy('id').all();
+        assert.deepEqual(invoices.map(invoice => [invoice.kind, invoice.total_amount]),
+            [['invoice', total], ['credit_note', roundMoney(total - order.total_amount)]]);
+
+        // The last line takes the order with it
+        const margherita = lines.find(line => line.item_name === 'Margherita');
+        res = await app.request('POST', `/api/orders/${orderId}/items/${margherita.id}/cancel`, { token: admin, body: { reason: 'out_of_stock' } });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        assert.equal(res.body.order_cancelled, true);
+        assert.equal((await app.bill(orderId)).cancelled, true);
+    });
+
+    it('takes no ingredients for a line cancelled before the kitchen starts', async () => {
+        const created = await app.request('POST', '/api/inventory/ingredients', { token: admin, body: { name: 'Dough', unit: 'g', stock_qty: 1000 } });
+        assert.equal(created.status, 201, JSON.stringify(created.body));
+        const dough = created.body.id;
+        for (const [name, quantity] of [['Margherita', 100], ['Pepperoni', 150]]) {
+            const recipe = await app.request('PUT', `/api/inventory/recipes/${items[name].id}`, { token: admin, body: { lines: [{ ingredient_id: dough, quantity }] } });
+            assert.equal(recipe.status, 200, JSON.stringify(recipe.body));
+        }
+
+        const orderId = await app.placeOrder([items.Margherita, items.Pepperoni]);
+        const pepperoni = (await app.bill(orderId)).items.find(line => line.item_name === 'Pepperoni');
+        let res = await app.request('POST', `/api/orders/${orderId}/items/${pepperoni.id}/cancel`, { token: admin, body: { reason: 'out_of_stock' } });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        res = await app.request('PATCH', `/api/orders/${orderId}/status`, { token: kitchen, body: { internal_status: 'PREPARING' } });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+
+        assert.equal((await app.db.from('ingredients').where('id', dough).get()).stock_qty, 900);
+        const usage = await app.db.from('ingredient_movements').where({ ingredient_id: dough, kind: 'usage' }).all();
+        assert.deepEqual(usage.map(m => [m.order_id, m.quantity]), [[orderId, -100]]);
+    });
+});
@@ -0,0 +1,167 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TABLE, startApp } = require('./helpers');
+const { localNow } = require('../server/utils/availability');
+
+// ─── Reports by local day ─────────────────────────────────────
+// Stored times are UTC; reports count each row on the restaurant's own date
+// (Asia/Kolkata, UTC+5:30, for the fixtures).
+
+describe('coupon redemption report', () => {
+    let app;
+    let token;
+    const orders = {};
+
+    before(async () => {
+        app = await startApp();
+        token = await app.login('north_admin', 'north-admin-pass');
+        const item = (await app.request('GET', '/api/menu/items/all', { token })).body[0];
+        const coupon = await app.request('POST', '/api/coupons', { token, body: { code: 'TENOFF', kind: 'flat', value: 10 } });
+        assert.equal(coupon.status, 201, JSON.stringify(coupon.body));
+
+        // 20:00 UTC is 01:30 the next morning in India
+        for (const [name, at] of [['late', '2026-03-01 20:00:00'], ['early', '2026-03-01 10:00:00']]) {
+            const placed = await app.request('POST', '/api/orders', {
+                body: { table_token: TABLE, payment_mode: 'POSTPAID', coupon_code: 'TENOFF', items: [{ menu_item_id: item.id, quantity: 1 }] }
+            });
+            assert.equal(placed.status, 201, JSON.stringify(placed.body));
+            orders[name] = placed.body.order_id;
+            await app.db.from('order_discounts').where('order_id', orders[name]).update({ created_at: at });
+        }
+    });
+
+    after(() => app.close());
+
+    const report = query => app.request('GET', `/api/coupons/report?${new URLSearchParams(query)}`, { token }).then(res => res.body);
+
+    it('counts a redemption on the restaurant\'s date, not the UTC one', async () => {
+        let body = await report({ from: '2026-03-02', to: '2026-03-02' });
+        assert.deepEqual(body.recent.map(r => r.order_id), [orders.late]);
+        assert.equal(body.discount, 10);
+
+        body = await report({ from: '2026-03-01', to: '2026-03-01' });
+        assert.deepEqual(body.recent.map(r => r.order_id), [orders.early]);
+
+        body = await report({ from: '2026-03-01', to: '2026-03-02' });
+        assert.equal(body.redemptions, 2);
+        assert.equal(body.coupons[0].redemptions, 2);
+    });
+
+    it('defaults to the last 7 of the restaurant\'s days', async () => {
+        const body = await report({});
+        const today = localNow('Asia/Kolkata').date;
+        assert.equal(body.to, today);
+        assert.equal(body.from, new Date(Date.parse(today) - 6 * 86400000).toISOString().slice(0, 10));
+    });
+
+    it('turns away a to that is not a date', async () => {
+        const res = await app.request('GET', '/api/coupons/report?to=x', { token });
+        assert.equal(res.status, 400);
+    });
+});
+
+describe('ingredient usage report', () => {
+    let app;
+    let token;
+    let ingredient;
+
+    before(async () => {
+        app = await startApp();
+        token = await app.login('north_admin', 'north-admin-pass');
+        const created = await app.request('POST', '/api/inventory/ingredients', { token, body: { name: 'Flour', unit: 'g' } });
+        assert.equal(created.status, 201, JSON.stringify(created.body));
+        ingredient = created.body.id;
+
+        // 20:00 UTC is 01:30 the next morning in India
+        for (const [quantity, at] of [[500, '2026-03-01 20:00:00'], [200, '2026-03-01 10:00:00']]) {
+            const moved = await app.request('POST', `/api/inventory/ingredients/${ingredient}/movements`, { token, body: { kind: 'waste', quantity } });
+            assert.equal(moved.status, 200, JSON.stringify(moved.body));
+            await app.db.from('ingredient_movements').where({ ingredient_id: ingredient, quantity: -quantity }).update({ created_at: at });
+        }
+    });
+
+    after(() => app.close());
+
+    const wasted = query => app.request('GET', `/api/inventory/usage?${new URLSearchParams(query)}`, { token })
+        .then(res => res.body.ingredients.find(i => i.ingredient_id === ingredient).wasted);
+
+    it('counts a movement on the restaurant\'s date, not the UTC one', async () => {
+        assert.equal(await wasted({ from: '2026-03-02', to: '2026-03-02' }), 500);
+        assert.equal(await wasted({ from: '2026-03-01', to: '2026-03-01' }), 200);
+        assert.equal(await wasted({ from: '2026-03-01', to: '2026-03-02' }), 700);
+    });
+
+    it('takes to alone as the 7 days up to it', async () => {
+        const { status, body } = await app.request('GET', '/api/inventory/usage?to=2026-03-01', { token });
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.equal(body.from, '2026-02-23');
+        assert.equal(body.ingredients.find(i => i.ingredient_id === ingredient).wasted, 200);
+        assert.equal(await wasted({ to: '2026-03-07' }), 700);
+    });
+
+    it('defaults to the last 7 of the restaurant\'s days', async () => {
+        const { body } = await app.request('GET', '/api/inventory/usage', { token });
+        const today = localNow('Asia/Kolkata').date;
+        assert.equal(body.to, today);
+        assert.equal(body.from, new Date(Date.parse(today) - 6 * 86400000).toISOString().slice(0, 10));
+    });
+});
+
+describe('tips report', () => {
+    let app;
+    let token;
+
+    before(async () => {
+        app = await startApp();
+        token = await app.login('north_admin', 'north-admin-pass');
+    });
+
+    after(() => app.close());
+
+    it('turns away a to that is not one date', async () => {
+        for (const query of ['to=garbage', 'to=2026-03-01&to=2026-03-02', 'to[]=1', 'to=2026-02-30']) {
+            const res = await app.request('GET', `/api/payments/tips?${query}`, { token });
+            assert.equal(res.status, 400, query);
+        }
+        const res = await app.request('GET', '/api/payments/tips?to=2026-03-07', { token });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        assert.equal(res.body.from, '2026-03-01');
+    });
+});
+
+describe('price rule discount report', () => {
+    let app;
+    let token;
+    let items;
+
+    before(async () => {
+        app = await startApp();
+        token = await app.login('north_admin', 'north-admin-pass');
+        items = (await app.request('GET', '/api/menu/items/all', { token })).body.slice(0, 2);
+
+        // 20:00 UTC is 01:30 the next morning in India
+        for (const [item, at] of [[items[0], '2026-03-01 20:00:00'], [items[1], '2026-03-01 10:00:00']]) {
+            const placed = await app.request('POST', '/api/orders', {
+                body: { table_token: TABLE, payment_mode: 'POSTPAID', items: [{ menu_item_id: item.id, quantity: 1 }] }
+            });
+            assert.equal(placed.status, 201, JSON.stringify(placed.body));
+            await app.db.from('orders').where('id', placed.body.order_id).update({ created_at: at });
+        }
+    });
+
+    after(() => app.close());
+
+    const report = query => app.request('GET', `/api/promotions/report?${new URLSearchParams(query)}`, { token });
+
+    it('counts an order on the restaurant\'s date, not the UTC one', async () => {
+        let { body } = await report({ from: '2026-03-02', to: '2026-03-02' });
+        assert.equal(body.list_total, items[0].price);
+        ({ body } = await report({ from: '2026-03-01', to: '2026-03-01' }));
+        assert.equal(body.list_total, items[1].price);
+    });
+
+    it('turns away a to that is not a date', async () => {
+        const res = await report({ to: 'x' });
+        assert.equal(res.status, 400);
+    });
+});
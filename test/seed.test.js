@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { productionGuard } = require('../server/db/seed');
+
+// ─── Seeding guard ────────────────────────────────────────────
+// Demo staff must not land in a database that may be serving customers
+// unless --force says so.
+
+describe('seeding a database that may be production', () => {
+    it('needs --force for a Supabase database not marked as non-production', () => {
+        assert.match(productionGuard('supabase', {}), /Supabase/);
+        assert.match(productionGuard('supabase', { ALLOW_SEED: '1' }), /ALLOW_SEED=on/);
+        assert.equal(productionGuard('supabase', { ALLOW_SEED: 'on' }), null);
+    });
+
+    it('needs --force with NODE_ENV=production, whatever the database', () => {
+        for (const driver of ['supabase', 'sqlite']) {
+            assert.match(productionGuard(driver, { NODE_ENV: 'production', ALLOW_SEED: 'on' }), /NODE_ENV=production/);
+        }
+    });
+
+    it('seeds a local SQLite file freely', () => {
+        assert.equal(productionGuard('sqlite', {}), null);
+        assert.equal(productionGuard('sqlite', { NODE_ENV: 'development' }), null);
+    });
+});
@@ -0,0 +1,91 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TABLE, holdGatewayCallbacks, startApp } = require('./helpers');
+const { roundMoney } = require('../server/utils/pricing');
+
+// ─── Split bills ──────────────────────────────────────────────
+// Each payer at a table pays their part of a postpaid bill; it is settled,
+// and invoiced, once the parts cover it. A part quoted before someone else
+// paid the lot is still captured, and given back without a credit note.
+
+holdGatewayCallbacks();
+
+describe('paying a postpaid bill in parts', () => {
+    let app;
+    let admin;
+    let items;
+
+    const pay = (orderId, split) => app.payOnline({ table_token: TABLE, payment_mode: 'POSTPAID', order_id: orderId, split });
+    const invoices = orderId => app.db.from('invoices').where('order_id', orderId).all();
+
+    before(async () => {
+        app = await startApp();
+        admin = await app.login('north_admin', 'north-admin-pass');
+        items = (await app.request('GET', '/api/menu/items/all', { token: admin })).body
+            .filter(item => ['Margherita', 'Pepperoni'].includes(item.name));
+    });
+
+    after(() => app.close());
+
+    it('settles and invoices the bill once both halves are paid', async () => {
+        const orderId = await app.placeOrder(items);
+        const total = (await app.bill(orderId)).total_amount;
+
+        const first = await pay(orderId, { mode: 'equal', parts: 2 });
+        assert.equal(first.verify.status, 200, JSON.stringify(first.verify.body));
+        assert.equal(first.verify.body.settled, false);
+        assert.equal(first.verify.body.paid_amount, roundMoney(total / 2));
+        assert.equal(first.verify.body.balance, roundMoney(total - roundMoney(total / 2)));
+        assert.deepEqual(await invoices(orderId), []);
+
+        const second = await pay(orderId, { mode: 'equal', parts: 2 });
+        assert.equal(second.verify.status, 200, JSON.stringify(second.verify.body));
+        assert.equal(second.verify.body.settled, true);
+        assert.equal(second.verify.body.balance, 0);
+        assert.ok(second.verify.body.invoice.number);
+
+        const order = await app.bill(orderId);
+        assert.equal(order.paid_amount, total);
+        assert.equal(order.payments.length, 2);
+        assert.equal((await invoices(orderId)).length, 1);
+
+        const third = await pay(orderId, { mode: 'equal', parts: 2 });
+        assert.equal(third.order.status, 400);
+        assert.match(third.order.body.error, /already paid/);
+    });
+
+    it('refunds a part paid after the bill was covered, with no credit note', async () => {
+        const orderId = await app.placeOrder(items);
+        const total = (await app.bill(orderId)).total_amount;
+
+        // Both payers are quoted the whole bill before either pays
+        const body = { table_token: TABLE, payment_mode: 'POSTPAID', order_id: orderId, split: { mode: 'full' } };
+        const quotes = [];
+        for (let i = 0; i < 2; i++) {
+            const quote = await app.request('POST', '/api/payments/create-order', { body });
+            assert.equal(quote.status, 200, JSON.stringify(quote.body));
+            quotes.push(quote.body);
+        }
+        const verify = async quote => {
+            const paid = await app.request('POST', '/api/sandbox/checkout', { body: { order_id: quote.razorpay_order_id, outcome: 'success' } });
+            return app.request('POST', '/api/payments/verify', { body: { ...body, ...paid.body } });
+        };
+
+        const first = await verify(quotes[0]);
+        assert.equal(first.body.settled, true, JSON.stringify(first.body));
+        const second = await verify(quotes[1]);
+        assert.equal(second.status, 200, JSON.stringify(second.body));
+        assert.equal(second.body.refund.amount, total);
+        assert.match(second.body.message, /Someone else paid this bill first/);
+
+        const refunds = await app.db.from('refunds').where('payment_id', quotes[1].payment_id).all();
+        assert.equal(refunds.length, 1);
+        assert.equal(refunds[0].reason, 'payment_issue');
+        assert.equal(refunds[0].credit_note_id, null);
+
+        const order = await app.bill(orderId);
+        assert.equal(order.paid_amount, total);
+        assert.equal(order.balance, 0);
+        assert.deepEqual((await invoices(orderId)).map(invoice => invoice.kind), ['invoice']);
+    });
+});
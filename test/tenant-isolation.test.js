@@ -0,0 +1,222 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+// ─── Tenant isolation ─────────────────────────────────────────
+// With the two restaurants of fixtures/multi-tenant.json, South's staff and
+// tables must not be able to read or change anything of North's: every such
+// request answers 404, as if the row did not exist, and changes nothing.
+
+const NORTH_TABLE = 'test-north-table-1';
+const SOUTH_TABLE = 'test-south-table-1';
+
+describe('one restaurant cannot touch another\'s data', () => {
+    let app;
+    let north;
+    let south;
+    let southKitchen;
+    const ids = {};
+
+    // North's state, as North's admin sees it
+    async function snapshot() {
+        const [tables, categories, items, orders, payments] = await Promise.all([
+            app.request('GET', '/api/tables', { token: north }),
+            app.request('GET', '/api/menu/categories/all', { token: north }),
+            app.request('GET', '/api/menu/items/all', { token: north }),
+            app.request('GET', '/api/orders/feed/all', { token: north }),
+            app.request('GET', '/api/payments/report', { token: north })
+        ]);
+        return {
+            tables: tables.body,
+            categories: categories.body,
+            items: items.body,
+            orders: orders.body.map(o => ({ id: o.id, status: o.internal_status, cancelled: o.cancelled, total: o.total_amount, items: o.items })),
+            payments: payments.body.payments.map(p => ({ id: p.id, status: p.status, verified: p.verified, refunded: p.refunded_amount }))
+        };
+    }
+
+    before(async () => {
+        app = await startApp();
+        north = await app.login('north_admin', 'north-admin-pass');
+        south = await app.login('south_admin', 'south-admin-pass');
+        southKitchen = await app.login('south_kitchen', 'south-kitchen-pass');
+
+        const tables = (await app.request('GET', '/api/tables', { token: north })).body;
+        ids.table = tables.find(t => t.qr_token === NORTH_TABLE).id;
+        ids.category = (await app.request('GET', '/api/menu/categories/all', { token: north })).body[0].id;
+        const items = (await app.request('GET', '/api/menu/items/all', { token: north })).body;
+        ids.item = items.find(i => i.name === 'Margherita').id;
+
+        // A paid and invoiced order, and one the kitchen has yet to start
+        const order = item => app.request('POST', '/api/orders', {
+            body: { table_token: NORTH_TABLE, payment_mode: 'POSTPAID', items: [{ menu_item_id: item, quantity: 1 }, { menu_item_id: items[1].id, quantity: 1 }] }
+        });
+        ids.paidOrder = (await order(ids.item)).body.order_id;
+        const cash = await app.request('POST', '/api/payments/pay-cash', { body: { table_token: NORTH_TABLE, order_id: ids.paidOrder } });
+        assert.equal(cash.status, 200, JSON.stringify(cash.body));
+        ids.payment = cash.body.payment_id;
+        const paid = await app.request('POST', `/api/payments/${ids.payment}/confirm-cash`, { token: north });
+        assert.equal(paid.status, 200, JSON.stringify(paid.body));
+        ids.invoice = paid.body.invoice.id;
+
+        ids.openOrder = (await order(ids.item)).body.order_id;
+        ids.pendingCash = (await app.request('POST', '/api/payments/pay-cash', { body: { table_token: NORTH_TABLE, order_id: ids.openOrder } })).body.payment_id;
+        const { body } = await app.request('GET', `/api/orders/${ids.openOrder}?token=${NORTH_TABLE}`);
+        ids.orderItem = body.items[0].id;
+    });
+
+    after(() => app.close());
+
+    it('South\'s admin gets 404 for each of North\'s rows', async () => {
+        const initial = await snapshot();
+        const attempts = [
+            ['PUT', `/api/tables/${ids.table}`, { table_number: 99, seats: 1, active: 0 }],
+            ['DELETE', `/api/tables/${ids.table}`],
+            ['GET', `/api/tables/${ids.table}/qr`],
+            ['POST', `/api/tables/${ids.table}/regenerate-qr`],
+            ['PUT', `/api/menu/categories/${ids.category}`, { name: 'Taken over' }],
+            ['DELETE', `/api/menu/categories/${ids.category}`],
+            ['PUT', `/api/menu/items/${ids.item}`, { name: 'Taken over', price: 1 }],
+            ['DELETE', `/api/menu/items/${ids.item}`],
+            ['PATCH', `/api/menu/items/${ids.item}/stock`, { sold_out: true }],
+            ['PATCH', `/api/orders/${ids.openOrder}/status`, { internal_status: 'PREPARING' }],
+            ['POST', `/api/orders/${ids.openOrder}/cancel`, { reason: 'other', note: 'not yours' }],
+            ['POST', `/api/orders/${ids.openOrder}/items/${ids.orderItem}/cancel`, { reason: 'out_of_stock' }],
+            ['POST', `/api/payments/${ids.payment}/refund`, { reason: 'customer_request' }],
+            ['POST', `/api/payments/${ids.pendingCash}/confirm-cash`],
+            ['POST', `/api/payments/${ids.pendingCash}/reject-cash`],
+            ['GET', `/api/invoices/${ids.invoice}`],
+            ['GET', `/api/invoices/${ids.invoice}/html`],
+            ['GET', `/api/invoices/${ids.invoice}/pdf`],
+            ['POST', `/api/invoices/${ids.invoice}/credit-notes`, { amount: 10, reason: 'not yours' }]
+        ];
+
+        for (const [method, url, body] of attempts) {
+            const res = await app.request(method, url, { token: south, body });
+            assert.equal(res.status, 404, `${method} ${url} → ${res.status} ${JSON.stringify(res.body)}`);
+        }
+        assert.deepEqual(await snapshot(), initial, 'North\'s data is unchanged');
+    });
+
+    it('South\'s kitchen cannot move North\'s orders', async () => {
+        const res = await app.request('PATCH', `/api/orders/${ids.openOrder}/status`, { token: southKitchen, body: { internal_status: 'PREPARING' } });
+        assert.equal(res.status, 404);
+        const feed = (await app.request('GET', '/api/orders/feed/kitchen', { token: southKitchen })).body;
+        assert.deepEqual(feed, []);
+    });
+
+    it('South\'s lists show none of North\'s rows', async () => {
+        const res = url => app.request('GET', url, { token: south }).then(r => r.body);
+
+        assert.deepEqual((await res('/api/tables')).map(t => t.qr_token), [SOUTH_TABLE]);
+        assert.deepEqual((await res('/api/menu/categories/all')).map(c => c.name), ['Tiffin']);
+        assert.deepEqual((await res('/api/menu/items/all')).map(i => i.name).sort(), ['Filter Coffee', 'Masala Dosa']);
+        assert.deepEqual(await res('/api/orders/feed/all'), []);
+        assert.deepEqual(await res('/api/orders/feed/waiter'), []);
+        assert.deepEqual((await res('/api/payments/report')).payments, []);
+        assert.deepEqual(await res('/api/payments/cash-pending'), []);
+        assert.deepEqual((await res('/api/invoices')).invoices, []);
+    });
+
+    it('South\'s table token cannot reach North\'s orders or invoices', async () => {
+        let res = await app.request('GET', `/api/orders/${ids.openOrder}?token=${SOUTH_TABLE}`);
+        assert.equal(res.status, 404);
+        res = await app.request('POST', `/api/orders/${ids.openOrder}/cancel`, { body: { table_token: SOUTH_TABLE } });
+        assert.equal(res.status, 404);
+        res = await app.request('GET', `/api/invoices/${ids.invoice}?token=${SOUTH_TABLE}`);
+        assert.equal(res.status, 404);
+        res = await app.request('POST', '/api/payments/pay-cash', { body: { table_token: SOUTH_TABLE, order_id: ids.openOrder } });
+        assert.equal(res.status, 404);
+    });
+
+    it('North\'s own admin still reaches all of it', async () => {
+        let res = await app.request('GET', `/api/invoices/${ids.invoice}`, { token: north });
+        assert.equal(res.status, 200);
+        res = await app.request('PATCH', `/api/orders/${ids.openOrder}/status`, { token: north, body: { internal_status: 'PREPARING' } });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+    });
+});
+
+describe('event streams need the restaurant\'s own credentials', () => {
+    let app;
+    let north;
+    let northKitchen;
+    let south;
+    let northId;
+    let item;
+    const opened = [];
+
+    const open = async (url, headers) => {
+        const stream = await app.stream(url, headers);
+        if (stream.close) opened.push(stream);
+        return stream;
+    };
+    const order = () => app.placeOrder([item]);
+    const start = orderId => app.request('PATCH', `/api/orders/${orderId}/status`, { token: northKitchen, body: { internal_status: 'PREPARING' } });
+
+    before(async () => {
+        app = await startApp();
+        north = await app.login('north_admin', 'north-admin-pass');
+        northKitchen = await app.login('north_kitchen', 'north-kitchen-pass');
+        south = await app.login('south_admin', 'south-admin-pass');
+        northId = (await app.db.from('tables').where('qr_token', NORTH_TABLE).get()).restaurant_id;
+        item = (await app.request('GET', '/api/menu/items/all', { token: north })).body.find(i => i.name === 'Margherita');
+    });
+
+    after(() => {
+        opened.forEach(stream => stream.close());
+        return app.close();
+    });
+
+    it('refuses staff streams without a valid token', async () => {
+        for (const path of ['/api/sse/kitchen', '/api/sse/waiter', '/api/sse/admin']) {
+            let res = await open(path);
+            assert.equal(res.status, 401, path);
+            res = await open(`${path}?access_token=not-a-jwt`);
+            assert.equal(res.status, 403, path);
+            res = await open(path, { Cookie: 'staff_token=not-a-jwt' });
+            assert.equal(res.status, 403, path);
+        }
+        const res = await open(`/api/sse/admin?access_token=${northKitchen}`);
+        assert.equal(res.status, 403);
+    });
+
+    it('refuses another restaurant\'s staff cookie on this restaurant\'s streams', async () => {
+        for (const path of ['/api/sse/kitchen', '/api/sse/admin']) {
+            const res = await open(`${path}?restaurant_id=${northId}`, { Cookie: `staff_token=${south}` });
+            assert.equal(res.status, 403, path);
+        }
+    });
+
+    it('sends each restaurant\'s staff only their own orders', async () => {
+        const northStream = await open('/api/sse/kitchen', { Cookie: `staff_token=${north}` });
+        const southStream = await open(`/api/sse/kitchen?access_token=${south}`);
+        assert.equal(northStream.status, 200);
+        assert.equal(southStream.status, 200);
+
+        const orderId = await order();
+        assert.equal((await northStream.next('new-order')).id, orderId);
+        await assert.rejects(southStream.next('new-order', 300));
+    });
+
+    it('lets a table token stream only its own table\'s orders', async () => {
+        const mine = await order();
+        const other = await order();
+
+        for (const token of [SOUTH_TABLE, 'test-north-table-2']) {
+            const res = await open(`/api/sse/order/${mine}?token=${token}`);
+            assert.equal(res.status, 404, token);
+        }
+        let res = await open(`/api/sse/order/${mine}?token=not-a-table`);
+        assert.equal(res.status, 403);
+        res = await open(`/api/sse/order/${mine}`);
+        assert.equal(res.status, 401);
+
+        const stream = await open(`/api/sse/order/${mine}?token=${NORTH_TABLE}`);
+        assert.equal(stream.status, 200);
+        assert.equal((await start(other)).status, 200);
+        assert.equal((await start(mine)).status, 200);
+        assert.equal((await stream.next('status-update')).order_id, mine);
+        assert.ok(stream.events.every(e => e.event === 'connected' || e.data.order_id === mine));
+    });
+});
@@ -0,0 +1,204 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { TABLE, holdGatewayCallbacks, startApp } = require('./helpers');
+
+// ─── Gateway webhooks ─────────────────────────────────────────
+// The customer's browser (verify) and the gateway (webhook) both report a
+// payment; however they race, and however often the gateway delivers, it is
+// captured once. An unsigned delivery changes nothing.
+
+const SECRET = 'fake_gateway_secret';
+
+holdGatewayCallbacks();
+
+describe('gateway webhooks', () => {
+    let app;
+    let admin;
+    let item;
+
+    // Posts a fake gateway callback, signed with `secret`
+    const webhook = (event, secret = SECRET) => {
+        const body = JSON.stringify(event);
+        return fetch(`${app.base}/api/webhooks/fake`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Fake-Signature': crypto.createHmac('sha256', secret).update(body).digest('hex')
+            },
+            body
+        }).then(async res => ({ status: res.status, body: await res.json() }));
+    };
+
+    const orderCount = async () => (await app.request('GET', '/api/orders/feed/all', { token: admin })).body.length;
+
+    // A prepaid payment the gateway took but the browser never confirmed
+    // → { payment, event } with event its payment.captured callback
+    const paidOnGateway = async () => {
+        const body = { table_token: TABLE, payment_mode: 'PREPAID', items: [{ menu_item_id: item.id, quantity: 1 }] };
+        const order = await app.request('POST', '/api/payments/create-order', { body });
+        assert.equal(order.status, 200, JSON.stringify(order.body));
+        await app.request('POST', '/api/sandbox/checkout', { body: { order_id: order.body.razorpay_order_id, outcome: 'timeout' } });
+        const payment = await app.db.from('payments').where('id', order.body.payment_id).get();
+        return {
+            payment,
+            event: {
+                id: `evt_${payment.id}`,
+                type: 'payment.captured',
+                entity: { id: `pay_${payment.id}`, order_id: payment.razorpay_order_id, amount: order.body.amount, status: 'captured' }
+            }
+        };
+    };
+
+    before(async () => {
+        app = await startApp();
+        admin = await app.login('north_admin', 'north-admin-pass');
+        item = (await app.request('GET', '/api/menu/items/all', { token: admin })).body.find(i => i.name === 'Margherita');
+    });
+
+    after(() => app.close());
+
+    it('turns away a delivery with a bad signature', async () => {
+        const { payment, event } = await paidOnGateway();
+        const orders = await orderCount();
+
+        const res = await webhook(event, 'not_the_secret');
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'Invalid signature');
+
+        assert.equal((await app.db.from('payments').where('id', payment.id).get()).verified, 0);
+        assert.deepEqual(await app.db.from('webhook_events').where('event_id', event.id).all(), []);
+        assert.equal(await orderCount(), orders);
+    });
+
+    it('ignores a payment event with no payment in it', async () => {
+        for (const type of ['payment.captured', 'payment.failed']) {
+            const res = await webhook({ id: `empty_${type}`, type });
+            assert.equal(res.status, 200, JSON.stringify(res.body));
+            assert.equal(res.body.status, 'ignored');
+            assert.equal((await app.db.from('webhook_events').where('event_id', `empty_${type}`).get()).error, 'No payment in event');
+        }
+    });
+
+    it('lets no other restaurant\'s table verify or fail a payment', async () => {
+        const online = (await paidOnGateway()).payment;
+        const orderId = await app.placeOrder([item]);
+        const cash = await app.request('POST', '/api/payments/pay-cash', { body: { table_token: TABLE, order_id: orderId } });
+        assert.equal(cash.status, 200, JSON.stringify(cash.body));
+        const cashPayment = await app.db.from('payments').where('id', cash.body.payment_id).get();
+
+        for (const payment of [online, cashPayment]) {
+            const res = await app.request('POST', '/api/payments/verify', {
+                body: { table_token: 'test-south-table-1', razorpay_order_id: payment.razorpay_order_id, razorpay_payment_id: 'pay_forged', razorpay_signature: 'forged' }
+            });
+            assert.equal(res.status, 404);
+            assert.equal((await app.db.from('payments').where('id', payment.id).get()).status, 'created');
+        }
+    });
+
+    it('handles an event delivered twice once', async () => {
+        const { payment, event } = await paidOnGateway();
+        const orders = await orderCount();
+
+        let res = await webhook(event);
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        assert.equal(res.body.status, 'processed');
+        res = await webhook(event);
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        assert.equal(res.body.status, 'duplicate');
+
+        // The gateway's word alone placed the order, once
+        assert.equal(await orderCount(), orders + 1);
+        const captured = await app.db.from('payments').where('id', payment.id).get();
+        assert.equal(captured.verified, 1);
+        assert.ok(captured.order_id);
+        assert.equal((await app.db.from('webhook_events').where('event_id', event.id).all()).length, 1);
+    });
+
+    it('handles again a delivery cut short long ago, not one under way', async () => {
+        const { payment, event } = await paidOnGateway();
+        const payload = JSON.stringify(event);
+        await app.db.from('webhook_events').insert({ provider: 'fake', event_id: event.id, event: event.type, payload });
+
+        // Just claimed: another delivery of it is still being handled
+        let res = await webhook(event);
+        assert.equal(res.body.status, 'duplicate');
+        assert.equal((await app.db.from('payments').where('id', payment.id).get()).verified, 0);
+
+        // Claimed an hour ago and never finished: the process died
+        await app.db.from('webhook_events').where('event_id', event.id).update({ updated_at: '2026-01-01 00:00:00' });
+        res = await webhook(event);
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        assert.equal(res.body.status, 'processed');
+        assert.equal((await app.db.from('payments').where('id', payment.id).get()).verified, 1);
+    });
+
+    it('places one prepaid order when verify and the webhook race', async () => {
+        const coupon = await app.request('POST', '/api/coupons', { token: admin, body: { code: 'ONCE', kind: 'flat', value: 50, usage_limit: 1 } });
+        assert.equal(coupon.status, 201, JSON.stringify(coupon.body));
+        const ordersBefore = await orderCount();
+
+        const body = { table_token: TABLE, payment_mode: 'PREPAID', coupon_code: 'ONCE', items: [{ menu_item_id: item.id, quantity: 1 }] };
+        const order = await app.request('POST', '/api/payments/create-order', { body });
+        assert.equal(order.status, 200, JSON.stringify(order.body));
+        const paid = await app.request('POST', '/api/sandbox/checkout', { body: { order_id: order.body.razorpay_order_id, outcome: 'success' } });
+        const verify = () => app.request('POST', '/api/payments/verify', { body: { ...body, ...paid.body } });
+
+        const results = await Promise.all([
+            verify(),
+            verify(),
+            webhook({
+                id: `race_${paid.body.razorpay_payment_id}`,
+                type: 'payment.captured',
+                entity: { id: paid.body.razorpay_payment_id, order_id: order.body.razorpay_order_id, amount: order.body.amount, status: 'captured' }
+            })
+        ]);
+        for (const res of results) assert.equal(res.status, 200, JSON.stringify(res.body));
+        assert.equal(results[0].body.order_id, results[1].body.order_id);
+
+        const orders = (await app.request('GET', '/api/orders/feed/all', { token: admin })).body;
+        assert.equal(orders.length, ordersBefore + 1);
+        assert.equal(orders.find(o => o.id === results[0].body.order_id).payment_mode, 'PREPAID');
+        const report = (await app.request('GET', '/api/coupons/report', { token: admin })).body;
+        assert.equal(report.redemptions, 1);
+    });
+});
+
+describe('fake gateway opt-in', () => {
+    const fake = require('../server/utils/providers/fake');
+    const saved = { ...process.env };
+    const signed = { orderId: 'fake_order_1', paymentId: 'fake_pay_1' };
+    signed.signature = crypto.createHmac('sha256', SECRET).update(`${signed.orderId}|${signed.paymentId}`).digest('hex');
+
+    after(() => {
+        for (const key of ['NODE_ENV', 'FAKE_GATEWAY', 'FAKE_GATEWAY_SECRET']) {
+            if (saved[key] === undefined) delete process.env[key];
+            else process.env[key] = saved[key];
+        }
+    });
+
+    it('is off unless FAKE_GATEWAY=on', () => {
+        delete process.env.FAKE_GATEWAY;
+        assert.equal(fake.configured(), false);
+        assert.equal(fake.verifyPayment(signed), false);
+        process.env.FAKE_GATEWAY = 'on';
+        assert.equal(fake.configured(), true);
+        assert.equal(fake.verifyPayment(signed), true);
+    });
+
+    it('takes its built-in secret only in tests', () => {
+        process.env.FAKE_GATEWAY = 'on';
+        process.env.NODE_ENV = 'development';
+        for (const secret of [undefined, SECRET]) {
+            if (secret) process.env.FAKE_GATEWAY_SECRET = secret;
+            else delete process.env.FAKE_GATEWAY_SECRET;
+            assert.equal(fake.configured(), false);
+            assert.equal(fake.verifyPayment(signed), false);
+            assert.equal(fake.verifyWebhook(Buffer.from('{}'), { 'x-fake-signature': 'ab' }), null);
+        }
+
+        process.env.FAKE_GATEWAY_SECRET = 'a-secret-of-our-own';
+        assert.equal(fake.configured(), true);
+        assert.equal(fake.verifyPayment(signed), false);
+    });
+});